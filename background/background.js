@@ -1,171 +1,210 @@
 // Background script for FavURL Chrome Extension
 // Manifest V3 Service Worker
 
-// Import storage manager utilities
-importScripts('../utils/storageManager.js');
+// Import shared utilities, storage manager, bookmark repository, schema migrations,
+// trash, snapshots, the cross-device merge, nested groups and the native bookmarks mirror
+importScripts(
+    '../utils/shared.js',
+    '../utils/storageManager.js',
+    '../utils/bookmarkRepository.js',
+    '../utils/migrationManager.js',
+    '../utils/trashManager.js',
+    '../utils/snapshotManager.js',
+    '../utils/conflictManager.js',
+    '../utils/groupTree.js',
+    '../utils/bookmarkMirror.js'
+);
 
 // Extension installation and updates
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('FavURL extension installed/updated:', details.reason);
 
-    // Initialize default data if needed
-    if (details.reason === 'install') {
+    // Initialize default data and migrate data written by older versions
+    if (details.reason === 'install' || details.reason === 'update') {
         initializeExtension();
     }
 });
 
-// Initialize extension with default data (Task 3.1: Enhanced storage initialization)
+// Migrate storage synced from devices running older versions
+chrome.runtime.onStartup.addListener(() => {
+    initializeExtension();
+});
+
+// Initialize extension storage (Task 3.1: Enhanced storage initialization)
 async function initializeExtension() {
+    scheduleTrashPurge();
+    scheduleSnapshots();
+
     try {
-        // Get existing data - check both legacy and new structure
-        const legacyResult = await chrome.storage.sync.get(['groups', 'urls', 'version', 'lastUpdated']);
-
-        // Check if we have legacy URL storage
-        const hasLegacyUrls = legacyResult.urls && Array.isArray(legacyResult.urls) && legacyResult.urls.length > 0;
-
-        // Initialize groups
-        const groups = legacyResult.groups || [];
-
-        // Create default "Ungrouped" group if it doesn't exist (Task 3.2: Enhanced default group)
-        let defaultGroup = groups.find(g => g.id === 'ungrouped');
-        if (!defaultGroup) {
-            defaultGroup = {
-                id: 'ungrouped',
-                name: 'Ungrouped',
-                created: new Date().toISOString(),
-                isDefault: true,
-                protected: true
-            };
-            groups.unshift(defaultGroup); // Add at beginning for UI priority
-            console.log('Default "Ungrouped" group created in background');
-        } else {
-            // Ensure default group has proper metadata
-            let updated = false;
-            if (!defaultGroup.isDefault) {
-                defaultGroup.isDefault = true;
-                updated = true;
-            }
-            if (!defaultGroup.protected) {
-                defaultGroup.protected = true;
-                updated = true;
-            }
-            if (!defaultGroup.name || defaultGroup.name !== 'Ungrouped') {
-                defaultGroup.name = 'Ungrouped';
-                updated = true;
-            }
-            if (updated) {
-                console.log('Default group metadata updated in background');
-            }
+        // Bring stored data to the current schema version (rolled back on failure)
+        const migration = await MigrationManager.runMigrations();
+        if (migration.status === 'completed') {
+            console.log(`Data model migrated from version ${migration.fromVersion} to ${migration.toVersion}`);
+        } else if (migration.status !== 'up_to_date') {
+            console.error(`Data model migration ${migration.status}: ${migration.error}`);
+            return;
         }
 
-        let urls = [];
-        let fixedUrlCount = 0;
+        // Create the default group and repair group assignments
+        await BookmarkRepository.initializeStorage();
 
-        if (hasLegacyUrls) {
-            console.log('Legacy URLs detected in background, will be migrated on first popup load');
-            urls = legacyResult.urls;
-        } else {
-            // Load URLs from new 32-key structure
-            console.log('Loading URLs from 32-key storage structure in background...');
-            const urlKeys = [];
-            for (let i = 0; i <= 31; i++) {
-                urlKeys.push(`urls${i}`);
-            }
-            const urlsResult = await chrome.storage.sync.get(urlKeys);
+        // Merge changes synced from other devices while the browser was closed
+        await queueReconcile();
 
-            // Combine URLs from all keys
-            for (const key of urlKeys) {
-                if (urlsResult[key] && Array.isArray(urlsResult[key])) {
-                    urls.push(...urlsResult[key]);
-                }
-            }
-            console.log(`Loaded ${urls.length} URLs from 32-key storage structure in background`);
+        // Bring the native bookmarks mirror up to date (if enabled)
+        queueMirror(() => BookmarkMirror.pushToNative());
+
+        // Log storage usage
+        const usage = await StorageManager.getStorageUsage();
+        console.log(`Extension initialized. Storage usage: ${usage.formatted}`);
+    } catch (error) {
+        // Stored data is left untouched; migrations are retried on the next startup
+        console.error('Error initializing extension:', error);
+    }
+}
+
+// Schedule the periodic purge of expired trash entries
+function scheduleTrashPurge() {
+    chrome.alarms.create(TrashManager.TRASH_PURGE_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: TrashManager.TRASH_PURGE_INTERVAL_MINUTES
+    });
+}
+
+// Schedule periodic snapshots of the bookmark data
+function scheduleSnapshots() {
+    chrome.alarms.create(SnapshotManager.SNAPSHOT_ALARM, {
+        delayInMinutes: 5,
+        periodInMinutes: SnapshotManager.SNAPSHOT_INTERVAL_MINUTES
+    });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    // Permanently delete trash entries older than the retention period
+    if (alarm.name === TrashManager.TRASH_PURGE_ALARM) {
+        try {
+            await TrashManager.purgeExpired();
+        } catch (error) {
+            console.error('Error purging expired trash entries:', error);
         }
+    }
 
-        // Validate and fix URL group assignments
-        urls.forEach(url => {
-            if (!url.groupId || !groups.find(g => g.id === url.groupId)) {
-                url.groupId = 'ungrouped';
-                fixedUrlCount++;
+    // Take a snapshot (skipped if nothing changed since the latest one)
+    if (alarm.name === SnapshotManager.SNAPSHOT_ALARM) {
+        try {
+            await SnapshotManager.createSnapshot('scheduled');
+        } catch (error) {
+            console.error('Error taking scheduled snapshot:', error);
+        }
+    }
+});
+
+// Merges run one at a time; a merge that writes triggers the next, which finds nothing to do
+let reconcileQueue = Promise.resolve();
+
+function queueReconcile() {
+    reconcileQueue = reconcileQueue
+        .then(() => ConflictManager.reconcile())
+        .then(result => {
+            if (result.conflicts.length > 0) {
+                console.warn(`${result.conflicts.length} unresolved sync conflicts`);
             }
+        })
+        .catch(error => {
+            console.error('Error merging synced changes:', error);
         });
+    return reconcileQueue;
+}
 
-        if (fixedUrlCount > 0) {
-            console.log(`Fixed ${fixedUrlCount} URLs with invalid group assignments in background`);
-        }
+// Mirror operations run one at a time, so events caused by a push see its node mapping
+let mirrorQueue = Promise.resolve();
 
-        // Save data using appropriate structure
-        if (hasLegacyUrls || urls.length === 0) {
-            // For new installs or legacy data, save metadata only
-            // URLs will be migrated/saved by popup.js when first opened
-            await chrome.storage.sync.set({
-                groups: groups,
-                version: '1.0',
-                lastUpdated: new Date().toISOString()
-            });
-
-            if (hasLegacyUrls) {
-                console.log('Legacy URL storage detected, migration will occur on first popup open');
-            }
-        } else {
-            // Initialize 32-key storage structure with empty arrays
-            const storageData = {
-                groups: groups,
-                version: '1.0',
-                lastUpdated: new Date().toISOString()
-            };
-
-            // Initialize all URL storage keys as empty arrays
-            for (let i = 0; i <= 31; i++) {
-                storageData[`urls${i}`] = [];
-            }
+function queueMirror(task) {
+    const result = mirrorQueue.then(task);
+    mirrorQueue = result.catch(error => {
+        console.error('Error mirroring native bookmarks:', error);
+    });
+    return result;
+}
 
-            await chrome.storage.sync.set(storageData);
-            console.log('32-key storage structure initialized in background');
-        }
+// Native bookmark edits inside the mirror folder (see BookmarkMirror)
+function onNativeBookmarkCreated(id) {
+    queueMirror(() => BookmarkMirror.handleNativeCreated(id));
+}
 
-        // Log storage usage
-        const usage = await StorageManager.getStorageUsage();
-        console.log(`Extension initialized. Storage usage: ${usage.formatted}`);
+function onNativeBookmarkChanged(id, changeInfo) {
+    queueMirror(() => BookmarkMirror.handleNativeChanged(id, changeInfo));
+}
 
-    } catch (error) {
-        console.error('Error initializing extension:', error);
+function onNativeBookmarkRemoved(id, removeInfo) {
+    queueMirror(() => BookmarkMirror.handleNativeRemoved(id, removeInfo));
+}
 
-        // Fallback: try to clear storage and reinitialize
-        try {
-            await chrome.storage.sync.clear();
-            console.log('Storage cleared, reinitializing with minimal data...');
-
-            // Create minimal initialization
-            await chrome.storage.sync.set({
-                groups: [{
-                    id: 'ungrouped',
-                    name: 'Ungrouped',
-                    created: new Date().toISOString(),
-                    isDefault: true,
-                    protected: true
-                }],
-                version: '1.0',
-                lastUpdated: new Date().toISOString()
-            });
-
-            // Initialize empty URL storage keys
-            const emptyUrlStorage = {};
-            for (let i = 0; i <= 31; i++) {
-                emptyUrlStorage[`urls${i}`] = [];
-            }
-            await chrome.storage.sync.set(emptyUrlStorage);
+function onNativeBookmarkMoved(id, moveInfo) {
+    queueMirror(() => BookmarkMirror.handleNativeMoved(id, moveInfo));
+}
 
-            console.log('Fallback initialization completed');
+// chrome.bookmarks only exists while the optional bookmarks permission is granted
+let bookmarkListenersAdded = false;
 
-            const usage = await StorageManager.getStorageUsage();
-            console.log(`Fallback storage usage: ${usage.formatted}`);
-        } catch (fallbackError) {
-            console.error('Fallback initialization failed:', fallbackError);
-        }
+function addBookmarkListeners() {
+    if (bookmarkListenersAdded || !chrome.bookmarks) {
+        return;
     }
+    chrome.bookmarks.onCreated.addListener(onNativeBookmarkCreated);
+    chrome.bookmarks.onChanged.addListener(onNativeBookmarkChanged);
+    chrome.bookmarks.onRemoved.addListener(onNativeBookmarkRemoved);
+    chrome.bookmarks.onMoved.addListener(onNativeBookmarkMoved);
+    bookmarkListenersAdded = true;
 }
 
+function removeBookmarkListeners() {
+    if (!bookmarkListenersAdded) {
+        return;
+    }
+    if (chrome.bookmarks) {
+        chrome.bookmarks.onCreated.removeListener(onNativeBookmarkCreated);
+        chrome.bookmarks.onChanged.removeListener(onNativeBookmarkChanged);
+        chrome.bookmarks.onRemoved.removeListener(onNativeBookmarkRemoved);
+        chrome.bookmarks.onMoved.removeListener(onNativeBookmarkMoved);
+    }
+    bookmarkListenersAdded = false;
+}
+
+function includesBookmarksPermission(permissions) {
+    return (permissions.permissions || []).includes('bookmarks');
+}
+
+// Listeners added in the service worker's first turn wake it for native edits; the
+// permission check then decides whether they stay
+addBookmarkListeners();
+BookmarkMirror.hasBookmarksPermission()
+    .then(granted => {
+        if (granted) {
+            addBookmarkListeners();
+        } else {
+            removeBookmarkListeners();
+        }
+    })
+    .catch(error => {
+        console.error('Error checking the bookmarks permission:', error);
+    });
+
+// Granted from the popup when the user turns the mirror on or imports a folder
+chrome.permissions.onAdded.addListener((permissions) => {
+    if (includesBookmarksPermission(permissions)) {
+        addBookmarkListeners();
+    }
+});
+
+// Revoked in the extension settings: native edits can no longer be seen, so stop mirroring
+chrome.permissions.onRemoved.addListener((permissions) => {
+    if (includesBookmarksPermission(permissions)) {
+        removeBookmarkListeners();
+        queueMirror(() => BookmarkMirror.disableMirror());
+    }
+});
+
 // Handle extension icon click (optional, as popup is already configured)
 chrome.action.onClicked.addListener((tab) => {
     // This won't be called if popup is configured, but kept for completeness
@@ -201,13 +240,28 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
             console.warn('Could not get storage usage:', error);
         }
 
-        // Notify any open popups about data changes
+        // Every bookmark save stamps lastUpdated; snapshot after every N saves
+        if (changes.lastUpdated) {
+            try {
+                await SnapshotManager.recordSave();
+            } catch (error) {
+                console.warn('Could not record save for snapshots:', error);
+            }
+
+            // Reconcile with this device's last state record by record (see ConflictManager)
+            queueReconcile();
+
+            // Push the saved bookmarks to the native mirror folder
+            queueMirror(() => BookmarkMirror.pushToNative());
+        }
+
+        // Notify open popups and start pages, which apply the changes live
         chrome.runtime.sendMessage({
             type: 'storage_changed',
             changes: changes,
             timestamp: new Date().toISOString()
         }).catch(() => {
-            // Ignore errors if no popup is open
+            // Ignore errors if no popup or start page is open
         });
     }
 });
@@ -225,6 +279,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             openURL(message.url).then(sendResponse);
             return true;
 
+        case 'set_bookmark_mirror':
+            queueMirror(() => message.enabled ? BookmarkMirror.enableMirror() : BookmarkMirror.disableMirror())
+                .then(status => sendResponse({ success: true, status }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
         default:
             console.log('Unknown message type:', message.type);
     }
@@ -11,7 +11,11 @@ class GroupDataModel {
         this.color = data.color || '#2196f3';
         this.description = data.description || '';
         this.urlCount = data.urlCount || 0;
-        this.order = data.order || 0;
+        this.order = data.order || 0; // Position among the groups with the same parent
+        this.parentId = data.parentId || null; // Group this group is nested in (null for top level)
+        this.revision = data.revision || 0; // Incremented by StorageManager on every saved change
+        this.modifiedBy = data.modifiedBy || null; // Id of the device that saved the revision
+        this.storageTier = data.storageTier || 'sync'; // 'sync' or 'local' (runtime only, not persisted)
         this.isValidated = false;
     }
 
@@ -34,6 +38,10 @@ class GroupDataModel {
             errors.push('Group ID is required and must be a string');
         }
 
+        if (this.parentId !== null && (typeof this.parentId !== 'string' || this.parentId === this.id)) {
+            errors.push('Parent group must be another group');
+        }
+
         if (this.color && !/^#[0-9A-F]{6}$/i.test(this.color)) {
             errors.push('Color must be a valid hex color code');
         }
@@ -53,7 +61,10 @@ class GroupDataModel {
             color: this.color,
             description: this.description,
             urlCount: this.urlCount,
-            order: this.order
+            order: this.order,
+            parentId: this.parentId,
+            revision: this.revision,
+            modifiedBy: this.modifiedBy
         };
     }
 
@@ -0,0 +1,69 @@
+// Smart Group Data Model for FavURL Chrome Extension
+// A smart group stores a query instead of members (see SmartGroups.getSmartGroupUrls)
+
+class SmartGroupDataModel {
+    constructor(data = {}) {
+        this.id = data.id || FavURLUtils.generateUniqueId('smart_');
+        this.name = data.name || '';
+        this.query = data.query || '';
+        this.color = data.color || '#7e57c2';
+        this.created = data.created || new Date().toISOString();
+        this.lastModified = data.lastModified || new Date().toISOString();
+        this.order = data.order || 0; // Smart groups are listed after the groups, by order
+        this.isValidated = false;
+    }
+
+    validate() {
+        const errors = [];
+
+        if (!this.name || typeof this.name !== 'string') {
+            errors.push('Smart group name is required and must be a string');
+        } else if (this.name.trim().length === 0) {
+            errors.push('Smart group name cannot be empty');
+        } else if (this.name.length > 50) {
+            errors.push('Smart group name must be 50 characters or less');
+        }
+
+        if (!this.id || typeof this.id !== 'string') {
+            errors.push('Smart group ID is required and must be a string');
+        }
+
+        if (typeof this.query !== 'string') {
+            errors.push('Query must be a string');
+        } else {
+            errors.push(...SmartGroups.parseSmartQuery(this.query).errors);
+        }
+
+        if (this.color && !/^#[0-9A-F]{6}$/i.test(this.color)) {
+            errors.push('Color must be a valid hex color code');
+        }
+
+        this.isValidated = errors.length === 0;
+        return { isValid: this.isValidated, errors };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            query: this.query,
+            color: this.color,
+            created: this.created,
+            lastModified: this.lastModified,
+            order: this.order
+        };
+    }
+
+    static fromJSON(data) {
+        return new SmartGroupDataModel(data);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = SmartGroupDataModel;
+} else {
+    // Browser environment - attach to window
+    window.SmartGroupDataModel = SmartGroupDataModel;
+}
\ No newline at end of file
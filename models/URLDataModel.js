@@ -12,7 +12,11 @@ class URLDataModel {
         this.domain = data.domain || FavURLUtils.extractDomain(this.url);
         this.favicon = data.favicon || FavURLUtils.generateFaviconUrl(this.url);
         this.tags = data.tags || [];
+        this.notes = typeof data.notes === 'string' ? data.notes : ''; // Multi-line, synced with the bookmark
         this.order = data.order !== undefined ? data.order : Date.now(); // Use timestamp as default order
+        this.revision = data.revision || 0; // Incremented by StorageManager on every saved change
+        this.modifiedBy = data.modifiedBy || null; // Id of the device that saved the revision
+        this.storageTier = data.storageTier || 'sync'; // 'sync' or 'local' (runtime only, not persisted)
         this.isValidated = false;
     }
 
@@ -56,6 +60,13 @@ class URLDataModel {
             errors.push('Group ID is required and must be a string');
         }
 
+        // A bookmark is stored in one sync item (8KB), so its notes stay well below that
+        if (typeof this.notes !== 'string') {
+            errors.push('Notes must be a string');
+        } else if (this.notes.length > 1000) {
+            errors.push('Notes must be 1000 characters or less');
+        }
+
         this.isValidated = errors.length === 0;
         return { isValid: this.isValidated, errors };
     }
@@ -72,7 +83,10 @@ class URLDataModel {
             domain: this.domain,
             favicon: this.favicon,
             tags: this.tags,
-            order: this.order
+            notes: this.notes,
+            order: this.order,
+            revision: this.revision,
+            modifiedBy: this.modifiedBy
         };
     }
 
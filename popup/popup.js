@@ -1,15 +1,24 @@
 // Task 3.3: Complete Data Model Implementation
 
+// Delay before applying broadcast storage changes, so bursts of writes refresh once
+const LIVE_REFRESH_DELAY_MS = 300;
+// Delay before checking whether edited notes still fit into sync storage
+const NOTES_STORAGE_CHECK_DELAY_MS = 500;
+
 class BookmarkManager {
     constructor() {
         // Task 3.3: Complete data model implementation
         this.urls = []; // Array of URLDataModel instances
         this.groups = []; // Array of GroupDataModel instances
+        this.smartGroups = []; // Array of SmartGroupDataModel instances, listed after the groups
+        this.bookmarkOpens = {}; // URL id -> when it was last opened on this device (for smart groups)
+        this.groupingRules = []; // Rules filing new bookmarks into groups, in priority order
+        this.groupingRulesDraft = null; // Rules being edited in the grouping rules dialog
         // Task 3.1: Full persistent storage with chrome.storage.sync
         this.storageQuotaUsed = 0;
         this.storageQuotaLimit = 100 * 1024; // 100KB limit for chrome.storage.sync
         // Task 3.3: Data validation and integrity
-        this.dataModelVersion = '1.0';
+        this.dataModelVersion = StorageManager.DATA_MODEL_VERSION;
         this.lastDataValidation = null;
         // Task 4.2: Group display state management
         this.groupExpandedState = {}; // Track which groups are expanded/collapsed
@@ -20,6 +29,21 @@ class BookmarkManager {
         this.colorTheme = null; // Will be loaded from storage
         // Font settings state
         this.fontSettings = null; // Will be loaded from storage
+        // Undo/redo history of saved mutations (shared with the start page)
+        this.history = new HistoryManager('popup');
+        this.selectedSnapshotId = null; // Snapshot previewed in the restore modal
+        this.deviceId = null; // Labels this device's versions in the conflict modal
+        // Import preview state
+        this.importSelection = null; // Indexes of the pending import's groups and URLs to apply
+        this.importPreview = null; // Preview items of the pending import
+        this.importPreviewToken = 0; // Latest storage tier estimate; older results are dropped
+        // Tag filter: only bookmarks with all of these tags are listed
+        this.tagFilter = new Set();
+        // Live refresh state
+        this.renderedGroupSignatures = new Map(); // Group id -> content the header/list was rendered from
+        this.refreshTimer = null;
+        this.pendingSaves = 0; // Saves in flight; refreshes wait until they finished
+        this.saveCount = 0; // Completed saves; a refresh that raced a save is discarded
         this.init();
     }
 
@@ -28,6 +52,8 @@ class BookmarkManager {
         this.initializeDefaultGroup();
 
         await this.loadData();
+        await this.loadSmartGroups();
+        await this.loadGroupingRules();
         await this.loadGroupExpandedState();
         await this.updateStorageQuota();
         await this.loadAndApplyColorTheme();
@@ -36,6 +62,8 @@ class BookmarkManager {
         this.initializeToggle();
         this.renderURLs();
         this.displayVersion();
+        await this.updateConflictBanner();
+        await this.openPendingImport();
     }
 
     // Initialize default group (Task 3.3: Enhanced with data models)
@@ -77,10 +105,14 @@ class BookmarkManager {
     }
 
     // Data Management (Task 3.3: Enhanced with data models)
-    async loadData() {
+    // data: already loaded bookmarks (used by the live refresh)
+    async loadData(data = null) {
         try {
-            // Use StorageManager to load data
-            const data = await StorageManager.loadDataFromStorage();
+            // Saves made while loading (validation fixes) are not undoable
+            this.history.clearBaseline();
+
+            // Load through the repository (historical layouts are migrated by the background)
+            data = data || await BookmarkRepository.loadBookmarks();
 
             // Convert raw data to model instances
             this.groups = data.groups.map(groupData => GroupDataModel.fromJSON(groupData));
@@ -92,11 +124,8 @@ class BookmarkManager {
             this.colorTheme = data.metadata.colorTheme;
             this.fontSettings = data.metadata.fontSettings;
 
-            // Check for data model version compatibility
-            if (data.metadata.dataModelVersion && data.metadata.dataModelVersion !== this.dataModelVersion) {
-                console.log(`Data model migration needed: ${data.metadata.dataModelVersion} -> ${this.dataModelVersion}`);
-                await this.migrateDataModel(data.metadata.dataModelVersion);
-            }
+            // Schema version of the stored data (advanced by the background migrations)
+            this.dataModelVersion = data.metadata.dataModelVersion;
 
             // Validate data integrity and fix issues
             this.lastDataValidation = DataValidator.validateAndFixDataIntegrity(
@@ -115,6 +144,8 @@ class BookmarkManager {
             if (this.lastDataValidation && this.lastDataValidation.hasChanges) {
                 await this.saveData();
             }
+
+            this.history.setBaseline(this.groups, this.urls);
         } catch (error) {
             console.error('Error loading data:', error);
             this.showError('Failed to load bookmarks');
@@ -126,7 +157,8 @@ class BookmarkManager {
         }
     }
 
-    async saveData() {
+    // Returns the save result, or null if the save failed (the error is shown to the user)
+    async saveData(options = {}) {
         try {
             // Prepare metadata
             const metadata = {
@@ -138,23 +170,53 @@ class BookmarkManager {
                 fontSettings: this.fontSettings
             };
 
-            // Use StorageManager to save data
-            await StorageManager.saveDataToStorage(this.groups, this.urls, metadata);
+            // Use StorageManager to save data (only changed keys are written)
+            let result;
+            this.pendingSaves++;
+            try {
+                result = await BookmarkRepository.saveBookmarks(this.groups, this.urls, metadata);
+            } finally {
+                this.pendingSaves--;
+                this.saveCount++;
+            }
 
             // Update storage quota tracking
-            await this.updateStorageQuota();
+            if (result.writeOperations > 0) {
+                await this.updateStorageQuota();
+            }
+
+            // Record the mutation for undo/redo (applying undo/redo only moves the baseline)
+            try {
+                if (options.skipHistory) {
+                    this.history.setBaseline(this.groups, this.urls);
+                } else {
+                    await this.history.record(this.groups, this.urls);
+                }
+            } catch (historyError) {
+                console.warn('Could not record undo history:', historyError);
+            }
 
-            console.log('Data saved successfully using StorageManager');
+            console.log(`Data saved successfully using StorageManager (${result.writeOperations} write operations)`);
+            return result;
         } catch (error) {
             console.error('Error saving data:', error);
             if (error.message.includes('quota') || error.message.includes('Storage limit')) {
                 this.showError('Storage limit reached. Consider deleting old bookmarks.');
+            } else if (error.message.includes('MAX_WRITE_OPERATIONS')) {
+                this.showError('Too many changes in a short time. Please wait a moment and try again.');
             } else {
                 this.showError('Failed to save bookmarks: ' + error.message);
             }
+            return null;
         }
     }
 
+    // Goes back to the stored data after a failed save, so nothing unsaved is shown
+    async revertUnsavedChanges() {
+        await this.loadData();
+        this.renderURLs();
+    }
+
     // Event Listeners
     setupEventListeners() {
         // Save Current Tab button
@@ -234,6 +296,50 @@ class BookmarkManager {
             });
         }
 
+        // Export encrypted backup button
+        const exportEncryptedBtn = document.getElementById('exportEncrypted');
+        if (exportEncryptedBtn) {
+            exportEncryptedBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.exportEncryptedBackup();
+            });
+        }
+
+        // Export as browser bookmarks (bookmarks.html) button
+        const exportHtmlBtn = document.getElementById('exportHtml');
+        if (exportHtmlBtn) {
+            exportHtmlBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.exportBookmarksHtml();
+            });
+        }
+
+        // Export as spreadsheet (CSV/TSV) buttons
+        const exportCsvBtn = document.getElementById('exportCsv');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.exportDelimited(',');
+            });
+        }
+
+        const exportTsvBtn = document.getElementById('exportTsv');
+        if (exportTsvBtn) {
+            exportTsvBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.exportDelimited('\t');
+            });
+        }
+
+        // Export as Markdown or OPML button
+        const exportOutlineBtn = document.getElementById('exportOutline');
+        if (exportOutlineBtn) {
+            exportOutlineBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openOutlineExportModal();
+            });
+        }
+
         // Import data button
         const importDataBtn = document.getElementById('importData');
         if (importDataBtn) {
@@ -261,6 +367,118 @@ class BookmarkManager {
             });
         }
 
+        // Trash button
+        const trashBtn = document.getElementById('openTrash');
+        if (trashBtn) {
+            trashBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openTrashModal();
+            });
+        }
+
+        // Sync conflicts banner
+        const conflictsBtn = document.getElementById('openConflicts');
+        if (conflictsBtn) {
+            conflictsBtn.addEventListener('click', () => {
+                this.openConflictsModal();
+            });
+        }
+
+        // Conflicts are found by the background while the popup is open
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.syncConflicts) {
+                this.updateConflictBanner();
+            }
+            // Device-local overflow records are not part of the background broadcast
+            if (areaName === 'local' && (changes.overflowGroups || changes.overflowUrls)) {
+                this.scheduleRefresh();
+            }
+            // Smart groups matching opened bookmarks change when a bookmark is opened
+            if (areaName === 'local' && changes[SmartGroups.BOOKMARK_OPENS_KEY]) {
+                this.scheduleRefresh();
+            }
+        });
+
+        // Apply bookmark changes saved by the start page, other popups or other devices
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message && message.type === 'storage_changed') {
+                this.scheduleRefresh();
+            }
+        });
+
+        // Snapshots button
+        const snapshotsBtn = document.getElementById('openSnapshots');
+        if (snapshotsBtn) {
+            snapshotsBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openSnapshotsModal();
+            });
+        }
+
+        // Smart group button
+        const createSmartGroupBtn = document.getElementById('createSmartGroup');
+        if (createSmartGroupBtn) {
+            createSmartGroupBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openSmartGroupModal();
+            });
+        }
+
+        // Grouping rules button
+        const groupingRulesBtn = document.getElementById('openGroupingRules');
+        if (groupingRulesBtn) {
+            groupingRulesBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openGroupingRulesModal();
+            });
+        }
+
+        // Tag manager button
+        const tagManagerBtn = document.getElementById('openTagManager');
+        if (tagManagerBtn) {
+            tagManagerBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openTagManagerModal();
+            });
+        }
+
+        // Tag filter
+        const tagFilterSelect = document.getElementById('tagFilterSelect');
+        if (tagFilterSelect) {
+            tagFilterSelect.addEventListener('change', () => {
+                if (tagFilterSelect.value) {
+                    this.toggleTagFilter(tagFilterSelect.value);
+                }
+            });
+        }
+
+        const tagFilterClear = document.getElementById('tagFilterClear');
+        if (tagFilterClear) {
+            tagFilterClear.addEventListener('click', () => {
+                this.tagFilter.clear();
+                this.renderURLs();
+            });
+        }
+
+        const tagFilterActive = document.getElementById('tagFilterActive');
+        if (tagFilterActive) {
+            tagFilterActive.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (chip) {
+                    this.toggleTagFilter(chip.dataset.tag);
+                }
+            });
+        }
+
+        // Chrome bookmarks (mirror and folder import) button
+        const bookmarkMirrorBtn = document.getElementById('openBookmarkMirror');
+        if (bookmarkMirrorBtn) {
+            bookmarkMirrorBtn.addEventListener('click', () => {
+                this.closeMenu();
+                this.openBookmarkMirrorModal();
+            });
+        }
+
         // File input for import
         const importFileInput = document.getElementById('importFileInput');
         if (importFileInput) {
@@ -269,6 +487,9 @@ class BookmarkManager {
             });
         }
 
+        // Files dropped onto the popup are imported like picked ones
+        this.setupFileDropListeners();
+
         // Modal close button
         const modalClose = document.querySelector('.modal-close');
         if (modalClose) {
@@ -291,6 +512,9 @@ class BookmarkManager {
                 this.closeModal();
             }
 
+            // Undo/redo
+            this.handleHistoryShortcut(e);
+
             // Group navigation with arrow keys
             if (e.target.classList.contains('group-header')) {
                 this.handleGroupHeaderKeyNavigation(e);
@@ -379,11 +603,6 @@ class BookmarkManager {
     // Current Tab URL Capture (Task 2.3 core functionality)
     async captureCurrentTab() {
         try {
-            // Check URL limit before capturing
-            if (!this.checkURLLimit()) {
-                return;
-            }
-
             this.showLoading('Capturing current tab...');
 
             // Get current active tab
@@ -411,11 +630,12 @@ class BookmarkManager {
             }
 
             // Create new URL object with data model (Task 3.3)
-            const defaultGroupId = this.getDefaultGroupId();
+            // (filed by the first grouping rule it matches, otherwise into the default group)
+            const ruleMatch = GroupingRules.findGroupingRuleMatch(this.groupingRules, { url, title }, this.groups);
             const newURL = new URLDataModel({
                 url: url,
                 title: title,
-                groupId: defaultGroupId
+                groupId: ruleMatch ? ruleMatch.groupId : this.getDefaultGroupId()
             });
 
             // Validate the new URL data
@@ -435,7 +655,9 @@ class BookmarkManager {
 
             // Show success message with storage info
             const storageInfo = await this.getStorageInfo();
-            this.showMessage(`URL saved successfully! (Storage: ${storageInfo})`);
+            this.showUndoToast(ruleMatch
+                ? `URL saved to ${this.getGroupById(newURL.groupId)?.name || 'Unknown Group'} by a grouping rule! (Storage: ${storageInfo})`
+                : `URL saved successfully! (Storage: ${storageInfo})`);
 
             this.hideLoading();
         } catch (error) {
@@ -551,39 +773,6 @@ class BookmarkManager {
         return maxOrder + 1;
     }
 
-    async migrateDataModel(fromVersion) {
-        console.log(`Migrating data model from version ${fromVersion} to ${this.dataModelVersion}`);
-
-        // Future migration logic would go here
-        // For now, just update the version
-
-        return true;
-    }
-
-    // Migration function for legacy single-key storage to new 32-key structure
-    async migrateLegacyStorageToNewStructure() {
-        try {
-            console.log('Starting migration from legacy single-key storage to 32-key structure...');
-
-            // Use the new utility function to save URLs to the 32-key structure
-            const urlsData = this.urls.map(url => url.toJSON());
-            const groupsData = this.groups.map(group => group.toJSON());
-
-            await FavURLUtils.saveURLsToStorage(urlsData, groupsData);
-
-            // After successfully saving to new structure, remove legacy 'urls' key
-            await chrome.storage.sync.remove(['urls']);
-
-            console.log('Legacy storage migration completed successfully');
-            console.log(`Migrated ${this.urls.length} URLs to new 32-key storage structure`);
-
-            return true;
-        } catch (error) {
-            console.error('Error during legacy storage migration:', error);
-            throw error;
-        }
-    }
-
     // URL List Rendering (Task 4.2: Enhanced group display)
     renderURLs() {
         const urlList = document.getElementById('urlList');
@@ -596,6 +785,7 @@ class BookmarkManager {
 
         // Clear existing content
         urlList.innerHTML = '';
+        this.renderTagFilter();
 
         // Show empty state only when there are no URLs and no custom groups
         const hasCustomGroups = this.groups.some(g => g.id !== 'ungrouped');
@@ -614,25 +804,20 @@ class BookmarkManager {
         // Group URLs by groupId
         const groupedURLs = this.groupURLsByGroup();
 
-        // Sort groups by order, with ungrouped first regardless of order
-        const sortedGroupIds = Object.keys(groupedURLs).sort((a, b) => {
-            if (a === 'ungrouped') return -1;
-            if (b === 'ungrouped') return 1;
-            const groupA = this.groups.find(g => g.id === a);
-            const groupB = this.groups.find(g => g.id === b);
-            const orderA = groupA ? (groupA.order || 0) : 999;
-            const orderB = groupB ? (groupB.order || 0) : 999;
-            return orderA - orderB;
-        });
+        if (this.tagFilter.size > 0 && Object.keys(groupedURLs).length === 0) {
+            const noMatches = document.createElement('div');
+            noMatches.className = 'empty-state';
+            noMatches.innerHTML = '<p>No bookmarks have all selected tags</p>';
+            urlList.appendChild(noMatches);
+            this.renderedGroupSignatures.clear();
+            return;
+        }
 
         // Render each group
-        sortedGroupIds.forEach(groupId => {
+        this.renderedGroupSignatures.clear();
+        this.getSortedGroupIds(groupedURLs).forEach(groupId => {
             const urls = groupedURLs[groupId];
-            const group = this.groups.find(g => g.id === groupId) || {
-                id: groupId,
-                name: 'Unknown Group',
-                color: '#6c757d'
-            };
+            const group = this.getGroupForRender(groupId);
 
             // Always create group header now (Task 4.2: Group headers)
             const groupHeader = this.createGroupHeader(group, urls.length);
@@ -641,37 +826,258 @@ class BookmarkManager {
             // Create group container for URLs
             const groupContainer = this.createGroupContainer(groupId, urls);
             urlList.appendChild(groupContainer);
+
+            this.renderedGroupSignatures.set(groupId, this.getGroupSignature(group, urls));
+        });
+
+        // Smart groups follow the groups
+        this.getSmartGroupEntries().forEach(({ smartGroup, urls }) => {
+            urlList.appendChild(this.createSmartGroupHeader(smartGroup, urls.length));
+            urlList.appendChild(this.createGroupContainer(smartGroup.id, urls, true));
+            this.renderedGroupSignatures.set(smartGroup.id, this.getSmartGroupSignature(smartGroup, urls));
+        });
+        this.applySubgroupVisibility();
+    }
+
+    // Smart groups with the bookmarks their queries match (with a tag filter, only matching
+    // bookmarks, and only smart groups that have some)
+    getSmartGroupEntries() {
+        const context = { groups: this.groups, opens: this.bookmarkOpens };
+        const filtering = this.tagFilter.size > 0;
+        return this.smartGroups
+            .map(smartGroup => ({
+                smartGroup,
+                urls: SmartGroups.getSmartGroupUrls(smartGroup.query, this.urls, context)
+                    .filter(url => !filtering || BookmarkTags.hasAllTags(url, this.tagFilter))
+            }))
+            .filter(entry => !filtering || entry.urls.length > 0);
+    }
+
+    getSmartGroupSignature(smartGroup, urls) {
+        return JSON.stringify([
+            smartGroup.toJSON(),
+            urls.map(url => [HistoryManager.toRecord(url), url.storageTier])
+        ]);
+    }
+
+    // Sort groups in tree order (each group followed by its sub-groups), unknown groups last
+    getSortedGroupIds(groupedURLs) {
+        const treeIndex = new Map(GroupTree.flattenGroupTree(this.groups).map((entry, index) => [entry.group.id, index]));
+        return Object.keys(groupedURLs).sort((a, b) => {
+            const indexA = treeIndex.has(a) ? treeIndex.get(a) : Infinity;
+            const indexB = treeIndex.has(b) ? treeIndex.get(b) : Infinity;
+            return indexA === indexB ? 0 : (indexA < indexB ? -1 : 1);
+        });
+    }
+
+    // Nesting level of a group (0 for top-level groups)
+    getGroupDepth(groupId) {
+        return GroupTree.getGroupAncestors(this.groups, groupId).length;
+    }
+
+    // Sub-groups are listed below their parent and hidden while an ancestor is collapsed
+    applySubgroupVisibility() {
+        const urlList = document.getElementById('urlList');
+        if (!urlList) return;
+
+        const parents = GroupTree.getGroupParentMap(this.groups);
+        const isHidden = (groupId) => {
+            let parentId = parents.get(groupId);
+            while (parentId) {
+                if (!this.isGroupExpanded(parentId)) {
+                    return true;
+                }
+                parentId = parents.get(parentId);
+            }
+            return false;
+        };
+
+        urlList.querySelectorAll(':scope > .group-header').forEach(header => {
+            const groupId = header.getAttribute('data-group-id');
+            const hidden = isHidden(groupId);
+            header.classList.toggle('subgroup-hidden', hidden);
+            const container = urlList.querySelector(`:scope > .group-container[data-group-container-id="${CSS.escape(groupId)}"]`);
+            if (container) {
+                container.classList.toggle('subgroup-hidden', hidden);
+            }
+        });
+    }
+
+    getGroupForRender(groupId) {
+        return this.groups.find(g => g.id === groupId) || {
+            id: groupId,
+            name: 'Unknown Group',
+            color: '#6c757d'
+        };
+    }
+
+    // Everything a group header and its URL list display; they are only rebuilt when this changes
+    getGroupSignature(group, urls) {
+        return JSON.stringify([
+            HistoryManager.toRecord(group), group.storageTier, this.getGroupDepth(group.id),
+            urls.map(url => [HistoryManager.toRecord(url), url.storageTier])
+        ]);
+    }
+
+    // Live refresh: re-render only the groups whose content changed, keeping expand state
+    updateURLList() {
+        const urlList = document.getElementById('urlList');
+        if (!urlList) return;
+
+        const hasCustomGroups = this.groups.some(g => g.id !== 'ungrouped');
+        if (!urlList.querySelector('.group-header') || (this.urls.length === 0 && !hasCustomGroups)) {
+            this.renderURLs();
+            return;
+        }
+        this.renderTagFilter();
+
+        const groupedURLs = this.groupURLsByGroup();
+        if (Object.keys(groupedURLs).length === 0) {
+            this.renderURLs();
+            return;
+        }
+        const sortedGroupIds = this.getSortedGroupIds(groupedURLs);
+        const signatures = new Map();
+        let position = 0;
+        let rebuilt = 0;
+
+        // Keeps the header/list pair of a group in place, rebuilding it when its content changed
+        const placeGroup = (groupId, signature, createHeader, createContainer) => {
+            let header = urlList.querySelector(`:scope > .group-header[data-group-id="${CSS.escape(groupId)}"]`);
+            let container = urlList.querySelector(`:scope > .group-container[data-group-container-id="${CSS.escape(groupId)}"]`);
+
+            if (!header || !container || this.renderedGroupSignatures.get(groupId) !== signature) {
+                const newHeader = createHeader();
+                const newContainer = createContainer();
+                if (header) header.replaceWith(newHeader);
+                if (container) container.replaceWith(newContainer);
+                header = newHeader;
+                container = newContainer;
+                rebuilt++;
+            }
+
+            // Keep header/list pairs in group order (moving a node keeps its state)
+            [header, container].forEach(element => {
+                if (urlList.children[position] !== element) {
+                    urlList.insertBefore(element, urlList.children[position] || null);
+                }
+                position++;
+            });
+            signatures.set(groupId, signature);
+        };
+
+        sortedGroupIds.forEach(groupId => {
+            const urls = groupedURLs[groupId];
+            const group = this.getGroupForRender(groupId);
+            placeGroup(groupId, this.getGroupSignature(group, urls),
+                () => this.createGroupHeader(group, urls.length),
+                () => this.createGroupContainer(groupId, urls));
+        });
+
+        this.getSmartGroupEntries().forEach(({ smartGroup, urls }) => {
+            placeGroup(smartGroup.id, this.getSmartGroupSignature(smartGroup, urls),
+                () => this.createSmartGroupHeader(smartGroup, urls.length),
+                () => this.createGroupContainer(smartGroup.id, urls, true));
         });
+
+        // Drop groups that no longer exist
+        Array.from(urlList.children).slice(position).forEach(element => element.remove());
+        this.renderedGroupSignatures = signatures;
+        this.applySubgroupVisibility();
+
+        if (rebuilt > 0) {
+            console.log(`Live refresh re-rendered ${rebuilt} group${rebuilt !== 1 ? 's' : ''}`);
+        }
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refreshFromStorage(), LIVE_REFRESH_DELAY_MS);
+    }
+
+    // Reloads bookmarks after a storage change, keeping the scroll position and expanded groups
+    async refreshFromStorage() {
+        // Wait for our own saves and drags to finish; their result is broadcast again
+        if (this.pendingSaves > 0 || this.draggedURL || this.draggedGroup) {
+            this.scheduleRefresh();
+            return;
+        }
+
+        try {
+            const saveCount = this.saveCount;
+            const data = await BookmarkRepository.loadBookmarks();
+            if (this.pendingSaves > 0 || saveCount !== this.saveCount) {
+                this.scheduleRefresh();
+                return;
+            }
+
+            const urlList = document.getElementById('urlList');
+            const scrollTop = urlList ? urlList.scrollTop : 0;
+
+            await this.loadData(data);
+            await this.loadSmartGroups();
+            await this.loadGroupingRules();
+            this.updateURLList();
+
+            if (urlList) {
+                urlList.scrollTop = scrollTop;
+            }
+        } catch (error) {
+            console.error('Error refreshing bookmarks:', error);
+        }
     }
 
+    // With a tag filter, only groups with matching bookmarks (and the groups they are nested in) are included
     groupURLsByGroup() {
         const grouped = {};
+        const filtering = this.tagFilter.size > 0;
 
         // Initialize all groups (including empty ones) so they are displayed
-        this.groups.forEach(group => {
-            grouped[group.id] = [];
-        });
+        if (!filtering) {
+            this.groups.forEach(group => {
+                grouped[group.id] = [];
+            });
+        }
 
         this.urls.forEach(url => {
+            if (filtering && !BookmarkTags.hasAllTags(url, this.tagFilter)) {
+                return;
+            }
             const groupId = url.groupId || 'ungrouped';
             if (!grouped[groupId]) {
                 grouped[groupId] = [];
             }
             grouped[groupId].push(url);
         });
+
+        if (filtering) {
+            Object.keys(grouped).forEach(groupId => {
+                GroupTree.getGroupAncestors(this.groups, groupId).forEach(ancestor => {
+                    if (!grouped[ancestor.id]) {
+                        grouped[ancestor.id] = [];
+                    }
+                });
+            });
+        }
         return grouped;
     }
 
     createGroupHeader(group, count) {
         const header = document.createElement('div');
         header.className = 'group-header';
+        const depth = this.getGroupDepth(group.id);
+        if (depth > 0) {
+            header.classList.add('subgroup-header');
+            header.style.setProperty('--group-depth', depth);
+        }
         header.setAttribute('id', `group-header-${group.id}`);
         header.setAttribute('data-group-id', group.id);
         header.setAttribute('role', 'button');
         header.setAttribute('tabindex', '0');
         header.setAttribute('aria-expanded', this.isGroupExpanded(group.id).toString());
-        const reorderHint = !group.protected ? '. Use Ctrl+Shift+Arrow keys to reorder, or drag to reorder' : '';
-        header.setAttribute('aria-label', `Toggle ${group.name} group with ${count} bookmark${count !== 1 ? 's' : ''}${reorderHint}`);
+        const reorderHint = !group.protected ? '. Use Ctrl+Shift+Up and Down to reorder, Ctrl+Shift+Right and Left to nest or un-nest, or drag to reorder' : '';
+        const pathHint = depth > 0 ? ` in ${GroupTree.getGroupPath(this.groups, GroupTree.getGroupParentMap(this.groups).get(group.id))}` : '';
+        header.setAttribute('aria-label', `Toggle ${group.name} group${pathHint} with ${count} bookmark${count !== 1 ? 's' : ''}${reorderHint}`);
 
         const isExpanded = this.isGroupExpanded(group.id);
         const chevronIcon = isExpanded ? '▼' : '▶';
@@ -688,9 +1094,13 @@ class BookmarkManager {
             <div class="group-header-content">
                 <span class="group-chevron" aria-hidden="true">${chevronIcon}</span>
                 <span class="group-name" style="color: ${group.color || '#2196f3'}">${this.escapeHtml(group.name)}</span>
+                ${this.getStorageTierBadgeHTML(group)}
                 <span class="group-count">${count}</span>
                 ${!group.protected ? `
                 <div class="group-actions">
+                    <button class="group-action-btn" data-action="export" data-group-id="${group.id}" aria-label="Export group as Markdown or OPML" title="Export group">
+                        📤
+                    </button>
                     <button class="group-action-btn" data-action="edit" data-group-id="${group.id}" aria-label="Edit group" title="Edit group">
                         ✏️
                     </button>
@@ -698,7 +1108,13 @@ class BookmarkManager {
                         🗑️
                     </button>
                 </div>
-                ` : ''}
+                ` : `
+                <div class="group-actions">
+                    <button class="group-action-btn" data-action="export" data-group-id="${group.id}" aria-label="Export group as Markdown or OPML" title="Export group">
+                        📤
+                    </button>
+                </div>
+                `}
             </div>
         `;
 
@@ -713,7 +1129,10 @@ class BookmarkManager {
             const action = e.target.getAttribute('data-action');
             const groupId = e.target.getAttribute('data-group-id');
 
-            if (action === 'edit') {
+            if (action === 'export') {
+                e.stopPropagation();
+                this.openOutlineExportModal(groupId);
+            } else if (action === 'edit') {
                 e.stopPropagation();
                 this.editGroup(groupId);
             } else if (action === 'delete') {
@@ -763,38 +1182,106 @@ class BookmarkManager {
         return header;
     }
 
-    createGroupContainer(groupId, urls) {
+    // Smart group headers can be collapsed, edited and deleted, but not dragged or dropped on
+    createSmartGroupHeader(smartGroup, count) {
+        const header = document.createElement('div');
+        header.className = 'group-header smart-group-header';
+        header.setAttribute('id', `group-header-${smartGroup.id}`);
+        header.setAttribute('data-group-id', smartGroup.id);
+        header.setAttribute('role', 'button');
+        header.setAttribute('tabindex', '0');
+        header.setAttribute('aria-expanded', this.isGroupExpanded(smartGroup.id).toString());
+        header.setAttribute('aria-label', `Toggle ${smartGroup.name} smart group with ${count} bookmark${count !== 1 ? 's' : ''} matching ${smartGroup.query}`);
+        header.title = `Smart group: ${smartGroup.query}`;
+
+        const chevronIcon = this.isGroupExpanded(smartGroup.id) ? '▼' : '▶';
+        header.innerHTML = `
+            <div class="group-header-content">
+                <span class="group-chevron" aria-hidden="true">${chevronIcon}</span>
+                <span class="group-name" style="color: ${smartGroup.color || '#7e57c2'}">${this.escapeHtml(smartGroup.name)}</span>
+                <span class="smart-group-badge">Smart</span>
+                <span class="group-count">${count}</span>
+                <div class="group-actions">
+                    <button class="group-action-btn" data-action="edit-smart" aria-label="Edit smart group" title="Edit smart group">
+                        ✏️
+                    </button>
+                    <button class="group-action-btn" data-action="delete-smart" aria-label="Delete smart group" title="Delete smart group">
+                        🗑️
+                    </button>
+                </div>
+            </div>
+        `;
+
+        header.addEventListener('click', (e) => {
+            const action = e.target.getAttribute('data-action');
+            if (action === 'edit-smart') {
+                e.stopPropagation();
+                this.openSmartGroupModal(smartGroup.id);
+            } else if (action === 'delete-smart') {
+                e.stopPropagation();
+                this.deleteSmartGroup(smartGroup.id);
+            } else if (!e.target.closest('.group-actions')) {
+                this.toggleGroupExpanded(smartGroup.id);
+            }
+        });
+
+        header.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleGroupExpanded(smartGroup.id);
+            } else if (!(e.ctrlKey && e.shiftKey)) {
+                // Same navigation as group headers; smart groups are not moved
+                this.handleGroupHeaderKeyNavigation(e);
+            }
+        });
+
+        return header;
+    }
+
+    // readOnly: a smart group's list, in the order given and without reordering
+    createGroupContainer(groupId, urls, readOnly = false) {
         const container = document.createElement('div');
-        container.className = 'group-container';
+        container.className = readOnly ? 'group-container smart-group-container' : 'group-container';
         container.setAttribute('data-group-container-id', groupId);
         container.setAttribute('role', 'group');
         container.setAttribute('aria-labelledby', `group-header-${groupId}`);
+        const depth = this.getGroupDepth(groupId);
+        if (depth > 0) {
+            container.classList.add('subgroup-container');
+            container.style.setProperty('--group-depth', depth);
+        }
 
         const isExpanded = this.isGroupExpanded(groupId);
         container.classList.add(isExpanded ? 'group-expanded' : 'group-collapsed');
 
         // Sort URLs by order within the group
-        const sortedUrls = urls.sort((a, b) => (a.order || 0) - (b.order || 0));
+        const sortedUrls = readOnly ? urls : urls.sort((a, b) => (a.order || 0) - (b.order || 0));
 
         // Add URLs to container
         sortedUrls.forEach(url => {
-            const urlElement = this.createURLElement(url);
+            const urlElement = this.createURLElement(url, readOnly);
             container.appendChild(urlElement);
         });
 
         return container;
     }
 
-    createURLElement(urlData) {
+    // readOnly: listed in a smart group, so it cannot be dragged or reordered there
+    createURLElement(urlData, readOnly = false) {
         const urlElement = document.createElement('div');
         urlElement.className = 'url-item';
+        if (this.isDeviceLocal(urlData)) {
+            urlElement.classList.add('url-item-local');
+        }
         urlElement.setAttribute('data-url-id', urlData.id);
         urlElement.setAttribute('tabindex', '0');
         urlElement.setAttribute('role', 'listitem');
-        urlElement.setAttribute('aria-label', `Bookmark: ${urlData.title}. Use Ctrl+Shift+Arrow keys to reorder or move between groups`);
+        urlElement.setAttribute('aria-label', readOnly
+            ? `Bookmark: ${urlData.title}`
+            : `Bookmark: ${urlData.title}. Use Ctrl+Shift+Arrow keys to reorder or move between groups`);
 
         // Task 4.3: Make URLs draggable for group assignment
-        urlElement.setAttribute('draggable', 'true');
+        urlElement.setAttribute('draggable', readOnly ? 'false' : 'true');
         urlElement.setAttribute('data-group-id', urlData.groupId);
 
         // Task 2.4: Simple list display with URL and title
@@ -810,8 +1297,10 @@ class BookmarkManager {
                  alt="Favicon for ${domain}"
                  onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAxNiAxNiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjE2IiBoZWlnaHQ9IjE2IiBmaWxsPSIjZjBmMGYwIi8+CjxwYXRoIGQ9Ik0zIDRoMTB2OEgzeiIgZmlsbD0iIzk5OSIvPgo8L3N2Zz4='">
             <div class="url-content">
-                <div class="url-title">${this.escapeHtml(urlData.title)}</div>
+                <div class="url-title">${this.escapeHtml(urlData.title)}${this.getStorageTierBadgeHTML(urlData)}</div>
                 <div class="url-address">${this.escapeHtml(urlData.url)}</div>
+                ${this.getTagChipsHTML(urlData.tags)}
+                ${this.getNotesPreviewHTML(urlData.notes)}
             </div>
             <div class="url-actions">
                 <button class="url-action-btn" data-action="edit" aria-label="Edit bookmark" title="Edit">
@@ -823,16 +1312,27 @@ class BookmarkManager {
             </div>
         `;
 
+        // Full notes on hover (set here: escapeHtml does not escape quotes for attributes)
+        const notesPreview = urlElement.querySelector('.url-notes');
+        if (notesPreview) {
+            notesPreview.title = urlData.notes;
+        }
+
         // Asynchronously fetch and update with direct favicon from website
         const faviconImg = urlElement.querySelector('.url-favicon');
         if (faviconImg) {
             FavURLUtils.updateFaviconAsync(faviconImg, urlData.url);
         }
 
-        // Add click handler for opening URL
+        // Add click handler for opening URL (tag chips filter by their tag instead)
         urlElement.addEventListener('click', (e) => {
+            const tagChip = e.target.closest('.url-tag');
+            if (tagChip) {
+                this.toggleTagFilter(tagChip.dataset.tag);
+                return;
+            }
             if (!e.target.closest('.url-actions')) {
-                this.openURL(urlData.url);
+                this.openURL(urlData.url, urlData.id);
             }
         });
 
@@ -841,9 +1341,9 @@ class BookmarkManager {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 if (!e.target.closest('.url-actions')) {
-                    this.openURL(urlData.url);
+                    this.openURL(urlData.url, urlData.id);
                 }
-            } else if (e.ctrlKey && e.shiftKey) {
+            } else if (e.ctrlKey && e.shiftKey && !readOnly) {
                 // URL reordering keyboard shortcuts
                 switch (e.key) {
                     case 'ArrowUp':
@@ -866,6 +1366,11 @@ class BookmarkManager {
             }
         });
 
+        if (readOnly) {
+            urlElement.querySelector('.url-drag-handle').remove();
+            return urlElement;
+        }
+
         // Add drag-and-drop event listeners for both group assignment and URL reordering
         urlElement.addEventListener('dragstart', (e) => {
             this.handleURLDragStart(e, urlData);
@@ -919,8 +1424,15 @@ class BookmarkManager {
     }
 
     // Open URL in new tab or current tab based on toggle setting
-    async openURL(url) {
+    async openURL(url, urlId = null) {
         try {
+            if (urlId) {
+                // Smart groups can list bookmarks by when they were opened
+                await SmartGroups.recordBookmarkOpen(urlId).catch(error => {
+                    console.warn('Could not record bookmark open:', error);
+                });
+            }
+
             if (this.openInNewTab) {
                 // Open in new tab
                 await chrome.tabs.create({ url: url });
@@ -967,23 +1479,26 @@ class BookmarkManager {
             // Count URLs in this group
             const urlsInGroup = this.urls.filter(u => u.groupId === groupId);
             const urlCount = urlsInGroup.length;
+            const hasSubgroups = GroupTree.getGroupDescendants(this.groups, groupId).length > 0;
 
             // If group is empty, use simple confirmation
-            if (urlCount === 0) {
+            if (urlCount === 0 && !hasSubgroups) {
                 if (!confirm(`Are you sure you want to delete the group "${group.name}"?`)) {
                     return;
                 }
 
                 this.showLoading('Deleting group...');
-                this.groups = this.groups.filter(g => g.id !== groupId);
-                await this.saveData();
+                if (await this.moveGroupToTrash(group) === null) {
+                    this.hideLoading();
+                    return;
+                }
                 this.renderURLs();
-                this.showMessage(`Group "${group.name}" deleted successfully!`);
+                this.showUndoToast(`Group "${group.name}" moved to Trash`);
                 this.hideLoading();
                 return;
             }
 
-            // Show enhanced warning modal for groups with bookmarks
+            // Show enhanced warning modal for groups with bookmarks or sub-groups
             this.openDeleteGroupWarningModal(group, urlsInGroup);
 
         } catch (error) {
@@ -1025,6 +1540,18 @@ class BookmarkManager {
                 });
             }
 
+            // Sub-groups are kept (moved up one level) unless the user deletes them too
+            const subgroups = GroupTree.getGroupDescendants(this.groups, group.id);
+            if (subgroups.length > 0) {
+                const subgroupIds = new Set(subgroups.map(g => g.id));
+                const parent = this.getGroupById(GroupTree.getGroupParentMap(this.groups).get(group.id));
+                modalBody.querySelector('#subgroupDeleteOptions').style.display = '';
+                modalBody.querySelector('#subgroupCountToDelete').textContent = subgroups.length;
+                modalBody.querySelector('#subgroupMoveTarget').textContent = parent ? `"${parent.name}"` : 'the top level';
+                modalBody.querySelector('#subgroupUrlCountToDelete').textContent =
+                    this.urls.filter(u => subgroupIds.has(u.groupId)).length;
+            }
+
             // Set up event listeners
             setTimeout(() => {
                 const confirmBtn = document.getElementById('confirmDeleteGroup');
@@ -1043,23 +1570,24 @@ class BookmarkManager {
                 // Handle confirm delete
                 confirmBtn.addEventListener('click', async () => {
                     try {
+                        const modeInput = document.querySelector('input[name="subgroupDeleteMode"]:checked');
+                        const includeSubgroups = subgroups.length > 0 && modeInput && modeInput.value === 'delete';
                         this.closeModal();
                         this.showLoading('Deleting group...');
 
-                        // Remove all URLs in this group
-                        this.urls = this.urls.filter(u => u.groupId !== group.id);
-
-                        // Remove the group
-                        this.groups = this.groups.filter(g => g.id !== group.id);
-
-                        // Save to storage
-                        await this.saveData();
+                        // Move the group and its URLs (and sub-groups, if chosen) to the trash
+                        const urlCount = await this.moveGroupToTrash(group, includeSubgroups);
+                        if (urlCount === null) {
+                            this.hideLoading();
+                            return;
+                        }
 
                         // Update UI
                         this.renderURLs();
 
                         // Show success message
-                        this.showMessage(`Group "${group.name}" and ${urlsInGroup.length} bookmark${urlsInGroup.length !== 1 ? 's' : ''} deleted successfully!`);
+                        const subgroupNote = includeSubgroups ? `, ${subgroups.length} sub-group${subgroups.length !== 1 ? 's' : ''}` : '';
+                        this.showUndoToast(`Group "${group.name}"${subgroupNote} and ${urlCount} bookmark${urlCount !== 1 ? 's' : ''} moved to Trash`);
 
                         this.hideLoading();
                     } catch (error) {
@@ -1086,7 +1614,7 @@ class BookmarkManager {
         if (!group) return;
 
         const confirmMessage = urlCount > 0
-            ? `Are you sure you want to delete the group "${group.name}"? This will also delete ${urlCount} bookmark${urlCount !== 1 ? 's' : ''} in this group.`
+            ? `Are you sure you want to delete the group "${group.name}"? This will also move ${urlCount} bookmark${urlCount !== 1 ? 's' : ''} in this group to the Trash.`
             : `Are you sure you want to delete the group "${group.name}"?`;
 
         if (!confirm(confirmMessage)) {
@@ -1095,11 +1623,12 @@ class BookmarkManager {
 
         try {
             this.showLoading('Deleting group...');
-            this.urls = this.urls.filter(u => u.groupId !== groupId);
-            this.groups = this.groups.filter(g => g.id !== groupId);
-            await this.saveData();
+            if (await this.moveGroupToTrash(group) === null) {
+                this.hideLoading();
+                return;
+            }
             this.renderURLs();
-            this.showMessage(`Group "${group.name}" and ${urlCount} bookmark${urlCount !== 1 ? 's' : ''} deleted successfully!`);
+            this.showUndoToast(`Group "${group.name}" and ${urlCount} bookmark${urlCount !== 1 ? 's' : ''} moved to Trash`);
             this.hideLoading();
         } catch (error) {
             console.error('Error deleting group:', error);
@@ -1108,6 +1637,40 @@ class BookmarkManager {
         }
     }
 
+    // Trash: deleted groups keep their URLs, original order and deletion time. Sub-groups
+    // are deleted with the group, or else move up to the group's parent. The trash entry is
+    // only added once the deletion is saved; returns null if the save failed.
+    async moveGroupToTrash(group, includeSubgroups = false) {
+        const subgroups = includeSubgroups ? GroupTree.getGroupDescendants(this.groups, group.id) : [];
+        const urlsInGroup = this.urls.filter(u => u.groupId === group.id);
+        const subgroupEntries = subgroups.map(subgroup => ({
+            group: subgroup,
+            urls: this.urls.filter(u => u.groupId === subgroup.id)
+        }));
+        const trashEntry = TrashManager.createGroupEntry(group, urlsInGroup, subgroupEntries);
+
+        if (!includeSubgroups) {
+            const parentId = GroupTree.getGroupParentMap(this.groups).get(group.id) || null;
+            const now = new Date().toISOString();
+            GroupTree.getGroupChildren(this.groups, group.id).forEach(child => {
+                child.parentId = parentId;
+                child.lastModified = now;
+            });
+        }
+
+        const removedIds = new Set([group.id, ...subgroups.map(g => g.id)]);
+        const removedUrlCount = this.urls.filter(u => removedIds.has(u.groupId)).length;
+        this.urls = this.urls.filter(u => !removedIds.has(u.groupId));
+        this.groups = this.groups.filter(g => !removedIds.has(g.id));
+        this.normalizeGroupOrders();
+        if (!await this.saveData()) {
+            await this.revertUnsavedChanges();
+            return null;
+        }
+        await TrashManager.addToTrash([trashEntry]);
+        return removedUrlCount;
+    }
+
     // Move URLs from deleted group to default group
     moveURLsToDefaultGroup(fromGroupId) {
         const defaultGroupId = this.getDefaultGroupId();
@@ -1174,11 +1737,6 @@ class BookmarkManager {
     // Group Creation Methods (Task 4.1)
     openCreateGroupModal() {
         try {
-            // Check group limit before opening modal
-            if (!this.checkGroupLimit()) {
-                return;
-            }
-
             // Clone template content
             const template = document.getElementById('createGroupModalTemplate');
             const footerTemplate = document.getElementById('createGroupModalFooterTemplate');
@@ -1190,6 +1748,7 @@ class BookmarkManager {
 
             const modalBody = template.content.cloneNode(true);
             const modalFooter = footerTemplate.content.cloneNode(true);
+            this.populateParentGroupSelect(modalBody.querySelector('#groupParent'));
 
             // Set up event listeners for the form
             this.setupGroupModalEventListeners(modalBody, modalFooter);
@@ -1281,6 +1840,7 @@ class BookmarkManager {
             const groupName = formData.get('groupName').trim();
             const groupColor = formData.get('groupColor');
             const groupDescription = formData.get('groupDescription').trim();
+            const parentId = formData.get('groupParent') || null;
 
             // Validate group name
             const nameInput = form.querySelector('#groupName');
@@ -1289,16 +1849,12 @@ class BookmarkManager {
                 return;
             }
 
-            // Check group limit
-            if (!this.checkGroupLimit()) {
-                throw new Error('Maximum number of groups (32) reached');
-            }
-
             // Create new group using data model
             const newGroup = new GroupDataModel({
                 name: groupName,
                 color: groupColor,
                 description: groupDescription,
+                parentId,
                 order: this.getNextGroupOrder()
             });
 
@@ -1308,8 +1864,13 @@ class BookmarkManager {
                 throw new Error(`Invalid group data: ${validation.errors.join(', ')}`);
             }
 
-            // Add to groups array
+            // Add to groups array, as the last sub-group of its parent
             this.groups.push(newGroup);
+            this.normalizeGroupOrders();
+            if (parentId) {
+                this.groupExpandedState[parentId] = true;
+                this.saveGroupExpandedState();
+            }
 
             // Save to storage
             await this.saveData();
@@ -1319,7 +1880,10 @@ class BookmarkManager {
 
             // Close modal and show success
             this.closeModal();
-            this.showMessage(`Group "${groupName}" created successfully!`);
+            const tierNote = newGroup.storageTier === StorageManager.STORAGE_TIER_LOCAL
+                ? ' (stored on this device only - sync storage is full)'
+                : '';
+            this.showUndoToast(`Group "${groupName}" created successfully${tierNote}!`);
 
             this.hideLoading();
 
@@ -1360,6 +1924,7 @@ class BookmarkManager {
             // Populate form with existing data
             modalBody.querySelector('#editGroupName').value = group.name;
             modalBody.querySelector('#editGroupId').value = group.id;
+            this.populateParentGroupSelect(modalBody.querySelector('#editGroupParent'), group.parentId, group.id);
 
             // Set up event listeners for the form
             this.setupEditGroupModalEventListeners(modalBody, modalFooter);
@@ -1446,6 +2011,7 @@ class BookmarkManager {
             const formData = new FormData(form);
             const groupId = formData.get('editGroupId');
             const groupName = formData.get('editGroupName').trim();
+            const parentId = formData.get('editGroupParent') || null;
 
             // Find existing group
             const existingGroup = this.groups.find(g => g.id === groupId);
@@ -1460,9 +2026,21 @@ class BookmarkManager {
                 return;
             }
 
+            // A group cannot be moved into itself or one of its sub-groups
+            const parentChanged = parentId !== (GroupTree.getGroupParentMap(this.groups).get(groupId) || null);
+            if (parentChanged && !GroupTree.canNestGroup(this.groups, groupId, parentId)) {
+                throw new Error('A group cannot be moved into one of its sub-groups');
+            }
+
             // Update group properties
             existingGroup.name = groupName;
             existingGroup.lastModified = new Date().toISOString();
+            if (parentChanged) {
+                // Moves with its sub-groups, as the last sub-group of the new parent
+                existingGroup.parentId = parentId;
+                existingGroup.order = this.getNextGroupOrder();
+                this.normalizeGroupOrders();
+            }
 
             // Validate the updated group
             const validation = existingGroup.validate();
@@ -1478,7 +2056,7 @@ class BookmarkManager {
 
             // Close modal and show success
             this.closeModal();
-            this.showMessage(`Group "${groupName}" updated successfully!`);
+            this.showUndoToast(`Group "${groupName}" updated successfully!`);
 
             this.hideLoading();
 
@@ -1498,38 +2076,19 @@ class BookmarkManager {
         return this.groups.find(g => g.name.toLowerCase() === name.toLowerCase());
     }
 
-    canCreateMoreGroups() {
-        return this.groups.length < 32;
-    }
-
-    canAddMoreURLs() {
-        return this.urls.length < 400;
-    }
-
-    checkGroupLimit() {
-        if (this.groups.length >= 32) {
-            this.showError('Maximum number of groups (32) reached. Please delete a group before creating a new one.');
-            return false;
-        }
-        return true;
+    // Storage tier helpers: items beyond the sync capacity live in device-local storage
+    isDeviceLocal(item) {
+        return item && item.storageTier === StorageManager.STORAGE_TIER_LOCAL;
     }
 
-    checkURLLimit() {
-        if (this.urls.length >= 400) {
-            this.showError('Maximum number of URLs (400) reached. Please delete some URLs before adding new ones.');
-            return false;
-        }
-        return true;
+    getStorageTierBadgeHTML(item) {
+        if (!this.isDeviceLocal(item)) return '';
+        return '<span class="storage-tier-badge" title="Stored on this device only - not synced to other devices">Local</span>';
     }
 
     // URL Management Methods (Task 4.3: URL Group Assignment)
     openAddURLModal() {
         try {
-            // Check URL limit before opening modal
-            if (!this.checkURLLimit()) {
-                return;
-            }
-
             // Clone template content
             const template = document.getElementById('addURLModalTemplate');
             const footerTemplate = document.getElementById('addURLModalFooterTemplate');
@@ -1544,6 +2103,7 @@ class BookmarkManager {
 
             // Populate groups dropdown
             this.populateGroupSelect(modalBody.querySelector('#urlGroup'));
+            this.setupTagInput(modalBody.querySelector('#urlTags'), []);
 
             // Set up event listeners for the form
             this.setupAddURLModalEventListeners(modalBody, modalFooter);
@@ -1581,9 +2141,11 @@ class BookmarkManager {
             modalBody.querySelector('#editUrlAddress').value = url.url;
             modalBody.querySelector('#editUrlTitle').value = url.title;
             modalBody.querySelector('#editUrlId').value = url.id;
+            modalBody.querySelector('#editUrlNotes').value = url.notes || '';
 
             // Populate groups dropdown
             this.populateGroupSelect(modalBody.querySelector('#editUrlGroup'), url.groupId);
+            this.setupTagInput(modalBody.querySelector('#editUrlTags'), url.tags || []);
 
             // Set up event listeners for the form
             this.setupEditURLModalEventListeners(modalBody, modalFooter);
@@ -1603,18 +2165,11 @@ class BookmarkManager {
         // Clear existing options
         selectElement.innerHTML = '';
 
-        // Sort groups by order, with ungrouped first
-        const sortedGroups = [...this.groups].sort((a, b) => {
-            if (a.id === 'ungrouped') return -1;
-            if (b.id === 'ungrouped') return 1;
-            return (a.order || 0) - (b.order || 0);
-        });
-
-        // Add options for each group
-        sortedGroups.forEach(group => {
+        // Groups in tree order, with ungrouped first; sub-groups are indented below their parent
+        GroupTree.flattenGroupTree(this.groups).forEach(({ group, depth }) => {
             const option = document.createElement('option');
             option.value = group.id;
-            option.textContent = group.name;
+            option.textContent = '\u00A0\u00A0\u00A0'.repeat(depth) + group.name;
             option.style.color = group.color || '#2196f3';
 
             if (selectedGroupId && group.id === selectedGroupId) {
@@ -1627,6 +2182,27 @@ class BookmarkManager {
         });
     }
 
+    // Parent choices for a group: top level or any group except Ungrouped and the group's own sub-tree
+    populateParentGroupSelect(selectElement, selectedParentId = null, groupId = null) {
+        if (!selectElement) return;
+
+        selectElement.innerHTML = '';
+        const topLevelOption = document.createElement('option');
+        topLevelOption.value = '';
+        topLevelOption.textContent = 'None (top-level group)';
+        selectElement.appendChild(topLevelOption);
+
+        GroupTree.flattenGroupTree(this.groups)
+            .filter(({ group }) => group.id !== 'ungrouped' && (!groupId || GroupTree.canNestGroup(this.groups, groupId, group.id)))
+            .forEach(({ group, depth }) => {
+                const option = document.createElement('option');
+                option.value = group.id;
+                option.textContent = '\u00A0\u00A0\u00A0'.repeat(depth) + group.name;
+                option.selected = group.id === selectedParentId;
+                selectElement.appendChild(option);
+            });
+    }
+
     setupAddURLModalEventListeners(modalBody, modalFooter) {
         // Handle form submission
         const form = modalBody.querySelector('#addURLForm');
@@ -1720,6 +2296,292 @@ class BookmarkManager {
             titleInput.addEventListener('input', () => this.validateTitleInput(titleInput, 'editUrlTitleError'));
             titleInput.addEventListener('blur', () => this.validateTitleInput(titleInput, 'editUrlTitleError'));
         }
+
+        // Notes: character count, and a warning when they would push the bookmark out of sync storage
+        const notesInput = modalBody.querySelector('#editUrlNotes');
+        const editedUrlId = modalBody.querySelector('#editUrlId').value;
+        if (notesInput) {
+            this.updateNotesCount(notesInput, modalBody.querySelector('#editUrlNotesHelp'));
+            notesInput.addEventListener('input', () => {
+                this.updateNotesCount(notesInput, document.getElementById('editUrlNotesHelp'));
+                this.validateNotesInput(notesInput, 'editUrlNotesError');
+                this.scheduleNotesStorageCheck(notesInput, editedUrlId);
+            });
+        }
+    }
+
+    // Bookmark notes
+
+    // Line breaks are stored as \n; other control characters are dropped
+    normalizeNotes(notes) {
+        return String(notes || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+            .trim();
+    }
+
+    // First line of a bookmark's notes (createURLElement puts all of them in the tooltip)
+    getNotesPreviewHTML(notes) {
+        if (!notes) return '';
+        const firstLine = notes.split('\n').find(line => line.trim()) || notes;
+        return `<div class="url-notes">${this.escapeHtml(firstLine)}</div>`;
+    }
+
+    updateNotesCount(notesInput, helpElement) {
+        if (!helpElement) return;
+        helpElement.textContent = `${this.normalizeNotes(notesInput.value).length} / 1000 characters`;
+    }
+
+    validateNotesInput(notesInput, errorElementId = 'editUrlNotesError') {
+        const notes = this.normalizeNotes(notesInput.value);
+        const errorElement = document.getElementById(errorElementId);
+
+        if (!errorElement) return true;
+
+        const errorMessage = notes.length > 1000 ? 'Notes must be 1000 characters or less' : '';
+
+        errorElement.textContent = errorMessage;
+        notesInput.setAttribute('aria-invalid', errorMessage ? 'true' : 'false');
+
+        return !errorMessage;
+    }
+
+    scheduleNotesStorageCheck(notesInput, urlId) {
+        clearTimeout(this.notesStorageCheckTimer);
+        this.notesStorageCheckTimer = setTimeout(() => this.checkNotesStorage(notesInput, urlId), NOTES_STORAGE_CHECK_DELAY_MS);
+    }
+
+    // Each bookmark is synced as a whole, so long notes can make it one of the bookmarks
+    // kept on this device only once sync storage is nearly full
+    async checkNotesStorage(notesInput, urlId) {
+        const warning = document.getElementById('editUrlNotesWarning');
+        if (!warning || !notesInput.isConnected) return;
+
+        try {
+            const notes = this.normalizeNotes(notesInput.value);
+            const urls = this.urls.map(url => url.id === urlId ? { ...url.toJSON(), notes } : url);
+            const { localUrlIds } = await StorageManager.planStorageTiers(this.groups, urls);
+            const deviceLocal = localUrlIds.has(urlId);
+
+            warning.textContent = deviceLocal
+                ? 'Sync storage is nearly full: with these notes, this bookmark will be kept on this device only. Shorten the notes to keep it synced.'
+                : '';
+            warning.classList.toggle('hidden', !deviceLocal);
+        } catch (error) {
+            console.error('Error checking notes size:', error);
+        }
+    }
+
+    // Tags
+
+    // Chips for a bookmark's tags; clicking one filters by it
+    getTagChipsHTML(tags) {
+        if (!tags || tags.length === 0) return '';
+        const chips = tags.map(tag => {
+            const active = this.isTagFiltered(tag) ? ' url-tag-active' : '';
+            return `<button type="button" class="url-tag${active}" data-tag="${this.escapeHtml(tag)}" title="Show bookmarks tagged &quot;${this.escapeHtml(tag)}&quot;">${this.escapeHtml(tag)}</button>`;
+        });
+        return `<div class="url-tags">${chips.join('')}</div>`;
+    }
+
+    isTagFiltered(tag) {
+        const key = BookmarkTags.getTagKey(tag);
+        return Array.from(this.tagFilter).some(filtered => BookmarkTags.getTagKey(filtered) === key);
+    }
+
+    // Adds a tag to the filter, or removes it when it is already filtered by
+    toggleTagFilter(tag) {
+        const key = BookmarkTags.getTagKey(tag);
+        const existing = Array.from(this.tagFilter).find(filtered => BookmarkTags.getTagKey(filtered) === key);
+        if (existing) {
+            this.tagFilter.delete(existing);
+        } else {
+            this.tagFilter.add(tag);
+        }
+        this.renderURLs();
+    }
+
+    // Updates the tag filter bar (hidden while no bookmark has tags)
+    renderTagFilter() {
+        const section = document.getElementById('tagFilterSection');
+        const select = document.getElementById('tagFilterSelect');
+        const active = document.getElementById('tagFilterActive');
+        const clearBtn = document.getElementById('tagFilterClear');
+        if (!section || !select || !active || !clearBtn) return;
+
+        const tags = BookmarkTags.collectTags(this.urls);
+
+        // Tags renamed or deleted elsewhere no longer filter
+        const known = new Map(tags.map(tag => [tag.name.toLowerCase(), tag.name]));
+        this.tagFilter = new Set(Array.from(this.tagFilter)
+            .map(tag => known.get(BookmarkTags.getTagKey(tag)))
+            .filter(Boolean));
+
+        section.classList.toggle('hidden', tags.length === 0);
+        clearBtn.classList.toggle('hidden', this.tagFilter.size === 0);
+
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.tagFilter.size > 0 ? 'Add tag...' : 'Filter by tag...';
+        select.appendChild(placeholder);
+        tags.filter(tag => !this.isTagFiltered(tag.name)).forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag.name;
+            option.textContent = `${tag.name} (${tag.count})`;
+            select.appendChild(option);
+        });
+        select.value = '';
+
+        active.innerHTML = '';
+        this.tagFilter.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.dataset.tag = tag;
+            chip.setAttribute('aria-label', `Stop filtering by ${tag}`);
+            chip.textContent = `${tag} ×`;
+            active.appendChild(chip);
+        });
+    }
+
+    // Turns a .tag-input container into a tag entry with chips and autocomplete
+    setupTagInput(container, initialTags) {
+        if (!container) return;
+
+        const input = container.querySelector('.tag-input-field');
+        const suggestions = container.parentNode.querySelector('.tag-suggestions');
+        const knownTags = BookmarkTags.collectTags(this.urls);
+        let tags = BookmarkTags.normalizeTagList(initialTags);
+        let activeIndex = -1;
+
+        const renderChips = () => {
+            container.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+            tags.forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'tag-chip';
+                chip.dataset.tag = tag;
+                chip.textContent = tag;
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'tag-chip-remove';
+                remove.setAttribute('aria-label', `Remove tag ${tag}`);
+                remove.textContent = '×';
+                remove.addEventListener('click', () => {
+                    tags = tags.filter(existing => existing !== tag);
+                    renderChips();
+                    input.focus();
+                });
+
+                chip.appendChild(remove);
+                container.insertBefore(chip, input);
+            });
+        };
+
+        const hideSuggestions = () => {
+            suggestions.classList.add('hidden');
+            suggestions.innerHTML = '';
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            activeIndex = -1;
+        };
+
+        const showSuggestions = () => {
+            const text = input.value.trim();
+            const matches = text ? BookmarkTags.suggestTags(knownTags, text, tags) : [];
+            suggestions.innerHTML = '';
+            activeIndex = -1;
+            if (matches.length === 0) {
+                hideSuggestions();
+                return;
+            }
+            matches.forEach((tag, index) => {
+                const item = document.createElement('li');
+                item.className = 'tag-suggestion';
+                item.id = `${suggestions.id}-${index}`;
+                item.setAttribute('role', 'option');
+                item.dataset.tag = tag;
+                item.textContent = tag;
+                // mousedown keeps the focus in the input
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    addTag(tag);
+                });
+                suggestions.appendChild(item);
+            });
+            suggestions.classList.remove('hidden');
+            input.setAttribute('aria-expanded', 'true');
+        };
+
+        const highlight = (index) => {
+            const items = suggestions.querySelectorAll('.tag-suggestion');
+            if (items.length === 0) return;
+            activeIndex = (index + items.length) % items.length;
+            items.forEach((item, i) => item.classList.toggle('active', i === activeIndex));
+            input.setAttribute('aria-activedescendant', items[activeIndex].id);
+        };
+
+        const addTag = (text) => {
+            tags = BookmarkTags.normalizeTagList([...tags, text], knownTags.map(tag => tag.name));
+            input.value = '';
+            renderChips();
+            hideSuggestions();
+        };
+
+        input.addEventListener('input', () => {
+            // Pasted or typed commas separate tags
+            if (input.value.includes(',')) {
+                const parts = input.value.split(',');
+                const rest = parts.pop();
+                parts.forEach(part => addTag(part));
+                input.value = rest;
+            }
+            showSuggestions();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            const items = suggestions.querySelectorAll('.tag-suggestion');
+            if (e.key === 'ArrowDown' && items.length > 0) {
+                e.preventDefault();
+                highlight(activeIndex + 1);
+            } else if (e.key === 'ArrowUp' && items.length > 0) {
+                e.preventDefault();
+                highlight(activeIndex - 1);
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                const text = activeIndex >= 0 ? items[activeIndex].dataset.tag : input.value;
+                // Enter on an empty field submits the form; Tab moves on
+                if (text.trim()) {
+                    e.preventDefault();
+                    addTag(text);
+                }
+            } else if (e.key === 'Escape' && items.length > 0) {
+                e.preventDefault();
+                e.stopPropagation();
+                hideSuggestions();
+            } else if (e.key === 'Backspace' && input.value === '' && tags.length > 0) {
+                tags = tags.slice(0, -1);
+                renderChips();
+            }
+        });
+
+        input.addEventListener('blur', hideSuggestions);
+        container.addEventListener('click', (e) => {
+            if (e.target === container) input.focus();
+        });
+
+        renderChips();
+    }
+
+    // Tags chosen in a tag input, including text typed but not yet added
+    getTagInputTags(container) {
+        if (!container) return [];
+        const chips = Array.from(container.querySelectorAll('.tag-chip')).map(chip => chip.dataset.tag);
+        const pending = container.querySelector('.tag-input-field')?.value || '';
+        return BookmarkTags.normalizeTagList(
+            [...chips, ...pending.split(',')],
+            BookmarkTags.collectTags(this.urls).map(tag => tag.name)
+        );
     }
 
     // URL Form Validation Methods (Task 4.3)
@@ -1768,19 +2630,14 @@ class BookmarkManager {
     // URL CRUD Operations (Task 4.3)
     async handleAddURL(form) {
         try {
-            // Check URL limit before adding
-            if (!this.checkURLLimit()) {
-                this.hideLoading();
-                return;
-            }
-
             this.showLoading('Adding URL...');
 
             // Get form data
             const formData = new FormData(form);
             const url = formData.get('urlAddress').trim();
             const title = formData.get('urlTitle').trim();
-            const groupId = formData.get('urlGroup');
+            let groupId = formData.get('urlGroup');
+            const tags = this.getTagInputTags(form.querySelector('#urlTags'));
 
             // Validate inputs
             const urlInput = form.querySelector('#urlAddress');
@@ -1794,11 +2651,20 @@ class BookmarkManager {
                 return;
             }
 
+            // Bookmarks left in the default group are filed by the grouping rules
+            if (groupId === BookmarkRepository.DEFAULT_GROUP_ID) {
+                const ruleMatch = GroupingRules.findGroupingRuleMatch(this.groupingRules, { url, title }, this.groups);
+                if (ruleMatch) {
+                    groupId = ruleMatch.groupId;
+                }
+            }
+
             // Create new URL using data model
             const newURL = new URLDataModel({
                 url: url,
                 title: title,
-                groupId: groupId
+                groupId: groupId,
+                tags: tags
             });
 
             // Validate the new URL
@@ -1818,7 +2684,7 @@ class BookmarkManager {
 
             // Close modal and show success
             this.closeModal();
-            this.showMessage(`URL "${title}" saved successfully to ${this.getGroupById(groupId)?.name || 'Unknown Group'}!`);
+            this.showUndoToast(`URL "${title}" saved successfully to ${this.getGroupById(groupId)?.name || 'Unknown Group'}!`);
 
             this.hideLoading();
 
@@ -1839,6 +2705,8 @@ class BookmarkManager {
             const url = formData.get('editUrlAddress').trim();
             const title = formData.get('editUrlTitle').trim();
             const groupId = formData.get('editUrlGroup');
+            const tags = this.getTagInputTags(form.querySelector('#editUrlTags'));
+            const notes = this.normalizeNotes(formData.get('editUrlNotes'));
 
             // Find existing URL
             const existingURL = this.urls.find(u => u.id === urlId);
@@ -1849,11 +2717,13 @@ class BookmarkManager {
             // Validate inputs
             const urlInput = form.querySelector('#editUrlAddress');
             const titleInput = form.querySelector('#editUrlTitle');
+            const notesInput = form.querySelector('#editUrlNotes');
 
             const isURLValid = this.validateURLInput(urlInput, 'editUrlAddressError');
             const isTitleValid = this.validateTitleInput(titleInput, 'editUrlTitleError');
+            const isNotesValid = this.validateNotesInput(notesInput, 'editUrlNotesError');
 
-            if (!isURLValid || !isTitleValid) {
+            if (!isURLValid || !isTitleValid || !isNotesValid) {
                 this.hideLoading();
                 return;
             }
@@ -1862,6 +2732,8 @@ class BookmarkManager {
             existingURL.url = url;
             existingURL.title = title;
             existingURL.groupId = groupId;
+            existingURL.tags = tags;
+            existingURL.notes = notes;
             existingURL.lastModified = new Date().toISOString();
 
             // Update domain and favicon if URL changed
@@ -1882,7 +2754,7 @@ class BookmarkManager {
 
             // Close modal and show success
             this.closeModal();
-            this.showMessage(`URL "${title}" updated successfully!`);
+            this.showUndoToast(`URL "${title}" updated successfully!`);
 
             this.hideLoading();
 
@@ -1907,18 +2779,27 @@ class BookmarkManager {
 
             this.showLoading('Deleting URL...');
 
+            // Keep a restorable copy (with its group and order) for the trash
+            const group = this.groups.find(g => g.id === url.groupId);
+            const trashEntry = TrashManager.createURLEntry(url, group);
+
             // Remove from URLs array
             this.urls = this.urls.filter(u => u.id !== urlId);
 
-            // Save to storage
-            await this.saveData();
+            // Save to storage; the copy goes to the trash only once the deletion is saved
+            if (!await this.saveData()) {
+                await this.revertUnsavedChanges();
+                this.hideLoading();
+                return;
+            }
+            await TrashManager.addToTrash([trashEntry]);
 
             // Update UI
             this.renderURLs();
 
             // Close modal and show success
             this.closeModal();
-            this.showMessage(`URL "${url.title}" deleted successfully!`);
+            this.showUndoToast(`URL "${url.title}" moved to Trash`);
 
             this.hideLoading();
 
@@ -2101,7 +2982,7 @@ class BookmarkManager {
             this.renderURLs();
 
             // Show success message
-            this.showMessage(`"${draggedURLTitle}" moved successfully!`);
+            this.showUndoToast(`"${draggedURLTitle}" moved successfully!`);
 
             this.hideLoading();
 
@@ -2157,7 +3038,7 @@ class BookmarkManager {
                     if (movedURL) movedURL.focus();
                 }, 100);
 
-                this.showMessage(`"${url.title}" moved up`);
+                this.showUndoToast(`"${url.title}" moved up`);
                 console.log(`URL "${url.title}" moved up`);
             }
         } catch (error) {
@@ -2196,7 +3077,7 @@ class BookmarkManager {
                     if (movedURL) movedURL.focus();
                 }, 100);
 
-                this.showMessage(`"${url.title}" moved down`);
+                this.showUndoToast(`"${url.title}" moved down`);
                 console.log(`URL "${url.title}" moved down`);
             }
         } catch (error) {
@@ -2210,13 +3091,12 @@ class BookmarkManager {
         if (!url) return;
 
         try {
-            // Find all groups sorted by order
-            const sortedGroups = this.groups.sort((a, b) => (a.order || 0) - (b.order || 0));
+            // All groups in the displayed (tree) order
+            const sortedGroups = GroupTree.flattenGroupTree(this.groups).map(({ group }) => group);
             const currentGroupIndex = sortedGroups.findIndex(g => g.id === url.groupId);
 
             if (currentGroupIndex > 0) {
                 const targetGroup = sortedGroups[currentGroupIndex - 1];
-                const fromGroupId = url.groupId;
 
                 // Get the maximum order in the target group
                 const targetGroupURLs = this.urls.filter(u => u.groupId === targetGroup.id);
@@ -2227,14 +3107,8 @@ class BookmarkManager {
                 url.order = maxOrder + 1;
                 url.lastModified = new Date().toISOString();
 
-                // Use optimized storage movement (only if different storage keys)
-                try {
-                    await FavURLUtils.moveURLBetweenStorageKeys(urlId, fromGroupId, targetGroup.id, this.groups.map(g => g.toJSON()));
-                } catch (storageError) {
-                    console.warn('Optimized storage move failed, falling back to full save:', storageError);
-                    // Fall back to full save if optimized move fails
-                    await this.saveData();
-                }
+                // Only the changed storage keys are written
+                await this.saveData();
 
                 this.renderURLs();
 
@@ -2244,7 +3118,7 @@ class BookmarkManager {
                     if (movedURL) movedURL.focus();
                 }, 100);
 
-                this.showMessage(`"${url.title}" moved to ${targetGroup.name}`);
+                this.showUndoToast(`"${url.title}" moved to ${targetGroup.name}`);
                 console.log(`URL "${url.title}" moved to group ${targetGroup.name}`);
             }
         } catch (error) {
@@ -2258,13 +3132,12 @@ class BookmarkManager {
         if (!url) return;
 
         try {
-            // Find all groups sorted by order
-            const sortedGroups = this.groups.sort((a, b) => (a.order || 0) - (b.order || 0));
+            // All groups in the displayed (tree) order
+            const sortedGroups = GroupTree.flattenGroupTree(this.groups).map(({ group }) => group);
             const currentGroupIndex = sortedGroups.findIndex(g => g.id === url.groupId);
 
             if (currentGroupIndex < sortedGroups.length - 1) {
                 const targetGroup = sortedGroups[currentGroupIndex + 1];
-                const fromGroupId = url.groupId;
 
                 // Get the maximum order in the target group
                 const targetGroupURLs = this.urls.filter(u => u.groupId === targetGroup.id);
@@ -2275,14 +3148,8 @@ class BookmarkManager {
                 url.order = maxOrder + 1;
                 url.lastModified = new Date().toISOString();
 
-                // Use optimized storage movement (only if different storage keys)
-                try {
-                    await FavURLUtils.moveURLBetweenStorageKeys(urlId, fromGroupId, targetGroup.id, this.groups.map(g => g.toJSON()));
-                } catch (storageError) {
-                    console.warn('Optimized storage move failed, falling back to full save:', storageError);
-                    // Fall back to full save if optimized move fails
-                    await this.saveData();
-                }
+                // Only the changed storage keys are written
+                await this.saveData();
 
                 this.renderURLs();
 
@@ -2292,7 +3159,7 @@ class BookmarkManager {
                     if (movedURL) movedURL.focus();
                 }, 100);
 
-                this.showMessage(`"${url.title}" moved to ${targetGroup.name}`);
+                this.showUndoToast(`"${url.title}" moved to ${targetGroup.name}`);
                 console.log(`URL "${url.title}" moved to group ${targetGroup.name}`);
             }
         } catch (error) {
@@ -2365,7 +3232,7 @@ class BookmarkManager {
             this.renderURLs();
 
             // Show success message
-            this.showMessage(`"${url.title}" moved to ${targetGroup?.name || 'Unknown Group'} successfully!`);
+            this.showUndoToast(`"${url.title}" moved to ${targetGroup?.name || 'Unknown Group'} successfully!`);
 
             this.hideLoading();
 
@@ -2472,9 +3339,7 @@ class BookmarkManager {
         e.target.classList.remove('dragging');
 
         // Clear all drop zone visual states
-        document.querySelectorAll('.group-header').forEach(header => {
-            header.classList.remove('drag-over-top', 'drag-over-bottom');
-        });
+        DragDropManager.clearGroupDropIndicators();
 
         // Clear reference
         this.draggedGroup = null;
@@ -2494,34 +3359,28 @@ class BookmarkManager {
             return;
         }
 
-        e.dataTransfer.dropEffect = 'move';
-
         // Determine drop position based on mouse position
-        const rect = e.currentTarget.getBoundingClientRect();
-        const midpoint = rect.top + rect.height / 2;
-        const isTopHalf = e.clientY < midpoint;
+        const canNest = GroupTree.canNestGroup(this.groups, this.draggedGroup.id, targetGroupId);
+        const position = DragDropManager.getGroupDropPosition(e, canNest);
 
         console.log('Group reorder dragover: positioning', {
             targetGroupId,
             draggedGroup: this.draggedGroup.name,
-            isTopHalf,
-            mouseY: e.clientY,
-            midpoint
+            position
         });
 
         // Clear previous drop indicators from all headers
-        document.querySelectorAll('.group-header').forEach(header => {
-            header.classList.remove('drag-over-top', 'drag-over-bottom');
-        });
+        DragDropManager.clearGroupDropIndicators();
 
-        // Add appropriate drop indicator
-        if (isTopHalf) {
-            e.currentTarget.classList.add('drag-over-top');
-            console.log('Added drag-over-top to', targetGroupId);
-        } else {
-            e.currentTarget.classList.add('drag-over-bottom');
-            console.log('Added drag-over-bottom to', targetGroupId);
+        // A group cannot be placed next to its own sub-groups
+        if (position !== 'inside' && GroupTree.getGroupDescendants(this.groups, this.draggedGroup.id).some(g => g.id === targetGroupId)) {
+            e.dataTransfer.dropEffect = 'none';
+            return;
         }
+
+        // Add appropriate drop indicator
+        e.dataTransfer.dropEffect = 'move';
+        e.currentTarget.classList.add(GROUP_DROP_CLASSES[position]);
     }
 
     handleGroupReorderDragEnter(e) {
@@ -2532,7 +3391,7 @@ class BookmarkManager {
     handleGroupReorderDragLeave(e) {
         // Remove drop indicators when leaving
         if (!e.currentTarget.contains(e.relatedTarget)) {
-            e.currentTarget.classList.remove('drag-over-top', 'drag-over-bottom');
+            e.currentTarget.classList.remove(...Object.values(GROUP_DROP_CLASSES));
         }
     }
 
@@ -2556,14 +3415,7 @@ class BookmarkManager {
 
         try {
             // Remove visual feedback from all headers
-            document.querySelectorAll('.group-header').forEach(header => {
-                header.classList.remove('drag-over-top', 'drag-over-bottom');
-            });
-
-            // Determine drop position
-            const rect = e.currentTarget.getBoundingClientRect();
-            const midpoint = rect.top + rect.height / 2;
-            const isTopHalf = e.clientY < midpoint;
+            DragDropManager.clearGroupDropIndicators();
 
             // Find target group
             const targetGroup = this.groups.find(g => g.id === targetGroupId);
@@ -2572,44 +3424,30 @@ class BookmarkManager {
                 return;
             }
 
-            console.log('Group reorder drop: positioning', {
-                targetGroup: targetGroup.name,
-                targetOrder: targetGroup.order,
-                isTopHalf,
-                mouseY: e.clientY,
-                midpoint
-            });
-
-            // Calculate new order
-            let newOrder;
-            if (isTopHalf) {
-                // Drop above target
-                newOrder = targetGroup.order - 0.5;
-            } else {
-                // Drop below target
-                newOrder = targetGroup.order + 0.5;
-            }
-
-            // Don't allow reordering above ungrouped
-            if (newOrder <= 0) {
-                newOrder = 1;
-                console.log('Adjusted newOrder to 1 to prevent going above ungrouped');
-            }
+            // Determine drop position: before or after the target, or nested in it
+            const canNest = GroupTree.canNestGroup(this.groups, draggedGroup.id, targetGroupId);
+            const position = DragDropManager.getGroupDropPosition(e, canNest);
 
             console.log('Group reorder drop: executing', {
                 draggedGroup: draggedGroupName,
-                oldOrder: draggedGroup.order,
-                newOrder
+                targetGroup: targetGroup.name,
+                position
             });
 
             this.showLoading(`Moving "${draggedGroupName}" group...`);
 
-            // Update the dragged group's order
-            draggedGroup.order = newOrder;
-            draggedGroup.lastModified = new Date().toISOString();
+            // Move the group with its sub-groups; orders are renumbered in tree order
+            if (!GroupTree.moveGroupInTree(this.groups, draggedGroup.id, targetGroupId, position)) {
+                console.log('Group reorder drop: move not allowed', position);
+                this.hideLoading();
+                return;
+            }
 
-            // Normalize all group orders to integers
-            this.normalizeGroupOrders();
+            if (position === 'inside') {
+                // Show the group in its new parent
+                this.groupExpandedState[targetGroupId] = true;
+                this.saveGroupExpandedState();
+            }
 
             // Save to storage
             await this.saveData();
@@ -2618,11 +3456,13 @@ class BookmarkManager {
             this.renderURLs();
 
             // Show success message
-            this.showMessage(`Group "${draggedGroupName}" moved successfully!`);
+            this.showUndoToast(position === 'inside'
+                ? `Group "${draggedGroupName}" moved into "${targetGroup.name}"`
+                : `Group "${draggedGroupName}" moved successfully!`);
 
             this.hideLoading();
 
-            console.log(`Group "${draggedGroupName}" moved to position ${newOrder} successfully`);
+            console.log(`Group "${draggedGroupName}" moved ${position} "${targetGroup.name}" successfully`);
 
         } catch (error) {
             console.error('Error reordering group:', error);
@@ -2632,13 +3472,8 @@ class BookmarkManager {
     }
 
     normalizeGroupOrders() {
-        // Sort groups by current order (excluding ungrouped which stays at 0)
-        const sortableGroups = this.groups.filter(g => g.id !== 'ungrouped').sort((a, b) => (a.order || 0) - (b.order || 0));
-
-        // Reassign orders starting from 1
-        sortableGroups.forEach((group, index) => {
-            group.order = index + 1;
-        });
+        // Reassign orders from 1 within each parent (ungrouped stays at 0); unchanged groups keep theirs
+        GroupTree.renumberGroupTree(this.groups);
 
         console.log('Normalized group orders');
     }
@@ -2658,6 +3493,7 @@ class BookmarkManager {
 
         // Update the UI
         this.updateGroupDisplayState(groupId);
+        this.applySubgroupVisibility();
 
         // Save state to local storage for persistence
         this.saveGroupExpandedState();
@@ -2709,7 +3545,7 @@ class BookmarkManager {
     // Group Navigation Accessibility (Task 4.2)
     handleGroupHeaderKeyNavigation(e) {
         const currentHeader = e.target;
-        const allHeaders = Array.from(document.querySelectorAll('.group-header'));
+        const allHeaders = Array.from(document.querySelectorAll('.group-header:not(.subgroup-hidden)'));
         const currentIndex = allHeaders.indexOf(currentHeader);
 
         switch (e.key) {
@@ -2748,6 +3584,12 @@ class BookmarkManager {
                 break;
 
             case 'ArrowRight':
+                // Ctrl+Shift+Right: Nest group in the group above it
+                if (e.ctrlKey && e.shiftKey) {
+                    e.preventDefault();
+                    this.indentGroup(currentHeader.getAttribute('data-group-id'));
+                    break;
+                }
                 // Expand if collapsed
                 const groupId = currentHeader.getAttribute('data-group-id');
                 if (!this.isGroupExpanded(groupId)) {
@@ -2757,6 +3599,12 @@ class BookmarkManager {
                 break;
 
             case 'ArrowLeft':
+                // Ctrl+Shift+Left: Move group out of its parent
+                if (e.ctrlKey && e.shiftKey) {
+                    e.preventDefault();
+                    this.outdentGroup(currentHeader.getAttribute('data-group-id'));
+                    break;
+                }
                 // Collapse if expanded
                 const groupIdLeft = currentHeader.getAttribute('data-group-id');
                 if (this.isGroupExpanded(groupIdLeft)) {
@@ -2768,44 +3616,23 @@ class BookmarkManager {
     }
 
     // Keyboard Group Reordering Methods
+    // Groups move among the groups with the same parent, taking their sub-groups along
+    getSiblingGroups(groupId) {
+        const parentId = GroupTree.getGroupParentMap(this.groups).get(groupId);
+        return GroupTree.getGroupChildren(this.groups, parentId).filter(g => g.id !== 'ungrouped');
+    }
+
     async moveGroupUp(groupId) {
         const group = this.groups.find(g => g.id === groupId);
         if (!group || group.protected || group.id === 'ungrouped') {
             return; // Can't move protected groups
         }
 
-        try {
-            // Find the group with the order just above this one
-            const sortableGroups = this.groups.filter(g => g.id !== 'ungrouped').sort((a, b) => (a.order || 0) - (b.order || 0));
-            const currentIndex = sortableGroups.findIndex(g => g.id === groupId);
-
-            if (currentIndex > 0) {
-                const targetGroup = sortableGroups[currentIndex - 1];
-
-                // Swap orders
-                const tempOrder = group.order;
-                group.order = targetGroup.order;
-                targetGroup.order = tempOrder;
-
-                group.lastModified = new Date().toISOString();
-                targetGroup.lastModified = new Date().toISOString();
-
-                // Save and update UI
-                await this.saveData();
-                this.renderURLs();
-
-                // Re-focus the moved group
-                setTimeout(() => {
-                    const movedHeader = document.querySelector(`[data-group-id="${groupId}"]`);
-                    if (movedHeader) movedHeader.focus();
-                }, 100);
-
-                this.showMessage(`Group "${group.name}" moved up`);
-                console.log(`Group "${group.name}" moved up`);
-            }
-        } catch (error) {
-            console.error('Error moving group up:', error);
-            this.showError('Failed to move group up');
+        // Find the sibling just above this one
+        const siblings = this.getSiblingGroups(groupId);
+        const currentIndex = siblings.findIndex(g => g.id === groupId);
+        if (currentIndex > 0) {
+            await this.moveGroupByKeyboard(group, siblings[currentIndex - 1], 'before', 'moved up');
         }
     }
 
@@ -2815,38 +3642,66 @@ class BookmarkManager {
             return; // Can't move protected groups
         }
 
-        try {
-            // Find the group with the order just below this one
-            const sortableGroups = this.groups.filter(g => g.id !== 'ungrouped').sort((a, b) => (a.order || 0) - (b.order || 0));
-            const currentIndex = sortableGroups.findIndex(g => g.id === groupId);
-
-            if (currentIndex < sortableGroups.length - 1) {
-                const targetGroup = sortableGroups[currentIndex + 1];
+        // Find the sibling just below this one
+        const siblings = this.getSiblingGroups(groupId);
+        const currentIndex = siblings.findIndex(g => g.id === groupId);
+        if (currentIndex !== -1 && currentIndex < siblings.length - 1) {
+            await this.moveGroupByKeyboard(group, siblings[currentIndex + 1], 'after', 'moved down');
+        }
+    }
 
-                // Swap orders
-                const tempOrder = group.order;
-                group.order = targetGroup.order;
-                targetGroup.order = tempOrder;
+    // Nests a group in the sibling above it, as its last sub-group
+    async indentGroup(groupId) {
+        const group = this.groups.find(g => g.id === groupId);
+        if (!group || group.protected || group.id === 'ungrouped') {
+            return;
+        }
 
-                group.lastModified = new Date().toISOString();
-                targetGroup.lastModified = new Date().toISOString();
+        const siblings = this.getSiblingGroups(groupId);
+        const currentIndex = siblings.findIndex(g => g.id === groupId);
+        if (currentIndex > 0) {
+            const newParent = siblings[currentIndex - 1];
+            this.groupExpandedState[newParent.id] = true;
+            this.saveGroupExpandedState();
+            await this.moveGroupByKeyboard(group, newParent, 'inside', `moved into "${newParent.name}"`);
+        }
+    }
 
-                // Save and update UI
-                await this.saveData();
-                this.renderURLs();
+    // Moves a sub-group out of its parent, right after it
+    async outdentGroup(groupId) {
+        const group = this.groups.find(g => g.id === groupId);
+        if (!group || group.protected || group.id === 'ungrouped') {
+            return;
+        }
 
-                // Re-focus the moved group
-                setTimeout(() => {
-                    const movedHeader = document.querySelector(`[data-group-id="${groupId}"]`);
-                    if (movedHeader) movedHeader.focus();
-                }, 100);
+        const parentId = GroupTree.getGroupParentMap(this.groups).get(groupId);
+        const parent = parentId && this.groups.find(g => g.id === parentId);
+        if (parent) {
+            await this.moveGroupByKeyboard(group, parent, 'after', `moved out of "${parent.name}"`);
+        }
+    }
 
-                this.showMessage(`Group "${group.name}" moved down`);
-                console.log(`Group "${group.name}" moved down`);
+    async moveGroupByKeyboard(group, targetGroup, position, description) {
+        try {
+            if (!GroupTree.moveGroupInTree(this.groups, group.id, targetGroup.id, position)) {
+                return;
             }
+
+            // Save and update UI
+            await this.saveData();
+            this.renderURLs();
+
+            // Re-focus the moved group
+            setTimeout(() => {
+                const movedHeader = document.querySelector(`.group-header[data-group-id="${CSS.escape(group.id)}"]`);
+                if (movedHeader) movedHeader.focus();
+            }, 100);
+
+            this.showUndoToast(`Group "${group.name}" ${description}`);
+            console.log(`Group "${group.name}" ${description}`);
         } catch (error) {
-            console.error('Error moving group down:', error);
-            this.showError('Failed to move group down');
+            console.error('Error moving group:', error);
+            this.showError('Failed to move group');
         }
     }
 
@@ -2886,18 +3741,6 @@ class BookmarkManager {
         return usage.formatted;
     }
 
-    async optimizeStorage() {
-        // Remove oldest URLs if storage is getting full
-        if (this.storageQuotaUsed > this.storageQuotaLimit * 0.9) {
-            const urlsToRemove = Math.ceil(this.urls.length * 0.1); // Remove 10% oldest
-            this.urls.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-            this.urls.splice(0, urlsToRemove);
-
-            await this.saveData();
-            this.showMessage(`Storage optimized: removed ${urlsToRemove} oldest bookmarks`);
-        }
-    }
-
     // Utility Methods
     extractDomain(url) {
         return FavURLUtils.extractDomain(url);
@@ -2986,9 +3829,15 @@ class BookmarkManager {
         }, 5000);
     }
 
-    showToast(message) {
+    // action: optional { label, handler } rendered as a button inside the toast
+    showToast(message, action = null) {
         console.log('Success:', message);
 
+        // Only one actionable toast at a time, so an Undo never targets a stale command
+        if (action) {
+            document.querySelectorAll('.toast-with-action').forEach(el => el.remove());
+        }
+
         // Create temporary success toast
         const toast = document.createElement('div');
         toast.style.cssText = `
@@ -3005,14 +3854,105 @@ class BookmarkManager {
             box-shadow: 0 4px 12px rgba(0,0,0,0.2);
         `;
         toast.textContent = message;
-        document.body.appendChild(toast);
 
-        // Auto remove after 3 seconds
+        if (action) {
+            toast.classList.add('toast-with-action');
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.handler();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        document.body.appendChild(toast);
+
+        // Auto remove after 3 seconds (5 seconds when there is an action to take)
         setTimeout(() => {
             if (toast.parentNode) {
                 toast.parentNode.removeChild(toast);
             }
-        }, 3000);
+        }, action ? 5000 : 3000);
+    }
+
+    // Success toast for a recorded mutation, with an Undo action
+    showUndoToast(message) {
+        this.showToast(message, { label: 'Undo', handler: () => this.undo() });
+    }
+
+    // Undo/Redo (shared session history, see HistoryManager)
+    async undo() {
+        try {
+            const command = await this.history.takeUndo();
+            if (!command) {
+                this.showToast('Nothing to undo');
+                return;
+            }
+            await this.applyHistoryCommand(command, 'undo');
+            this.showToast(`Undone: ${command.label}`, { label: 'Redo', handler: () => this.redo() });
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            this.showError('Failed to undo');
+        }
+    }
+
+    async redo() {
+        try {
+            const command = await this.history.takeRedo();
+            if (!command) {
+                this.showToast('Nothing to redo');
+                return;
+            }
+            await this.applyHistoryCommand(command, 'redo');
+            this.showToast(`Redone: ${command.label}`, { label: 'Undo', handler: () => this.undo() });
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            this.showError('Failed to redo');
+        }
+    }
+
+    async applyHistoryCommand(command, direction) {
+        const state = HistoryManager.applyCommand(this.groups, this.urls, command, direction);
+        this.groups = state.groups.map(groupData => GroupDataModel.fromJSON(groupData));
+        this.urls = state.urls.map(urlData => URLDataModel.fromJSON(urlData));
+        this.initializeDefaultGroup();
+
+        if (await this.saveData({ skipHistory: true })) {
+            await this.syncTrashWithHistory(command, direction);
+        }
+        this.renderURLs();
+    }
+
+    // Undoing a delete takes its items out of the Trash; redoing it puts them back
+    async syncTrashWithHistory(command, direction) {
+        try {
+            if (await TrashManager.syncTrashWithHistory(command, direction)) {
+                await this.history.updateCommand(command);
+            }
+        } catch (error) {
+            console.warn('Could not update the trash for undo/redo:', error);
+        }
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z, except while typing or in a modal
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') {
+            return;
+        }
+        const target = e.target;
+        if (this.isModalOpen() || (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)))) {
+            return;
+        }
+
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
     }
 
     // Menu functionality
@@ -3048,94 +3988,35 @@ class BookmarkManager {
     }
 
     // Export functionality
+    // Backup of all groups and URLs with metadata, as written by the JSON export
+    async buildBackupData() {
+        // Load current data from storage (synced and device-local tiers)
+        const data = await BookmarkRepository.loadBookmarks();
+        const groups = data.groups.map(group => StorageManager.stripStorageTier(group));
+        const urls = data.urls.map(url => StorageManager.stripStorageTier(url));
+
+        return {
+            metadata: {
+                version: BackupSchema.BACKUP_SCHEMA_VERSION,
+                exportDate: new Date().toISOString(),
+                source: "FavURL Extension",
+                totalGroups: groups.length,
+                totalUrls: urls.length
+            },
+            groups: groups,
+            urls: urls
+        };
+    }
+
     async exportData() {
         try {
-            // Prepare keys for chunked storage
-            const keys = ['groupCount', 'urlCount', 'dataModelVersion', 'startPageEnabled', 'openInNewTab', 'urls', 'groups'];
-
-            // Add all possible group keys (group00-group31)
-            for (let i = 0; i < 32; i++) {
-                keys.push(`group${i.toString().padStart(2, '0')}`);
-            }
-
-            // Add all possible URL keys (url000-url399)
-            for (let i = 0; i < 400; i++) {
-                keys.push(`url${i.toString().padStart(3, '0')}`);
-            }
-
-            // Load current data from storage
-            const result = await chrome.storage.sync.get(keys);
-
-            // Reconstruct groups array from chunked storage or legacy format
-            let groups = [];
-            if (result.groupCount || result.group00) {
-                // New chunked format
-                const groupCount = result.groupCount || 1; // At least 1 for ungrouped
-                for (let i = 0; i < groupCount && i < 32; i++) {
-                    const key = `group${i.toString().padStart(2, '0')}`;
-                    if (result[key]) {
-                        groups.push(result[key]);
-                    }
-                }
-            } else if (result.groups) {
-                // Legacy format
-                groups = result.groups;
-            }
-
-            // Reconstruct URLs array from chunked storage or legacy format
-            let urls = [];
-            if (result.urlCount || result.url000) {
-                // New chunked format
-                const urlCount = result.urlCount || 0;
-                for (let i = 0; i < urlCount && i < 400; i++) {
-                    const key = `url${i.toString().padStart(3, '0')}`;
-                    if (result[key]) {
-                        urls.push(result[key]);
-                    }
-                }
-            } else if (result.urls) {
-                // Legacy format
-                urls = result.urls;
-            }
-
-            // Create export data with metadata
-            const exportData = {
-                metadata: {
-                    version: "1.0",
-                    exportDate: new Date().toISOString(),
-                    source: "FavURL Extension",
-                    totalGroups: groups.length,
-                    totalUrls: urls.length
-                },
-                groups: groups,
-                urls: urls
-            };
+            const exportData = await this.buildBackupData();
 
             // Convert to JSON
             const jsonString = JSON.stringify(exportData, null, 2);
 
-            // Create filename with timestamp
-            const now = new Date();
-            const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
-            const filename = `favurl-backup-${timestamp}.json`;
-
-            // Create blob and download
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            // Create temporary download link
-            const downloadLink = document.createElement('a');
-            downloadLink.href = url;
-            downloadLink.download = filename;
-            downloadLink.style.display = 'none';
-
-            // Trigger download
-            document.body.appendChild(downloadLink);
-            downloadLink.click();
-            document.body.removeChild(downloadLink);
-
-            // Clean up blob URL
-            URL.revokeObjectURL(url);
+            const filename = `favurl-backup-${this.getExportTimestamp()}.json`;
+            this.downloadFile(jsonString, filename, 'application/json');
 
             this.showToast(`Data exported successfully as ${filename}`);
             console.log('Export completed:', filename);
@@ -3146,576 +4027,3100 @@ class BookmarkManager {
         }
     }
 
-    // Import functionality
-    importData() {
-        const fileInput = document.getElementById('importFileInput');
-        if (fileInput) {
-            fileInput.click();
-        }
-    }
+    // Export the JSON backup encrypted with a passphrase
+    exportEncryptedBackup() {
+        this.openBackupPassphraseModal('export', async (passphrase) => {
+            const envelope = await BackupCrypto.encryptBackup(await this.buildBackupData(), passphrase);
 
-    async handleImportFile(file) {
-        if (!file) return;
+            const filename = `favurl-backup-${this.getExportTimestamp()}-encrypted.json`;
+            this.downloadFile(JSON.stringify(envelope, null, 2), filename, 'application/json');
+            this.closeModal();
 
-        try {
-            console.log('Starting import file handling:', file.name);
+            this.showToast(`Encrypted backup exported as ${filename}`);
+            console.log('Encrypted export completed:', filename);
+        });
+    }
 
-            // Validate file type
-            if (!file.name.toLowerCase().endsWith('.json')) {
-                this.showToast('Please select a JSON file.');
-                return;
-            }
+    // Asks for the passphrase of an encrypted backup ('export' asks twice);
+    // onSubmit(passphrase) is awaited and closes or replaces the modal when done
+    openBackupPassphraseModal(mode, onSubmit) {
+        try {
+            const template = document.getElementById('backupPassphraseModalTemplate');
+            const footerTemplate = document.getElementById('backupPassphraseModalFooterTemplate');
 
-            // Check file size (limit to 1MB)
-            if (file.size > 1024 * 1024) {
-                this.showToast('File is too large. Maximum size is 1MB.');
+            if (!template || !footerTemplate) {
+                console.error('Backup passphrase templates not found');
+                this.showToast('Encrypted backups unavailable');
                 return;
             }
 
-            // Read file content
-            const fileContent = await this.readFileAsText(file);
-            console.log('File content read successfully, length:', fileContent.length);
-
-            // Parse JSON
-            let importData;
-            try {
-                importData = JSON.parse(fileContent);
-                console.log('JSON parsed successfully:', importData);
-            } catch (parseError) {
-                console.error('JSON parse error:', parseError);
-                this.showToast('Invalid JSON file. Please check the file format.');
-                return;
-            }
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
 
-            // Validate import data structure
-            const validation = this.validateImportData(importData);
-            if (!validation.valid) {
-                console.error('Validation failed:', validation.error);
-                this.showToast(`Import validation failed: ${validation.error}`);
-                return;
+            if (mode === 'export') {
+                modalBody.getElementById('backupPassphraseIntro').textContent =
+                    `Choose a passphrase of at least ${BackupCrypto.BACKUP_MIN_PASSPHRASE_LENGTH} characters. The backup is encrypted with it before it is saved.`;
+                modalFooter.getElementById('submitBackupPassphrase').textContent = 'Export';
+            } else {
+                modalBody.getElementById('backupPassphraseIntro').textContent =
+                    'This backup is encrypted. Enter the passphrase it was exported with.';
+                modalBody.getElementById('backupPassphrase').setAttribute('autocomplete', 'current-password');
+                modalBody.getElementById('backupPassphraseConfirmGroup').remove();
+                modalFooter.getElementById('submitBackupPassphrase').textContent = 'Decrypt';
             }
 
-            console.log('Validation passed, showing confirmation dialog');
+            this.openModal(mode === 'export' ? 'Export Encrypted Backup' : 'Import Encrypted Backup', modalBody, modalFooter);
 
-            // Show confirmation dialog
-            this.showImportConfirmation(importData);
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupBackupPassphraseListeners(mode, onSubmit);
+            }, 100);
 
         } catch (error) {
-            console.error('Import file handling failed:', error);
-            this.showToast('Failed to read the file. Please try again.');
+            console.error('Error opening backup passphrase modal:', error);
+            this.showToast('Failed to open encrypted backup');
         }
     }
 
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(e);
-            reader.readAsText(file);
-        });
-    }
+    setupBackupPassphraseListeners(mode, onSubmit) {
+        const form = document.getElementById('backupPassphraseForm');
+        const passphraseInput = document.getElementById('backupPassphrase');
+        const confirmInput = document.getElementById('backupPassphraseConfirm');
+        const errorElement = document.getElementById('backupPassphraseError');
+        const submitBtn = document.getElementById('submitBackupPassphrase');
+        const cancelBtn = document.getElementById('cancelBackupPassphrase');
 
-    validateImportData(data) {
-        // Check required structure
-        if (!data || typeof data !== 'object') {
-            return { valid: false, error: 'Invalid data format' };
+        if (!form || !passphraseInput || !errorElement || !submitBtn || !cancelBtn) {
+            console.error('Backup passphrase elements not found');
+            return;
         }
 
-        if (!data.groups || !Array.isArray(data.groups)) {
-            return { valid: false, error: 'Missing or invalid groups data' };
-        }
+        const showError = (message) => {
+            errorElement.textContent = message;
+            passphraseInput.setAttribute('aria-invalid', 'true');
+            passphraseInput.focus();
+            passphraseInput.select();
+        };
 
-        if (!data.urls || !Array.isArray(data.urls)) {
-            return { valid: false, error: 'Missing or invalid URLs data' };
-        }
+        passphraseInput.focus();
+        passphraseInput.addEventListener('input', () => {
+            errorElement.textContent = '';
+            passphraseInput.removeAttribute('aria-invalid');
+        });
 
-        // Validate groups
-        for (const group of data.groups) {
-            if (!group.id || !group.name) {
-                return { valid: false, error: 'Invalid group data: missing id or name' };
-            }
-        }
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const passphrase = passphraseInput.value;
 
-        // Validate URLs
-        for (const url of data.urls) {
-            if (!url.id || !url.url || !url.title) {
-                return { valid: false, error: 'Invalid URL data: missing required fields' };
+            if (mode === 'export') {
+                if (passphrase.length < BackupCrypto.BACKUP_MIN_PASSPHRASE_LENGTH) {
+                    showError(`Passphrase must be at least ${BackupCrypto.BACKUP_MIN_PASSPHRASE_LENGTH} characters.`);
+                    return;
+                }
+                if (confirmInput && confirmInput.value !== passphrase) {
+                    showError('The passphrases do not match.');
+                    return;
+                }
+            } else if (!passphrase) {
+                showError('Please enter the passphrase.');
+                return;
             }
 
-            // Basic URL validation
+            // Key derivation takes a moment on purpose
+            const submitText = submitBtn.textContent;
+            submitBtn.disabled = true;
+            submitBtn.textContent = mode === 'export' ? 'Encrypting...' : 'Decrypting...';
             try {
-                new URL(url.url);
-            } catch {
-                return { valid: false, error: `Invalid URL format: ${url.url}` };
+                await onSubmit(passphrase);
+            } catch (error) {
+                console.error('Encrypted backup failed:', error);
+                submitBtn.disabled = false;
+                submitBtn.textContent = submitText;
+                if (error.code === BackupCrypto.BACKUP_ERROR_WRONG_PASSPHRASE) {
+                    showError('Wrong passphrase. Please try again.');
+                    return;
+                }
+                // Retrying cannot help with damaged or unsupported files
+                this.closeModal();
+                this.showToast(error.message || (mode === 'export' ? 'Export failed. Please try again.' : 'Import failed. Please try again.'));
             }
-        }
+        });
 
-        return { valid: true };
+        cancelBtn.addEventListener('click', () => {
+            this.closeModal();
+        });
     }
 
-    showImportConfirmation(importData) {
+    // Export as a Netscape bookmarks.html file for browsers' bookmark managers
+    async exportBookmarksHtml() {
         try {
-            const { groups, urls } = importData;
-            const groupCount = groups.length;
-            const urlCount = urls.length;
+            const data = await BookmarkRepository.loadBookmarks();
+            const html = NetscapeBookmarks.buildNetscapeBookmarks(data.groups, data.urls);
 
-            // Store import data for later use
-            this.pendingImportData = importData;
+            const filename = `favurl-bookmarks-${this.getExportTimestamp()}.html`;
+            this.downloadFile(html, filename, 'text/html');
 
-            // Get templates
-            const template = document.getElementById('importConfirmationModalTemplate');
-            const footerTemplate = document.getElementById('importConfirmationModalFooterTemplate');
+            this.showToast(`Bookmarks exported successfully as ${filename}`);
+            console.log('Bookmarks HTML export completed:', filename);
+
+        } catch (error) {
+            console.error('Bookmarks HTML export failed:', error);
+            this.showToast('Export failed. Please try again.');
+        }
+    }
+
+    // Export all URLs as a spreadsheet (delimiter ',' for CSV, '\t' for TSV)
+    async exportDelimited(delimiter) {
+        try {
+            const data = await BookmarkRepository.loadBookmarks();
+            const content = CsvBookmarks.buildDelimitedExport(data.groups, data.urls, delimiter);
+
+            const extension = delimiter === '\t' ? 'tsv' : 'csv';
+            const filename = `favurl-bookmarks-${this.getExportTimestamp()}.${extension}`;
+            this.downloadFile(content, filename, delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv');
+
+            this.showToast(`${data.urls.length} URLs exported as ${filename}`);
+            console.log('Spreadsheet export completed:', filename);
+
+        } catch (error) {
+            console.error('Spreadsheet export failed:', error);
+            this.showToast('Export failed. Please try again.');
+        }
+    }
+
+    // Export as Markdown or OPML, of the whole collection or of one group (groupId)
+    openOutlineExportModal(groupId = null) {
+        try {
+            const template = document.getElementById('outlineExportModalTemplate');
+            const footerTemplate = document.getElementById('outlineExportModalFooterTemplate');
 
             if (!template || !footerTemplate) {
-                console.error('Import confirmation templates not found');
-                // Fallback to simple confirm dialog
-                const confirmMessage = `Import ${groupCount} group(s) and ${urlCount} URL(s)?\n\nChoose:\nOK = Replace all data (deletes items not in import)\nCancel = Cancel import`;
-                if (confirm(confirmMessage)) {
-                    this.processReplaceImport(importData);
-                }
+                console.error('Markdown/OPML export templates not found');
+                this.showToast('Export unavailable');
+                return;
+            }
+
+            const group = groupId ? this.groups.find(g => g.id === groupId) : null;
+            if (groupId && !group) {
+                this.showToast('Group not found');
                 return;
             }
 
-            // Clone template content
             const modalBody = template.content.cloneNode(true);
             const modalFooter = footerTemplate.content.cloneNode(true);
 
-            // Set up modal content before opening
-            const groupCountElement = modalBody.getElementById('importGroupCount');
-            const urlCountElement = modalBody.getElementById('importUrlCount');
-
-            if (groupCountElement) groupCountElement.textContent = groupCount;
-            if (urlCountElement) urlCountElement.textContent = urlCount;
-
-            // Open modal
-            this.openModal('Import Data Confirmation', modalBody, modalFooter);
+            this.openModal(group ? `Export "${group.name}"` : 'Export as Markdown or OPML', modalBody, modalFooter);
 
-            // Set up event listeners after modal is opened
+            // Setup event listeners after modal is opened
             setTimeout(() => {
-                this.setupImportConfirmationListeners();
+                this.setupOutlineExportListeners(group);
             }, 100);
 
         } catch (error) {
-            console.error('Error opening import confirmation modal:', error);
-            // Fallback to simple confirm dialog
-            const confirmMessage = `Import ${importData.groups.length} group(s) and ${importData.urls.length} URL(s)?\n\nThis will REPLACE all existing data. Continue?`;
-            if (confirm(confirmMessage)) {
-                this.processReplaceImport(importData);
-            }
+            console.error('Error opening Markdown/OPML export:', error);
+            this.showToast('Failed to open export');
         }
     }
 
-    setupImportConfirmationListeners() {
-        const replaceRadio = document.getElementById('importModeReplace');
-        const mergeRadio = document.getElementById('importModeMerge');
-        const warning = document.getElementById('replaceWarning');
-        const confirmBtn = document.getElementById('confirmImport');
-        const cancelBtn = document.getElementById('cancelImport');
+    setupOutlineExportListeners(group) {
+        const formatSelect = document.getElementById('outlineExportFormat');
+        const descriptionsCheckbox = document.getElementById('outlineIncludeDescriptions');
+        const preview = document.getElementById('outlineExportPreview');
+        const cancelBtn = document.getElementById('cancelOutlineExport');
+        const copyBtn = document.getElementById('copyOutlineExport');
+        const downloadBtn = document.getElementById('downloadOutlineExport');
 
-        if (!replaceRadio || !mergeRadio || !warning || !confirmBtn || !cancelBtn) {
-            console.error('Import confirmation elements not found');
+        if (!formatSelect || !descriptionsCheckbox || !preview || !cancelBtn || !copyBtn || !downloadBtn) {
+            console.error('Markdown/OPML export elements not found');
             return;
         }
 
-        const updateWarningVisibility = () => {
-            if (replaceRadio.checked) {
-                warning.classList.remove('hidden');
-            } else {
-                warning.classList.add('hidden');
+        const buildExport = () => OutlineExport.buildOutlineExport(
+            formatSelect.value,
+            group ? [group, ...GroupTree.getGroupDescendants(this.groups, group.id)] : this.groups,
+            this.urls,
+            {
+                // A single group's heading is enough for pasting into an existing page
+                title: group ? null : 'FavURL Bookmarks',
+                includeDescriptions: descriptionsCheckbox.checked
             }
+        );
+        const updatePreview = () => {
+            preview.value = buildExport().content;
         };
 
-        // Initial state
-        updateWarningVisibility();
-
-        // Add event listeners
-        replaceRadio.addEventListener('change', updateWarningVisibility);
-        mergeRadio.addEventListener('change', updateWarningVisibility);
+        updatePreview();
+        formatSelect.addEventListener('change', updatePreview);
+        descriptionsCheckbox.addEventListener('change', updatePreview);
 
-        confirmBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const selectedMode = document.querySelector('input[name="importMode"]:checked')?.value || 'replace';
+        cancelBtn.addEventListener('click', () => {
             this.closeModal();
+        });
 
-            if (selectedMode === 'replace') {
-                this.processReplaceImport(this.pendingImportData);
-            } else {
-                this.processImport(this.pendingImportData);
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(buildExport().content);
+                this.showToast('Copied to clipboard');
+            } catch (error) {
+                console.error('Copying export failed:', error);
+                this.showToast('Could not copy. Select the preview text and copy it instead.');
             }
         });
 
-        cancelBtn.addEventListener('click', () => {
-            this.closeModal();
-            this.pendingImportData = null;
+        downloadBtn.addEventListener('click', () => {
+            try {
+                const { content, extension, mimeType } = buildExport();
+                const name = group
+                    ? `favurl-${group.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'group'}`
+                    : 'favurl-bookmarks';
+                const filename = `${name}-${this.getExportTimestamp()}.${extension}`;
+                this.downloadFile(content, filename, mimeType);
+
+                this.closeModal();
+                this.showToast(`Exported as ${filename}`);
+                console.log('Markdown/OPML export completed:', filename);
+
+            } catch (error) {
+                console.error('Markdown/OPML export failed:', error);
+                this.showToast('Export failed. Please try again.');
+            }
         });
     }
 
-    async processImport(importData) {
-        try {
-            // Load existing data from new storage structure
-            const existingGroupsResult = await chrome.storage.sync.get(['groups']);
-            const existingGroups = existingGroupsResult.groups || [];
+    // Timestamp used in export filenames
+    getExportTimestamp() {
+        return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    }
+
+    // Downloads text content as a file
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        // Create temporary download link
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = filename;
+        downloadLink.style.display = 'none';
+
+        // Trigger download
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+
+        // Clean up blob URL
+        URL.revokeObjectURL(url);
+    }
 
-            // Load existing URLs from 32-key structure
-            const existingUrls = await FavURLUtils.loadAllURLsFromStorage();
+    // Import functionality
+    importData() {
+        const fileInput = document.getElementById('importFileInput');
+        if (fileInput) {
+            fileInput.click();
+        }
+    }
 
-            console.log(`Merge import: Loading ${existingUrls.length} existing URLs from storage`);
+    async handleImportFile(file) {
+        if (!file) return;
 
-            // Merge groups
-            const mergedGroups = this.mergeGroups(existingGroups, importData.groups);
+        try {
+            console.log('Starting import file handling:', file.name);
 
-            // Merge URLs
-            const mergedUrls = this.mergeUrls(existingUrls, importData.urls);
+            // Files larger than any import file are not read
+            if (file.size > ImportFiles.IMPORT_FILE_MAX_READ_MB * 1024 * 1024) {
+                this.showToast(`File is too large. Maximum size is ${ImportFiles.IMPORT_FILE_MAX_READ_MB}MB.`);
+                return;
+            }
 
-            console.log(`Merge import: After merge - ${mergedUrls.length} total URLs`);
+            // Read file content
+            const fileContent = await this.readFileAsText(file);
+            console.log('File content read successfully, length:', fileContent.length);
 
-            // Save merged groups
-            await chrome.storage.sync.set({
-                groups: mergedGroups,
-                version: '1.0',
-                lastUpdated: new Date().toISOString(),
-                dataModelVersion: this.dataModelVersion
-            });
+            this.importFileContent(file.name, file.size, fileContent);
+        } catch (error) {
+            console.error('Import file handling failed:', error);
+            this.showToast('Failed to read the file. Please try again.');
+        }
+    }
 
-            // Save merged URLs using new 32-key structure
-            await FavURLUtils.saveURLsToStorage(mergedUrls, mergedGroups);
+    // Imports the content of a picked, dropped or handed-over file; the format is detected
+    // from the file name or, for unknown extensions, from the content
+    importFileContent(name, size, fileContent) {
+        // Validate file type (JSON backups, browser bookmark files, spreadsheets or service exports)
+        const fileType = ImportFiles.detectImportFileType(name, fileContent);
+        if (!fileType) {
+            this.showToast('Please select a JSON, bookmarks HTML, CSV or TSV file.');
+            return;
+        }
 
-            console.log(`Merge import: Saved ${mergedUrls.length} URLs to 32-key storage structure`);
+        // Check file size (limit to 2MB for JSON, 5MB for browser bookmark files and spreadsheets)
+        const maxSizeMB = ImportFiles.IMPORT_FILE_MAX_SIZE_MB[fileType];
+        if (size > maxSizeMB * 1024 * 1024) {
+            this.showToast(`File is too large. Maximum size is ${maxSizeMB}MB.`);
+            return;
+        }
 
-            // Reload data and UI
-            await this.loadData();
-            this.renderURLs();
+        // Pocket, Raindrop.io and Pinboard exports come as HTML, CSV or JSON files
+        const service = ServiceImports.detectServiceExport(fileContent, fileType);
+        if (service) {
+            this.handleServiceImport(service, fileContent);
+            return;
+        }
+        if (fileType === ImportFiles.IMPORT_FILE_HTML) {
+            this.handleBookmarkHtmlImport(fileContent);
+            return;
+        }
+        if (fileType === ImportFiles.IMPORT_FILE_SPREADSHEET) {
+            this.handleSpreadsheetImport(fileContent, name.toLowerCase());
+            return;
+        }
+
+        // Parse JSON
+        let importData;
+        try {
+            importData = JSON.parse(fileContent);
+            console.log('JSON parsed successfully:', importData);
+        } catch (parseError) {
+            console.error('JSON parse error:', parseError);
+            this.showToast('Invalid JSON file. Please check the file format.');
+            return;
+        }
+
+        // Encrypted backups are about a third larger than the backup they hold
+        if (BackupCrypto.isEncryptedBackup(importData)) {
+            this.handleEncryptedBackupImport(importData);
+            return;
+        }
+        if (size > 1024 * 1024) {
+            this.showToast('File is too large. Maximum size is 1MB.');
+            return;
+        }
+
+        // Validate the backup against the schema of its version
+        const validation = this.validateImportData(importData, { backupFile: true });
+        if (!validation.valid) {
+            console.error('Validation failed:', validation.errors);
+            this.openValidationReportModal(validation);
+            return;
+        }
+
+        console.log('Validation passed, showing confirmation dialog');
+        this.reportImportWarnings(validation);
+
+        // Show confirmation dialog
+        this.showImportConfirmation(importData);
+    }
+
+    // Shows the drop zone while files are dragged over the popup and imports a dropped file
+    // (bookmark and group drags carry no files and are left to the DragDropManager)
+    setupFileDropListeners() {
+        const overlay = document.getElementById('dropZoneOverlay');
+        if (!overlay) return;
+
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+        let dragDepth = 0; // dragenter/dragleave also fire for every child element
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            overlay.classList.remove('hidden');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                overlay.classList.add('hidden');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            overlay.classList.add('hidden');
+
+            const files = e.dataTransfer.files;
+            if (files.length !== 1) {
+                this.showToast('Please drop one file at a time.');
+                return;
+            }
+            this.handleImportFile(files[0]);
+        });
+    }
+
+    // Imports a file dropped onto the start page, which hands it over through session storage
+    async openPendingImport() {
+        try {
+            const pending = await ImportFiles.takePendingImport();
+            if (pending) {
+                console.log('Importing file dropped onto the start page:', pending.name);
+                this.importFileContent(pending.name, pending.size, pending.content);
+            }
+        } catch (error) {
+            console.error('Error opening dropped file:', error);
+            this.showToast('Failed to import the dropped file. Please try again.');
+        }
+    }
+
+    // Import of passphrase-encrypted backups; the decrypted backup is imported like a plain one
+    handleEncryptedBackupImport(envelope) {
+        this.openBackupPassphraseModal('import', async (passphrase) => {
+            const importData = await BackupCrypto.decryptBackup(envelope, passphrase);
+
+            const validation = this.validateImportData(importData, { backupFile: true });
+            if (!validation.valid) {
+                console.error('Validation failed:', validation.errors);
+                this.openValidationReportModal(validation);
+                return;
+            }
+            this.reportImportWarnings(validation);
+
+            // Replaces the passphrase modal
+            this.showImportConfirmation(importData);
+        });
+    }
+
+    // Import of bookmarks.html files exported by Chrome, Firefox, Edge or Safari
+    handleBookmarkHtmlImport(html) {
+        if (!NetscapeBookmarks.isNetscapeBookmarkFile(html)) {
+            this.showToast('This HTML file is not a browser bookmarks or Pocket export.');
+            return;
+        }
+
+        let importData;
+        try {
+            importData = this.parseBookmarkHtml(html, NetscapeBookmarks.NESTED_FOLDERS_NEST);
+        } catch (parseError) {
+            console.error('Bookmark HTML parse error:', parseError);
+            this.showToast('Could not read the bookmarks file. Please check the file format.');
+            return;
+        }
+
+        if (importData.urls.length === 0 && importData.groups.length === 0) {
+            this.showToast('No bookmarks found in the file.');
+            return;
+        }
+
+        const validation = this.validateImportData(importData);
+        if (!validation.valid) {
+            console.error('Validation failed:', validation.errors);
+            this.openValidationReportModal(validation);
+            return;
+        }
+
+        this.showImportConfirmation(importData);
+    }
+
+    // Converts a bookmarks.html file into import data (folders matching a group's name reuse it)
+    parseBookmarkHtml(html, nestedFolders) {
+        const parsed = NetscapeBookmarks.parseNetscapeBookmarks(html, {
+            nestedFolders,
+            existingGroups: this.groups,
+            startOrder: this.getNextGroupOrder()
+        });
+        return {
+            groups: parsed.groups,
+            urls: parsed.urls,
+            source: { type: 'netscape', html, nestedFolders, skipped: parsed.skipped }
+        };
+    }
+
+    // Import of Pocket, Raindrop.io and Pinboard export files
+    handleServiceImport(service, text) {
+        const serviceName = ServiceImports.SERVICE_NAMES[service];
+        let importData;
+        try {
+            const parsed = ServiceImports.parseServiceExport(service, text, {
+                existingGroups: this.groups,
+                startOrder: this.getNextGroupOrder()
+            });
+            importData = {
+                groups: parsed.groups,
+                urls: parsed.urls,
+                source: { type: 'service', service, skipped: parsed.skipped }
+            };
+        } catch (parseError) {
+            console.error(`${serviceName} export parse error:`, parseError);
+            this.showToast(`Could not read the ${serviceName} export. Please check the file format.`);
+            return;
+        }
+
+        if (importData.urls.length === 0) {
+            this.showToast(`No bookmarks found in the ${serviceName} export.`);
+            return;
+        }
+
+        const validation = this.validateImportData(importData);
+        if (!validation.valid) {
+            console.error('Validation failed:', validation.errors);
+            this.openValidationReportModal(validation);
+            return;
+        }
+
+        this.showImportConfirmation(importData);
+    }
+
+    // Import of CSV/TSV files; the columns are mapped in the confirmation modal
+    handleSpreadsheetImport(text, fileName) {
+        const delimiter = CsvBookmarks.detectDelimiter(text, fileName);
+        const rows = CsvBookmarks.parseDelimited(text, delimiter);
+        if (rows.length === 0) {
+            this.showToast('The file has no rows.');
+            return;
+        }
+
+        // Use the header row when it names known columns; otherwise find the URL column
+        let mapping = CsvBookmarks.guessColumnMapping(rows[0]);
+        const hasHeader = Object.keys(mapping).length > 0;
+        if (!hasHeader) {
+            mapping = {};
+            const urlColumn = rows[0].findIndex(cell => /^https?:\/\//i.test(cell.trim()));
+            if (urlColumn !== -1) {
+                mapping.url = urlColumn;
+                const titleColumn = rows[0].findIndex((cell, index) => index !== urlColumn && cell.trim());
+                if (titleColumn !== -1) {
+                    mapping.title = titleColumn;
+                }
+            }
+        }
+
+        this.showImportConfirmation(this.buildSpreadsheetImportData({ type: 'spreadsheet', rows, mapping, hasHeader }));
+    }
+
+    // Converts mapped spreadsheet rows into import data (group names matching a group reuse it)
+    buildSpreadsheetImportData(source) {
+        const result = CsvBookmarks.buildImportFromRows(source.rows, source.mapping, {
+            hasHeader: source.hasHeader,
+            existingGroups: this.groups,
+            startOrder: this.getNextGroupOrder()
+        });
+        return {
+            groups: result.groups,
+            urls: result.urls,
+            source: { ...source, errors: result.errors }
+        };
+    }
+
+    // Fills the column selects of the import modal (root: modal fragment or document)
+    renderImportColumnMapping(root, source) {
+        const container = root.getElementById('importMappingFields');
+        const headerCheckbox = root.getElementById('importHasHeader');
+        if (!container || !headerCheckbox) return;
+
+        headerCheckbox.checked = source.hasHeader;
+        container.innerHTML = '';
+
+        const columnCount = source.rows.reduce((max, row) => Math.max(max, row.length), 0);
+        CsvBookmarks.CSV_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.setAttribute('for', `importColumn-${field.key}`);
+            label.textContent = field.key === 'url' ? `${field.label} (required)` : field.label;
+
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.id = `importColumn-${field.key}`;
+            select.dataset.field = field.key;
+
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = '(not imported)';
+            select.appendChild(none);
+
+            for (let index = 0; index < columnCount; index++) {
+                const option = document.createElement('option');
+                const header = source.hasHeader ? (source.rows[0][index] || '').trim() : '';
+                option.value = String(index);
+                option.textContent = header ? `${header} (column ${index + 1})` : `Column ${index + 1}`;
+                select.appendChild(option);
+            }
+            select.value = source.mapping[field.key] !== undefined ? String(source.mapping[field.key]) : '';
+
+            container.appendChild(label);
+            container.appendChild(select);
+        });
+    }
+
+    // Shows rows that failed validation and will not be imported (root: modal fragment or document)
+    renderImportRowErrors(root, errors) {
+        const container = root.getElementById('importRowErrors');
+        const summary = root.getElementById('importRowErrorsSummary');
+        const list = root.getElementById('importRowErrorList');
+        if (!container || !summary || !list) return;
+
+        container.classList.toggle('hidden', errors.length === 0);
+        summary.textContent = `${errors.length} row${errors.length !== 1 ? 's have' : ' has'} errors and will be skipped:`;
+        list.innerHTML = '';
+
+        const maxShown = 50;
+        errors.slice(0, maxShown).forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${error.row}: ${error.messages.join('; ')}`;
+            list.appendChild(item);
+        });
+        if (errors.length > maxShown) {
+            const item = document.createElement('li');
+            item.textContent = `…and ${errors.length - maxShown} more`;
+            list.appendChild(item);
+        }
+    }
+
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(e);
+            reader.readAsText(file);
+        });
+    }
+
+    // Validates import data against the backup schema (options.backupFile: read from a
+    // backup file, whose metadata version selects the schema)
+    validateImportData(data, options = {}) {
+        const report = BackupSchema.validateBackup(data, options);
+        return {
+            valid: report.valid,
+            version: report.version,
+            errors: report.errors,
+            warnings: report.warnings,
+            error: report.valid ? null : `${report.errors[0].path} ${report.errors[0].message}`
+        };
+    }
+
+    // Unknown fields and mismatched totals do not block a backup import, but are mentioned
+    reportImportWarnings(validation) {
+        if (validation.warnings.length === 0) return;
+        console.warn('Import validation warnings:', validation.warnings);
+        const first = validation.warnings[0];
+        const more = validation.warnings.length > 1 ? ` (and ${validation.warnings.length - 1} more)` : '';
+        this.showToast(`Note: ${first.path} ${first.message}${more}`);
+    }
+
+    // Lists every validation error with its JSON path
+    openValidationReportModal(validation) {
+        try {
+            const template = document.getElementById('validationReportModalTemplate');
+            const footerTemplate = document.getElementById('validationReportModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Validation report templates not found');
+                this.showToast(`Import validation failed: ${validation.error}`);
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            const count = validation.errors.length;
+            const version = validation.version ? ` (backup version ${validation.version})` : '';
+            modalBody.getElementById('validationReportSummary').textContent =
+                `The file cannot be imported. ${count} problem${count !== 1 ? 's were' : ' was'} found${version}:`;
+
+            // Very broken files are summarized after the first problems
+            const maxShown = 500;
+            const list = modalBody.getElementById('validationReportList');
+            validation.errors.slice(0, maxShown).forEach(error => {
+                const item = document.createElement('li');
+                const path = document.createElement('code');
+                path.className = 'validation-report-path';
+                path.textContent = error.path;
+                item.appendChild(path);
+                item.appendChild(document.createTextNode(` ${error.message}`));
+                list.appendChild(item);
+            });
+            if (count > maxShown) {
+                const item = document.createElement('li');
+                item.textContent = `…and ${count - maxShown} more`;
+                list.appendChild(item);
+            }
+
+            this.openModal('Import Validation Report', modalBody, modalFooter);
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                const closeBtn = document.getElementById('closeValidationReport');
+                if (closeBtn) {
+                    closeBtn.addEventListener('click', () => this.closeModal());
+                }
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening validation report:', error);
+            this.showToast(`Import validation failed: ${validation.error}`);
+        }
+    }
+
+    showImportConfirmation(importData) {
+        try {
+            const { groups, urls } = importData;
+            const groupCount = groups.length;
+            const urlCount = urls.length;
+
+            // Store import data for later use
+            this.pendingImportData = importData;
+
+            // Get templates
+            const template = document.getElementById('importConfirmationModalTemplate');
+            const footerTemplate = document.getElementById('importConfirmationModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Import confirmation templates not found');
+                // Fallback to simple confirm dialog
+                const confirmMessage = `Import ${groupCount} group(s) and ${urlCount} URL(s)?\n\nChoose:\nOK = Replace all data (deletes items not in import)\nCancel = Cancel import`;
+                if (confirm(confirmMessage)) {
+                    this.processReplaceImport(importData);
+                }
+                return;
+            }
+
+            // Clone template content
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            // Set up modal content before opening
+            const groupCountElement = modalBody.getElementById('importGroupCount');
+            const urlCountElement = modalBody.getElementById('importUrlCount');
+
+            if (groupCountElement) groupCountElement.textContent = groupCount;
+            if (urlCountElement) urlCountElement.textContent = urlCount;
+
+            // Browser bookmark files: folder handling and bookmarks that cannot be imported
+            if (importData.source && importData.source.type === 'netscape') {
+                modalBody.getElementById('importFolderOptions').classList.remove('hidden');
+                modalBody.getElementById('importNestedFolders').value = importData.source.nestedFolders;
+                this.updateImportSkippedNote(modalBody.getElementById('importSkipped'), importData.source.skipped);
+            }
+
+            // Service exports: items that cannot be imported
+            if (importData.source && importData.source.type === 'service') {
+                this.updateImportSkippedNote(modalBody.getElementById('importSkipped'), importData.source.skipped,
+                    'not a web page (missing or non-http addresses)');
+            }
+
+            // Spreadsheets: column mapping and rows that fail validation
+            if (importData.source && importData.source.type === 'spreadsheet') {
+                modalBody.getElementById('importColumnMapping').classList.remove('hidden');
+                this.renderImportColumnMapping(modalBody, importData.source);
+                this.renderImportRowErrors(modalBody, importData.source.errors);
+                modalFooter.getElementById('confirmImport').disabled = urlCount === 0;
+            }
+
+            // Open modal
+            this.openModal('Import Data Confirmation', modalBody, modalFooter);
+
+            // Set up event listeners after modal is opened
+            setTimeout(() => {
+                this.setupImportConfirmationListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening import confirmation modal:', error);
+            // Fallback to simple confirm dialog
+            const confirmMessage = `Import ${importData.groups.length} group(s) and ${importData.urls.length} URL(s)?\n\nThis will REPLACE all existing data. Continue?`;
+            if (confirm(confirmMessage)) {
+                this.processReplaceImport(importData);
+            }
+        }
+    }
+
+    // Notes bookmarks left out of a browser bookmark or service import (reason: why they are skipped)
+    updateImportSkippedNote(element, skipped, reason = 'not a web page (bookmarklets, browser or local pages)') {
+        if (!element) return;
+        element.textContent = `${skipped} bookmark${skipped !== 1 ? 's' : ''} that ${skipped !== 1 ? 'are' : 'is'} ${reason} will be skipped.`;
+        element.classList.toggle('hidden', skipped === 0);
+    }
+
+    setupImportConfirmationListeners() {
+        const replaceRadio = document.getElementById('importModeReplace');
+        const mergeRadio = document.getElementById('importModeMerge');
+        const warning = document.getElementById('replaceWarning');
+        const confirmBtn = document.getElementById('confirmImport');
+        const cancelBtn = document.getElementById('cancelImport');
+
+        if (!replaceRadio || !mergeRadio || !warning || !confirmBtn || !cancelBtn) {
+            console.error('Import confirmation elements not found');
+            return;
+        }
+
+        const updateWarningVisibility = () => {
+            if (replaceRadio.checked) {
+                warning.classList.remove('hidden');
+            } else {
+                warning.classList.add('hidden');
+            }
+        };
+
+        // Initial state
+        updateWarningVisibility();
+        this.resetImportSelection();
+        this.renderImportPreview();
+
+        // Add event listeners (the preview depends on the mode)
+        replaceRadio.addEventListener('change', () => {
+            updateWarningVisibility();
+            this.renderImportPreview();
+        });
+        mergeRadio.addEventListener('change', () => {
+            updateWarningVisibility();
+            this.renderImportPreview();
+        });
+
+        // Include or exclude previewed items; a group's checkbox applies to its URLs too
+        const previewList = document.getElementById('importPreviewList');
+        if (previewList) {
+            previewList.addEventListener('change', (e) => {
+                const { type, index } = e.target.dataset;
+                if (!type) return;
+
+                const selected = type === 'group' ? this.importSelection.groups : this.importSelection.urls;
+                if (e.target.checked) {
+                    selected.add(Number(index));
+                } else {
+                    selected.delete(Number(index));
+                }
+
+                if (type === 'group') {
+                    const groupId = this.pendingImportData.groups[Number(index)].id;
+                    previewList.querySelectorAll(`input[data-type="url"][data-group-id="${CSS.escape(groupId)}"]:not(:disabled)`)
+                        .forEach(checkbox => {
+                            checkbox.checked = e.target.checked;
+                            if (e.target.checked) {
+                                this.importSelection.urls.add(Number(checkbox.dataset.index));
+                            } else {
+                                this.importSelection.urls.delete(Number(checkbox.dataset.index));
+                            }
+                        });
+                }
+
+                this.updateImportSelectionCounts();
+                this.updateImportDeviceLocalMarks();
+            });
+        }
+
+        // Rebuild spreadsheet imports when the column mapping changes
+        const columnMapping = document.getElementById('importColumnMapping');
+        if (columnMapping) {
+            columnMapping.addEventListener('change', (e) => {
+                const source = this.pendingImportData && this.pendingImportData.source;
+                if (!source || source.type !== 'spreadsheet') return;
+
+                if (e.target.id === 'importHasHeader') {
+                    source.hasHeader = e.target.checked;
+                    this.renderImportColumnMapping(document, source);
+                } else if (e.target.dataset.field) {
+                    if (e.target.value === '') {
+                        delete source.mapping[e.target.dataset.field];
+                    } else {
+                        source.mapping[e.target.dataset.field] = parseInt(e.target.value, 10);
+                    }
+                }
+
+                this.pendingImportData = this.buildSpreadsheetImportData(source);
+                this.renderImportRowErrors(document, this.pendingImportData.source.errors);
+                this.resetImportSelection();
+                this.renderImportPreview();
+            });
+        }
+
+        // Re-parse browser bookmark files when the nested folder handling changes
+        const nestedFoldersSelect = document.getElementById('importNestedFolders');
+        if (nestedFoldersSelect) {
+            nestedFoldersSelect.addEventListener('change', () => {
+                const source = this.pendingImportData && this.pendingImportData.source;
+                if (!source || source.type !== 'netscape') return;
+
+                try {
+                    this.pendingImportData = this.parseBookmarkHtml(source.html, nestedFoldersSelect.value);
+                    this.resetImportSelection();
+                    this.renderImportPreview();
+                } catch (error) {
+                    console.error('Bookmark HTML parse error:', error);
+                    this.showToast('Could not read the bookmarks file.');
+                }
+            });
+        }
+
+        confirmBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const selectedMode = this.getImportMode();
+            const importData = this.getSelectedImportData();
+            const filedByRules = this.applyGroupingRulesToImport(importData, selectedMode);
+            this.closeModal();
+
+            if (selectedMode === 'replace') {
+                this.processReplaceImport(importData, filedByRules);
+            } else {
+                this.processImport(importData, filedByRules);
+            }
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            this.closeModal();
+            this.pendingImportData = null;
+        });
+    }
+
+    // Files imported bookmarks without a folder by the grouping rules; rules may only name
+    // groups that exist after the import (replacing deletes the stored ones)
+    applyGroupingRulesToImport(importData, mode) {
+        const groups = mode === ImportPreview.IMPORT_MODE_MERGE
+            ? [...this.groups, ...importData.groups]
+            : importData.groups;
+        const urls = importData.urls.filter(url => !groups.some(group => group.id === url.groupId && group.id !== BookmarkRepository.DEFAULT_GROUP_ID));
+        const moves = GroupingRules.planGroupingRuleMoves(this.groupingRules, urls, groups);
+        moves.forEach(move => {
+            move.url.groupId = move.toGroupId;
+        });
+        return moves.length;
+    }
+
+    getImportMode() {
+        return document.querySelector('input[name="importMode"]:checked')?.value || ImportPreview.IMPORT_MODE_REPLACE;
+    }
+
+    // Selects every item of the pending import
+    resetImportSelection() {
+        const { groups, urls } = this.pendingImportData;
+        this.importSelection = {
+            groups: new Set(groups.map((group, index) => index)),
+            urls: new Set(urls.map((url, index) => index))
+        };
+    }
+
+    getSelectedImportData() {
+        // Merging keeps the stored groups; replacing deletes those not in the import
+        const keptGroupIds = this.getImportMode() === ImportPreview.IMPORT_MODE_MERGE
+            ? new Set(this.groups.map(group => group.id))
+            : new Set();
+        return ImportPreview.selectImportItems(
+            this.pendingImportData, this.importSelection.groups, this.importSelection.urls, keptGroupIds
+        );
+    }
+
+    // Stored bookmarks as plain records, for comparing them with import data
+    getCurrentImportRecords() {
+        return {
+            groups: this.groups.map(group => StorageManager.stripStorageTier(group.toJSON())),
+            urls: this.urls.map(url => StorageManager.stripStorageTier(url.toJSON()))
+        };
+    }
+
+    // Lists what the import would do to each group and URL, with checkboxes to exclude items
+    renderImportPreview() {
+        const list = document.getElementById('importPreviewList');
+        const summary = document.getElementById('importPreviewSummary');
+        if (!list || !summary || !this.pendingImportData) return;
+
+        const mode = this.getImportMode();
+        const preview = ImportPreview.buildImportPreview(this.getCurrentImportRecords(), this.pendingImportData, mode);
+        this.importPreview = preview;
+
+        // Merge mode keeps the stored copy of duplicates whether they are selected or not
+        const isDisabled = item => item.status === ImportPreview.IMPORT_STATUS_DUPLICATE;
+
+        // One section per group: imported groups first, then stored groups receiving URLs
+        const sections = new Map();
+        preview.groups.forEach(item => {
+            if (!sections.has(item.record.id)) {
+                sections.set(item.record.id, { groupItem: item, urlItems: [] });
+            }
+        });
+        preview.urls.forEach(item => {
+            const groupId = item.record.groupId || BookmarkRepository.DEFAULT_GROUP_ID;
+            if (!sections.has(groupId)) {
+                sections.set(groupId, { groupItem: null, urlItems: [] });
+            }
+            sections.get(groupId).urlItems.push(item);
+        });
+
+        list.innerHTML = '';
+        sections.forEach((section, groupId) => {
+            const sectionElement = document.createElement('div');
+            sectionElement.className = 'import-preview-section';
+            sectionElement.setAttribute('role', 'listitem');
+
+            if (section.groupItem) {
+                sectionElement.appendChild(this.createImportPreviewRow(section.groupItem, section.groupItem.record.name, isDisabled(section.groupItem)));
+                this.appendImportPreviewChanges(sectionElement, section.groupItem);
+            } else {
+                const storedGroup = this.groups.find(group => group.id === groupId);
+                const heading = document.createElement('div');
+                heading.className = 'import-preview-item import-preview-group import-preview-disabled';
+                heading.textContent = storedGroup ? storedGroup.name : 'Ungrouped';
+                sectionElement.appendChild(heading);
+            }
+
+            section.urlItems.forEach(item => {
+                sectionElement.appendChild(this.createImportPreviewRow(item, item.record.title || item.record.url, isDisabled(item)));
+                this.appendImportPreviewChanges(sectionElement, item);
+            });
+            list.appendChild(sectionElement);
+        });
+
+        this.updateImportSelectionCounts();
+        this.updateImportDeviceLocalMarks();
+    }
+
+    createImportPreviewRow(item, title, disabled) {
+        const row = document.createElement('label');
+        row.className = `import-preview-item import-preview-${item.type}`;
+        row.classList.toggle('import-preview-disabled', disabled);
+        row.dataset.previewKey = `${item.type}:${item.index}`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.type = item.type;
+        checkbox.dataset.index = item.index;
+        checkbox.dataset.groupId = item.type === 'url' ? (item.record.groupId || '') : item.record.id;
+        checkbox.checked = this.isImportItemSelected(item);
+        checkbox.disabled = disabled;
+        row.appendChild(checkbox);
+
+        const titleElement = document.createElement('span');
+        titleElement.className = 'import-preview-title';
+        titleElement.textContent = title;
+        if (item.type === 'url') {
+            titleElement.title = item.record.url;
+        }
+        row.appendChild(titleElement);
+
+        const statusLabels = {
+            [ImportPreview.IMPORT_STATUS_ADDED]: 'New',
+            [ImportPreview.IMPORT_STATUS_UPDATED]: 'Updated',
+            [ImportPreview.IMPORT_STATUS_UNCHANGED]: 'Unchanged',
+            [ImportPreview.IMPORT_STATUS_DUPLICATE]: 'Duplicate, skipped'
+        };
+        const status = document.createElement('span');
+        status.className = `import-preview-status import-preview-status-${item.status}`;
+        status.textContent = statusLabels[item.status];
+        row.appendChild(status);
+
+        return row;
+    }
+
+    // Field-level before/after of updated items
+    appendImportPreviewChanges(container, item) {
+        if (item.changes.length === 0) return;
+
+        const formatValue = (field, value) => {
+            if (value === null) return '(empty)';
+            if (field === 'groupId') {
+                const group = this.pendingImportData.groups.find(g => g.id === value) || this.groups.find(g => g.id === value);
+                return group ? group.name : value;
+            }
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            return text.length > 60 ? `${text.substring(0, 59)}…` : text;
+        };
+        const fieldLabels = { groupId: 'group' };
+
+        const changes = document.createElement('ul');
+        changes.className = 'import-preview-changes';
+        item.changes.forEach(change => {
+            const entry = document.createElement('li');
+            const field = document.createElement('span');
+            field.className = 'import-preview-field';
+            field.textContent = `${fieldLabels[change.field] || change.field}: `;
+            entry.appendChild(field);
+            entry.appendChild(document.createTextNode(`${formatValue(change.field, change.before)} → ${formatValue(change.field, change.after)}`));
+            changes.appendChild(entry);
+        });
+        container.appendChild(changes);
+    }
+
+    isImportItemSelected(item) {
+        return (item.type === 'group' ? this.importSelection.groups : this.importSelection.urls).has(item.index);
+    }
+
+    updateImportSelectionCounts() {
+        const preview = this.importPreview;
+        if (!preview) return;
+
+        const items = [...preview.groups, ...preview.urls];
+        const count = status => items.filter(item => item.status === status && this.isImportItemSelected(item)).length;
+        const duplicates = items.filter(item => item.status === ImportPreview.IMPORT_STATUS_DUPLICATE).length;
+        const excluded = items.filter(item =>
+            item.status !== ImportPreview.IMPORT_STATUS_DUPLICATE && !this.isImportItemSelected(item)).length;
+
+        const parts = [`${count(ImportPreview.IMPORT_STATUS_ADDED)} new`, `${count(ImportPreview.IMPORT_STATUS_UPDATED)} updated`];
+        if (count(ImportPreview.IMPORT_STATUS_UNCHANGED) > 0) parts.push(`${count(ImportPreview.IMPORT_STATUS_UNCHANGED)} unchanged`);
+        if (duplicates > 0) parts.push(`${duplicates} duplicate${duplicates !== 1 ? 's' : ''} skipped`);
+        if (excluded > 0) parts.push(`${excluded} excluded`);
+        let text = parts.join(', ') + '.';
+        if (preview.removedGroups > 0 || preview.removedUrls > 0) {
+            text += ` Replacing deletes ${preview.removedGroups} group${preview.removedGroups !== 1 ? 's' : ''} and ${preview.removedUrls} URL${preview.removedUrls !== 1 ? 's' : ''} not in the file.`;
+        }
+        document.getElementById('importPreviewSummary').textContent = text;
+
+        document.getElementById('importGroupCount').textContent = this.importSelection.groups.size;
+        document.getElementById('importUrlCount').textContent = this.importSelection.urls.size;
+
+        const confirmBtn = document.getElementById('confirmImport');
+        const source = this.pendingImportData.source;
+        const noUrlColumn = source && source.type === 'spreadsheet' && source.mapping.url === undefined;
+        confirmBtn.disabled = noUrlColumn || (this.importSelection.groups.size === 0 && this.importSelection.urls.size === 0);
+    }
+
+    // Flags items that would not fit into sync storage (packing is async, so only the
+    // latest request updates the marks)
+    async updateImportDeviceLocalMarks() {
+        const preview = this.importPreview;
+        if (!preview) return;
+
+        const token = ++this.importPreviewToken;
+        try {
+            await ImportPreview.markDeviceLocalItems(preview, this.getCurrentImportRecords(), this.getSelectedImportData(), this.getImportMode());
+        } catch (error) {
+            console.error('Error estimating storage tiers for import preview:', error);
+            return;
+        }
+        if (token !== this.importPreviewToken || preview !== this.importPreview) return;
+
+        const list = document.getElementById('importPreviewList');
+        if (!list) return;
+        let deviceLocal = 0;
+        [...preview.groups, ...preview.urls].forEach(item => {
+            const row = list.querySelector(`[data-preview-key="${item.type}:${item.index}"]`);
+            if (!row) return;
+            const showMark = item.deviceLocal && this.isImportItemSelected(item);
+            let mark = row.querySelector('.import-preview-status-local');
+            if (showMark && !mark) {
+                mark = document.createElement('span');
+                mark.className = 'import-preview-status import-preview-status-local';
+                mark.textContent = 'This device only';
+                mark.title = 'Does not fit into sync storage; kept on this device only';
+                row.appendChild(mark);
+            } else if (!showMark && mark) {
+                mark.remove();
+            }
+            if (showMark) deviceLocal++;
+        });
+
+        document.getElementById('importPreviewDeviceLocal').textContent = deviceLocal > 0
+            ? `${deviceLocal} item${deviceLocal !== 1 ? 's' : ''} will not fit into sync storage and stay on this device only.`
+            : '';
+    }
+
+    // filedByRules: bookmarks the grouping rules filed into groups (see applyGroupingRulesToImport)
+    async processImport(importData, filedByRules = 0) {
+        try {
+            // Merge into the stored bookmarks (existing settings are kept)
+            const previousGroups = this.groups;
+            const previousUrls = this.urls;
+            const merge = await BookmarkRepository.mergeImport(importData);
+
+            // Reload data and UI
+            await this.loadData();
+            this.renderURLs();
+
+            // The merge is saved by the repository, so record it for undo here
+            this.history.setBaseline(previousGroups, previousUrls);
+            await this.history.record(this.groups, this.urls);
+
+            const rulesMessage = filedByRules > 0 ? ` ${filedByRules} filed by grouping rules.` : '';
+            this.showUndoToast(`Import completed: ${merge.addedUrls} URLs added, ${merge.updatedUrls} updated, ${merge.addedGroups} groups added.${rulesMessage}`);
+            console.log('Import completed successfully');
+
+        } catch (error) {
+            console.error('Import processing failed:', error);
+            this.showToast('Import failed. Please try again.');
+        }
+    }
+
+    async processReplaceImport(importData, filedByRules = 0) {
+        try {
+            // Validate import data one more time
+            const validation = this.validateImportData(importData);
+            if (!validation.valid) {
+                console.error('Validation failed:', validation.errors);
+                this.openValidationReportModal(validation);
+                return;
+            }
+
+            // Convert imported data to data model instances
+            // (anything beyond the sync capacity is kept in device-local storage)
+            this.urls = importData.urls.map(urlData => {
+                if (urlData instanceof URLDataModel) {
+                    return urlData;
+                }
+                return URLDataModel.fromJSON(urlData);
+            });
+
+            this.groups = importData.groups.map(groupData => {
+                if (groupData instanceof GroupDataModel) {
+                    return groupData;
+                }
+                return GroupDataModel.fromJSON(groupData);
+            });
+
+            // Ensure default "Ungrouped" group exists and has correct properties
+            this.initializeDefaultGroup();
+
+            // Save the new data using the chunked storage format
+            // (keys no longer in use, including legacy ones, are removed by the save)
+            await this.saveData();
+
+            // Reload data and UI
+            await this.loadData();
+            this.renderURLs();
+
+            const localUrlCount = this.urls.filter(u => this.isDeviceLocal(u)).length;
+            const localGroupCount = this.groups.filter(g => this.isDeviceLocal(g)).length;
+            const tierMessage = (localUrlCount > 0 || localGroupCount > 0)
+                ? ` (${localUrlCount} URLs and ${localGroupCount} groups stored on this device only)`
+                : '';
+
+            const rulesMessage = filedByRules > 0 ? ` ${filedByRules} URLs filed by grouping rules.` : '';
+            this.showUndoToast(`Data replaced successfully: ${importData.urls.length} URLs and ${importData.groups.length} groups imported${tierMessage}.${rulesMessage}`);
+            console.log('Replace import completed successfully');
+
+        } catch (error) {
+            console.error('Replace import processing failed:', error);
+            this.showError('Replace import failed. Please try again.');
+        }
+    }
+
+    // Color Settings Modal Functions
+    async openColorSettingsModal() {
+        try {
+            // Load current color theme
+            const colorTheme = await StorageManager.loadColorTheme();
+
+            // Get templates
+            const template = document.getElementById('colorSettingsModalTemplate');
+            const footerTemplate = document.getElementById('colorSettingsModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Color settings templates not found');
+                this.showToast('Color settings unavailable');
+                return;
+            }
+
+            // Clone template content
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            // Set current color values
+            const pageColorInput = modalBody.getElementById('pageBackgroundColor');
+            const pageColorHexInput = modalBody.getElementById('pageBackgroundColorHex');
+            const groupColorInput = modalBody.getElementById('groupHeaderBackgroundColor');
+            const groupColorHexInput = modalBody.getElementById('groupHeaderBackgroundColorHex');
+            const urlColorInput = modalBody.getElementById('urlItemBackgroundColor');
+            const urlColorHexInput = modalBody.getElementById('urlItemBackgroundColorHex');
+
+            if (pageColorInput && pageColorHexInput) {
+                pageColorInput.value = colorTheme.pageBackground;
+                pageColorHexInput.value = colorTheme.pageBackground;
+            }
+            if (groupColorInput && groupColorHexInput) {
+                groupColorInput.value = colorTheme.groupHeaderBackground;
+                groupColorHexInput.value = colorTheme.groupHeaderBackground;
+            }
+            if (urlColorInput && urlColorHexInput) {
+                urlColorInput.value = colorTheme.urlItemBackground;
+                urlColorHexInput.value = colorTheme.urlItemBackground;
+            }
+
+            // Open modal
+            this.openModal('Color Settings', modalBody, modalFooter);
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupColorSettingsListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening color settings modal:', error);
+            this.showToast('Failed to open color settings');
+        }
+    }
+
+    setupColorSettingsListeners() {
+        // Color picker and hex input sync
+        const syncColorInputs = (colorInput, hexInput) => {
+            if (!colorInput || !hexInput) return;
+
+            colorInput.addEventListener('input', (e) => {
+                hexInput.value = e.target.value.toUpperCase();
+            });
+
+            hexInput.addEventListener('input', (e) => {
+                const value = e.target.value;
+                if (/^#[0-9A-Fa-f]{6}$/.test(value)) {
+                    colorInput.value = value;
+                }
+            });
+        };
+
+        syncColorInputs(
+            document.getElementById('pageBackgroundColor'),
+            document.getElementById('pageBackgroundColorHex')
+        );
+        syncColorInputs(
+            document.getElementById('groupHeaderBackgroundColor'),
+            document.getElementById('groupHeaderBackgroundColorHex')
+        );
+        syncColorInputs(
+            document.getElementById('urlItemBackgroundColor'),
+            document.getElementById('urlItemBackgroundColorHex')
+        );
+
+        // Save button
+        const form = document.getElementById('colorSettingsForm');
+        if (form) {
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveColorSettings();
+            });
+        }
+
+        // Cancel button
+        const cancelBtn = document.getElementById('cancelColorSettings');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.closeModal();
+            });
+        }
+
+        // Reset button
+        const resetBtn = document.getElementById('resetColorTheme');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', async () => {
+                await this.resetColorSettings();
+            });
+        }
+    }
+
+    async saveColorSettings() {
+        try {
+            const pageColor = document.getElementById('pageBackgroundColorHex')?.value;
+            const groupColor = document.getElementById('groupHeaderBackgroundColorHex')?.value;
+            const urlColor = document.getElementById('urlItemBackgroundColorHex')?.value;
+
+            // Validate color format
+            const colorPattern = /^#[0-9A-Fa-f]{6}$/;
+            if (!colorPattern.test(pageColor) || !colorPattern.test(groupColor) || !colorPattern.test(urlColor)) {
+                this.showToast('Invalid color format. Please use hex format (#RRGGBB)');
+                return;
+            }
+
+            const colorTheme = {
+                pageBackground: pageColor,
+                groupHeaderBackground: groupColor,
+                urlItemBackground: urlColor
+            };
+
+            // Update instance variable so it's preserved in saveData()
+            this.colorTheme = colorTheme;
+
+            await StorageManager.saveColorTheme(colorTheme);
+
+            // Apply colors immediately to popup
+            this.applyColorTheme(colorTheme);
+
+            this.closeModal();
+            this.showToast('Color settings saved successfully');
+
+        } catch (error) {
+            console.error('Error saving color settings:', error);
+            this.showToast('Failed to save color settings');
+        }
+    }
+
+    async resetColorSettings() {
+        try {
+            await StorageManager.resetColorTheme();
+
+            // Get default colors and update inputs
+            const defaultTheme = StorageManager.getDefaultColorTheme();
+
+            // Update instance variable so it's preserved in saveData()
+            this.colorTheme = defaultTheme;
+
+            const pageColorInput = document.getElementById('pageBackgroundColor');
+            const pageColorHexInput = document.getElementById('pageBackgroundColorHex');
+            const groupColorInput = document.getElementById('groupHeaderBackgroundColor');
+            const groupColorHexInput = document.getElementById('groupHeaderBackgroundColorHex');
+            const urlColorInput = document.getElementById('urlItemBackgroundColor');
+            const urlColorHexInput = document.getElementById('urlItemBackgroundColorHex');
+
+            if (pageColorInput && pageColorHexInput) {
+                pageColorInput.value = defaultTheme.pageBackground;
+                pageColorHexInput.value = defaultTheme.pageBackground;
+            }
+            if (groupColorInput && groupColorHexInput) {
+                groupColorInput.value = defaultTheme.groupHeaderBackground;
+                groupColorHexInput.value = defaultTheme.groupHeaderBackground;
+            }
+            if (urlColorInput && urlColorHexInput) {
+                urlColorInput.value = defaultTheme.urlItemBackground;
+                urlColorHexInput.value = defaultTheme.urlItemBackground;
+            }
+
+            this.showToast('Colors reset to defaults');
+
+        } catch (error) {
+            console.error('Error resetting colors:', error);
+            this.showToast('Failed to reset colors');
+        }
+    }
+
+    applyColorTheme(colorTheme) {
+        // Apply colors to popup using CSS custom properties
+        document.documentElement.style.setProperty('--page-bg', colorTheme.pageBackground);
+        document.documentElement.style.setProperty('--group-header-bg', colorTheme.groupHeaderBackground);
+        document.documentElement.style.setProperty('--url-item-bg', colorTheme.urlItemBackground);
+    }
+
+    async loadAndApplyColorTheme() {
+        try {
+            const colorTheme = await StorageManager.loadColorTheme();
+            this.applyColorTheme(colorTheme);
+        } catch (error) {
+            console.error('Error loading color theme:', error);
+        }
+    }
+
+    // Trash Modal Functions
+    // Tag manager: rename, merge and delete tags across all bookmarks
+    openTagManagerModal() {
+        try {
+            const template = document.getElementById('tagManagerModalTemplate');
+            const footerTemplate = document.getElementById('tagManagerModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Tag manager templates not found');
+                this.showToast('Tag manager unavailable');
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            this.openModal('Tags', modalBody, modalFooter);
+            this.renderTagManagerList();
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupTagManagerListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening tag manager:', error);
+            this.showToast('Failed to open tag manager');
+        }
+    }
+
+    setupTagManagerListeners() {
+        const tagList = document.getElementById('tagManagerList');
+        if (tagList) {
+            tagList.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-tag-action]');
+                if (!button) return;
+
+                const item = button.closest('.tag-manager-item');
+                const tag = item?.dataset.tag;
+                switch (button.dataset.tagAction) {
+                    case 'rename':
+                        this.showTagRenameForm(item);
+                        break;
+                    case 'save':
+                        await this.handleRenameTag(tag, item.querySelector('.tag-rename-input').value);
+                        break;
+                    case 'cancel':
+                        this.renderTagManagerList();
+                        break;
+                    case 'delete':
+                        await this.handleDeleteTag(tag);
+                        break;
+                }
+            });
+
+            tagList.addEventListener('keydown', async (e) => {
+                if (!e.target.classList.contains('tag-rename-input')) return;
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    await this.handleRenameTag(e.target.closest('.tag-manager-item').dataset.tag, e.target.value);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.renderTagManagerList();
+                }
+            });
+        }
+
+        const closeBtn = document.getElementById('closeTagManager');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.closeModal();
+            });
+        }
+    }
+
+    renderTagManagerList() {
+        const tagList = document.getElementById('tagManagerList');
+        const tagEmpty = document.getElementById('tagManagerEmpty');
+        if (!tagList) return;
+
+        const tags = BookmarkTags.collectTags(this.urls);
+        tagList.innerHTML = '';
+        if (tagEmpty) {
+            tagEmpty.style.display = tags.length === 0 ? 'block' : 'none';
+        }
+
+        tags.forEach(tag => {
+            const item = document.createElement('li');
+            item.className = 'tag-manager-item';
+            item.dataset.tag = tag.name;
+
+            const info = document.createElement('div');
+            info.className = 'tag-manager-info';
+
+            const name = document.createElement('span');
+            name.className = 'tag-chip';
+            name.textContent = tag.name;
+
+            const count = document.createElement('span');
+            count.className = 'tag-manager-count';
+            count.textContent = `${tag.count} bookmark${tag.count !== 1 ? 's' : ''}`;
+
+            info.appendChild(name);
+            info.appendChild(count);
+
+            const actions = document.createElement('div');
+            actions.className = 'tag-manager-actions';
+            actions.innerHTML = `
+                <button type="button" class="btn btn-tertiary" data-tag-action="rename">Rename</button>
+                <button type="button" class="btn btn-tertiary tag-delete-btn" data-tag-action="delete">Delete</button>
+            `;
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            tagList.appendChild(item);
+        });
+    }
+
+    // Replaces a tag's row with a name field
+    showTagRenameForm(item) {
+        if (!item) return;
+        const tag = item.dataset.tag;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-input tag-rename-input';
+        input.value = tag;
+        input.maxLength = BookmarkTags.BOOKMARK_TAG_MAX_LENGTH;
+        input.setAttribute('aria-label', `New name for tag ${tag}`);
+
+        const actions = document.createElement('div');
+        actions.className = 'tag-manager-actions';
+        actions.innerHTML = `
+            <button type="button" class="btn btn-primary" data-tag-action="save">Save</button>
+            <button type="button" class="btn btn-tertiary" data-tag-action="cancel">Cancel</button>
+        `;
+
+        item.innerHTML = '';
+        item.appendChild(input);
+        item.appendChild(actions);
+        input.focus();
+        input.select();
+    }
+
+    async handleRenameTag(tag, newName) {
+        const name = BookmarkTags.normalizeTag(newName);
+        if (!name) {
+            this.showToast('Tag name is required');
+            return;
+        }
+        if (name === tag) {
+            this.renderTagManagerList();
+            return;
+        }
+
+        try {
+            // Renaming to an existing tag (in any case) merges into it
+            const target = BookmarkTags.collectTags(this.urls)
+                .find(existing => existing.name.toLowerCase() === name.toLowerCase() && existing.name !== tag);
+            const changed = BookmarkTags.renameTag(this.urls, tag, target ? target.name : name);
+            if (this.isTagFiltered(tag)) {
+                this.tagFilter.delete(Array.from(this.tagFilter).find(filtered => BookmarkTags.getTagKey(filtered) === BookmarkTags.getTagKey(tag)));
+                this.tagFilter.add(target ? target.name : name);
+            }
+
+            await this.saveData();
+            this.renderURLs();
+            this.renderTagManagerList();
+            this.showUndoToast(target
+                ? `Merged "${tag}" into "${target.name}" on ${changed} bookmark${changed !== 1 ? 's' : ''}`
+                : `Renamed "${tag}" to "${name}" on ${changed} bookmark${changed !== 1 ? 's' : ''}`);
+        } catch (error) {
+            console.error('Error renaming tag:', error);
+            this.showError('Failed to rename tag');
+        }
+    }
+
+    async handleDeleteTag(tag) {
+        const entry = BookmarkTags.collectTags(this.urls).find(existing => existing.name === tag);
+        const count = entry ? entry.count : 0;
+        if (!confirm(`Remove the tag "${tag}" from ${count} bookmark${count !== 1 ? 's' : ''}? The bookmarks are kept.`)) {
+            return;
+        }
+
+        try {
+            const changed = BookmarkTags.deleteTag(this.urls, tag);
+            await this.saveData();
+            this.renderURLs();
+            this.renderTagManagerList();
+            this.showUndoToast(`Removed "${tag}" from ${changed} bookmark${changed !== 1 ? 's' : ''}`);
+        } catch (error) {
+            console.error('Error deleting tag:', error);
+            this.showError('Failed to delete tag');
+        }
+    }
+
+    // Smart groups: groups listing the bookmarks a saved query matches
+    async loadSmartGroups() {
+        try {
+            this.smartGroups = (await SmartGroups.loadSmartGroups()).map(data => SmartGroupDataModel.fromJSON(data));
+            this.bookmarkOpens = await SmartGroups.loadBookmarkOpens();
+        } catch (error) {
+            console.warn('Could not load smart groups:', error);
+        }
+    }
+
+    openSmartGroupModal(smartGroupId = null) {
+        try {
+            const smartGroup = smartGroupId ? this.smartGroups.find(sg => sg.id === smartGroupId) : null;
+            if (smartGroupId && !smartGroup) {
+                this.showError('Smart group not found');
+                return;
+            }
+            if (!smartGroup && this.smartGroups.length >= SmartGroups.SMART_GROUP_LIMIT) {
+                this.showError(`You can have at most ${SmartGroups.SMART_GROUP_LIMIT} smart groups`);
+                return;
+            }
+
+            const template = document.getElementById('smartGroupModalTemplate');
+            const footerTemplate = document.getElementById('smartGroupModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Smart group modal templates not found');
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            if (smartGroup) {
+                modalBody.querySelector('#smartGroupName').value = smartGroup.name;
+                modalBody.querySelector('#smartGroupQuery').value = smartGroup.query;
+                modalBody.querySelector('#smartGroupColor').value = smartGroup.color;
+                modalBody.querySelector('#smartGroupId').value = smartGroup.id;
+            }
+
+            this.openModal(smartGroup ? 'Edit Smart Group' : 'New Smart Group', modalBody, modalFooter);
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupSmartGroupModalListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening smart group modal:', error);
+            this.showError('Failed to open smart group dialog');
+        }
+    }
+
+    setupSmartGroupModalListeners() {
+        const form = document.getElementById('smartGroupForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSaveSmartGroup(form);
+            });
+        }
+
+        const cancelBtn = document.getElementById('cancelSmartGroup');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.closeModal());
+        }
+
+        const saveBtn = document.getElementById('saveSmartGroup');
+        if (saveBtn && form) {
+            saveBtn.addEventListener('click', () => {
+                if (form.checkValidity()) {
+                    form.requestSubmit();
+                } else {
+                    form.reportValidity();
+                }
+            });
+        }
+
+        const queryInput = document.getElementById('smartGroupQuery');
+        if (queryInput) {
+            queryInput.addEventListener('input', () => this.updateSmartGroupPreview(queryInput.value));
+            this.updateSmartGroupPreview(queryInput.value);
+            document.getElementById('smartGroupName')?.focus();
+        }
+    }
+
+    // Shows how many bookmarks the query matches, or why it cannot be used
+    updateSmartGroupPreview(query) {
+        const errorElement = document.getElementById('smartGroupQueryError');
+        const preview = document.getElementById('smartGroupPreview');
+        if (!errorElement || !preview) return;
+
+        if (!query.trim()) {
+            errorElement.textContent = '';
+            preview.textContent = '';
+            return;
+        }
+
+        const { errors } = SmartGroups.parseSmartQuery(query);
+        errorElement.textContent = errors.join('. ');
+        if (errors.length > 0) {
+            preview.textContent = '';
+            return;
+        }
+
+        const count = SmartGroups.getSmartGroupUrls(query, this.urls, { groups: this.groups, opens: this.bookmarkOpens }).length;
+        preview.textContent = `${count} bookmark${count !== 1 ? 's' : ''} match${count === 1 ? 'es' : ''} now`;
+    }
+
+    async handleSaveSmartGroup(form) {
+        try {
+            const formData = new FormData(form);
+            const smartGroupId = formData.get('smartGroupId');
+            const name = formData.get('smartGroupName').trim();
+            const query = formData.get('smartGroupQuery').trim();
+            const color = formData.get('smartGroupColor');
+            const nameError = document.getElementById('smartGroupNameError');
+
+            if (this.smartGroups.some(sg => sg.id !== smartGroupId && sg.name.toLowerCase() === name.toLowerCase())) {
+                if (nameError) nameError.textContent = 'A smart group with this name already exists';
+                return;
+            }
+
+            const existing = this.smartGroups.find(sg => sg.id === smartGroupId);
+            const smartGroup = new SmartGroupDataModel({
+                ...(existing ? existing.toJSON() : {}),
+                name,
+                query,
+                color,
+                lastModified: new Date().toISOString(),
+                order: existing ? existing.order : Math.max(0, ...this.smartGroups.map(sg => sg.order || 0)) + 1
+            });
+
+            const validation = smartGroup.validate();
+            if (!validation.isValid) {
+                const queryError = document.getElementById('smartGroupQueryError');
+                if (queryError) queryError.textContent = validation.errors.join('. ');
+                return;
+            }
+
+            const smartGroups = existing
+                ? this.smartGroups.map(sg => sg.id === smartGroup.id ? smartGroup : sg)
+                : [...this.smartGroups, smartGroup];
+            await SmartGroups.saveSmartGroups(smartGroups);
+            this.smartGroups = smartGroups;
+
+            this.renderURLs();
+            this.closeModal();
+            this.showToast(`Smart group "${name}" ${existing ? 'updated' : 'created'}`);
+        } catch (error) {
+            console.error('Error saving smart group:', error);
+            this.showError(error.message || 'Failed to save smart group');
+        }
+    }
+
+    // Deleting a smart group keeps its bookmarks
+    async deleteSmartGroup(smartGroupId) {
+        const smartGroup = this.smartGroups.find(sg => sg.id === smartGroupId);
+        if (!smartGroup) return;
+
+        if (!confirm(`Delete the smart group "${smartGroup.name}"? Its bookmarks are kept.`)) {
+            return;
+        }
+
+        try {
+            const smartGroups = this.smartGroups.filter(sg => sg.id !== smartGroupId);
+            await SmartGroups.saveSmartGroups(smartGroups);
+            this.smartGroups = smartGroups;
+            this.renderURLs();
+            this.showToast(`Smart group "${smartGroup.name}" deleted`);
+        } catch (error) {
+            console.error('Error deleting smart group:', error);
+            this.showError('Failed to delete smart group');
+        }
+    }
+
+    // Grouping rules: file new bookmarks into groups by address or title
+    async loadGroupingRules() {
+        try {
+            this.groupingRules = await GroupingRules.loadGroupingRules();
+        } catch (error) {
+            console.warn('Could not load grouping rules:', error);
+        }
+    }
+
+    openGroupingRulesModal() {
+        try {
+            const template = document.getElementById('groupingRulesModalTemplate');
+            const footerTemplate = document.getElementById('groupingRulesModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Grouping rules templates not found');
+                this.showToast('Grouping rules unavailable');
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            // Edits apply to a copy until saved
+            this.groupingRulesDraft = this.groupingRules.map(rule => ({ ...rule }));
+
+            this.openModal('Grouping Rules', modalBody, modalFooter);
+            this.renderGroupingRulesList();
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupGroupingRulesListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening grouping rules:', error);
+            this.showToast('Failed to open grouping rules');
+        }
+    }
+
+    setupGroupingRulesListeners() {
+        const ruleList = document.getElementById('groupingRulesList');
+        if (ruleList) {
+            ruleList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-rule-action]');
+                if (!button) return;
+
+                const index = this.groupingRulesDraft.findIndex(rule => rule.id === button.closest('.grouping-rule-item').dataset.ruleId);
+                switch (button.dataset.ruleAction) {
+                    case 'up':
+                        this.moveGroupingRule(index, index - 1);
+                        break;
+                    case 'down':
+                        this.moveGroupingRule(index, index + 1);
+                        break;
+                    case 'delete':
+                        this.groupingRulesDraft.splice(index, 1);
+                        this.renderGroupingRulesList();
+                        break;
+                }
+            });
+
+            // Field edits update the draft without re-rendering (which would steal the focus)
+            const updateRule = (e) => {
+                const item = e.target.closest('.grouping-rule-item');
+                const rule = item && this.groupingRulesDraft.find(r => r.id === item.dataset.ruleId);
+                if (!rule) return;
+
+                rule.type = item.querySelector('.grouping-rule-type').value;
+                rule.value = item.querySelector('.grouping-rule-value').value;
+                rule.groupId = item.querySelector('.grouping-rule-group').value;
+                rule.enabled = item.querySelector('.grouping-rule-enabled').checked;
+                item.querySelector('.grouping-rule-value').placeholder = this.getGroupingRulePlaceholder(rule.type);
+                item.querySelector('.grouping-rule-error').textContent = '';
+                this.clearGroupingRulesPreview();
+            };
+            ruleList.addEventListener('input', updateRule);
+            ruleList.addEventListener('change', updateRule);
+        }
+
+        const addBtn = document.getElementById('addGroupingRule');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                if (this.groupingRulesDraft.length >= GroupingRules.GROUPING_RULE_LIMIT) {
+                    this.showToast(`You can have at most ${GroupingRules.GROUPING_RULE_LIMIT} grouping rules`);
+                    return;
+                }
+                const firstGroup = this.groups.find(group => group.id !== BookmarkRepository.DEFAULT_GROUP_ID);
+                this.groupingRulesDraft.push(GroupingRules.createGroupingRule({
+                    groupId: firstGroup ? firstGroup.id : BookmarkRepository.DEFAULT_GROUP_ID
+                }));
+                this.renderGroupingRulesList();
+                const values = document.querySelectorAll('#groupingRulesList .grouping-rule-value');
+                values[values.length - 1]?.focus();
+            });
+        }
+
+        const scopeSelect = document.getElementById('groupingRulesScope');
+        if (scopeSelect) {
+            scopeSelect.addEventListener('change', () => this.clearGroupingRulesPreview());
+        }
+
+        const previewBtn = document.getElementById('previewGroupingRules');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', () => this.renderGroupingRulesPreview());
+        }
+
+        const applyBtn = document.getElementById('applyGroupingRules');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.handleApplyGroupingRules());
+        }
+
+        const cancelBtn = document.getElementById('cancelGroupingRules');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.groupingRulesDraft = null;
+                this.closeModal();
+            });
+        }
+
+        const saveBtn = document.getElementById('saveGroupingRules');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSaveGroupingRules());
+        }
+    }
+
+    getGroupingRulePlaceholder(type) {
+        switch (type) {
+            case 'domain-ends-with': return 'example.com';
+            case 'path-prefix': return '/docs';
+            case 'url-regex': return '^https://[^/]+/issues/';
+            case 'title-contains': return 'Recipe';
+            default: return 'github.com';
+        }
+    }
+
+    // One row per rule, in priority order
+    renderGroupingRulesList() {
+        const ruleList = document.getElementById('groupingRulesList');
+        const emptyState = document.getElementById('groupingRulesEmpty');
+        if (!ruleList || !this.groupingRulesDraft) return;
+
+        ruleList.innerHTML = '';
+        if (emptyState) {
+            emptyState.style.display = this.groupingRulesDraft.length === 0 ? 'block' : 'none';
+        }
+
+        this.groupingRulesDraft.forEach((rule, index) => {
+            const item = document.createElement('li');
+            item.className = 'grouping-rule-item';
+            item.dataset.ruleId = rule.id;
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.className = 'grouping-rule-enabled';
+            enabled.checked = rule.enabled !== false;
+            enabled.setAttribute('aria-label', `Rule ${index + 1} enabled`);
+
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'form-select grouping-rule-type';
+            typeSelect.setAttribute('aria-label', `Rule ${index + 1} type`);
+            Object.entries(GroupingRules.GROUPING_RULE_TYPE_NAMES).forEach(([type, name]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = name;
+                option.selected = type === rule.type;
+                typeSelect.appendChild(option);
+            });
+
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.className = 'form-input grouping-rule-value';
+            valueInput.value = rule.value;
+            valueInput.maxLength = GroupingRules.GROUPING_RULE_VALUE_MAX_LENGTH;
+            valueInput.placeholder = this.getGroupingRulePlaceholder(rule.type);
+            valueInput.setAttribute('aria-label', `Rule ${index + 1} value`);
+
+            const groupSelect = document.createElement('select');
+            groupSelect.className = 'form-select grouping-rule-group';
+            groupSelect.setAttribute('aria-label', `Rule ${index + 1} group`);
+            this.populateGroupSelect(groupSelect, rule.groupId);
+            if (!this.getGroupById(rule.groupId)) {
+                // Kept until changed, so the rule is not silently pointed elsewhere
+                const missing = document.createElement('option');
+                missing.value = rule.groupId;
+                missing.textContent = '(deleted group)';
+                missing.selected = true;
+                groupSelect.prepend(missing);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'grouping-rule-actions';
+            actions.innerHTML = `
+                <button type="button" class="group-action-btn" data-rule-action="up" aria-label="Move rule ${index + 1} up" title="Higher priority" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="group-action-btn" data-rule-action="down" aria-label="Move rule ${index + 1} down" title="Lower priority" ${index === this.groupingRulesDraft.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="group-action-btn" data-rule-action="delete" aria-label="Delete rule ${index + 1}" title="Delete rule">✕</button>
+            `;
+
+            const fields = document.createElement('div');
+            fields.className = 'grouping-rule-fields';
+            const arrow = document.createElement('span');
+            arrow.className = 'grouping-rule-arrow';
+            arrow.textContent = '→';
+            arrow.setAttribute('aria-hidden', 'true');
+            fields.append(enabled, typeSelect, valueInput, arrow, groupSelect, actions);
+
+            const error = document.createElement('div');
+            error.className = 'form-error grouping-rule-error';
+            error.setAttribute('role', 'alert');
+
+            item.append(fields, error);
+            ruleList.appendChild(item);
+        });
+    }
+
+    moveGroupingRule(from, to) {
+        if (from < 0 || to < 0 || to >= this.groupingRulesDraft.length) return;
+        const [rule] = this.groupingRulesDraft.splice(from, 1);
+        this.groupingRulesDraft.splice(to, 0, rule);
+        this.renderGroupingRulesList();
+        this.clearGroupingRulesPreview();
+        document.querySelector(`#groupingRulesList [data-rule-id="${CSS.escape(rule.id)}"] [data-rule-action="${to < from ? 'up' : 'down'}"]`)?.focus();
+    }
+
+    // Shows the errors of each rule next to it
+    validateGroupingRulesDraft() {
+        let valid = true;
+        this.groupingRulesDraft.forEach(rule => {
+            const errors = GroupingRules.validateGroupingRule(rule, this.groups);
+            const error = document.querySelector(`#groupingRulesList [data-rule-id="${CSS.escape(rule.id)}"] .grouping-rule-error`);
+            if (error) {
+                error.textContent = errors.join('. ');
+            }
+            valid = valid && errors.length === 0;
+        });
+        return valid;
+    }
+
+    getGroupingRulesPlan() {
+        const ungroupedOnly = document.getElementById('groupingRulesScope')?.value !== 'all';
+        return GroupingRules.planGroupingRuleMoves(this.groupingRulesDraft, this.urls, this.groups, { ungroupedOnly });
+    }
+
+    clearGroupingRulesPreview() {
+        const preview = document.getElementById('groupingRulesPreview');
+        const summary = document.getElementById('groupingRulesPreviewSummary');
+        const applyBtn = document.getElementById('applyGroupingRules');
+        if (preview) preview.innerHTML = '';
+        if (summary) summary.textContent = '';
+        if (applyBtn) applyBtn.classList.add('hidden');
+    }
+
+    // Dry run: lists the bookmarks the rules would move, without moving them
+    renderGroupingRulesPreview() {
+        const preview = document.getElementById('groupingRulesPreview');
+        const summary = document.getElementById('groupingRulesPreviewSummary');
+        const applyBtn = document.getElementById('applyGroupingRules');
+        if (!preview || !summary || !applyBtn) return;
+
+        this.validateGroupingRulesDraft();
+        const moves = this.getGroupingRulesPlan();
+        preview.innerHTML = '';
+        moves.forEach(move => {
+            const item = document.createElement('li');
+            item.className = 'grouping-rules-preview-item';
+
+            const title = document.createElement('span');
+            title.className = 'grouping-rules-preview-title';
+            title.textContent = move.url.title;
+            title.title = move.url.url;
+
+            const target = document.createElement('span');
+            target.className = 'grouping-rules-preview-target';
+            target.textContent = `${this.getGroupById(move.fromGroupId)?.name || 'Ungrouped'} → ${this.getGroupById(move.toGroupId)?.name}`;
+
+            item.append(title, target);
+            preview.appendChild(item);
+        });
+
+        summary.textContent = moves.length > 0
+            ? `${moves.length} bookmark${moves.length !== 1 ? 's' : ''} would be moved. Nothing has changed yet.`
+            : 'No bookmarks would be moved.';
+        applyBtn.textContent = `Move ${moves.length} Bookmark${moves.length !== 1 ? 's' : ''}`;
+        applyBtn.classList.toggle('hidden', moves.length === 0);
+    }
+
+    // Re-applies the rules being edited to existing bookmarks (the rules themselves are
+    // only stored by Save Rules)
+    async handleApplyGroupingRules() {
+        try {
+            const moves = this.getGroupingRulesPlan();
+            if (moves.length === 0) {
+                this.renderGroupingRulesPreview();
+                return;
+            }
+
+            const now = new Date().toISOString();
+            moves.forEach(move => {
+                move.url.groupId = move.toGroupId;
+                move.url.lastModified = now;
+            });
+
+            await this.saveData();
+            this.renderURLs();
+            this.renderGroupingRulesPreview();
+            this.showUndoToast(`Moved ${moves.length} bookmark${moves.length !== 1 ? 's' : ''} by grouping rules`);
+        } catch (error) {
+            console.error('Error applying grouping rules:', error);
+            this.showError('Failed to apply grouping rules');
+        }
+    }
+
+    async handleSaveGroupingRules() {
+        const errorElement = document.getElementById('groupingRulesError');
+        if (errorElement) errorElement.textContent = '';
+
+        // Rules whose group was deleted may be kept; they are skipped until fixed
+        const blocking = this.groupingRulesDraft.some(rule => GroupingRules.validateGroupingRule(rule).length > 0);
+        this.validateGroupingRulesDraft();
+        if (blocking) {
+            if (errorElement) errorElement.textContent = 'Fix the rules marked above before saving.';
+            return;
+        }
+
+        try {
+            await GroupingRules.saveGroupingRules(this.groupingRulesDraft);
+            this.groupingRules = this.groupingRulesDraft.map(rule => GroupingRules.createGroupingRule({ ...rule, value: rule.value.trim() }));
+            this.groupingRulesDraft = null;
+            this.closeModal();
+            this.showToast(`Saved ${this.groupingRules.length} grouping rule${this.groupingRules.length !== 1 ? 's' : ''}`);
+        } catch (error) {
+            console.error('Error saving grouping rules:', error);
+            if (errorElement) errorElement.textContent = error.message || 'Failed to save grouping rules';
+        }
+    }
+
+    async openTrashModal() {
+        try {
+            const template = document.getElementById('trashModalTemplate');
+            const footerTemplate = document.getElementById('trashModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Trash templates not found');
+                this.showToast('Trash unavailable');
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            const retentionSelect = modalBody.getElementById('trashRetention');
+            if (retentionSelect) {
+                retentionSelect.value = String(await TrashManager.loadRetentionDays());
+            }
+
+            this.openModal('Trash', modalBody, modalFooter);
+            await this.renderTrashList();
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupTrashListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening trash:', error);
+            this.showToast('Failed to open trash');
+        }
+    }
+
+    setupTrashListeners() {
+        const retentionSelect = document.getElementById('trashRetention');
+        if (retentionSelect) {
+            retentionSelect.addEventListener('change', async (e) => {
+                try {
+                    await TrashManager.saveRetentionDays(parseInt(e.target.value, 10));
+                    await this.renderTrashList();
+                } catch (error) {
+                    console.error('Error saving trash retention:', error);
+                    this.showError('Failed to save retention period');
+                }
+            });
+        }
+
+        const trashList = document.getElementById('trashList');
+        if (trashList) {
+            trashList.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-trash-action]');
+                if (!button) return;
+
+                const entryId = button.closest('.trash-item')?.dataset.entryId;
+                if (button.dataset.trashAction === 'restore') {
+                    await this.restoreTrashEntry(entryId);
+                } else if (button.dataset.trashAction === 'purge') {
+                    await this.purgeTrashEntry(entryId);
+                }
+            });
+        }
+
+        const emptyBtn = document.getElementById('emptyTrash');
+        if (emptyBtn) {
+            emptyBtn.addEventListener('click', async () => {
+                if (!confirm('Permanently delete all items in the Trash? This cannot be undone.')) {
+                    return;
+                }
+                try {
+                    await TrashManager.emptyTrash();
+                    await this.renderTrashList();
+                    this.showToast('Trash emptied');
+                } catch (error) {
+                    console.error('Error emptying trash:', error);
+                    this.showError('Failed to empty trash');
+                }
+            });
+        }
+
+        const closeBtn = document.getElementById('closeTrash');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.closeModal();
+            });
+        }
+    }
+
+    async renderTrashList() {
+        const trashList = document.getElementById('trashList');
+        const trashEmpty = document.getElementById('trashEmpty');
+        const emptyBtn = document.getElementById('emptyTrash');
+        if (!trashList) return;
+
+        const entries = await TrashManager.loadTrash();
+        const retentionDays = await TrashManager.loadRetentionDays();
+
+        trashList.innerHTML = '';
+        if (trashEmpty) {
+            trashEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+        }
+        if (emptyBtn) {
+            emptyBtn.disabled = entries.length === 0;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'trash-item';
+            item.dataset.entryId = entry.id;
+
+            const info = document.createElement('div');
+            info.className = 'trash-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'trash-item-title';
+            title.textContent = entry.type === 'group' ? `📁 ${entry.item.name}` : entry.item.title;
+            title.title = entry.type === 'group' ? entry.item.name : entry.item.url;
+
+            const meta = document.createElement('div');
+            meta.className = 'trash-item-meta';
+            meta.textContent = this.getTrashEntryDescription(entry, retentionDays);
+
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'trash-item-actions';
+            actions.innerHTML = `
+                <button type="button" class="btn btn-tertiary" data-trash-action="restore">Restore</button>
+                <button type="button" class="btn btn-tertiary trash-purge-btn" data-trash-action="purge" aria-label="Delete permanently">Delete</button>
+            `;
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            trashList.appendChild(item);
+        });
+    }
+
+    getTrashEntryDescription(entry, retentionDays) {
+        const parts = [];
+        if (entry.type === 'group') {
+            const subgroups = entry.subgroups || [];
+            const urlCount = entry.urls.length + subgroups.reduce((sum, subgroup) => sum + subgroup.urls.length, 0);
+            const subgroupNote = subgroups.length > 0 ? `${subgroups.length} sub-group${subgroups.length !== 1 ? 's' : ''} and ` : '';
+            parts.push(`Group with ${subgroupNote}${urlCount} bookmark${urlCount !== 1 ? 's' : ''}`);
+        } else {
+            parts.push(`From ${entry.originalGroupName || 'Ungrouped'}`);
+        }
+        parts.push(`deleted ${new Date(entry.deletedAt).toLocaleDateString()}`);
+
+        const purgeTime = TrashManager.getPurgeTime(entry, retentionDays);
+        if (purgeTime !== null) {
+            const daysLeft = Math.max(0, Math.ceil((purgeTime - Date.now()) / (24 * 60 * 60 * 1000)));
+            parts.push(`removed in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`);
+        }
+        return parts.join(' · ');
+    }
+
+    async restoreTrashEntry(entryId) {
+        try {
+            const entry = (await TrashManager.loadTrash()).find(e => e.id === entryId);
+            if (!entry) {
+                await this.renderTrashList();
+                return;
+            }
+
+            let restoredUrls = [entry.item];
+            if (entry.type === 'group') {
+                const subgroups = entry.subgroups || [];
+                restoredUrls = [...entry.urls, ...subgroups.flatMap(subgroup => subgroup.urls)];
+                [entry.item, ...subgroups.map(subgroup => subgroup.item)]
+                    .filter(groupData => !this.groups.some(g => g.id === groupData.id))
+                    .forEach((groupData, index) => {
+                        const group = GroupDataModel.fromJSON(groupData);
+                        if (index === 0) {
+                            // Orders are numbered within the parent; a parent that is gone means top-level
+                            const parentId = this.groups.some(g => g.id === group.parentId) ? group.parentId : null;
+                            this.makeRoomAtOrder(GroupTree.getGroupChildren(this.groups, parentId), group.order);
+                        }
+                        this.groups.push(group);
+                    });
+
+                // A parent deleted since is gone; the group becomes a top-level group
+                this.groups.forEach(group => {
+                    if (group.parentId && !this.groups.some(g => g.id === group.parentId)) {
+                        group.parentId = null;
+                    }
+                });
+                this.normalizeGroupOrders();
+            }
+
+            restoredUrls
+                .filter(urlData => !this.urls.some(u => u.id === urlData.id))
+                .forEach(urlData => {
+                    const url = URLDataModel.fromJSON(urlData);
+                    const groupUrls = this.urls.filter(u => u.groupId === url.groupId);
+                    if (!this.groups.some(g => g.id === url.groupId)) {
+                        // Original group is gone; restore to the end of Ungrouped
+                        url.groupId = this.getDefaultGroupId();
+                        const defaultUrls = this.urls.filter(u => u.groupId === url.groupId);
+                        url.order = defaultUrls.length > 0 ? Math.max(...defaultUrls.map(u => u.order || 0)) + 1 : 1;
+                    } else {
+                        this.makeRoomAtOrder(groupUrls, url.order);
+                    }
+                    this.urls.push(url);
+                });
+
+            // Save before removing from the trash so a failed save loses nothing
+            if (!await this.saveData()) {
+                await this.revertUnsavedChanges();
+                return;
+            }
+            await TrashManager.removeFromTrash([entry.id]);
+
+            this.renderURLs();
+            await this.renderTrashList();
+
+            const name = entry.type === 'group' ? entry.item.name : entry.item.title;
+            this.showUndoToast(`"${name}" restored`);
+        } catch (error) {
+            console.error('Error restoring trash entry:', error);
+            this.showError(error.message || 'Failed to restore item');
+        }
+    }
+
+    async purgeTrashEntry(entryId) {
+        try {
+            await TrashManager.removeFromTrash([entryId]);
+            await this.renderTrashList();
+        } catch (error) {
+            console.error('Error deleting trash entry:', error);
+            this.showError('Failed to delete item permanently');
+        }
+    }
+
+    // Shift orders so an item can be restored at its original position
+    makeRoomAtOrder(items, order) {
+        if (order === undefined || order === null) return;
+        items.forEach(item => {
+            if ((item.order || 0) >= order) {
+                item.order = (item.order || 0) + 1;
+            }
+        });
+    }
+
+    // Snapshots Modal Functions
+    async openSnapshotsModal() {
+        try {
+            const template = document.getElementById('snapshotsModalTemplate');
+            const footerTemplate = document.getElementById('snapshotsModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Snapshot templates not found');
+                this.showToast('Snapshots unavailable');
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            const settings = await SnapshotManager.loadSnapshotSettings();
+            const generationsSelect = modalBody.getElementById('snapshotGenerations');
+            const saveIntervalSelect = modalBody.getElementById('snapshotSaveInterval');
+            if (generationsSelect) {
+                generationsSelect.value = String(settings.generations);
+            }
+            if (saveIntervalSelect) {
+                saveIntervalSelect.value = String(settings.saveInterval);
+            }
+
+            this.selectedSnapshotId = null;
+            this.openModal('Restore Snapshot', modalBody, modalFooter);
+            await this.renderSnapshotList();
+
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupSnapshotListeners();
+            }, 100);
+
+        } catch (error) {
+            console.error('Error opening snapshots:', error);
+            this.showToast('Failed to open snapshots');
+        }
+    }
+
+    setupSnapshotListeners() {
+        const saveSettings = async (settings) => {
+            try {
+                await SnapshotManager.saveSnapshotSettings(settings);
+                await this.renderSnapshotList();
+            } catch (error) {
+                console.error('Error saving snapshot settings:', error);
+                this.showError(error.message || 'Failed to save snapshot settings');
+            }
+        };
+
+        const generationsSelect = document.getElementById('snapshotGenerations');
+        if (generationsSelect) {
+            generationsSelect.addEventListener('change', (e) => {
+                saveSettings({ generations: parseInt(e.target.value, 10) });
+            });
+        }
+
+        const saveIntervalSelect = document.getElementById('snapshotSaveInterval');
+        if (saveIntervalSelect) {
+            saveIntervalSelect.addEventListener('change', (e) => {
+                saveSettings({ saveInterval: parseInt(e.target.value, 10) });
+            });
+        }
+
+        const snapshotList = document.getElementById('snapshotList');
+        if (snapshotList) {
+            snapshotList.addEventListener('click', async (e) => {
+                const item = e.target.closest('.snapshot-item');
+                if (!item) return;
+
+                if (e.target.closest('[data-snapshot-action="delete"]')) {
+                    await this.deleteSnapshot(item.dataset.snapshotId);
+                } else {
+                    await this.previewSnapshot(item.dataset.snapshotId);
+                }
+            });
+        }
+
+        const takeBtn = document.getElementById('takeSnapshot');
+        if (takeBtn) {
+            takeBtn.addEventListener('click', async () => {
+                try {
+                    const snapshot = await SnapshotManager.createSnapshot('manual');
+                    await this.renderSnapshotList();
+                    this.showToast(snapshot ? 'Snapshot taken' : 'No changes since the latest snapshot');
+                } catch (error) {
+                    console.error('Error taking snapshot:', error);
+                    this.showError('Failed to take snapshot');
+                }
+            });
+        }
+
+        const restoreBtn = document.getElementById('restoreSnapshot');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', async () => {
+                if (this.selectedSnapshotId) {
+                    await this.restoreSnapshot(this.selectedSnapshotId);
+                }
+            });
+        }
+
+        const closeBtn = document.getElementById('closeSnapshots');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.closeModal();
+            });
+        }
+    }
+
+    async renderSnapshotList() {
+        const snapshotList = document.getElementById('snapshotList');
+        const snapshotEmpty = document.getElementById('snapshotEmpty');
+        if (!snapshotList) return;
+
+        const snapshots = await SnapshotManager.loadSnapshots();
+        if (!snapshots.some(s => s.id === this.selectedSnapshotId)) {
+            this.selectedSnapshotId = null;
+            this.renderSnapshotPreview(null);
+        }
+
+        snapshotList.innerHTML = '';
+        if (snapshotEmpty) {
+            snapshotEmpty.style.display = snapshots.length === 0 ? 'block' : 'none';
+        }
+
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
+            item.dataset.snapshotId = snapshot.id;
+            item.tabIndex = 0;
+            item.setAttribute('role', 'button');
+            item.setAttribute('aria-pressed', String(snapshot.id === this.selectedSnapshotId));
+            if (snapshot.id === this.selectedSnapshotId) {
+                item.classList.add('selected');
+            }
+
+            const info = document.createElement('div');
+            info.className = 'snapshot-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'snapshot-item-title';
+            title.textContent = new Date(snapshot.created).toLocaleString();
+
+            const meta = document.createElement('div');
+            meta.className = 'snapshot-item-meta';
+            meta.textContent = `${this.getSnapshotReasonLabel(snapshot.reason)} · ${snapshot.groupCount} group${snapshot.groupCount !== 1 ? 's' : ''}, ${snapshot.urlCount} bookmark${snapshot.urlCount !== 1 ? 's' : ''}`;
+
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-tertiary trash-purge-btn';
+            deleteBtn.dataset.snapshotAction = 'delete';
+            deleteBtn.setAttribute('aria-label', 'Delete snapshot');
+            deleteBtn.textContent = 'Delete';
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            snapshotList.appendChild(item);
+        });
+    }
+
+    getSnapshotReasonLabel(reason) {
+        switch (reason) {
+            case 'scheduled': return 'Scheduled';
+            case 'saves': return 'After changes';
+            case 'manual': return 'Manual';
+            case 'before_restore': return 'Before restore';
+            default: return 'Snapshot';
+        }
+    }
+
+    async previewSnapshot(snapshotId) {
+        try {
+            const snapshot = (await SnapshotManager.loadSnapshots()).find(s => s.id === snapshotId);
+            if (!snapshot) {
+                await this.renderSnapshotList();
+                return;
+            }
+
+            this.selectedSnapshotId = snapshotId;
+            document.querySelectorAll('.snapshot-item').forEach(item => {
+                const selected = item.dataset.snapshotId === snapshotId;
+                item.classList.toggle('selected', selected);
+                item.setAttribute('aria-pressed', String(selected));
+            });
+            this.renderSnapshotPreview(snapshot);
+        } catch (error) {
+            console.error('Error previewing snapshot:', error);
+            this.showError('Failed to preview snapshot');
+        }
+    }
+
+    // Shows what restoring the snapshot would change compared to the current bookmarks
+    renderSnapshotPreview(snapshot) {
+        const preview = document.getElementById('snapshotPreview');
+        const restoreBtn = document.getElementById('restoreSnapshot');
+        if (!preview) return;
+
+        preview.innerHTML = '';
+        if (restoreBtn) {
+            restoreBtn.disabled = !snapshot;
+        }
+        if (!snapshot) {
+            preview.style.display = 'none';
+            return;
+        }
+        preview.style.display = 'block';
+
+        const diff = SnapshotManager.diffSnapshot(snapshot, this.groups, this.urls);
+        const rows = [
+            { label: 'Bookmarks brought back', items: diff.urls.added, name: url => url.title },
+            { label: 'Bookmarks removed', items: diff.urls.removed, name: url => url.title },
+            { label: 'Bookmarks reverted', items: diff.urls.changed, name: url => url.title },
+            { label: 'Groups brought back', items: diff.groups.added, name: group => group.name },
+            { label: 'Groups removed', items: diff.groups.removed, name: group => group.name },
+            { label: 'Groups reverted', items: diff.groups.changed, name: group => group.name }
+        ].filter(row => row.items.length > 0);
+
+        const summary = document.createElement('p');
+        summary.className = 'snapshot-preview-summary';
+        summary.textContent = `Snapshot: ${snapshot.groupCount} groups, ${snapshot.urlCount} bookmarks · Now: ${this.groups.length} groups, ${this.urls.length} bookmarks`;
+        preview.appendChild(summary);
+
+        if (rows.length === 0) {
+            const same = document.createElement('p');
+            same.className = 'snapshot-preview-same';
+            same.textContent = 'Bookmarks are identical to this snapshot.';
+            preview.appendChild(same);
+            return;
+        }
+
+        const PREVIEW_ITEM_LIMIT = 5;
+        rows.forEach(row => {
+            const section = document.createElement('div');
+            section.className = 'snapshot-diff-row';
+
+            const heading = document.createElement('div');
+            heading.className = 'snapshot-diff-label';
+            heading.textContent = `${row.label} (${row.items.length})`;
+
+            const names = document.createElement('div');
+            names.className = 'snapshot-diff-items';
+            const shown = row.items.slice(0, PREVIEW_ITEM_LIMIT).map(row.name);
+            const more = row.items.length - shown.length;
+            names.textContent = shown.join(', ') + (more > 0 ? ` and ${more} more` : '');
+
+            section.appendChild(heading);
+            section.appendChild(names);
+            preview.appendChild(section);
+        });
+    }
+
+    async deleteSnapshot(snapshotId) {
+        try {
+            await SnapshotManager.deleteSnapshot(snapshotId);
+            await this.renderSnapshotList();
+        } catch (error) {
+            console.error('Error deleting snapshot:', error);
+            this.showError('Failed to delete snapshot');
+        }
+    }
+
+    async restoreSnapshot(snapshotId) {
+        try {
+            const snapshot = (await SnapshotManager.loadSnapshots()).find(s => s.id === snapshotId);
+            if (!snapshot) {
+                await this.renderSnapshotList();
+                return;
+            }
+            if (!confirm(`Replace your bookmarks with the snapshot from ${new Date(snapshot.created).toLocaleString()}?`)) {
+                return;
+            }
+
+            // Keep the current state so the restore itself can be reverted
+            await SnapshotManager.createSnapshot('before_restore', { force: true });
+
+            this.groups = snapshot.groups.map(groupData => GroupDataModel.fromJSON(groupData));
+            this.urls = snapshot.urls.map(urlData => URLDataModel.fromJSON(urlData));
+            this.initializeDefaultGroup();
+
+            SnapshotManager.SNAPSHOT_SETTING_FIELDS
+                .filter(field => snapshot.settings[field] !== undefined)
+                .forEach(field => {
+                    this[field] = snapshot.settings[field];
+                });
+
+            await this.saveData();
+
+            this.closeModal();
+            this.initializeToggle();
+            if (this.colorTheme) {
+                this.applyColorTheme(this.colorTheme);
+            }
+            this.renderURLs();
+            this.showUndoToast('Snapshot restored');
+        } catch (error) {
+            console.error('Error restoring snapshot:', error);
+            this.showError(error.message || 'Failed to restore snapshot');
+        }
+    }
+
+    // Sync Conflict Functions
+    async updateConflictBanner() {
+        const banner = document.getElementById('conflictBanner');
+        const bannerText = document.getElementById('conflictBannerText');
+        if (!banner || !bannerText) return;
+
+        try {
+            const conflicts = await ConflictManager.loadConflicts();
+            banner.style.display = conflicts.length > 0 ? 'flex' : 'none';
+            bannerText.textContent = `⚠️ ${conflicts.length} item${conflicts.length !== 1 ? 's were' : ' was'} changed on several devices at once`;
+        } catch (error) {
+            console.error('Error loading sync conflicts:', error);
+        }
+    }
+
+    async openConflictsModal() {
+        try {
+            const template = document.getElementById('conflictsModalTemplate');
+            const footerTemplate = document.getElementById('conflictsModalFooterTemplate');
+
+            if (!template || !footerTemplate) {
+                console.error('Conflict templates not found');
+                this.showToast('Conflicts unavailable');
+                return;
+            }
+
+            const modalBody = template.content.cloneNode(true);
+            const modalFooter = footerTemplate.content.cloneNode(true);
+
+            this.deviceId = await StorageManager.getDeviceId();
+            this.openModal('Resolve Sync Conflicts', modalBody, modalFooter);
+            await this.renderConflictList();
 
-            this.showToast(`Import completed: ${importData.urls.length} URLs and ${importData.groups.length} groups processed.`);
-            console.log('Import completed successfully');
+            // Setup event listeners after modal is opened
+            setTimeout(() => {
+                this.setupConflictListeners();
+            }, 100);
 
         } catch (error) {
-            console.error('Import processing failed:', error);
-            this.showToast('Import failed. Please try again.');
+            console.error('Error opening conflicts:', error);
+            this.showToast('Failed to open conflicts');
         }
     }
 
-    async processReplaceImport(importData) {
-        try {
-            // Validate import data one more time
-            const validation = this.validateImportData(importData);
-            if (!validation.valid) {
-                this.showToast(`Import validation failed: ${validation.error}`);
-                return;
-            }
-
-            // Apply URL and group limits
-            const limitedUrls = importData.urls.slice(0, 400);
-            const limitedGroups = importData.groups.slice(0, 32);
+    setupConflictListeners() {
+        const conflictList = document.getElementById('conflictList');
+        if (conflictList) {
+            conflictList.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-conflict-choice]');
+                if (!button) return;
 
-            // Convert imported data to data model instances
-            this.urls = limitedUrls.map(urlData => {
-                if (urlData instanceof URLDataModel) {
-                    return urlData;
-                }
-                return URLDataModel.fromJSON(urlData);
+                const conflictId = button.closest('.conflict-item')?.dataset.conflictId;
+                await this.resolveConflict(conflictId, button.dataset.conflictChoice);
             });
+        }
 
-            this.groups = limitedGroups.map(groupData => {
-                if (groupData instanceof GroupDataModel) {
-                    return groupData;
-                }
-                return GroupDataModel.fromJSON(groupData);
+        const closeBtn = document.getElementById('closeConflicts');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.closeModal();
             });
+        }
+    }
 
-            // Ensure default "Ungrouped" group exists and has correct properties
-            this.initializeDefaultGroup();
+    async renderConflictList() {
+        const conflictList = document.getElementById('conflictList');
+        if (!conflictList) return;
 
-            // Clear all existing storage (both old and new formats)
-            const keysToRemove = ['urls', 'groups', 'groupCount', 'urlCount'];
+        const conflicts = await ConflictManager.loadConflicts();
+        conflictList.innerHTML = '';
 
-            // Add all possible chunk keys for cleanup
-            for (let i = 0; i < 32; i++) {
-                keysToRemove.push(`group${i.toString().padStart(2, '0')}`);
-            }
-            for (let i = 0; i < 400; i++) {
-                keysToRemove.push(`url${i.toString().padStart(3, '0')}`);
-            }
+        if (conflicts.length === 0) {
+            this.closeModal();
+            return;
+        }
 
-            await chrome.storage.sync.remove(keysToRemove);
+        conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            item.className = 'conflict-item';
+            item.dataset.conflictId = conflict.id;
 
-            // Save the new data using the chunked storage format
-            await this.saveData();
+            const title = document.createElement('div');
+            title.className = 'conflict-item-title';
+            const name = conflict.type === 'group' ? conflict.versions[0].name : conflict.versions[0].title;
+            title.textContent = `${conflict.type === 'group' ? 'Group' : 'Bookmark'} "${name}"`;
 
-            // Reload data and UI
-            await this.loadData();
-            this.renderURLs();
+            const meta = document.createElement('div');
+            meta.className = 'conflict-item-meta';
+            meta.textContent = conflict.kind === 'delete'
+                ? `Deleted on one device and edited on another (${new Date(conflict.deletedAt).toLocaleString()})`
+                : 'Edited on two devices';
 
-            const warningMessage = (importData.urls.length > 400 || importData.groups.length > 32)
-                ? ` (Limited to 400 URLs and 32 groups)`
-                : '';
+            const versions = document.createElement('div');
+            versions.className = 'conflict-versions';
+            conflict.versions.forEach((version, index) => {
+                versions.appendChild(this.createConflictVersionElement(conflict, version, index));
+            });
 
-            this.showToast(`Data replaced successfully: ${Math.min(importData.urls.length, 400)} URLs and ${Math.min(importData.groups.length, 32)} groups imported${warningMessage}.`);
-            console.log('Replace import completed successfully');
+            if (conflict.kind === 'delete') {
+                const deleted = document.createElement('div');
+                deleted.className = 'conflict-version conflict-version-deleted';
+                deleted.innerHTML = `
+                    <div class="conflict-version-label">Deleted</div>
+                    <div class="conflict-version-detail">Move to Trash on all devices</div>
+                    <button type="button" class="btn btn-tertiary" data-conflict-choice="delete">Delete</button>
+                `;
+                versions.appendChild(deleted);
+            }
 
-        } catch (error) {
-            console.error('Replace import processing failed:', error);
-            this.showError('Replace import failed. Please try again.');
-        }
+            item.appendChild(title);
+            item.appendChild(meta);
+            item.appendChild(versions);
+            conflictList.appendChild(item);
+        });
     }
 
-    mergeGroups(existing, imported) {
-        const groupMap = new Map();
+    createConflictVersionElement(conflict, version, index) {
+        const element = document.createElement('div');
+        element.className = 'conflict-version';
 
-        // Add existing groups
-        existing.forEach(group => {
-            groupMap.set(group.id, group);
-        });
-
-        // Merge imported groups
-        imported.forEach(importedGroup => {
-            const existing = groupMap.get(importedGroup.id);
-            if (existing) {
-                // Update if imported group is newer
-                const existingTime = new Date(existing.lastModified || existing.created || 0);
-                const importedTime = new Date(importedGroup.lastModified || importedGroup.created || 0);
+        const label = document.createElement('div');
+        label.className = 'conflict-version-label';
+        label.textContent = version.modifiedBy === this.deviceId ? 'This device' : 'Other device';
+        if (version.lastModified) {
+            label.textContent += ` · ${new Date(version.lastModified).toLocaleString()}`;
+        }
+        element.appendChild(label);
 
-                if (importedTime > existingTime) {
-                    groupMap.set(importedGroup.id, importedGroup);
-                }
-            } else {
-                // Add new group
-                groupMap.set(importedGroup.id, importedGroup);
-            }
+        const details = conflict.type === 'group'
+            ? [version.name, version.description, version.color]
+            : [version.title, version.url, `in ${this.getGroupById(version.groupId)?.name || 'Ungrouped'}`];
+        details.filter(Boolean).forEach(text => {
+            const detail = document.createElement('div');
+            detail.className = 'conflict-version-detail';
+            detail.textContent = text;
+            element.appendChild(detail);
         });
 
-        return Array.from(groupMap.values());
-    }
-
-    mergeUrls(existing, imported) {
-        const urlMap = new Map();
+        const keepBtn = document.createElement('button');
+        keepBtn.type = 'button';
+        keepBtn.className = 'btn btn-tertiary';
+        keepBtn.dataset.conflictChoice = String(index);
+        keepBtn.textContent = 'Keep this version';
+        element.appendChild(keepBtn);
 
-        // Add existing URLs
-        existing.forEach(url => {
-            const key = `${url.url}|${url.title}`;
-            urlMap.set(key, url);
-        });
+        return element;
+    }
 
-        // Merge imported URLs
-        imported.forEach(importedUrl => {
-            const key = `${importedUrl.url}|${importedUrl.title}`;
-            const existing = urlMap.get(key);
+    async resolveConflict(conflictId, choice) {
+        try {
+            const conflict = (await ConflictManager.loadConflicts()).find(c => c.id === conflictId);
+            if (!conflict) {
+                await this.renderConflictList();
+                return;
+            }
 
-            if (existing) {
-                // Update if imported URL is newer
-                const existingTime = new Date(existing.lastModified || existing.timestamp || 0);
-                const importedTime = new Date(importedUrl.lastModified || importedUrl.timestamp || 0);
+            // Start from what is stored now; the background may have merged since the popup opened
+            await this.loadData();
 
-                if (importedTime > existingTime) {
-                    urlMap.set(key, importedUrl);
+            const isGroup = conflict.type === 'group';
+            const records = isGroup ? this.groups : this.urls;
+            const index = records.findIndex(record => record.id === conflict.recordId);
+
+            // The conflict stays listed when the save fails
+            if (choice === 'delete') {
+                if (index !== -1 && isGroup) {
+                    if (await this.moveGroupToTrash(records[index]) === null) return;
+                } else if (index !== -1) {
+                    const url = records[index];
+                    const trashEntry = TrashManager.createURLEntry(url, this.getGroupById(url.groupId));
+                    this.urls = this.urls.filter(u => u.id !== url.id);
+                    if (!await this.saveData()) {
+                        await this.revertUnsavedChanges();
+                        return;
+                    }
+                    await TrashManager.addToTrash([trashEntry]);
                 }
             } else {
-                // Add new URL
-                urlMap.set(key, importedUrl);
+                // Saved above both conflicting revisions so the choice wins on every device
+                const version = conflict.versions[parseInt(choice, 10)];
+                const data = { ...version, revision: ConflictManager.getResolutionRevision(conflict) };
+                const record = isGroup ? GroupDataModel.fromJSON(data) : URLDataModel.fromJSON(data);
+                if (!isGroup && !this.getGroupById(record.groupId)) {
+                    record.groupId = this.getDefaultGroupId();
+                }
+                if (index !== -1) {
+                    records[index] = record;
+                } else {
+                    records.push(record);
+                }
+                if (!await this.saveData()) {
+                    await this.revertUnsavedChanges();
+                    return;
+                }
             }
-        });
 
-        return Array.from(urlMap.values());
+            await ConflictManager.removeConflict(conflict.id);
+            this.renderURLs();
+            await this.renderConflictList();
+            await this.updateConflictBanner();
+            this.showToast('Conflict resolved');
+        } catch (error) {
+            console.error('Error resolving conflict:', error);
+            this.showError(error.message || 'Failed to resolve conflict');
+        }
     }
 
-    // Color Settings Modal Functions
-    async openColorSettingsModal() {
+    // Chrome bookmarks: mirror mode and one-time folder import (see BookmarkMirror)
+    async openBookmarkMirrorModal() {
         try {
-            // Load current color theme
-            const colorTheme = await StorageManager.loadColorTheme();
-
-            // Get templates
-            const template = document.getElementById('colorSettingsModalTemplate');
-            const footerTemplate = document.getElementById('colorSettingsModalFooterTemplate');
+            const template = document.getElementById('bookmarkMirrorModalTemplate');
+            const footerTemplate = document.getElementById('bookmarkMirrorModalFooterTemplate');
 
             if (!template || !footerTemplate) {
-                console.error('Color settings templates not found');
-                this.showToast('Color settings unavailable');
+                console.error('Chrome bookmarks templates not found');
+                this.showToast('Chrome bookmarks unavailable');
                 return;
             }
 
-            // Clone template content
             const modalBody = template.content.cloneNode(true);
             const modalFooter = footerTemplate.content.cloneNode(true);
 
-            // Set current color values
-            const pageColorInput = modalBody.getElementById('pageBackgroundColor');
-            const pageColorHexInput = modalBody.getElementById('pageBackgroundColorHex');
-            const groupColorInput = modalBody.getElementById('groupHeaderBackgroundColor');
-            const groupColorHexInput = modalBody.getElementById('groupHeaderBackgroundColorHex');
-            const urlColorInput = modalBody.getElementById('urlItemBackgroundColor');
-            const urlColorHexInput = modalBody.getElementById('urlItemBackgroundColorHex');
+            const status = await BookmarkMirror.getMirrorStatus();
+            modalBody.getElementById('mirrorEnabled').checked = status.enabled;
 
-            if (pageColorInput && pageColorHexInput) {
-                pageColorInput.value = colorTheme.pageBackground;
-                pageColorHexInput.value = colorTheme.pageBackground;
-            }
-            if (groupColorInput && groupColorHexInput) {
-                groupColorInput.value = colorTheme.groupHeaderBackground;
-                groupColorHexInput.value = colorTheme.groupHeaderBackground;
-            }
-            if (urlColorInput && urlColorHexInput) {
-                urlColorInput.value = colorTheme.urlItemBackground;
-                urlColorHexInput.value = colorTheme.urlItemBackground;
-            }
+            await this.populateNativeFolders(modalBody.getElementById('nativeFolderSelect'), status.permitted);
 
-            // Open modal
-            this.openModal('Color Settings', modalBody, modalFooter);
+            const groupSelect = modalBody.getElementById('nativeImportGroup');
+            GroupTree.flattenGroupTree(this.groups)
+                .map(({ group }) => group)
+                .forEach(group => {
+                    const option = document.createElement('option');
+                    option.value = group.id;
+                    option.textContent = group.name;
+                    groupSelect.appendChild(option);
+                });
+
+            this.openModal('Chrome Bookmarks', modalBody, modalFooter);
 
             // Setup event listeners after modal is opened
             setTimeout(() => {
-                this.setupColorSettingsListeners();
+                this.setupBookmarkMirrorListeners();
             }, 100);
 
         } catch (error) {
-            console.error('Error opening color settings modal:', error);
-            this.showToast('Failed to open color settings');
+            console.error('Error opening Chrome bookmarks:', error);
+            this.showToast('Failed to open Chrome bookmarks');
         }
     }
 
-    setupColorSettingsListeners() {
-        // Color picker and hex input sync
-        const syncColorInputs = (colorInput, hexInput) => {
-            if (!colorInput || !hexInput) return;
+    // Lists the native folders; without the bookmarks permission a placeholder asks for it
+    async populateNativeFolders(folderSelect, permitted) {
+        folderSelect.innerHTML = '';
+        if (!permitted) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'Allow access to Chrome bookmarks to list folders';
+            folderSelect.appendChild(option);
+            return;
+        }
 
-            colorInput.addEventListener('input', (e) => {
-                hexInput.value = e.target.value.toUpperCase();
-            });
+        (await BookmarkMirror.listNativeFolders()).forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder.id;
+            option.textContent = folder.path;
+            folderSelect.appendChild(option);
+        });
+    }
 
-            hexInput.addEventListener('input', (e) => {
-                const value = e.target.value;
-                if (/^#[0-9A-Fa-f]{6}$/.test(value)) {
-                    colorInput.value = value;
+    setupBookmarkMirrorListeners() {
+        const mirrorToggle = document.getElementById('mirrorEnabled');
+        if (mirrorToggle) {
+            mirrorToggle.addEventListener('change', async () => {
+                mirrorToggle.disabled = true;
+                try {
+                    // The permission prompt needs the user gesture, so it is requested first
+                    if (mirrorToggle.checked && !await BookmarkMirror.requestBookmarksPermission()) {
+                        mirrorToggle.checked = false;
+                        this.showToast('Mirroring needs access to Chrome bookmarks');
+                        return;
+                    }
+                    await this.refreshNativeFolders();
+
+                    // The background runs the mirror, so its event handlers see the same state
+                    const response = await chrome.runtime.sendMessage({
+                        type: 'set_bookmark_mirror',
+                        enabled: mirrorToggle.checked
+                    });
+                    if (!response || !response.success) {
+                        throw new Error(response ? response.error : 'No response from background');
+                    }
+                    mirrorToggle.checked = response.status.enabled;
+                    this.showToast(response.status.enabled
+                        ? `Mirroring to the "${response.status.folderTitle}" bookmarks folder`
+                        : 'Mirroring stopped; the bookmarks folder was kept');
+                } catch (error) {
+                    console.error('Error changing bookmark mirror:', error);
+                    mirrorToggle.checked = !mirrorToggle.checked;
+                    this.showError('Failed to change Chrome bookmarks mirroring');
+                } finally {
+                    mirrorToggle.disabled = false;
                 }
             });
-        };
-
-        syncColorInputs(
-            document.getElementById('pageBackgroundColor'),
-            document.getElementById('pageBackgroundColorHex')
-        );
-        syncColorInputs(
-            document.getElementById('groupHeaderBackgroundColor'),
-            document.getElementById('groupHeaderBackgroundColorHex')
-        );
-        syncColorInputs(
-            document.getElementById('urlItemBackgroundColor'),
-            document.getElementById('urlItemBackgroundColorHex')
-        );
+        }
 
-        // Save button
-        const form = document.getElementById('colorSettingsForm');
-        if (form) {
-            form.addEventListener('submit', async (e) => {
-                e.preventDefault();
-                await this.saveColorSettings();
+        const importBtn = document.getElementById('importNativeFolder');
+        if (importBtn) {
+            importBtn.addEventListener('click', async () => {
+                try {
+                    // The permission prompt needs the user gesture, so it is requested first
+                    if (!await BookmarkMirror.requestBookmarksPermission()) {
+                        this.showToast('Importing needs access to Chrome bookmarks');
+                        return;
+                    }
+                    if (await this.refreshNativeFolders()) {
+                        this.showToast('Select a bookmarks folder to import');
+                        return;
+                    }
+                } catch (error) {
+                    console.error('Error requesting access to Chrome bookmarks:', error);
+                    this.showError('Failed to access Chrome bookmarks');
+                    return;
+                }
+                this.importNativeFolder();
             });
         }
 
-        // Cancel button
-        const cancelBtn = document.getElementById('cancelColorSettings');
-        if (cancelBtn) {
-            cancelBtn.addEventListener('click', () => {
+        const closeBtn = document.getElementById('closeBookmarkMirror');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
                 this.closeModal();
             });
         }
+    }
 
-        // Reset button
-        const resetBtn = document.getElementById('resetColorTheme');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', async () => {
-                await this.resetColorSettings();
-            });
+    // Fills the folder list once the bookmarks permission is granted; returns true if it was empty
+    async refreshNativeFolders() {
+        const folderSelect = document.getElementById('nativeFolderSelect');
+        if (!folderSelect || folderSelect.value) {
+            return false;
         }
+        await this.populateNativeFolders(folderSelect, await BookmarkMirror.hasBookmarksPermission());
+        return true;
     }
 
-    async saveColorSettings() {
-        try {
-            const pageColor = document.getElementById('pageBackgroundColorHex')?.value;
-            const groupColor = document.getElementById('groupHeaderBackgroundColorHex')?.value;
-            const urlColor = document.getElementById('urlItemBackgroundColorHex')?.value;
-
-            // Validate color format
-            const colorPattern = /^#[0-9A-Fa-f]{6}$/;
-            if (!colorPattern.test(pageColor) || !colorPattern.test(groupColor) || !colorPattern.test(urlColor)) {
-                this.showToast('Invalid color format. Please use hex format (#RRGGBB)');
-                return;
-            }
-
-            const colorTheme = {
-                pageBackground: pageColor,
-                groupHeaderBackground: groupColor,
-                urlItemBackground: urlColor
-            };
-
-            // Update instance variable so it's preserved in saveData()
-            this.colorTheme = colorTheme;
-
-            await StorageManager.saveColorTheme(colorTheme);
-
-            // Apply colors immediately to popup
-            this.applyColorTheme(colorTheme);
-
-            this.closeModal();
-            this.showToast('Color settings saved successfully');
-
-        } catch (error) {
-            console.error('Error saving color settings:', error);
-            this.showToast('Failed to save color settings');
+    async importNativeFolder() {
+        const folderSelect = document.getElementById('nativeFolderSelect');
+        const groupSelect = document.getElementById('nativeImportGroup');
+        const subfoldersCheckbox = document.getElementById('nativeIncludeSubfolders');
+        if (!folderSelect || !folderSelect.value) {
+            this.showToast('Select a bookmarks folder to import');
+            return;
         }
-    }
 
-    async resetColorSettings() {
         try {
-            await StorageManager.resetColorTheme();
-
-            // Get default colors and update inputs
-            const defaultTheme = StorageManager.getDefaultColorTheme();
-
-            // Update instance variable so it's preserved in saveData()
-            this.colorTheme = defaultTheme;
-
-            const pageColorInput = document.getElementById('pageBackgroundColor');
-            const pageColorHexInput = document.getElementById('pageBackgroundColorHex');
-            const groupColorInput = document.getElementById('groupHeaderBackgroundColor');
-            const groupColorHexInput = document.getElementById('groupHeaderBackgroundColorHex');
-            const urlColorInput = document.getElementById('urlItemBackgroundColor');
-            const urlColorHexInput = document.getElementById('urlItemBackgroundColorHex');
-
-            if (pageColorInput && pageColorHexInput) {
-                pageColorInput.value = defaultTheme.pageBackground;
-                pageColorHexInput.value = defaultTheme.pageBackground;
-            }
-            if (groupColorInput && groupColorHexInput) {
-                groupColorInput.value = defaultTheme.groupHeaderBackground;
-                groupColorHexInput.value = defaultTheme.groupHeaderBackground;
-            }
-            if (urlColorInput && urlColorHexInput) {
-                urlColorInput.value = defaultTheme.urlItemBackground;
-                urlColorHexInput.value = defaultTheme.urlItemBackground;
-            }
-
-            this.showToast('Colors reset to defaults');
+            const previousGroups = this.groups;
+            const previousUrls = this.urls;
+            const result = await BookmarkMirror.importNativeFolder(folderSelect.value, {
+                groupId: groupSelect ? groupSelect.value : '',
+                includeSubfolders: subfoldersCheckbox ? subfoldersCheckbox.checked : true
+            });
 
-        } catch (error) {
-            console.error('Error resetting colors:', error);
-            this.showToast('Failed to reset colors');
-        }
-    }
+            // Reload data and UI
+            await this.loadData();
+            this.renderURLs();
 
-    applyColorTheme(colorTheme) {
-        // Apply colors to popup using CSS custom properties
-        document.documentElement.style.setProperty('--page-bg', colorTheme.pageBackground);
-        document.documentElement.style.setProperty('--group-header-bg', colorTheme.groupHeaderBackground);
-        document.documentElement.style.setProperty('--url-item-bg', colorTheme.urlItemBackground);
-    }
+            // The import is saved by BookmarkMirror, so record it for undo here
+            this.history.setBaseline(previousGroups, previousUrls);
+            await this.history.record(this.groups, this.urls);
 
-    async loadAndApplyColorTheme() {
-        try {
-            const colorTheme = await StorageManager.loadColorTheme();
-            this.applyColorTheme(colorTheme);
+            this.closeModal();
+            const skipped = result.skipped > 0 ? ` (${result.skipped} skipped)` : '';
+            this.showUndoToast(`Imported ${result.added} bookmarks into "${result.group.name}"${skipped}.`);
         } catch (error) {
-            console.error('Error loading color theme:', error);
+            console.error('Error importing Chrome bookmarks folder:', error);
+            this.showError('Failed to import the bookmarks folder');
         }
     }
 
@@ -3987,12 +7392,4 @@ class BookmarkManager {
 // Initialize the bookmark manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new BookmarkManager();
-});
-
-// Handle storage changes from other instances
-chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'sync' && (changes.urls || changes.groups)) {
-        // Reload data if it changed in another instance
-        window.location.reload();
-    }
 });
\ No newline at end of file
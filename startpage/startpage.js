@@ -1,18 +1,32 @@
 // Chrome Extension Start Page JavaScript
 // Loads and displays bookmarks from chrome.storage.sync
 
+// Delay before applying broadcast storage changes, so bursts of writes refresh once
+const LIVE_REFRESH_DELAY_MS = 300;
+
 // Start Page Application Class
 class StartPageApp {
     constructor() {
         this.urls = [];
         this.groups = [];
+        this.smartGroups = []; // SmartGroupDataModel instances, shown after the groups
+        this.bookmarkOpens = {}; // URL id -> when it was last opened on this device
         this.filteredData = { urls: [], groups: [] };
         this.searchTerm = '';
+        this.tagFilter = new Set(); // Only bookmarks with all of these tags are shown
         this.collapsedGroups = new Set();
         this.startPageEnabled = true; // Default to enabled
         this.openInNewTab = true; // Default to opening in new tab
         this.colorTheme = null; // Will be loaded from storage
         this.fontSettings = null; // Will be loaded from storage
+        this.dataModelVersion = StorageManager.DATA_MODEL_VERSION; // Schema version of the loaded data
+        this.history = new HistoryManager('startpage'); // Undo/redo shared with the popup
+
+        // Live refresh state
+        this.renderedGroupSignatures = new Map(); // Group id -> content the card was rendered from
+        this.refreshTimer = null;
+        this.pendingSaves = 0; // Saves in flight; refreshes wait until they finished
+        this.saveCount = 0; // Completed saves; a refresh that raced a save is discarded
 
         // Initialize drag & drop manager
         this.dragDropManager = new DragDropManager('startpage');
@@ -23,6 +37,7 @@ class StartPageApp {
             loadingState: document.getElementById('loadingState'),
             searchInput: document.getElementById('searchInput'),
             searchClear: document.getElementById('searchClear'),
+            tagFilterBar: document.getElementById('tagFilterBar'),
             groupCardTemplate: document.getElementById('groupCardTemplate'),
             bookmarkTemplate: document.getElementById('bookmarkTemplate')
         };
@@ -58,6 +73,7 @@ class StartPageApp {
 
             // Load data from chrome.storage.sync
             await this.loadData();
+            await this.loadSmartGroups();
 
             // Render the page
             this.render();
@@ -126,6 +142,19 @@ class StartPageApp {
             }
         });
 
+        // Tag filter: chips toggle their tag, Clear removes all
+        this.elements.tagFilterBar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.tag) {
+                this.toggleTagFilter(button.dataset.tag);
+            } else {
+                this.tagFilter.clear();
+                this.filterData(this.searchTerm);
+                this.render();
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -137,13 +166,121 @@ class StartPageApp {
                 e.preventDefault();
                 this.elements.searchInput.focus();
             }
+
+            // Undo/redo
+            this.handleHistoryShortcut(e);
+        });
+
+        // Files dropped onto the page are imported through the popup
+        this.setupFileDropListeners();
+
+        // Apply bookmark changes saved by the popup, other pages or other devices
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message && message.type === 'storage_changed') {
+                this.scheduleRefresh();
+            }
+        });
+
+        // Smart groups matching opened bookmarks change when a bookmark is opened
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[SmartGroups.BOOKMARK_OPENS_KEY]) {
+                this.scheduleRefresh();
+            }
         });
     }
 
-    async loadData() {
+    // Shows the drop zone while files are dragged over the page
+    // (bookmark and group drags carry no files and are left to the DragDropManager)
+    setupFileDropListeners() {
+        const overlay = document.getElementById('dropZoneOverlay');
+        if (!overlay) return;
+
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+        let dragDepth = 0; // dragenter/dragleave also fire for every child element
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            overlay.classList.remove('hidden');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                overlay.classList.add('hidden');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            overlay.classList.add('hidden');
+
+            const files = e.dataTransfer.files;
+            if (files.length !== 1) {
+                this.showToast('Please drop one file at a time.');
+                return;
+            }
+            this.handleDroppedFile(files[0]);
+        });
+    }
+
+    // The import confirmation lives in the popup: the file is handed over through
+    // session storage and the popup is opened to review it (see openImportReview)
+    async handleDroppedFile(file) {
         try {
-            // Use StorageManager to load data
-            const data = await StorageManager.loadDataFromStorage();
+            if (file.size > ImportFiles.IMPORT_FILE_MAX_READ_MB * 1024 * 1024) {
+                this.showToast(`File is too large. Maximum size is ${ImportFiles.IMPORT_FILE_MAX_READ_MB}MB.`);
+                return;
+            }
+
+            const content = await file.text();
+            if (!ImportFiles.detectImportFileType(file.name, content)) {
+                this.showToast('Please drop a JSON, bookmarks HTML, CSV or TSV file.');
+                return;
+            }
+            await ImportFiles.savePendingImport({ name: file.name, size: file.size, content });
+            await this.openImportReview();
+        } catch (error) {
+            console.error('Error handling dropped file:', error);
+            this.showToast('Failed to read the dropped file. Please try again.');
+        }
+    }
+
+    // chrome.action.openPopup needs a focused window and can be refused without a user
+    // gesture (a drop is none), so the popup page is opened in a tab when it fails
+    async openImportReview() {
+        try {
+            await chrome.action.openPopup();
+            return;
+        } catch (error) {
+            console.warn('Could not open the popup, opening it in a tab:', error);
+        }
+
+        try {
+            await chrome.tabs.create({ url: chrome.runtime.getURL('popup/popup.html') });
+        } catch (error) {
+            console.error('Error opening the import review:', error);
+            this.showToast('File ready to import. Click the FavURL toolbar button to review it.');
+        }
+    }
+
+    // data: already loaded bookmarks (used by the live refresh)
+    async loadData(data = null) {
+        try {
+            // Load through the repository (historical layouts are migrated by the background)
+            data = data || await BookmarkRepository.loadBookmarks();
+            this.dataModelVersion = data.metadata.dataModelVersion;
+            this.history.clearBaseline();
 
             // Process URLs - convert to model instances
             this.urls = data.urls.map(urlData => URLDataModel.fromJSON(urlData));
@@ -188,17 +325,13 @@ class StartPageApp {
                 }
             });
 
-            // Sort groups by order, then by name
-            this.groups.sort((a, b) => {
-                if (a.order !== b.order) {
-                    return a.order - b.order;
-                }
-                return a.name.localeCompare(b.name);
-            });
+            this.sortGroups();
 
             // Filter data initially (no search term)
             this.filterData('');
 
+            this.history.setBaseline(this.groups, this.urls);
+
             console.log(`Start page loaded ${this.groups.length} groups and ${this.urls.length} URLs using StorageManager`);
         } catch (error) {
             console.error('Error loading data:', error);
@@ -206,6 +339,26 @@ class StartPageApp {
         }
     }
 
+    // Smart groups: groups listing the bookmarks a saved query matches
+    async loadSmartGroups() {
+        try {
+            this.smartGroups = (await SmartGroups.loadSmartGroups()).map(data => SmartGroupDataModel.fromJSON(data));
+            this.bookmarkOpens = await SmartGroups.loadBookmarkOpens();
+        } catch (error) {
+            console.warn('Could not load smart groups:', error);
+        }
+    }
+
+    // Sort groups by order, then by name
+    sortGroups() {
+        this.groups.sort((a, b) => {
+            if (a.order !== b.order) {
+                return a.order - b.order;
+            }
+            return a.name.localeCompare(b.name);
+        });
+    }
+
     // Moved to DataValidator utility - updateGroupUrlCounts()
 
     handleSearch(searchTerm) {
@@ -215,34 +368,108 @@ class StartPageApp {
     }
 
     filterData(searchTerm) {
-        if (!searchTerm) {
+        this.pruneTagFilter();
+        const filteringTags = this.tagFilter.size > 0;
+
+        if (!searchTerm && !filteringTags) {
             // No search term - show all data
             this.filteredData.groups = [...this.groups];
             this.filteredData.urls = this.urls;
             return;
         }
 
-        // Filter URLs by search term
+        // Filter URLs by tags and search term (tags and notes are searched too)
         const filteredUrls = this.urls.filter(url =>
-            url.title.toLowerCase().includes(searchTerm) ||
-            url.url.toLowerCase().includes(searchTerm) ||
-            url.domain.toLowerCase().includes(searchTerm)
+            (!filteringTags || BookmarkTags.hasAllTags(url, this.tagFilter)) &&
+            (!searchTerm ||
+                url.title.toLowerCase().includes(searchTerm) ||
+                url.url.toLowerCase().includes(searchTerm) ||
+                url.domain.toLowerCase().includes(searchTerm) ||
+                (url.tags || []).some(tag => tag.toLowerCase().includes(searchTerm)) ||
+                (url.notes || '').toLowerCase().includes(searchTerm))
         );
 
         // Filter groups that have matching URLs or matching group names
+        // (with a tag filter, only groups with matching URLs)
         const groupsWithMatchingUrls = new Set(filteredUrls.map(url => url.groupId));
-        const filteredGroups = this.groups.filter(group =>
+        const matchingGroups = this.groups.filter(group =>
             groupsWithMatchingUrls.has(group.id) ||
-            group.name.toLowerCase().includes(searchTerm)
+            (searchTerm && !filteringTags && group.name.toLowerCase().includes(searchTerm))
         );
 
+        // Parent groups are shown too, so sub-groups stay in their parent's card
+        const shownGroupIds = new Set(matchingGroups.map(group => group.id));
+        matchingGroups.forEach(group => {
+            GroupTree.getGroupAncestors(this.groups, group.id).forEach(ancestor => shownGroupIds.add(ancestor.id));
+        });
+        const filteredGroups = this.groups.filter(group => shownGroupIds.has(group.id));
+
         this.filteredData.groups = filteredGroups;
         this.filteredData.urls = filteredUrls;
     }
 
+    // Drops filter tags no bookmark has anymore, taking the current spelling of the others
+    pruneTagFilter() {
+        const known = new Map(BookmarkTags.collectTags(this.urls).map(tag => [tag.name.toLowerCase(), tag.name]));
+        this.tagFilter = new Set(Array.from(this.tagFilter)
+            .map(tag => known.get(BookmarkTags.getTagKey(tag)))
+            .filter(Boolean));
+    }
+
+    isTagFiltered(tag) {
+        const key = BookmarkTags.getTagKey(tag);
+        return Array.from(this.tagFilter).some(filtered => BookmarkTags.getTagKey(filtered) === key);
+    }
+
+    // Adds a tag to the filter, or removes it when it is already filtered by
+    toggleTagFilter(tag) {
+        const key = BookmarkTags.getTagKey(tag);
+        const existing = Array.from(this.tagFilter).find(filtered => BookmarkTags.getTagKey(filtered) === key);
+        if (existing) {
+            this.tagFilter.delete(existing);
+        } else {
+            this.tagFilter.add(tag);
+        }
+        this.filterData(this.searchTerm);
+        this.render();
+    }
+
+    // One toggle chip per tag (the bar is hidden while no bookmark has tags)
+    renderTagFilter() {
+        const bar = this.elements.tagFilterBar;
+        const tags = BookmarkTags.collectTags(this.urls);
+        bar.innerHTML = '';
+        bar.classList.toggle('hidden', tags.length === 0);
+
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-filter-chip';
+            chip.dataset.tag = tag.name;
+            chip.setAttribute('aria-pressed', String(this.isTagFiltered(tag.name)));
+            chip.textContent = tag.name;
+
+            const count = document.createElement('span');
+            count.className = 'tag-filter-count';
+            count.textContent = tag.count;
+            chip.appendChild(count);
+
+            bar.appendChild(chip);
+        });
+
+        if (this.tagFilter.size > 0) {
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'tag-filter-clear';
+            clear.textContent = 'Clear';
+            bar.appendChild(clear);
+        }
+    }
+
     render() {
         // Hide loading state
         this.elements.loadingState.style.display = 'none';
+        this.renderTagFilter();
 
         // Check if we have any data to show
         if (this.filteredData.groups.length === 0) {
@@ -257,15 +484,166 @@ class StartPageApp {
         // Clear existing content
         this.elements.groupsGrid.innerHTML = '';
 
-        // Render each group
-        this.filteredData.groups.forEach(group => {
-            const groupUrls = this.filteredData.urls.filter(url => url.groupId === group.id)
-                .sort((a, b) => (a.order || 0) - (b.order || 0));
+        // Render each top-level group (sub-groups are rendered inside their parent's card)
+        this.renderedGroupSignatures.clear();
+        this.getTopLevelGroups().forEach(group => {
+            const groupUrls = this.getFilteredGroupUrls(group.id);
             this.renderGroup(group, groupUrls);
+            this.renderedGroupSignatures.set(group.id, this.getGroupSignature(group, groupUrls));
+        });
+
+        // Smart groups follow the groups
+        this.getSmartGroupEntries().forEach(({ smartGroup, urls }) => {
+            this.elements.groupsGrid.appendChild(this.createSmartGroupCard(smartGroup, urls));
+            this.renderedGroupSignatures.set(smartGroup.id, this.getSmartGroupSignature(smartGroup, urls));
         });
     }
 
+    // Smart groups with the bookmarks their queries match; while searching or filtering by
+    // tag, only the shown bookmarks, and only smart groups that have some
+    getSmartGroupEntries() {
+        const filtering = !!this.searchTerm || this.tagFilter.size > 0;
+        const shownUrlIds = new Set(this.filteredData.urls.map(url => url.id));
+        const context = { groups: this.groups, opens: this.bookmarkOpens };
+        return this.smartGroups
+            .map(smartGroup => ({
+                smartGroup,
+                urls: SmartGroups.getSmartGroupUrls(smartGroup.query, this.urls, context)
+                    .filter(url => !filtering || shownUrlIds.has(url.id))
+            }))
+            .filter(entry => !filtering || entry.urls.length > 0);
+    }
+
+    getSmartGroupSignature(smartGroup, urls) {
+        return JSON.stringify([
+            smartGroup.toJSON(), this.openInNewTab,
+            Array.from(this.tagFilter),
+            urls.map(url => [url.id, url.title, url.url, url.storageTier, url.tags, url.notes])
+        ]);
+    }
+
+    getTopLevelGroups() {
+        const parents = GroupTree.getGroupParentMap(this.filteredData.groups);
+        return this.filteredData.groups.filter(group => !parents.get(group.id));
+    }
+
+    getFilteredSubgroups(groupId) {
+        return GroupTree.getGroupChildren(this.filteredData.groups, groupId);
+    }
+
+    getFilteredGroupUrls(groupId) {
+        return this.filteredData.urls.filter(url => url.groupId === groupId)
+            .sort((a, b) => (a.order || 0) - (b.order || 0));
+    }
+
+    // Everything a group card displays, including its sub-group cards; the card is only
+    // rebuilt when this changes
+    getGroupSignature(group, urls) {
+        return JSON.stringify([
+            group.name, group.protected, group.storageTier, this.openInNewTab,
+            Array.from(this.tagFilter),
+            urls.map(url => [url.id, url.title, url.url, url.storageTier, url.tags, url.notes]),
+            this.getFilteredSubgroups(group.id).map(subgroup =>
+                this.getGroupSignature(subgroup, this.getFilteredGroupUrls(subgroup.id)))
+        ]);
+    }
+
+    // Live refresh: re-render only the group cards whose content changed
+    updateRender() {
+        if (this.filteredData.groups.length === 0 || this.elements.groupsGrid.style.display === 'none') {
+            this.render();
+            return;
+        }
+        this.renderTagFilter();
+
+        const grid = this.elements.groupsGrid;
+        const existingCards = new Map(
+            Array.from(grid.querySelectorAll(':scope > .group-card')).map(card => [card.getAttribute('data-group-id'), card])
+        );
+        const signatures = new Map();
+        let rebuilt = 0;
+        let position = 0;
+
+        // Keeps a card in place, rebuilding it when its content changed
+        const placeCard = (id, signature, createCard) => {
+            let card = existingCards.get(id);
+
+            if (!card || this.renderedGroupSignatures.get(id) !== signature) {
+                const newCard = createCard();
+                if (card) {
+                    card.replaceWith(newCard);
+                }
+                card = newCard;
+                rebuilt++;
+            }
+            existingCards.delete(id);
+
+            // Keep cards in group order (moving a node keeps its state)
+            if (grid.children[position] !== card) {
+                grid.insertBefore(card, grid.children[position] || null);
+            }
+            position++;
+            signatures.set(id, signature);
+        };
+
+        this.getTopLevelGroups().forEach(group => {
+            const groupUrls = this.getFilteredGroupUrls(group.id);
+            placeCard(group.id, this.getGroupSignature(group, groupUrls), () => this.createGroupCard(group, groupUrls));
+        });
+
+        this.getSmartGroupEntries().forEach(({ smartGroup, urls }) => {
+            placeCard(smartGroup.id, this.getSmartGroupSignature(smartGroup, urls), () => this.createSmartGroupCard(smartGroup, urls));
+        });
+
+        existingCards.forEach(card => card.remove());
+        this.renderedGroupSignatures = signatures;
+
+        if (rebuilt > 0) {
+            console.log(`Live refresh re-rendered ${rebuilt} group${rebuilt !== 1 ? 's' : ''}`);
+        }
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refreshFromStorage(), LIVE_REFRESH_DELAY_MS);
+    }
+
+    // Reloads bookmarks after a storage change, keeping scroll position, search and collapsed groups
+    async refreshFromStorage() {
+        // Wait for our own saves and drags to finish; their result is broadcast again
+        if (this.pendingSaves > 0 || this.dragDropManager.draggedURL || this.dragDropManager.draggedGroup) {
+            this.scheduleRefresh();
+            return;
+        }
+
+        try {
+            const saveCount = this.saveCount;
+            const data = await BookmarkRepository.loadBookmarks();
+            if (this.pendingSaves > 0 || saveCount !== this.saveCount) {
+                this.scheduleRefresh();
+                return;
+            }
+
+            const scrollX = window.scrollX;
+            const scrollY = window.scrollY;
+
+            await this.loadData(data);
+            await this.loadSmartGroups();
+            this.filterData(this.searchTerm);
+            this.elements.loadingState.style.display = 'none';
+            this.updateRender();
+
+            window.scrollTo(scrollX, scrollY);
+        } catch (error) {
+            console.error('Error refreshing start page:', error);
+        }
+    }
+
     renderGroup(group, urls) {
+        this.elements.groupsGrid.appendChild(this.createGroupCard(group, urls));
+    }
+
+    createGroupCard(group, urls) {
         const template = this.elements.groupCardTemplate.content.cloneNode(true);
         const groupCard = template.querySelector('.group-card');
         const groupHeader = template.querySelector('.group-header');
@@ -281,6 +659,11 @@ class StartPageApp {
         groupTitle.textContent = group.name;
         groupCount.textContent = urls.length;
 
+        // Mark groups kept in device-local storage
+        if (group.storageTier === StorageManager.STORAGE_TIER_LOCAL) {
+            groupCount.before(this.createStorageTierBadge());
+        }
+
         // Check if group is collapsed
         const isCollapsed = this.collapsedGroups.has(group.id);
         if (isCollapsed) {
@@ -310,7 +693,7 @@ class StartPageApp {
 
         // Unified drag and drop support (handles both group reordering and URL-to-group assignment)
         groupHeader.addEventListener('dragover', (e) => {
-            this.dragDropManager.handleUnifiedDragOver(e, group.id);
+            this.dragDropManager.handleUnifiedDragOver(e, group.id, this);
         });
 
         groupHeader.addEventListener('drop', (e) => {
@@ -353,10 +736,69 @@ class StartPageApp {
             this.renderBookmark(url, bookmarksList);
         });
 
-        this.elements.groupsGrid.appendChild(template);
+        // Sub-groups are nested cards below the bookmarks, collapsed with their parent
+        const subgroups = this.getFilteredSubgroups(group.id);
+        if (subgroups.length > 0) {
+            const subgroupsList = document.createElement('div');
+            subgroupsList.className = 'subgroups-list';
+            subgroups.forEach(subgroup => {
+                const subgroupCard = this.createGroupCard(subgroup, this.getFilteredGroupUrls(subgroup.id));
+                subgroupCard.classList.add('subgroup-card');
+                subgroupsList.appendChild(subgroupCard);
+            });
+            bookmarksList.after(subgroupsList);
+        }
+
+        return groupCard;
     }
 
-    renderBookmark(url, container) {
+    // Smart group cards can be collapsed, but not dragged or dropped on; their bookmarks
+    // are listed newest first and cannot be reordered there
+    createSmartGroupCard(smartGroup, urls) {
+        const template = this.elements.groupCardTemplate.content.cloneNode(true);
+        const groupCard = template.querySelector('.group-card');
+        const groupHeader = template.querySelector('.group-header');
+        const groupTitle = template.querySelector('.group-title');
+        const groupCount = template.querySelector('.group-count');
+        const bookmarksList = template.querySelector('.bookmarks-list');
+        const collapseToggle = template.querySelector('.collapse-toggle');
+
+        groupCard.classList.add('smart-group-card');
+        groupCard.setAttribute('data-group-id', smartGroup.id);
+        groupHeader.setAttribute('data-group-id', smartGroup.id);
+        groupHeader.removeAttribute('draggable');
+        groupHeader.title = `Smart group: ${smartGroup.query}`;
+        template.querySelector('.group-drag-handle').remove();
+        groupTitle.textContent = smartGroup.name;
+        groupTitle.style.color = smartGroup.color;
+        groupCount.textContent = urls.length;
+
+        const badge = document.createElement('span');
+        badge.className = 'smart-group-badge';
+        badge.textContent = 'Smart';
+        groupCount.before(badge);
+
+        if (this.collapsedGroups.has(smartGroup.id)) {
+            groupCard.classList.add('collapsed');
+        }
+
+        collapseToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleGroupCollapse(smartGroup.id);
+        });
+        groupHeader.addEventListener('click', () => {
+            this.toggleGroupCollapse(smartGroup.id);
+        });
+
+        urls.forEach(url => {
+            this.renderBookmark(url, bookmarksList, true);
+        });
+
+        return groupCard;
+    }
+
+    // readOnly: listed in a smart group, so it cannot be dragged there
+    renderBookmark(url, container, readOnly = false) {
         const template = this.elements.bookmarkTemplate.content.cloneNode(true);
         const bookmarkItem = template.querySelector('.bookmark-item');
         const bookmarkFavicon = template.querySelector('.bookmark-favicon');
@@ -380,6 +822,22 @@ class StartPageApp {
             bookmarkLink.removeAttribute('rel');
         }
 
+        // Mark bookmarks kept in device-local storage
+        if (url.storageTier === StorageManager.STORAGE_TIER_LOCAL) {
+            bookmarkLink.after(this.createStorageTierBadge());
+        }
+
+        // Tag chips filter by their tag
+        if (url.tags && url.tags.length > 0) {
+            bookmarkItem.appendChild(this.createBookmarkTags(url.tags));
+        }
+
+        // Notes: shown when hovering the link and expanded with the notes button
+        if (url.notes) {
+            bookmarkLink.title = url.notes;
+            this.addBookmarkNotes(bookmarkItem, url);
+        }
+
         // Set favicon
         bookmarkFavicon.src = url.favicon;
         bookmarkFavicon.alt = `${url.title} favicon`;
@@ -393,6 +851,27 @@ class StartPageApp {
         // Asynchronously fetch and update with direct favicon from website
         FavURLUtils.updateFaviconAsync(bookmarkFavicon, url.url);
 
+        // Smart groups can list bookmarks by when they were opened (auxclick: middle click)
+        const recordOpen = (e) => {
+            if (e.type === 'click' || e.button === 1) {
+                SmartGroups.recordBookmarkOpen(url.id).catch(error => {
+                    console.warn('Could not record bookmark open:', error);
+                });
+            }
+        };
+        bookmarkLink.addEventListener('click', recordOpen);
+        bookmarkLink.addEventListener('auxclick', recordOpen);
+
+        if (readOnly) {
+            bookmarkItem.removeAttribute('draggable');
+            dragHandle.remove();
+            if (this.searchTerm) {
+                this.highlightSearchTerm(bookmarkTitle, url.title, this.searchTerm);
+            }
+            container.appendChild(template);
+            return;
+        }
+
         // Add drag-and-drop event listeners for bookmark reordering and group assignment
         bookmarkItem.addEventListener('dragstart', (e) => {
             this.dragDropManager.handleURLDragStart(e, url);
@@ -435,6 +914,69 @@ class StartPageApp {
         container.appendChild(template);
     }
 
+    createBookmarkTags(tags) {
+        const tagList = document.createElement('div');
+        tagList.className = 'bookmark-tags';
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'bookmark-tag';
+            chip.classList.toggle('active', this.isTagFiltered(tag));
+            chip.textContent = tag;
+            chip.title = `Show bookmarks tagged "${tag}"`;
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleTagFilter(tag);
+            });
+            tagList.appendChild(chip);
+        });
+        return tagList;
+    }
+
+    // Adds a button that expands the bookmark's notes below it (expanded while a search
+    // matches the notes, so it is clear why the bookmark is listed)
+    addBookmarkNotes(bookmarkItem, url) {
+        // A bookmark can be listed in a group and in smart groups, so ids are not derived from it
+        const notesId = FavURLUtils.generateUniqueId('bookmark-notes-');
+        const expanded = !!this.searchTerm && url.notes.toLowerCase().includes(this.searchTerm);
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'bookmark-notes-toggle';
+        toggle.textContent = '📝';
+        toggle.title = expanded ? 'Hide notes' : 'Show notes';
+        toggle.setAttribute('aria-label', `Notes for ${url.title}`);
+        toggle.setAttribute('aria-controls', notesId);
+        toggle.setAttribute('aria-expanded', String(expanded));
+
+        const notes = document.createElement('div');
+        notes.className = 'bookmark-notes';
+        notes.id = notesId;
+        notes.textContent = url.notes;
+        notes.hidden = !expanded;
+
+        toggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            notes.hidden = !notes.hidden;
+            toggle.setAttribute('aria-expanded', String(!notes.hidden));
+            toggle.title = notes.hidden ? 'Show notes' : 'Hide notes';
+        });
+
+        bookmarkItem.classList.add('has-notes');
+        bookmarkItem.appendChild(toggle);
+        bookmarkItem.appendChild(notes);
+    }
+
+    createStorageTierBadge() {
+        const badge = document.createElement('span');
+        badge.className = 'storage-tier-badge';
+        badge.textContent = 'Local';
+        badge.title = 'Stored on this device only - not synced to other devices';
+        return badge;
+    }
+
     highlightSearchTerm(element, text, searchTerm) {
         const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
         const highlightedText = text.replace(regex, '<span class="search-highlight">$1</span>');
@@ -442,7 +984,7 @@ class StartPageApp {
     }
 
     toggleGroupCollapse(groupId) {
-        const groupCard = document.querySelector(`[data-group-id="${groupId}"]`);
+        const groupCard = document.querySelector(`.group-card[data-group-id="${CSS.escape(groupId)}"]`);
         if (!groupCard) return;
 
         if (this.collapsedGroups.has(groupId)) {
@@ -467,6 +1009,11 @@ class StartPageApp {
                 <h2>No Results Found</h2>
                 <p>No bookmarks found matching "${this.searchTerm}". Try a different search term.</p>
             `;
+        } else if (this.tagFilter.size > 0) {
+            emptyContent.innerHTML = `
+                <h2>No Results Found</h2>
+                <p>No bookmarks have all selected tags.</p>
+            `;
         } else if (this.urls.length === 0) {
             emptyContent.innerHTML = `
                 <h2>No Bookmarks Found</h2>
@@ -488,24 +1035,46 @@ class StartPageApp {
     }
 
     // Data persistence method for drag & drop operations
-    async saveData() {
+    async saveData(options = {}) {
         try {
             console.log('Saving data from start page...');
 
             // Prepare metadata (preserve existing settings to prevent reset)
             const metadata = {
                 version: '1.0',
-                dataModelVersion: '1.0',
+                dataModelVersion: this.dataModelVersion,
                 startPageEnabled: this.startPageEnabled,
                 openInNewTab: this.openInNewTab,
                 colorTheme: this.colorTheme,
                 fontSettings: this.fontSettings
             };
 
-            // Use StorageManager to save data
-            await StorageManager.saveDataToStorage(this.groups, this.urls, metadata);
+            // Save through the repository (only changed keys are written)
+            let result;
+            this.pendingSaves++;
+            try {
+                result = await BookmarkRepository.saveBookmarks(this.groups, this.urls, metadata);
+            } finally {
+                this.pendingSaves--;
+                this.saveCount++;
+            }
+
+            // Record the mutation for undo/redo (applying undo/redo only moves the baseline)
+            try {
+                if (options.skipHistory) {
+                    this.history.setBaseline(this.groups, this.urls);
+                } else {
+                    const command = await this.history.record(this.groups, this.urls);
+                    if (command) {
+                        this.showToast(command.label, { label: 'Undo', handler: () => this.undo() });
+                    }
+                }
+            } catch (historyError) {
+                console.warn('Could not record undo history:', historyError);
+            }
 
-            console.log('Data saved successfully from start page using StorageManager');
+            console.log(`Data saved successfully from start page using StorageManager (${result.writeOperations} write operations)`);
+            return result;
         } catch (error) {
             console.error('Error saving data from start page:', error);
             if (error.message && (error.message.includes('quota') || error.message.includes('Storage limit'))) {
@@ -517,6 +1086,109 @@ class StartPageApp {
         }
     }
 
+    // Undo/Redo (shared session history, see HistoryManager)
+    async undo() {
+        try {
+            const command = await this.history.takeUndo();
+            if (!command) {
+                this.showToast('Nothing to undo');
+                return;
+            }
+            await this.applyHistoryCommand(command, 'undo');
+            this.showToast(`Undone: ${command.label}`, { label: 'Redo', handler: () => this.redo() });
+        } catch (error) {
+            console.error('Error undoing change:', error);
+            this.showToast('Failed to undo');
+        }
+    }
+
+    async redo() {
+        try {
+            const command = await this.history.takeRedo();
+            if (!command) {
+                this.showToast('Nothing to redo');
+                return;
+            }
+            await this.applyHistoryCommand(command, 'redo');
+            this.showToast(`Redone: ${command.label}`, { label: 'Undo', handler: () => this.undo() });
+        } catch (error) {
+            console.error('Error redoing change:', error);
+            this.showToast('Failed to redo');
+        }
+    }
+
+    async applyHistoryCommand(command, direction) {
+        const state = HistoryManager.applyCommand(this.groups, this.urls, command, direction);
+        this.groups = state.groups.map(groupData => GroupDataModel.fromJSON(groupData));
+        this.urls = state.urls.map(urlData => URLDataModel.fromJSON(urlData));
+        DataValidator.updateGroupUrlCounts(this.groups, this.urls);
+        this.sortGroups();
+
+        await this.saveData({ skipHistory: true });
+        await this.syncTrashWithHistory(command, direction);
+        this.filterData(this.searchTerm);
+        this.render();
+    }
+
+    // Undoing a delete takes its items out of the Trash; redoing it puts them back
+    async syncTrashWithHistory(command, direction) {
+        try {
+            if (await TrashManager.syncTrashWithHistory(command, direction)) {
+                await this.history.updateCommand(command);
+            }
+        } catch (error) {
+            console.warn('Could not update the trash for undo/redo:', error);
+        }
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z, except while typing in the search box
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') {
+            return;
+        }
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    // Temporary notification; action: optional { label, handler } rendered as a button
+    showToast(message, action = null) {
+        document.querySelectorAll('.toast').forEach(el => el.remove());
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.textContent = message;
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.handler();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, action ? 5000 : 3000);
+    }
+
     // Color Theme Functions
     async loadAndApplyColorTheme() {
         try {
@@ -584,7 +1256,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-// Listen for storage changes and update the display
+// Listen for settings changes that need a full reload
+// (bookmark changes are applied live from the background's storage_changed broadcast)
 if (typeof chrome !== 'undefined' && chrome.storage) {
     chrome.storage.onChanged.addListener((changes, namespace) => {
         if (namespace === 'sync') {
@@ -605,36 +1278,6 @@ if (typeof chrome !== 'undefined' && chrome.storage) {
                 window.location.reload();
                 return;
             }
-
-            // Check for changes in chunked storage or legacy storage
-            let hasDataChanges = false;
-
-            // Check for legacy format changes
-            if (changes.urls || changes.groups) {
-                hasDataChanges = true;
-            }
-
-            // Check for chunked format changes
-            if (changes.urlCount || changes.groupCount) {
-                hasDataChanges = true;
-            }
-
-            // Check for any url### or group## key changes
-            for (const key in changes) {
-                if (key.startsWith('url') && /^url\d{3}$/.test(key)) {
-                    hasDataChanges = true;
-                    break;
-                }
-                if (key.startsWith('group') && /^group\d{2}$/.test(key)) {
-                    hasDataChanges = true;
-                    break;
-                }
-            }
-
-            // If any data changed, reload the page
-            if (hasDataChanges) {
-                window.location.reload();
-            }
         }
     });
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+// Backup Crypto - Passphrase-encrypted backups for FavURL Chrome Extension
+// Encrypted backups wrap the JSON backup in an envelope:
+// - the key is derived from the passphrase with PBKDF2 (SHA-256, random salt)
+// - the backup is encrypted with AES-GCM (random IV); the envelope header is bound to
+//   the ciphertext as additional data, so changing any part of the file is detected
+// - a hash of a second derived value lets imports tell a wrong passphrase apart from a
+//   modified or damaged file
+// The envelope has its own format version, independent of the backup's metadata version.
+
+const ENCRYPTED_BACKUP_FORMAT = 'favurl-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 600000;
+// Files asking for more iterations are rejected rather than freezing the popup
+const BACKUP_MAX_KDF_ITERATIONS = 10000000;
+const BACKUP_SALT_BYTES = 16;
+const BACKUP_IV_BYTES = 12;
+const BACKUP_MIN_PASSPHRASE_LENGTH = 8;
+
+// Error codes set on decryption errors
+const BACKUP_ERROR_WRONG_PASSPHRASE = 'wrong_passphrase';
+const BACKUP_ERROR_TAMPERED = 'tampered';
+const BACKUP_ERROR_UNSUPPORTED = 'unsupported';
+
+/**
+ * Creates an error with a code the popup can react to
+ * @param {string} code - One of the BACKUP_ERROR_* values
+ * @param {string} message - Message shown to the user
+ * @returns {Error} Error with code
+ */
+function createBackupError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 into bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Checks whether parsed JSON is an encrypted backup envelope
+ * @param {*} data - Parsed file content
+ * @returns {boolean} True for encrypted backups (of any envelope version)
+ */
+function isEncryptedBackup(data) {
+    return !!data && typeof data === 'object' && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Serializes the envelope fields that are authenticated along with the ciphertext
+ * @param {Object} envelope - Envelope
+ * @returns {Uint8Array} Additional data for AES-GCM
+ */
+function getEnvelopeAdditionalData(envelope) {
+    return new TextEncoder().encode(JSON.stringify([
+        envelope.format,
+        envelope.formatVersion,
+        envelope.created,
+        envelope.kdf,
+        envelope.cipher,
+        envelope.passphraseCheck
+    ]));
+}
+
+/**
+ * Derives the encryption key and the passphrase check from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Object with key (AES-GCM CryptoKey) and check (base64 hash)
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, 512
+    ));
+
+    // First half encrypts; only a hash of the second half is stored
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const check = bytesToBase64(new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32))));
+    return { key, check };
+}
+
+/**
+ * Encrypts a backup
+ * @param {Object} backup - Backup object as written by the plain JSON export
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encrypted backup envelope
+ */
+async function encryptBackup(backup, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < BACKUP_MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(BACKUP_SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(BACKUP_IV_BYTES));
+    const { key, check } = await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+
+    const envelope = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        formatVersion: ENCRYPTED_BACKUP_VERSION,
+        created: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        passphraseCheck: check
+    };
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: getEnvelopeAdditionalData(envelope) },
+        key,
+        new TextEncoder().encode(JSON.stringify(backup))
+    );
+
+    return { ...envelope, data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypts an encrypted backup
+ * @param {Object} envelope - Encrypted backup envelope
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} The backup object
+ * @throws {Error} With code BACKUP_ERROR_WRONG_PASSPHRASE, BACKUP_ERROR_TAMPERED or
+ *   BACKUP_ERROR_UNSUPPORTED
+ */
+async function decryptBackup(envelope, passphrase) {
+    if (!isEncryptedBackup(envelope) || !Number.isInteger(envelope.formatVersion)) {
+        throw createBackupError(BACKUP_ERROR_UNSUPPORTED, 'This file is not an encrypted FavURL backup.');
+    }
+    if (envelope.formatVersion > ENCRYPTED_BACKUP_VERSION) {
+        throw createBackupError(BACKUP_ERROR_UNSUPPORTED, 'This encrypted backup was made by a newer version of FavURL. Please update the extension.');
+    }
+
+    const { kdf, cipher } = envelope;
+    let salt;
+    let iv;
+    let ciphertext;
+    try {
+        if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) ||
+            kdf.iterations < 1 || kdf.iterations > BACKUP_MAX_KDF_ITERATIONS ||
+            !cipher || cipher.name !== 'AES-GCM' || typeof envelope.passphraseCheck !== 'string') {
+            throw new Error('Unknown key derivation or cipher');
+        }
+        salt = base64ToBytes(kdf.salt);
+        iv = base64ToBytes(cipher.iv);
+        ciphertext = base64ToBytes(envelope.data);
+    } catch (error) {
+        throw createBackupError(BACKUP_ERROR_TAMPERED, 'The encrypted backup is damaged or was modified.');
+    }
+
+    const { key, check } = await deriveBackupKey(passphrase, salt, kdf.iterations);
+    if (check !== envelope.passphraseCheck) {
+        throw createBackupError(BACKUP_ERROR_WRONG_PASSPHRASE, 'Wrong passphrase.');
+    }
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: getEnvelopeAdditionalData(envelope) },
+            key,
+            ciphertext
+        );
+    } catch (error) {
+        // The passphrase is right, so the authentication tag did not match the content
+        throw createBackupError(BACKUP_ERROR_TAMPERED, 'The encrypted backup is damaged or was modified.');
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        throw createBackupError(BACKUP_ERROR_TAMPERED, 'The encrypted backup is damaged or was modified.');
+    }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        isEncryptedBackup,
+        encryptBackup,
+        decryptBackup,
+        ENCRYPTED_BACKUP_VERSION,
+        BACKUP_MIN_PASSPHRASE_LENGTH,
+        BACKUP_ERROR_WRONG_PASSPHRASE,
+        BACKUP_ERROR_TAMPERED,
+        BACKUP_ERROR_UNSUPPORTED
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.BackupCrypto = {
+        isEncryptedBackup,
+        encryptBackup,
+        decryptBackup,
+        ENCRYPTED_BACKUP_VERSION,
+        BACKUP_MIN_PASSPHRASE_LENGTH,
+        BACKUP_ERROR_WRONG_PASSPHRASE,
+        BACKUP_ERROR_TAMPERED,
+        BACKUP_ERROR_UNSUPPORTED
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.BackupCrypto = {
+        isEncryptedBackup,
+        encryptBackup,
+        decryptBackup,
+        ENCRYPTED_BACKUP_VERSION,
+        BACKUP_MIN_PASSPHRASE_LENGTH,
+        BACKUP_ERROR_WRONG_PASSPHRASE,
+        BACKUP_ERROR_TAMPERED,
+        BACKUP_ERROR_UNSUPPORTED
+    };
+}
\ No newline at end of file
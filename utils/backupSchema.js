@@ -0,0 +1,338 @@
+// Backup Schema - Versioned schema of JSON backups for FavURL Chrome Extension
+// Backups written by the JSON export carry the schema version in metadata.version.
+// Each version lists the fields a metadata block, group and URL may have; other fields
+// (added by hand or by other tools) are reported as warnings and ignored on import.
+// Validation collects every problem with the JSON path it was found at
+// (e.g. `urls[57].groupId`) instead of stopping at the first one, and also checks
+// duplicate ids, that every URL belongs to a group in the file and that nested groups
+// (version 1.1) form a tree.
+
+// Version written by the JSON export
+const BACKUP_SCHEMA_VERSION = '1.2';
+
+// Group URLs may belong to even when the file does not contain it (it is recreated)
+const BACKUP_DEFAULT_GROUP_ID = 'ungrouped';
+
+// Field definitions: type (see checkBackupField), required, maxLength
+const BACKUP_SCHEMAS = {
+    '1.0': {
+        metadata: {
+            version: { type: 'string', required: true },
+            exportDate: { type: 'date', required: true },
+            source: { type: 'string' },
+            storageFormat: { type: 'string' }, // Written by exports of early versions
+            totalGroups: { type: 'count' },
+            totalUrls: { type: 'count' }
+        },
+        group: {
+            id: { type: 'id', required: true },
+            name: { type: 'string', required: true, maxLength: 50 },
+            created: { type: 'date' },
+            lastModified: { type: 'date' },
+            isDefault: { type: 'boolean' },
+            protected: { type: 'boolean' },
+            color: { type: 'color' },
+            description: { type: 'string' },
+            urlCount: { type: 'count' },
+            order: { type: 'number' },
+            revision: { type: 'count' },
+            modifiedBy: { type: 'string' }
+        },
+        url: {
+            id: { type: 'id', required: true },
+            url: { type: 'url', required: true },
+            title: { type: 'string', required: true },
+            groupId: { type: 'id', required: true },
+            timestamp: { type: 'date' },
+            created: { type: 'date' },
+            lastModified: { type: 'date' },
+            domain: { type: 'string' },
+            favicon: { type: 'string' },
+            tags: { type: 'tags' },
+            order: { type: 'number' },
+            revision: { type: 'count' },
+            modifiedBy: { type: 'string' }
+        }
+    }
+};
+
+// 1.1: groups may be nested in another group of the file
+BACKUP_SCHEMAS['1.1'] = {
+    metadata: BACKUP_SCHEMAS['1.0'].metadata,
+    group: { ...BACKUP_SCHEMAS['1.0'].group, parentId: { type: 'id' } },
+    url: BACKUP_SCHEMAS['1.0'].url
+};
+
+// 1.2: URLs may have notes
+BACKUP_SCHEMAS['1.2'] = {
+    metadata: BACKUP_SCHEMAS['1.1'].metadata,
+    group: BACKUP_SCHEMAS['1.1'].group,
+    url: { ...BACKUP_SCHEMAS['1.1'].url, notes: { type: 'string', maxLength: 1000 } }
+};
+
+/**
+ * Compares two dotted version strings
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+function compareBackupVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Checks a field value against its definition
+ * @param {*} value - Field value (not undefined)
+ * @param {Object} definition - Field definition
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+function checkBackupField(value, definition) {
+    switch (definition.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (definition.required && value.trim() === '') return 'must not be empty';
+            if (definition.maxLength && value.length > definition.maxLength) {
+                return `must be ${definition.maxLength} characters or less (is ${value.length})`;
+            }
+            return null;
+        case 'id':
+            return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+        case 'date':
+            return typeof value === 'string' && !isNaN(new Date(value).getTime()) ? null : 'must be an ISO date string';
+        case 'color':
+            return typeof value === 'string' && /^#[0-9A-F]{6}$/i.test(value) ? null : 'must be a hex color like #2196F3';
+        case 'url': {
+            if (typeof value !== 'string') return 'must be a string';
+            try {
+                const protocol = new URL(value).protocol;
+                return ['http:', 'https:'].includes(protocol) ? null : 'must use http or https';
+            } catch (error) {
+                return 'is not a valid URL';
+            }
+        }
+        case 'count':
+            return Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of 0 or more';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validates an object against a record definition
+ * @param {*} record - Object to validate
+ * @param {Object} definition - Field definitions
+ * @param {string} path - JSON path of the object
+ * @param {Array} errors - Errors ({ path, message }) are added here
+ * @param {Array} warnings - Warnings ({ path, message }) about unknown fields are added here
+ */
+function validateBackupRecord(record, definition, path, errors, warnings) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push({ path, message: 'must be an object' });
+        return;
+    }
+
+    Object.keys(record).forEach(field => {
+        if (!definition[field]) {
+            warnings.push({ path: `${path}.${field}`, message: 'is not a known field and is ignored' });
+        }
+    });
+
+    Object.entries(definition).forEach(([field, fieldDefinition]) => {
+        const value = record[field];
+        // Optional fields may be left out or null
+        if (value === undefined || (value === null && !fieldDefinition.required)) {
+            if (fieldDefinition.required) {
+                errors.push({ path: `${path}.${field}`, message: 'is required' });
+            }
+            return;
+        }
+
+        if (fieldDefinition.type === 'tags') {
+            if (!Array.isArray(value)) {
+                errors.push({ path: `${path}.${field}`, message: 'must be an array of strings' });
+                return;
+            }
+            value.forEach((tag, index) => {
+                if (typeof tag !== 'string' || tag.trim() === '') {
+                    errors.push({ path: `${path}.${field}[${index}]`, message: 'must be a non-empty string' });
+                }
+            });
+            return;
+        }
+
+        const problem = checkBackupField(value, fieldDefinition);
+        if (problem) {
+            errors.push({ path: `${path}.${field}`, message: problem });
+        }
+    });
+}
+
+/**
+ * Reports records that share an id
+ * @param {Array} records - Records
+ * @param {string} path - JSON path of the array
+ * @param {Array} errors - Errors ({ path, message }) are added here
+ */
+function checkDuplicateIds(records, path, errors) {
+    const firstIndex = new Map();
+    records.forEach((record, index) => {
+        if (!record || typeof record.id !== 'string' || record.id === '') {
+            return;
+        }
+        if (firstIndex.has(record.id)) {
+            errors.push({
+                path: `${path}[${index}].id`,
+                message: `duplicates the id of ${path}[${firstIndex.get(record.id)}] ("${record.id}")`
+            });
+        } else {
+            firstIndex.set(record.id, index);
+        }
+    });
+}
+
+/**
+ * Validates backup or import data
+ * @param {*} data - Parsed data ({ metadata, groups, urls })
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.backupFile] - Data was read from a backup file: metadata with a
+ *   supported version is required and other top-level fields are reported. Otherwise
+ *   (data converted from other formats) the current schema version is used.
+ * @returns {Object} Object with valid, version (schema version used), errors
+ *   ({ path, message }; field errors in file order, then duplicate ids and references) and
+ *   warnings (unknown fields and totals that do not match; they do not block the import)
+ */
+function validateBackup(data, options = {}) {
+    const errors = [];
+    const warnings = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, version: null, errors: [{ path: '$', message: 'must be a JSON object' }], warnings };
+    }
+
+    let version = BACKUP_SCHEMA_VERSION;
+    if (options.backupFile) {
+        const metadata = data.metadata;
+        if (!metadata || typeof metadata !== 'object' || typeof metadata.version !== 'string') {
+            return { valid: false, version: null, errors: [{ path: 'metadata.version', message: 'is required; this is not a FavURL backup' }], warnings };
+        }
+        version = metadata.version;
+        if (!BACKUP_SCHEMAS[version]) {
+            const message = compareBackupVersions(version, BACKUP_SCHEMA_VERSION) > 0
+                ? `"${version}" is newer than this version of FavURL supports (${BACKUP_SCHEMA_VERSION}); please update the extension`
+                : `"${version}" is not a known backup version`;
+            return { valid: false, version, errors: [{ path: 'metadata.version', message }], warnings };
+        }
+
+        Object.keys(data).forEach(key => {
+            if (!['metadata', 'groups', 'urls'].includes(key)) {
+                warnings.push({ path: key, message: 'is not a known field and is ignored' });
+            }
+        });
+    }
+    const schema = BACKUP_SCHEMAS[version];
+    if (data.metadata !== undefined) {
+        validateBackupRecord(data.metadata, schema.metadata, 'metadata', errors, warnings);
+    }
+
+    const groups = Array.isArray(data.groups) ? data.groups : [];
+    const urls = Array.isArray(data.urls) ? data.urls : [];
+    if (!Array.isArray(data.groups)) {
+        errors.push({ path: 'groups', message: 'is required and must be an array' });
+    }
+    if (!Array.isArray(data.urls)) {
+        errors.push({ path: 'urls', message: 'is required and must be an array' });
+    }
+
+    groups.forEach((group, index) => validateBackupRecord(group, schema.group, `groups[${index}]`, errors, warnings));
+    urls.forEach((url, index) => validateBackupRecord(url, schema.url, `urls[${index}]`, errors, warnings));
+    checkDuplicateIds(groups, 'groups', errors);
+    checkDuplicateIds(urls, 'urls', errors);
+
+    // Every URL must belong to a group in the file
+    const groupIds = new Set(groups.filter(group => group && typeof group.id === 'string').map(group => group.id));
+    urls.forEach((url, index) => {
+        if (url && typeof url.groupId === 'string' && url.groupId !== '' &&
+            url.groupId !== BACKUP_DEFAULT_GROUP_ID && !groupIds.has(url.groupId)) {
+            errors.push({ path: `urls[${index}].groupId`, message: `refers to group "${url.groupId}", which is not in the file` });
+        }
+    });
+
+    // Parents must be other groups in the file, without cycles
+    const parentIds = new Map(groups
+        .filter(group => group && typeof group.id === 'string' && typeof group.parentId === 'string' && group.parentId !== '')
+        .map(group => [group.id, group.parentId]));
+    groups.forEach((group, index) => {
+        if (!group || !parentIds.has(group.id)) {
+            return;
+        }
+        const parentId = parentIds.get(group.id);
+        if (group.id === BACKUP_DEFAULT_GROUP_ID) {
+            errors.push({ path: `groups[${index}].parentId`, message: `must be empty; the "${BACKUP_DEFAULT_GROUP_ID}" group is always top-level` });
+        } else if (parentId === BACKUP_DEFAULT_GROUP_ID) {
+            errors.push({ path: `groups[${index}].parentId`, message: `must not be "${BACKUP_DEFAULT_GROUP_ID}", which has no sub-groups` });
+        } else if (!groupIds.has(parentId)) {
+            errors.push({ path: `groups[${index}].parentId`, message: `refers to group "${parentId}", which is not in the file` });
+        } else {
+            const seen = new Set([group.id]);
+            let ancestorId = parentId;
+            while (ancestorId && !seen.has(ancestorId)) {
+                seen.add(ancestorId);
+                ancestorId = parentIds.get(ancestorId);
+            }
+            if (ancestorId === group.id) {
+                errors.push({ path: `groups[${index}].parentId`, message: `nests the group in itself ("${parentId}")` });
+            }
+        }
+    });
+
+    // Totals written by the export differ in files that were cut short or edited by hand
+    const metadata = data.metadata;
+    if (options.backupFile && metadata && typeof metadata === 'object') {
+        if (Number.isInteger(metadata.totalGroups) && Array.isArray(data.groups) && metadata.totalGroups !== groups.length) {
+            warnings.push({ path: 'metadata.totalGroups', message: `is ${metadata.totalGroups}, but the file has ${groups.length} groups` });
+        }
+        if (Number.isInteger(metadata.totalUrls) && Array.isArray(data.urls) && metadata.totalUrls !== urls.length) {
+            warnings.push({ path: 'metadata.totalUrls', message: `is ${metadata.totalUrls}, but the file has ${urls.length} URLs` });
+        }
+    }
+
+    return { valid: errors.length === 0, version, errors, warnings };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        validateBackup,
+        compareBackupVersions,
+        BACKUP_SCHEMA_VERSION,
+        BACKUP_SCHEMAS
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.BackupSchema = {
+        validateBackup,
+        compareBackupVersions,
+        BACKUP_SCHEMA_VERSION,
+        BACKUP_SCHEMAS
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.BackupSchema = {
+        validateBackup,
+        compareBackupVersions,
+        BACKUP_SCHEMA_VERSION,
+        BACKUP_SCHEMAS
+    };
+}
\ No newline at end of file
@@ -0,0 +1,935 @@
+// Bookmark Mirror - Two-way bridge with Chrome's native bookmarks for FavURL Chrome Extension
+// When mirroring is enabled, a "FavURL" folder in the native bookmarks tree holds a
+// subfolder per top-level group with the group's URLs, followed by the folders of its
+// sub-groups (parentId), nested the same way. The background pushes every FavURL save to
+// the folder and applies native edits inside it (bookmarks and folders created, renamed,
+// moved or removed) to the groups and URLs. Native node ids are device specific, so the mapping
+// between records and nodes is kept in chrome.storage.local. All operations must run
+// one at a time (the background queues them); each is idempotent, so the events caused
+// by the other direction find nothing to change. Native nodes that match a record this
+// device already mirrors (e.g. the folder synced by Chrome from another device) are
+// ignored instead of being added twice. Access to the native bookmarks is an optional
+// permission, requested when the user first turns the mirror on or imports a folder.
+
+const MIRROR_STATE_KEY = 'bookmarkMirror';
+const MIRROR_FOLDER_TITLE = 'FavURL';
+// Only web pages can be stored as bookmarks
+const MIRROR_PROTOCOLS = ['http:', 'https:'];
+const BOOKMARKS_PERMISSION = { permissions: ['bookmarks'] };
+
+/**
+ * Checks whether the optional bookmarks permission is granted
+ * @returns {Promise<boolean>} True if chrome.bookmarks can be used
+ */
+async function hasBookmarksPermission() {
+    return chrome.permissions.contains(BOOKMARKS_PERMISSION);
+}
+
+/**
+ * Asks the user for the optional bookmarks permission. Must be called from a user
+ * gesture (before any other await in the event handler).
+ * @returns {Promise<boolean>} True if the permission is granted
+ */
+function requestBookmarksPermission() {
+    return chrome.permissions.request(BOOKMARKS_PERMISSION);
+}
+
+/**
+ * Loads the mirror state
+ * @returns {Promise<Object>} Object with enabled, rootId, folders (group id -> node id)
+ *   and bookmarks (URL id -> node id)
+ */
+async function loadMirrorState() {
+    const result = await chrome.storage.local.get([MIRROR_STATE_KEY]);
+    const stored = result[MIRROR_STATE_KEY] || {};
+    return {
+        enabled: stored.enabled === true,
+        rootId: stored.rootId || null,
+        folders: stored.folders || {},
+        bookmarks: stored.bookmarks || {}
+    };
+}
+
+/**
+ * Saves the mirror state
+ * @param {Object} state - Mirror state
+ * @returns {Promise<void>}
+ */
+async function saveMirrorState(state) {
+    await chrome.storage.local.set({ [MIRROR_STATE_KEY]: state });
+}
+
+/**
+ * Gets a native bookmark node
+ * @param {string} nodeId - Node id
+ * @returns {Promise<Object|null>} Node, or null if it no longer exists
+ */
+async function getNode(nodeId) {
+    if (!nodeId) {
+        return null;
+    }
+    try {
+        const [node] = await chrome.bookmarks.get(nodeId);
+        return node || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a URL can be stored as a FavURL bookmark
+ * @param {string} url - Address of a native bookmark
+ * @returns {boolean} True for web pages
+ */
+function isMirrorableUrl(url) {
+    try {
+        return MIRROR_PROTOCOLS.includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Finds the key mapped to a node id
+ * @param {Object} mapping - state.folders or state.bookmarks
+ * @param {string} nodeId - Node id
+ * @returns {string|null} Group or URL id
+ */
+function findMappedId(mapping, nodeId) {
+    return Object.keys(mapping).find(id => mapping[id] === nodeId) || null;
+}
+
+/**
+ * Gets the URLs of a group in display order
+ * @param {Array} urls - All URLs
+ * @param {string} groupId - Group id
+ * @returns {Array} Sorted URLs of the group
+ */
+function getGroupUrls(urls, groupId) {
+    return urls
+        .filter(url => url.groupId === groupId)
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Finds the group a native location belongs to. Bookmarks in folders nested below a
+ * group's folder belong to that group.
+ * @param {Object} state - Mirror state
+ * @param {string} parentId - Id of the node's parent folder
+ * @returns {Promise<Object|null>} { root: true } directly in the mirror folder,
+ *   { groupId } inside a group's folder, or null outside the mirror folder and inside
+ *   folders of the mirror folder that are not mapped to a group
+ */
+async function resolveLocation(state, parentId) {
+    let nodeId = parentId;
+    let childId = null;
+    while (nodeId) {
+        if (nodeId === state.rootId) {
+            return childId ? null : { root: true };
+        }
+        const groupId = findMappedId(state.folders, nodeId);
+        if (groupId) {
+            return { groupId };
+        }
+        const node = await getNode(nodeId);
+        childId = nodeId;
+        nodeId = node ? node.parentId : null;
+    }
+    return null;
+}
+
+/**
+ * Finds a group for a folder in the mirror folder by name
+ * @param {Object} state - Mirror state
+ * @param {Array} groups - All groups
+ * @param {string} title - Folder title
+ * @param {string|null} [parentId] - Group of the folder's parent folder (null in the mirror folder)
+ * @returns {Object} Object with group (if one with the same parent has the name) and mapped
+ *   (it already has a folder)
+ */
+function findGroupByName(state, groups, title, parentId = null) {
+    const parents = GroupTree.getGroupParentMap(groups);
+    const group = groups.find(g => g.name.toLowerCase() === (title || '').toLowerCase() &&
+        parents.get(g.id) === parentId);
+    return { group: group || null, mapped: !!(group && state.folders[group.id]) };
+}
+
+/**
+ * Finds a URL of a group with the same address
+ * @param {Object} state - Mirror state
+ * @param {Array} urls - All URLs
+ * @param {string} groupId - Group id
+ * @param {string} address - Address of the native bookmark
+ * @returns {Object} Object with url (if the group has the address) and mapped (it already has a node)
+ */
+function findUrlByAddress(state, urls, groupId, address) {
+    const matches = urls.filter(u => u.groupId === groupId && u.url === address);
+    const url = matches.find(u => !state.bookmarks[u.id]) || matches[0] || null;
+    return { url, mapped: !!(url && state.bookmarks[url.id]) };
+}
+
+/**
+ * Adds native bookmarks to a group, mapping them to matching URLs where possible
+ * @param {Object} state - Mirror state (mappings are updated)
+ * @param {Array} urls - All URLs (new URLs are appended)
+ * @param {Array<Object>} nodes - Native bookmark nodes
+ * @param {string} groupId - Group the bookmarks belong to
+ * @returns {number} Number of added URLs
+ */
+function addNativeBookmarks(state, urls, nodes, groupId) {
+    let added = 0;
+    nodes
+        .filter(node => isMirrorableUrl(node.url) && !findMappedId(state.bookmarks, node.id))
+        .forEach(node => {
+            const match = findUrlByAddress(state, urls, groupId, node.url);
+            if (match.url && !match.mapped) {
+                state.bookmarks[match.url.id] = node.id;
+            } else if (!match.url) {
+                const url = createUrlRecord(node, groupId, urls);
+                urls.push(url);
+                state.bookmarks[url.id] = node.id;
+                added++;
+            }
+        });
+    return added;
+}
+
+/**
+ * Gets the bookmarks of a native subtree
+ * @param {Object} node - Node with children
+ * @returns {Array<Object>} Bookmark nodes in tree order
+ */
+function collectBookmarks(node) {
+    return (node.children || []).flatMap(child => child.url ? [child] : collectBookmarks(child));
+}
+
+/**
+ * Adds a folder of the mirror folder as a group (or the group with its name and parent),
+ * with its bookmarks and its subfolders as sub-groups. The default group has no
+ * sub-groups, so bookmarks in its subfolders are added to it.
+ * @param {Object} state - Mirror state (mappings are updated)
+ * @param {Object} data - Loaded bookmarks (new groups and URLs are appended)
+ * @param {Object} folder - Folder node with children
+ * @param {string|null} parentId - Group of the parent folder (null in the mirror folder)
+ * @returns {Object} Object with groupId (null if another folder already mirrors the group),
+ *   added (URLs) and groupsAdded
+ */
+function addNativeFolder(state, data, folder, parentId) {
+    const result = { groupId: findMappedId(state.folders, folder.id), added: 0, groupsAdded: 0 };
+    if (!result.groupId) {
+        const match = findGroupByName(state, data.groups, folder.title, parentId);
+        if (match.mapped) {
+            return result; // Another folder already mirrors the group
+        }
+        const group = match.group || createGroupRecord(folder.title, data.groups, parentId);
+        if (!match.group) {
+            data.groups.push(group);
+            result.groupsAdded++;
+        }
+        result.groupId = group.id;
+        state.folders[group.id] = folder.id;
+    }
+
+    if (result.groupId === BookmarkRepository.DEFAULT_GROUP_ID) {
+        result.added += addNativeBookmarks(state, data.urls, collectBookmarks(folder), result.groupId);
+        return result;
+    }
+    const children = folder.children || [];
+    result.added += addNativeBookmarks(state, data.urls, children.filter(child => child.url), result.groupId);
+    children.filter(child => !child.url).forEach(subfolder => {
+        const subResult = addNativeFolder(state, data, subfolder, result.groupId);
+        result.added += subResult.added;
+        result.groupsAdded += subResult.groupsAdded;
+    });
+    return result;
+}
+
+/**
+ * Finds the mirror folder, creating it under "Other bookmarks" if needed
+ * @param {Object} state - Mirror state
+ * @returns {Promise<Object>} Folder node
+ */
+async function ensureMirrorFolder(state) {
+    const existing = await getNode(state.rootId);
+    if (existing && !existing.url) {
+        return existing;
+    }
+
+    const matches = await chrome.bookmarks.search({ title: MIRROR_FOLDER_TITLE });
+    const folder = matches.find(node => !node.url);
+    if (folder) {
+        return folder;
+    }
+
+    // Second root child is "Other bookmarks"; fall back to the bookmarks bar
+    const [tree] = await chrome.bookmarks.getTree();
+    const parent = tree.children[1] || tree.children[0];
+    return chrome.bookmarks.create({ parentId: parent.id, title: MIRROR_FOLDER_TITLE });
+}
+
+/**
+ * Gets whether mirroring is enabled and where the mirror folder is
+ * @returns {Promise<Object>} Object with enabled, permitted (bookmarks permission granted)
+ *   and folderTitle
+ */
+async function getMirrorStatus() {
+    const state = await loadMirrorState();
+    const permitted = await hasBookmarksPermission();
+    const folder = state.enabled && permitted ? await getNode(state.rootId) : null;
+    return {
+        enabled: state.enabled && !!folder,
+        permitted,
+        folderTitle: folder ? folder.title : MIRROR_FOLDER_TITLE
+    };
+}
+
+/**
+ * Enables mirroring: bookmarks already in the mirror folder are added to FavURL, then
+ * the folder is brought in line with all groups and URLs
+ * @returns {Promise<Object>} Mirror status
+ */
+async function enableMirror() {
+    if (!await hasBookmarksPermission()) {
+        throw new Error('Access to Chrome bookmarks was not granted');
+    }
+    const state = await loadMirrorState();
+    const folder = await ensureMirrorFolder(state);
+    if (folder.id !== state.rootId) {
+        state.folders = {};
+        state.bookmarks = {};
+    }
+    state.enabled = true;
+    state.rootId = folder.id;
+    await saveMirrorState(state);
+
+    await importUnmappedNodes(state);
+    await pushToNative();
+    console.log(`Bookmark mirror enabled (folder ${folder.id})`);
+    return getMirrorStatus();
+}
+
+/**
+ * Disables mirroring; the native folder and its bookmarks are left in place
+ * @returns {Promise<Object>} Mirror status
+ */
+async function disableMirror() {
+    const state = await loadMirrorState();
+    state.enabled = false;
+    await saveMirrorState(state);
+    console.log('Bookmark mirror disabled');
+    return getMirrorStatus();
+}
+
+/**
+ * Adds native bookmarks in the mirror folder that are not mapped to a record yet
+ * (left there while mirroring was off). Subfolders of the mirror folder become groups
+ * and their subfolders sub-groups, matching existing groups by name and parent.
+ * @param {Object} state - Mirror state (mappings are updated)
+ * @returns {Promise<number>} Number of added URLs
+ */
+async function importUnmappedNodes(state) {
+    const [root] = await chrome.bookmarks.getSubTree(state.rootId);
+    const data = await BookmarkRepository.loadBookmarks();
+    let added = 0;
+    let groupsAdded = 0;
+
+    const topLevelBookmarks = (root.children || []).filter(child => child.url);
+    added += addNativeBookmarks(state, data.urls, topLevelBookmarks, BookmarkRepository.DEFAULT_GROUP_ID);
+
+    (root.children || []).filter(child => !child.url).forEach(folder => {
+        const result = addNativeFolder(state, data, folder, null);
+        added += result.added;
+        groupsAdded += result.groupsAdded;
+    });
+
+    if (groupsAdded > 0) {
+        GroupTree.renumberGroupTree(data.groups);
+    }
+    if (added > 0 || groupsAdded > 0) {
+        await BookmarkRepository.saveBookmarks(data.groups, data.urls, data.metadata);
+        console.log(`Bookmark mirror added ${added} native bookmarks and ${groupsAdded} folders`);
+    }
+    await saveMirrorState(state);
+    return added;
+}
+
+/**
+ * Creates a group for a native folder, ordered after the other groups (callers that
+ * nest it renumber the tree)
+ * @param {string} title - Folder title
+ * @param {Array} groups - Existing groups (for the order)
+ * @param {string|null} [parentId] - Parent group (null for a top-level group)
+ * @returns {Object} Group
+ */
+function createGroupRecord(title, groups, parentId = null) {
+    const now = new Date().toISOString();
+    return {
+        id: FavURLUtils.generateUniqueId('group_'),
+        name: (title || 'Untitled folder').substring(0, 50),
+        created: now,
+        lastModified: now,
+        color: '#2196f3',
+        description: '',
+        order: groups.reduce((max, group) => Math.max(max, group.order || 0), 0) + 1,
+        parentId
+    };
+}
+
+/**
+ * Creates a URL for a native bookmark, ordered after the group's URLs
+ * @param {Object} node - Native bookmark node
+ * @param {string} groupId - Group the URL belongs to
+ * @param {Array} urls - Existing URLs (for the order)
+ * @returns {Object} URL
+ */
+function createUrlRecord(node, groupId, urls) {
+    const created = node.dateAdded ? new Date(node.dateAdded).toISOString() : new Date().toISOString();
+    const groupUrls = urls.filter(url => url.groupId === groupId);
+    return {
+        id: FavURLUtils.generateUniqueId('url_'),
+        url: node.url,
+        title: node.title || FavURLUtils.extractDomain(node.url),
+        timestamp: created,
+        groupId,
+        created,
+        lastModified: new Date().toISOString(),
+        tags: [],
+        notes: '',
+        order: groupUrls.reduce((max, url) => Math.max(max, url.order || 0), 0) + 1
+    };
+}
+
+/**
+ * Brings the mirror folder in line with the stored groups and URLs: creates, updates,
+ * moves and removes the mapped native nodes. Native nodes that are not mapped are kept.
+ * @returns {Promise<Object>} Object with status and the number of native changes
+ */
+async function pushToNative() {
+    const state = await loadMirrorState();
+    if (!state.enabled) {
+        return { status: 'disabled', changes: 0 };
+    }
+    if (!await hasBookmarksPermission()) {
+        // The permission was revoked; the mirror is turned off by the background
+        return { status: 'no_permission', changes: 0 };
+    }
+    if (!await getNode(state.rootId)) {
+        // The folder was deleted natively while the browser was closed
+        await disableMirror();
+        return { status: 'folder_missing', changes: 0 };
+    }
+
+    const data = await BookmarkRepository.loadBookmarks();
+    const parents = GroupTree.getGroupParentMap(data.groups);
+    let changes = 0;
+
+    // Current child lists of the folders handled so far, and where the next group folder goes
+    // in each (a group's sub-group folders follow its bookmarks)
+    const childrenByFolder = new Map([[state.rootId, await chrome.bookmarks.getChildren(state.rootId)]]);
+    const nextFolderIndex = new Map([[state.rootId, 0]]);
+
+    // Places a node at an index of a folder, possibly moving it from another folder
+    const place = async (nodeId, parentId, index) => {
+        const children = childrenByFolder.get(parentId);
+        if (children[index] && children[index].id === nodeId) {
+            return;
+        }
+        await chrome.bookmarks.move(nodeId, { parentId, index });
+        let node = { id: nodeId };
+        childrenByFolder.forEach(list => {
+            const currentIndex = list.findIndex(child => child.id === nodeId);
+            if (currentIndex !== -1) {
+                [node] = list.splice(currentIndex, 1);
+            }
+        });
+        children.splice(index, 0, node);
+        changes++;
+    };
+
+    // Parents come before their sub-groups, so their folders are in place
+    for (const { group } of GroupTree.flattenGroupTree(data.groups)) {
+        const parentId = parents.get(group.id);
+        const parentFolderId = parentId ? state.folders[parentId] : state.rootId;
+        const siblings = childrenByFolder.get(parentFolderId);
+        const folderIndex = Math.min(nextFolderIndex.get(parentFolderId), siblings.length);
+        nextFolderIndex.set(parentFolderId, folderIndex + 1);
+
+        let folder = await getNode(state.folders[group.id]);
+        if (!folder || folder.url) {
+            folder = await chrome.bookmarks.create({ parentId: parentFolderId, title: group.name, index: folderIndex });
+            state.folders[group.id] = folder.id;
+            siblings.splice(folderIndex, 0, folder);
+            changes++;
+        } else {
+            if (folder.title !== group.name) {
+                await chrome.bookmarks.update(folder.id, { title: group.name });
+                changes++;
+            }
+            await place(folder.id, parentFolderId, folderIndex);
+        }
+
+        const folderChildren = await chrome.bookmarks.getChildren(folder.id);
+        childrenByFolder.set(folder.id, folderChildren);
+        const groupUrls = getGroupUrls(data.urls, group.id);
+        for (const [urlIndex, url] of groupUrls.entries()) {
+            const node = await getNode(state.bookmarks[url.id]);
+            if (!node || !node.url) {
+                const created = await chrome.bookmarks.create({
+                    parentId: folder.id,
+                    title: url.title,
+                    url: url.url,
+                    index: Math.min(urlIndex, folderChildren.length)
+                });
+                state.bookmarks[url.id] = created.id;
+                folderChildren.splice(urlIndex, 0, created);
+                changes++;
+                continue;
+            }
+
+            if (node.title !== url.title || node.url !== url.url) {
+                await chrome.bookmarks.update(node.id, { title: url.title, url: url.url });
+                changes++;
+            }
+            await place(node.id, folder.id, Math.min(urlIndex, folderChildren.length));
+        }
+        nextFolderIndex.set(folder.id, groupUrls.length);
+    }
+
+    // Remove native nodes of deleted records
+    const groupIds = new Set(data.groups.map(group => group.id));
+    const urlIds = new Set(data.urls.map(url => url.id));
+    for (const urlId of Object.keys(state.bookmarks).filter(id => !urlIds.has(id))) {
+        if (await getNode(state.bookmarks[urlId])) {
+            await chrome.bookmarks.remove(state.bookmarks[urlId]);
+            changes++;
+        }
+        delete state.bookmarks[urlId];
+    }
+    for (const groupId of Object.keys(state.folders).filter(id => !groupIds.has(id))) {
+        if (await getNode(state.folders[groupId])) {
+            await chrome.bookmarks.removeTree(state.folders[groupId]);
+            changes++;
+        }
+        delete state.folders[groupId];
+    }
+
+    await saveMirrorState(state);
+    if (changes > 0) {
+        console.log(`Bookmark mirror applied ${changes} changes to the native folder`);
+    }
+    return { status: 'synced', changes };
+}
+
+/**
+ * Sets the order of a group's URLs to their order in the native folder
+ * @param {Object} state - Mirror state
+ * @param {Array} urls - All URLs (updated in place)
+ * @param {string} groupId - Group id
+ * @returns {Promise<boolean>} True if an order changed
+ */
+async function applyNativeUrlOrder(state, urls, groupId) {
+    const folderId = state.folders[groupId];
+    if (!folderId) {
+        return false;
+    }
+    const children = await chrome.bookmarks.getChildren(folderId);
+    const nodeIndex = new Map(children.map((child, index) => [child.id, index]));
+    const groupUrls = getGroupUrls(urls, groupId);
+    const nativeOrder = groupUrls.slice().sort((a, b) => {
+        const indexA = nodeIndex.has(state.bookmarks[a.id]) ? nodeIndex.get(state.bookmarks[a.id]) : Infinity;
+        const indexB = nodeIndex.has(state.bookmarks[b.id]) ? nodeIndex.get(state.bookmarks[b.id]) : Infinity;
+        return indexA - indexB;
+    });
+
+    if (nativeOrder.every((url, index) => url === groupUrls[index])) {
+        return false;
+    }
+    nativeOrder.forEach((url, index) => {
+        url.order = index;
+    });
+    return true;
+}
+
+/**
+ * Sets the order of the groups to the order of their folders: top-level groups by their
+ * folders in the mirror folder, sub-groups by their folders in the parent's folder
+ * @param {Object} state - Mirror state
+ * @param {Array} groups - All groups (updated in place)
+ * @returns {Promise<boolean>} True if an order changed
+ */
+async function applyNativeGroupOrder(state, groups) {
+    const parents = GroupTree.getGroupParentMap(groups);
+    const reordered = [];
+
+    for (const parentId of new Set(parents.values())) {
+        const folder = await getNode(parentId ? state.folders[parentId] : state.rootId);
+        if (!folder) {
+            continue;
+        }
+        const children = await chrome.bookmarks.getChildren(folder.id);
+        const nodeIndex = new Map(children.map((child, index) => [child.id, index]));
+        const getIndex = group => nodeIndex.has(state.folders[group.id]) ? nodeIndex.get(state.folders[group.id]) : children.length;
+        // The default group always comes first
+        const siblings = GroupTree.getGroupChildren(groups, parentId)
+            .filter(group => group.id !== BookmarkRepository.DEFAULT_GROUP_ID);
+        const nativeOrder = siblings.slice().sort((a, b) => getIndex(a) - getIndex(b));
+        if (nativeOrder.some((group, index) => group !== siblings[index])) {
+            reordered.push(nativeOrder);
+        }
+    }
+
+    if (reordered.length === 0) {
+        return false;
+    }
+    reordered.forEach(siblings => siblings.forEach((group, index) => {
+        group.order = index + 1;
+    }));
+    GroupTree.renumberGroupTree(groups);
+    return true;
+}
+
+/**
+ * Moves URLs (and optionally their group) to the Trash after their native nodes were removed
+ * @param {Object} data - Loaded bookmarks (updated in place)
+ * @param {Array<string>} urlIds - URLs to remove
+ * @param {Object} [group] - Group to remove with its sub-groups and all of their URLs
+ * @returns {Promise<void>}
+ */
+async function trashRecords(data, urlIds, group = null) {
+    const ids = new Set(urlIds);
+    const groupsById = new Map(data.groups.map(g => [g.id, g]));
+    const entries = [];
+    let removedGroupIds = new Set();
+
+    if (group) {
+        // Like deleting the group in the popup: sub-groups go to the Trash in the same entry
+        const subgroups = GroupTree.getGroupDescendants(data.groups, group.id);
+        removedGroupIds = new Set([group.id, ...subgroups.map(g => g.id)]);
+        data.urls.filter(url => removedGroupIds.has(url.groupId)).forEach(url => ids.add(url.id));
+        entries.push(TrashManager.createGroupEntry(
+            group,
+            getGroupUrls(data.urls, group.id),
+            subgroups.map(subgroup => ({ group: subgroup, urls: getGroupUrls(data.urls, subgroup.id) }))
+        ));
+    }
+    data.urls
+        .filter(url => ids.has(url.id) && !removedGroupIds.has(url.groupId))
+        .forEach(url => entries.push(TrashManager.createURLEntry(url, groupsById.get(url.groupId))));
+
+    if (entries.length > 0) {
+        await TrashManager.addToTrash(entries);
+    }
+    data.groups = data.groups.filter(g => !removedGroupIds.has(g.id));
+    data.urls = data.urls.filter(url => !ids.has(url.id));
+}
+
+/**
+ * Applies a native bookmark or folder created (or moved) into the mirror folder
+ * @param {string} nodeId - Node id
+ * @returns {Promise<boolean>} True if FavURL data changed
+ */
+async function handleNativeCreated(nodeId) {
+    const state = await loadMirrorState();
+    if (!state.enabled || findMappedId(state.bookmarks, nodeId) || findMappedId(state.folders, nodeId)) {
+        return false; // Created by pushToNative or not mirrored
+    }
+
+    const node = await getNode(nodeId);
+    const location = node ? await resolveLocation(state, node.parentId) : null;
+    if (!location) {
+        return false;
+    }
+
+    const data = await BookmarkRepository.loadBookmarks();
+    const groupId = location.groupId || BookmarkRepository.DEFAULT_GROUP_ID;
+    const [subTree] = await chrome.bookmarks.getSubTree(node.id);
+    let changed = false;
+
+    if (!node.url && (location.root || groupId !== BookmarkRepository.DEFAULT_GROUP_ID)) {
+        // New folder in the mirror folder or a group's folder: a new group or sub-group (or
+        // the group it was synced for), with the bookmarks and subfolders of a folder moved in
+        const result = addNativeFolder(state, data, subTree, location.root ? null : groupId);
+        if (!result.groupId) {
+            return false;
+        }
+        if (result.groupsAdded > 0) {
+            GroupTree.renumberGroupTree(data.groups);
+        }
+        changed = result.added > 0 || result.groupsAdded > 0;
+        changed = await applyNativeGroupOrder(state, data.groups) || changed;
+    } else {
+        // The bookmark, or the bookmarks in a folder in the default group's folder
+        const nodes = subTree.url ? [subTree] : collectBookmarks(subTree);
+        changed = addNativeBookmarks(state, data.urls, nodes, groupId) > 0;
+        changed = await applyNativeUrlOrder(state, data.urls, groupId) || changed;
+    }
+
+    await saveMirrorState(state);
+    if (changed) {
+        await BookmarkRepository.saveBookmarks(data.groups, data.urls, data.metadata);
+    }
+    return changed;
+}
+
+/**
+ * Applies a native rename or address change of a mirrored node
+ * @param {string} nodeId - Node id
+ * @param {Object} changeInfo - New title and url
+ * @returns {Promise<boolean>} True if FavURL data changed
+ */
+async function handleNativeChanged(nodeId, changeInfo) {
+    const state = await loadMirrorState();
+    if (!state.enabled) {
+        return false;
+    }
+
+    const data = await BookmarkRepository.loadBookmarks();
+    const now = new Date().toISOString();
+    const urlId = findMappedId(state.bookmarks, nodeId);
+    const groupId = findMappedId(state.folders, nodeId);
+
+    if (urlId) {
+        const url = data.urls.find(u => u.id === urlId);
+        if (!url) return false;
+        const newUrl = changeInfo.url && isMirrorableUrl(changeInfo.url) ? changeInfo.url : url.url;
+        const newTitle = changeInfo.title || url.title;
+        if (newUrl === url.url && newTitle === url.title) return false;
+        url.url = newUrl;
+        url.title = newTitle;
+        url.lastModified = now;
+    } else if (groupId && groupId !== BookmarkRepository.DEFAULT_GROUP_ID) {
+        const group = data.groups.find(g => g.id === groupId);
+        const newName = (changeInfo.title || '').trim().substring(0, 50);
+        if (!group || !newName || newName === group.name) return false;
+        group.name = newName;
+        group.lastModified = now;
+    } else {
+        return false; // The default group keeps its name; the next push restores the folder title
+    }
+
+    await BookmarkRepository.saveBookmarks(data.groups, data.urls, data.metadata);
+    return true;
+}
+
+/**
+ * Applies the native removal of a mirrored node; removed records go to the Trash
+ * @param {string} nodeId - Node id
+ * @param {Object} removeInfo - Removal info (node holds the removed subtree)
+ * @returns {Promise<boolean>} True if FavURL data changed
+ */
+async function handleNativeRemoved(nodeId, removeInfo) {
+    const state = await loadMirrorState();
+    if (!state.enabled) {
+        return false;
+    }
+    if (nodeId === state.rootId) {
+        // The mirror folder itself was deleted: stop mirroring, keep the FavURL data
+        state.enabled = false;
+        state.folders = {};
+        state.bookmarks = {};
+        await saveMirrorState(state);
+        console.log('Bookmark mirror folder removed, mirroring disabled');
+        return false;
+    }
+
+    // Removing a folder removes its subtree without events for the children
+    const collectIds = node => [node.id, ...(node.children || []).flatMap(collectIds)];
+    const removedNodeIds = new Set(removeInfo && removeInfo.node ? collectIds(removeInfo.node) : [nodeId]);
+    const urlIds = Object.keys(state.bookmarks).filter(id => removedNodeIds.has(state.bookmarks[id]));
+    const groupId = findMappedId(state.folders, nodeId);
+    if (urlIds.length === 0 && !groupId) {
+        return false;
+    }
+
+    const data = await BookmarkRepository.loadBookmarks();
+    // A removed group folder takes the group's URLs and sub-groups with it
+    const group = groupId && groupId !== BookmarkRepository.DEFAULT_GROUP_ID
+        ? data.groups.find(g => g.id === groupId)
+        : null;
+
+    await trashRecords(data, urlIds, group);
+    urlIds.forEach(id => delete state.bookmarks[id]);
+    Object.keys(state.folders)
+        .filter(id => id === groupId || removedNodeIds.has(state.folders[id]))
+        .forEach(id => delete state.folders[id]);
+    await saveMirrorState(state);
+    await BookmarkRepository.saveBookmarks(data.groups, data.urls, data.metadata);
+    return true;
+}
+
+/**
+ * Applies a native move: bookmarks moved between group folders change group, group
+ * folders moved into another group's folder (or back to the mirror folder) change parent,
+ * moves within a folder change the order, and moves out of the mirror folder remove records
+ * @param {string} nodeId - Node id
+ * @param {Object} moveInfo - Move info (parentId, oldParentId)
+ * @returns {Promise<boolean>} True if FavURL data changed
+ */
+async function handleNativeMoved(nodeId, moveInfo) {
+    const state = await loadMirrorState();
+    if (!state.enabled) {
+        return false;
+    }
+
+    const urlId = findMappedId(state.bookmarks, nodeId);
+    const groupId = findMappedId(state.folders, nodeId);
+    if (!urlId && !groupId) {
+        // Moved in from outside the mirror folder
+        return handleNativeCreated(nodeId);
+    }
+
+    const location = await resolveLocation(state, moveInfo.parentId);
+    if (!location) {
+        // Moved out of the mirror folder
+        const subTree = await chrome.bookmarks.getSubTree(nodeId);
+        return handleNativeRemoved(nodeId, { node: subTree[0] });
+    }
+
+    const data = await BookmarkRepository.loadBookmarks();
+    let changed = false;
+
+    if (urlId) {
+        const url = data.urls.find(u => u.id === urlId);
+        if (!url) return false;
+        const targetGroupId = location.groupId || BookmarkRepository.DEFAULT_GROUP_ID;
+        if (url.groupId !== targetGroupId) {
+            url.groupId = targetGroupId;
+            url.lastModified = new Date().toISOString();
+            changed = true;
+        }
+        changed = await applyNativeUrlOrder(state, data.urls, targetGroupId) || changed;
+    } else {
+        const group = data.groups.find(g => g.id === groupId);
+        const parentId = location.root ? null : location.groupId;
+        if (!group) return false;
+        if ((GroupTree.getGroupParentMap(data.groups).get(groupId) || null) !== parentId) {
+            // Moves the default group can't make are put back by the next push
+            if (!GroupTree.canNestGroup(data.groups, groupId, parentId)) return false;
+            group.parentId = parentId;
+            group.lastModified = new Date().toISOString();
+            changed = true;
+        }
+        changed = await applyNativeGroupOrder(state, data.groups) || changed;
+    }
+
+    if (changed) {
+        await BookmarkRepository.saveBookmarks(data.groups, data.urls, data.metadata);
+    }
+    return changed;
+}
+
+/**
+ * Lists the folders of the native bookmarks tree (for the one-time folder import)
+ * @returns {Promise<Array<Object>>} Objects with id, title, path and depth, in tree order
+ *   (empty without the bookmarks permission)
+ */
+async function listNativeFolders() {
+    if (!await hasBookmarksPermission()) {
+        return [];
+    }
+    const [tree] = await chrome.bookmarks.getTree();
+    const folders = [];
+    const walk = (node, path, depth) => {
+        (node.children || []).forEach(child => {
+            if (child.url) return;
+            const childPath = [...path, child.title || 'Untitled folder'];
+            folders.push({ id: child.id, title: child.title, path: childPath.join(' / '), depth });
+            walk(child, childPath, depth + 1);
+        });
+    };
+    walk(tree, [], 0);
+    return folders;
+}
+
+/**
+ * Imports the bookmarks of a native folder into a group once (not kept in sync)
+ * @param {string} folderId - Native folder id
+ * @param {Object} [options] - Options
+ * @param {string} [options.groupId] - Target group; a group named after the folder is created if missing
+ * @param {boolean} [options.includeSubfolders] - Also import bookmarks of nested folders (default true)
+ * @returns {Promise<Object>} Object with group, added and skipped (duplicates and non-web pages)
+ */
+async function importNativeFolder(folderId, options = {}) {
+    const includeSubfolders = options.includeSubfolders !== false;
+    const [folder] = await chrome.bookmarks.getSubTree(folderId);
+    if (!folder || folder.url) {
+        throw new Error('Bookmark folder not found');
+    }
+
+    const data = await BookmarkRepository.loadBookmarks();
+    let group = options.groupId ? data.groups.find(g => g.id === options.groupId) : null;
+    if (!group) {
+        group = createGroupRecord(folder.title, data.groups);
+        data.groups.push(group);
+    }
+
+    const nodes = includeSubfolders ? collectBookmarks(folder) : (folder.children || []).filter(child => child.url);
+    const existing = new Set(data.urls.filter(url => url.groupId === group.id).map(url => url.url));
+    let added = 0;
+    let skipped = 0;
+
+    nodes.forEach(node => {
+        if (!isMirrorableUrl(node.url) || existing.has(node.url)) {
+            skipped++;
+            return;
+        }
+        data.urls.push(createUrlRecord(node, group.id, data.urls));
+        existing.add(node.url);
+        added++;
+    });
+
+    await BookmarkRepository.saveBookmarks(data.groups, data.urls, data.metadata);
+    console.log(`Imported ${added} bookmarks from native folder "${folder.title}"`);
+    return { group, added, skipped };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        hasBookmarksPermission,
+        requestBookmarksPermission,
+        getMirrorStatus,
+        enableMirror,
+        disableMirror,
+        pushToNative,
+        handleNativeCreated,
+        handleNativeChanged,
+        handleNativeRemoved,
+        handleNativeMoved,
+        listNativeFolders,
+        importNativeFolder
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.BookmarkMirror = {
+        hasBookmarksPermission,
+        requestBookmarksPermission,
+        getMirrorStatus,
+        enableMirror,
+        disableMirror,
+        pushToNative,
+        handleNativeCreated,
+        handleNativeChanged,
+        handleNativeRemoved,
+        handleNativeMoved,
+        listNativeFolders,
+        importNativeFolder
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.BookmarkMirror = {
+        hasBookmarksPermission,
+        requestBookmarksPermission,
+        getMirrorStatus,
+        enableMirror,
+        disableMirror,
+        pushToNative,
+        handleNativeCreated,
+        handleNativeChanged,
+        handleNativeRemoved,
+        handleNativeMoved,
+        listNativeFolders,
+        importNativeFolder
+    };
+}
\ No newline at end of file
@@ -0,0 +1,303 @@
+// Bookmark repository for FavURL Chrome Extension
+// Single entry point used by the background, popup and start page for reading and
+// writing bookmarks. StorageManager encodes the canonical packed layout (and still reads
+// the historical ones); the repository keeps groups and URLs consistent.
+
+const DEFAULT_GROUP_ID = 'ungrouped';
+
+/**
+ * Creates the default "Ungrouped" group as a plain object
+ * @returns {Object} Default group
+ */
+function createDefaultGroup() {
+    const now = new Date().toISOString();
+    return {
+        id: DEFAULT_GROUP_ID,
+        name: 'Ungrouped',
+        created: now,
+        lastModified: now,
+        isDefault: true,
+        protected: true,
+        color: '#9e9e9e',
+        description: 'Default group for uncategorized bookmarks',
+        order: 0
+    };
+}
+
+/**
+ * Makes groups whose parent is missing, is the default group or would form a cycle
+ * top-level groups. Groups are updated in place.
+ * @param {Array} groups - Array of group objects (plain objects or GroupDataModel instances)
+ * @returns {number} Number of groups moved to the top level
+ */
+function repairGroupParents(groups) {
+    const byId = new Map(groups.map(group => [group.id, group]));
+    let repaired = 0;
+
+    groups.forEach(group => {
+        if (group.parentId === undefined) {
+            group.parentId = null;
+        }
+        if (group.parentId && (group.id === DEFAULT_GROUP_ID || group.parentId === DEFAULT_GROUP_ID || !byId.has(group.parentId))) {
+            group.parentId = null;
+            repaired++;
+        }
+    });
+
+    // Break cycles at the group where the walk up the tree returns to itself
+    groups.forEach(group => {
+        const seen = new Set([group.id]);
+        let parent = byId.get(group.parentId);
+        while (parent) {
+            if (seen.has(parent.id)) {
+                group.parentId = null;
+                repaired++;
+                break;
+            }
+            seen.add(parent.id);
+            parent = byId.get(parent.parentId);
+        }
+    });
+
+    return repaired;
+}
+
+/**
+ * Ensures the default group exists with correct metadata, that every URL belongs to
+ * an existing group and that nested groups form a tree. Arrays are updated in place.
+ * @param {Array} groups - Array of group objects (plain objects or GroupDataModel instances)
+ * @param {Array} urls - Array of URL objects (plain objects or URLDataModel instances)
+ * @returns {Object} Object with defaultGroupCreated, defaultGroupFixed, reassignedUrls
+ *   and repairedParents
+ */
+function normalizeBookmarks(groups, urls) {
+    const report = { defaultGroupCreated: false, defaultGroupFixed: false, reassignedUrls: 0, repairedParents: 0 };
+
+    let defaultGroup = groups.find(g => g.id === DEFAULT_GROUP_ID);
+    if (!defaultGroup) {
+        defaultGroup = createDefaultGroup();
+        groups.unshift(defaultGroup); // Add at beginning for UI priority
+        report.defaultGroupCreated = true;
+    } else if (!defaultGroup.isDefault || !defaultGroup.protected || defaultGroup.name !== 'Ungrouped') {
+        defaultGroup.isDefault = true;
+        defaultGroup.protected = true;
+        defaultGroup.name = 'Ungrouped';
+        report.defaultGroupFixed = true;
+    }
+
+    const groupIds = new Set(groups.map(g => g.id));
+    urls.forEach(url => {
+        if (!url.groupId || !groupIds.has(url.groupId)) {
+            url.groupId = DEFAULT_GROUP_ID;
+            report.reassignedUrls++;
+        }
+    });
+
+    report.repairedParents = repairGroupParents(groups);
+
+    return report;
+}
+
+/**
+ * Loads all bookmarks from the synced and device-local tiers
+ * @returns {Promise<Object>} Object containing groups, urls, and metadata
+ */
+async function loadBookmarks() {
+    return StorageManager.loadDataFromStorage();
+}
+
+/**
+ * Saves all bookmarks in the packed layout
+ * @param {Array} groups - Array of group objects (plain objects or GroupDataModel instances)
+ * @param {Array} urls - Array of URL objects (plain objects or URLDataModel instances)
+ * @param {Object} metadata - Settings to save alongside the bookmarks
+ * @returns {Promise<Object>} Save result as returned by StorageManager.saveDataToStorage
+ */
+async function saveBookmarks(groups, urls, metadata = {}) {
+    return StorageManager.saveDataToStorage(groups, urls, metadata);
+}
+
+/**
+ * Brings stored data into a consistent state: creates the default group and repairs
+ * group assignments. Used by the background on install, update and startup, after
+ * MigrationManager has brought the data to the current schema version.
+ * @returns {Promise<Object>} Object with saved, groupCount and urlCount
+ */
+async function initializeStorage() {
+    const data = await loadBookmarks();
+    const report = normalizeBookmarks(data.groups, data.urls);
+
+    const saved = data.metadata.storageFormat === 'empty' ||
+        report.defaultGroupCreated || report.defaultGroupFixed || report.reassignedUrls > 0 || report.repairedParents > 0;
+    if (saved) {
+        await saveBookmarks(data.groups, data.urls, data.metadata);
+    }
+    if (report.reassignedUrls > 0) {
+        console.log(`Fixed ${report.reassignedUrls} URLs with invalid group assignments`);
+    }
+    if (report.repairedParents > 0) {
+        console.log(`Moved ${report.repairedParents} groups with an invalid parent to the top level`);
+    }
+
+    return {
+        saved,
+        groupCount: data.groups.length,
+        urlCount: data.urls.length
+    };
+}
+
+/**
+ * Gets the time a record was last changed
+ * @param {Object} record - Group or URL object
+ * @returns {number} Epoch milliseconds (0 if unknown)
+ */
+function getRecordTime(record) {
+    const time = new Date(record.lastModified || record.timestamp || record.created || 0).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Merges imported groups into existing groups by id; the newer copy wins
+ * @param {Array} existing - Stored groups
+ * @param {Array} imported - Imported groups
+ * @returns {Object} Object with groups, the number of added and updated groups and
+ *   outcomes ({ status: 'added'|'updated'|'skipped', previous } per imported group, in order)
+ */
+function mergeGroups(existing, imported) {
+    const groupMap = new Map(existing.map(group => [group.id, group]));
+    const outcomes = [];
+    let added = 0;
+    let updated = 0;
+
+    imported.forEach(importedGroup => {
+        const current = groupMap.get(importedGroup.id);
+        if (!current) {
+            groupMap.set(importedGroup.id, importedGroup);
+            outcomes.push({ status: 'added', previous: null });
+            added++;
+        } else if (getRecordTime(importedGroup) > getRecordTime(current)) {
+            groupMap.set(importedGroup.id, importedGroup);
+            outcomes.push({ status: 'updated', previous: current });
+            updated++;
+        } else {
+            outcomes.push({ status: 'skipped', previous: current });
+        }
+    });
+
+    return { groups: Array.from(groupMap.values()), added, updated, outcomes };
+}
+
+/**
+ * Merges imported URLs into existing URLs. A URL matches an existing one with the
+ * same id, or with the same address and title; the newer copy wins.
+ * @param {Array} existing - Stored URLs
+ * @param {Array} imported - Imported URLs
+ * @returns {Object} Object with urls, the number of added and updated URLs and outcomes
+ *   ({ status: 'added'|'updated'|'skipped', previous } per imported URL, in order)
+ */
+function mergeUrls(existing, imported) {
+    const merged = existing.slice();
+    const indexById = new Map(merged.map((url, index) => [url.id, index]));
+    const indexByAddress = new Map(merged.map((url, index) => [`${url.url}|${url.title}`, index]));
+    const outcomes = [];
+    let added = 0;
+    let updated = 0;
+
+    imported.forEach(importedUrl => {
+        const key = `${importedUrl.url}|${importedUrl.title}`;
+        const index = indexById.has(importedUrl.id) ? indexById.get(importedUrl.id) : indexByAddress.get(key);
+
+        if (index === undefined) {
+            indexById.set(importedUrl.id, merged.length);
+            indexByAddress.set(key, merged.length);
+            merged.push(importedUrl);
+            outcomes.push({ status: 'added', previous: null });
+            added++;
+        } else if (getRecordTime(importedUrl) > getRecordTime(merged[index])) {
+            outcomes.push({ status: 'updated', previous: merged[index] });
+            indexById.delete(merged[index].id);
+            indexById.set(importedUrl.id, index);
+            indexByAddress.set(key, index);
+            merged[index] = importedUrl;
+            updated++;
+        } else {
+            outcomes.push({ status: 'skipped', previous: merged[index] });
+        }
+    });
+
+    return { urls: merged, added, updated, outcomes };
+}
+
+/**
+ * Merges imported groups and URLs into the stored bookmarks and saves the result
+ * @param {Object} importData - Object containing imported groups and urls (plain objects)
+ * @returns {Promise<Object>} Object with groups, urls, metadata, counts and the save result
+ */
+async function mergeImport(importData) {
+    const data = await loadBookmarks();
+    const existingGroups = data.groups.map(StorageManager.stripStorageTier);
+    const existingUrls = data.urls.map(StorageManager.stripStorageTier);
+
+    const groupMerge = mergeGroups(existingGroups, importData.groups || []);
+    const urlMerge = mergeUrls(existingUrls, importData.urls || []);
+    normalizeBookmarks(groupMerge.groups, urlMerge.urls);
+
+    const result = await saveBookmarks(groupMerge.groups, urlMerge.urls, data.metadata);
+    console.log(`Merge import: ${urlMerge.added} URLs added, ${urlMerge.updated} updated, ${urlMerge.urls.length} total`);
+
+    return {
+        groups: groupMerge.groups,
+        urls: urlMerge.urls,
+        metadata: data.metadata,
+        addedGroups: groupMerge.added,
+        updatedGroups: groupMerge.updated,
+        addedUrls: urlMerge.added,
+        updatedUrls: urlMerge.updated,
+        result
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        createDefaultGroup,
+        repairGroupParents,
+        normalizeBookmarks,
+        loadBookmarks,
+        saveBookmarks,
+        initializeStorage,
+        mergeGroups,
+        mergeUrls,
+        mergeImport,
+        DEFAULT_GROUP_ID
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.BookmarkRepository = {
+        createDefaultGroup,
+        repairGroupParents,
+        normalizeBookmarks,
+        loadBookmarks,
+        saveBookmarks,
+        initializeStorage,
+        mergeGroups,
+        mergeUrls,
+        mergeImport,
+        DEFAULT_GROUP_ID
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.BookmarkRepository = {
+        createDefaultGroup,
+        repairGroupParents,
+        normalizeBookmarks,
+        loadBookmarks,
+        saveBookmarks,
+        initializeStorage,
+        mergeGroups,
+        mergeUrls,
+        mergeImport,
+        DEFAULT_GROUP_ID
+    };
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+// Bookmark Tags - Tag helpers shared by the popup and start page for FavURL Chrome Extension
+// Tags are free-form labels stored in URLDataModel.tags. They compare case-insensitively:
+// entering "news" on a bookmark reuses an existing "News" tag. Renaming a tag to the name
+// of another tag merges the two. Filters match bookmarks that have all selected tags.
+
+// Longer tags are cut off
+const BOOKMARK_TAG_MAX_LENGTH = 40;
+// Autocomplete suggestions shown at most
+const BOOKMARK_TAG_MAX_SUGGESTIONS = 8;
+
+/**
+ * Cleans up a tag entered by the user
+ * @param {string} tag - Tag text
+ * @returns {string} Trimmed tag with inner whitespace collapsed ('' if nothing is left)
+ */
+function normalizeTag(tag) {
+    return String(tag || '').replace(/\s+/g, ' ').trim().substring(0, BOOKMARK_TAG_MAX_LENGTH).trim();
+}
+
+/**
+ * Compares tags the way they are matched
+ * @param {string} tag - Tag
+ * @returns {string} Key that is equal for tags differing only in case
+ */
+function getTagKey(tag) {
+    return normalizeTag(tag).toLowerCase();
+}
+
+/**
+ * Cleans up a list of tags, dropping empty ones and repeats
+ * @param {Array<string>} tags - Tags
+ * @param {Array<string>} [knownTags] - Existing tags; entered tags take their spelling
+ * @returns {Array<string>} Tags in their first order
+ */
+function normalizeTagList(tags, knownTags = []) {
+    const spelling = new Map(knownTags.map(tag => [getTagKey(tag), tag]));
+    const seen = new Set();
+    const result = [];
+    (tags || []).forEach(tag => {
+        const normalized = normalizeTag(tag);
+        const key = normalized.toLowerCase();
+        if (!normalized || seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+        result.push(spelling.get(key) || normalized);
+    });
+    return result;
+}
+
+/**
+ * Lists every tag used by the bookmarks
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @returns {Array<Object>} Objects with name and count (bookmarks with the tag), sorted by name
+ */
+function collectTags(urls) {
+    const counts = new Map();
+    urls.forEach(url => {
+        normalizeTagList(url.tags).forEach(tag => {
+            const key = tag.toLowerCase();
+            const entry = counts.get(key) || { name: tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+    return Array.from(counts.values()).sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Finds tags for autocomplete
+ * @param {Array<Object>} tags - Tags as returned by collectTags
+ * @param {string} text - Text entered so far
+ * @param {Array<string>} [exclude] - Tags already chosen
+ * @returns {Array<string>} Matching tag names; tags starting with the text come first,
+ *   then the most used
+ */
+function suggestTags(tags, text, exclude = []) {
+    const query = getTagKey(text);
+    const excluded = new Set(exclude.map(getTagKey));
+    return tags
+        .filter(tag => !excluded.has(tag.name.toLowerCase()) && tag.name.toLowerCase().includes(query))
+        .sort((a, b) => {
+            const aStarts = a.name.toLowerCase().startsWith(query) ? 0 : 1;
+            const bStarts = b.name.toLowerCase().startsWith(query) ? 0 : 1;
+            return aStarts - bStarts || b.count - a.count || a.name.localeCompare(b.name);
+        })
+        .slice(0, BOOKMARK_TAG_MAX_SUGGESTIONS)
+        .map(tag => tag.name);
+}
+
+/**
+ * Checks whether a bookmark has all of the given tags
+ * @param {Object} url - URL (plain object or URLDataModel instance)
+ * @param {Array<string>|Set<string>} tags - Tags to look for
+ * @returns {boolean} True if every tag is on the bookmark (always true for no tags)
+ */
+function hasAllTags(url, tags) {
+    const urlTags = new Set((url.tags || []).map(getTagKey));
+    return Array.from(tags).every(tag => urlTags.has(getTagKey(tag)));
+}
+
+/**
+ * Renames a tag on every bookmark; renaming to an existing tag merges the two
+ * @param {Array} urls - URLs (modified in place)
+ * @param {string} from - Tag to rename
+ * @param {string} to - New name
+ * @returns {number} Number of bookmarks changed
+ */
+function renameTag(urls, from, to) {
+    const fromKey = getTagKey(from);
+    const newName = normalizeTag(to);
+    if (!newName) {
+        throw new Error('Tag name is required');
+    }
+
+    const now = new Date().toISOString();
+    let changed = 0;
+    urls.forEach(url => {
+        const tags = url.tags || [];
+        if (!tags.some(tag => getTagKey(tag) === fromKey)) {
+            return;
+        }
+        const renamed = normalizeTagList(tags.map(tag => getTagKey(tag) === fromKey ? newName : tag));
+        if (JSON.stringify(renamed) !== JSON.stringify(tags)) {
+            url.tags = renamed;
+            url.lastModified = now;
+            changed++;
+        }
+    });
+    return changed;
+}
+
+/**
+ * Removes a tag from every bookmark
+ * @param {Array} urls - URLs (modified in place)
+ * @param {string} tag - Tag to remove
+ * @returns {number} Number of bookmarks changed
+ */
+function deleteTag(urls, tag) {
+    const key = getTagKey(tag);
+    const now = new Date().toISOString();
+    let changed = 0;
+    urls.forEach(url => {
+        const tags = url.tags || [];
+        const remaining = tags.filter(existing => getTagKey(existing) !== key);
+        if (remaining.length !== tags.length) {
+            url.tags = remaining;
+            url.lastModified = now;
+            changed++;
+        }
+    });
+    return changed;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        normalizeTag,
+        getTagKey,
+        normalizeTagList,
+        collectTags,
+        suggestTags,
+        hasAllTags,
+        renameTag,
+        deleteTag,
+        BOOKMARK_TAG_MAX_LENGTH
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.BookmarkTags = {
+        normalizeTag,
+        getTagKey,
+        normalizeTagList,
+        collectTags,
+        suggestTags,
+        hasAllTags,
+        renameTag,
+        deleteTag,
+        BOOKMARK_TAG_MAX_LENGTH
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.BookmarkTags = {
+        normalizeTag,
+        getTagKey,
+        normalizeTagList,
+        collectTags,
+        suggestTags,
+        hasAllTags,
+        renameTag,
+        deleteTag,
+        BOOKMARK_TAG_MAX_LENGTH
+    };
+}
\ No newline at end of file
@@ -0,0 +1,290 @@
+// Conflict Manager - Cross-device merge of concurrent sync edits for FavURL Chrome Extension
+// Saves write whole packs, so a device that saves without having received another
+// device's latest write overwrites it. The background keeps the last reconciled state
+// of this device (the sync base) in chrome.storage.local, advanced by every save on this
+// device (StorageManager.saveSyncBase), and, whenever bookmark data in sync storage
+// changes, merges it with that state record by record (by id):
+// - the copy with the higher revision wins, so edits clobbered by a concurrent write
+//   of unrelated records are restored
+// - a tombstone with a higher revision than the record deletes it
+// - equal revisions with different content are true conflicts; the stored copy is
+//   kept and the conflict is listed for the user to resolve in the popup
+
+const CONFLICTS_KEY = 'syncConflicts';
+// Sync bookkeeping and derived fields ignored when comparing record content
+const CONFLICT_IGNORED_FIELDS = ['revision', 'modifiedBy', 'lastModified', 'storageTier', 'urlCount', 'domain', 'favicon'];
+
+/**
+ * Gets the revision of a record or tombstone
+ * @param {Object} item - Record or tombstone
+ * @returns {number} Revision (0 for records saved before revisions existed)
+ */
+function getRevision(item) {
+    return (item && item.revision) || 0;
+}
+
+/**
+ * Checks whether two records have the same user-visible content
+ * @param {Object} a - Plain record
+ * @param {Object} b - Plain record
+ * @returns {boolean} True if the content is equal
+ */
+function hasSameContent(a, b) {
+    const serialize = record => JSON.stringify(Object.keys(record)
+        .filter(key => !CONFLICT_IGNORED_FIELDS.includes(key) && record[key] !== undefined)
+        .sort()
+        .map(key => [key, record[key]]));
+    return serialize(a) === serialize(b);
+}
+
+/**
+ * Merges one record type of the sync base with the current sync storage contents
+ * @param {string} type - 'group' or 'url'
+ * @param {Array} baseRecords - Records in this device's last reconciled state
+ * @param {Array} currentRecords - Records now in storage
+ * @param {Map} tombstones - Map of 'type:id' -> newest known tombstone
+ * @returns {Object} Object with records, conflicts, restored and deleted counts
+ */
+function mergeRecordType(type, baseRecords, currentRecords, tombstones) {
+    const base = new Map(baseRecords.map(record => [record.id, record]));
+    const current = new Map(currentRecords.map(record => [record.id, record]));
+    const ids = [...current.keys(), ...[...base.keys()].filter(id => !current.has(id))];
+    const result = { records: [], conflicts: [], restored: 0, deleted: 0 };
+
+    ids.forEach(id => {
+        const baseRecord = base.get(id);
+        const currentRecord = current.get(id);
+        const tombstone = tombstones.get(`${type}:${id}`);
+        let winner = currentRecord || baseRecord;
+        let restored = false;
+
+        if (baseRecord && currentRecord) {
+            if (getRevision(baseRecord) > getRevision(currentRecord)) {
+                // Our newer copy was overwritten by a write that did not include it
+                winner = baseRecord;
+                restored = true;
+            } else if (getRevision(baseRecord) === getRevision(currentRecord) && !hasSameContent(baseRecord, currentRecord)) {
+                result.conflicts.push(createConflict('edit', type, baseRecord, currentRecord));
+            }
+        } else if (!currentRecord) {
+            // Missing without a newer tombstone: dropped by a concurrent write
+            restored = true;
+        }
+
+        if (tombstone && tombstone.revision > getRevision(winner)) {
+            if (currentRecord) {
+                result.deleted++;
+            }
+            return;
+        }
+        if (restored) {
+            result.restored++;
+        }
+        if (tombstone && tombstone.revision === getRevision(winner)) {
+            // Deleted on one device while edited on another; keep the record until resolved
+            result.conflicts.push(createConflict('delete', type, winner, null, tombstone));
+        }
+        result.records.push(winner);
+    });
+
+    return result;
+}
+
+/**
+ * Creates a conflict record
+ * @param {string} kind - 'edit' (both devices edited) or 'delete' (edited and deleted)
+ * @param {string} type - 'group' or 'url'
+ * @param {Object} first - One version of the record
+ * @param {Object|null} second - The other version (null for 'delete')
+ * @param {Object} [tombstone] - Tombstone of the deletion (for 'delete')
+ * @returns {Object} Conflict
+ */
+function createConflict(kind, type, first, second, tombstone = null) {
+    return {
+        id: `conflict_${type}_${first.id}`,
+        kind,
+        type,
+        recordId: first.id,
+        detectedAt: new Date().toISOString(),
+        revision: Math.max(getRevision(first), getRevision(second), tombstone ? tombstone.revision : 0),
+        versions: second ? [first, second] : [first],
+        deletedAt: tombstone ? tombstone.deletedAt : null
+    };
+}
+
+/**
+ * Merges this device's last reconciled state with the current sync storage contents
+ * @param {Object} base - Sync base ({ groups, urls, tombstones })
+ * @param {Object} current - Loaded storage data ({ groups, urls, tombstones })
+ * @returns {Object} Object with groups, urls, tombstones, conflicts, restored, deleted and changed
+ */
+function mergeSyncStates(base, current) {
+    const tombstones = new Map();
+    [...(base.tombstones || []), ...(current.tombstones || [])].forEach(tombstone => {
+        const key = `${tombstone.type}:${tombstone.id}`;
+        if (!tombstones.has(key) || tombstones.get(key).revision < tombstone.revision) {
+            tombstones.set(key, tombstone);
+        }
+    });
+
+    const groups = mergeRecordType('group', base.groups || [], current.groups, tombstones);
+    const urls = mergeRecordType('url', base.urls || [], current.urls, tombstones);
+    const mergedTombstones = Array.from(tombstones.values());
+    const restored = groups.restored + urls.restored;
+    const deleted = groups.deleted + urls.deleted;
+
+    return {
+        groups: groups.records,
+        urls: urls.records,
+        tombstones: mergedTombstones,
+        conflicts: [...groups.conflicts, ...urls.conflicts],
+        restored,
+        deleted,
+        changed: restored > 0 || deleted > 0 || mergedTombstones.length !== (current.tombstones || []).length
+    };
+}
+
+/**
+ * Loads unresolved conflicts, newest first
+ * @returns {Promise<Array<Object>>} Conflicts
+ */
+async function loadConflicts() {
+    const result = await chrome.storage.local.get([CONFLICTS_KEY]);
+    const conflicts = Array.isArray(result[CONFLICTS_KEY]) ? result[CONFLICTS_KEY] : [];
+    return conflicts.sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+}
+
+/**
+ * Stores new conflicts and drops those that were resolved (on any device), i.e. whose
+ * record now has a higher revision than the conflicting versions
+ * @param {Array} newConflicts - Conflicts found by the latest merge
+ * @param {Object} state - Merged state ({ groups, urls, tombstones })
+ * @returns {Promise<Array<Object>>} Unresolved conflicts
+ */
+async function updateConflicts(newConflicts, state) {
+    const revisions = new Map();
+    state.groups.forEach(group => revisions.set(`group:${group.id}`, getRevision(group)));
+    state.urls.forEach(url => revisions.set(`url:${url.id}`, getRevision(url)));
+    (state.tombstones || []).forEach(tombstone => {
+        const key = `${tombstone.type}:${tombstone.id}`;
+        if (!revisions.has(key)) {
+            revisions.set(key, tombstone.revision);
+        }
+    });
+
+    const conflicts = new Map((await loadConflicts()).map(conflict => [conflict.id, conflict]));
+    newConflicts.forEach(conflict => conflicts.set(conflict.id, conflict));
+
+    const unresolved = Array.from(conflicts.values()).filter(conflict => {
+        const revision = revisions.get(`${conflict.type}:${conflict.recordId}`);
+        return revision !== undefined && revision <= conflict.revision;
+    });
+    await chrome.storage.local.set({ [CONFLICTS_KEY]: unresolved });
+    return unresolved;
+}
+
+/**
+ * Removes a conflict after the user resolved it
+ * @param {string} conflictId - Id of the conflict
+ * @returns {Promise<void>}
+ */
+async function removeConflict(conflictId) {
+    const conflicts = await loadConflicts();
+    await chrome.storage.local.set({ [CONFLICTS_KEY]: conflicts.filter(c => c.id !== conflictId) });
+}
+
+/**
+ * Gets the revision a resolved record is saved with, so the chosen version wins on
+ * every device
+ * @param {Object} conflict - Conflict
+ * @returns {number} Revision above both conflicting versions
+ */
+function getResolutionRevision(conflict) {
+    return conflict.revision + 1;
+}
+
+/**
+ * Merges the current sync storage contents with this device's last reconciled state,
+ * writes the result back if the merge restored or deleted records and records conflicts.
+ * Runs in the background whenever bookmark data in sync storage changes.
+ * @returns {Promise<Object>} Object with status, restored, deleted and conflicts
+ */
+async function reconcile() {
+    // Tombstones written after this were not seen by this merge
+    const reconciledAt = new Date().toISOString();
+    const current = await StorageManager.loadDataFromStorage();
+    const base = await StorageManager.loadSyncBase();
+    const plainGroups = current.groups.map(StorageManager.stripStorageTier);
+    const plainUrls = current.urls.map(StorageManager.stripStorageTier);
+
+    if (!base) {
+        await StorageManager.saveSyncBase(plainGroups, plainUrls, current.tombstones);
+        await StorageManager.markTombstonesReconciled(reconciledAt);
+        return { status: 'initialized', restored: 0, deleted: 0, conflicts: [] };
+    }
+
+    const merge = mergeSyncStates(base, { groups: plainGroups, urls: plainUrls, tombstones: current.tombstones });
+    let tombstones = merge.tombstones;
+    if (merge.changed) {
+        const result = await StorageManager.saveDataToStorage(merge.groups, merge.urls, {
+            ...current.metadata,
+            tombstones: merge.tombstones
+        });
+        tombstones = result.tombstones;
+        console.log(`Sync merge: ${merge.restored} records restored, ${merge.deleted} deleted`);
+
+        // Records kept despite a deletion were saved with a revision above the tombstone
+        const records = new Map([
+            ...merge.groups.map(group => [`group:${group.id}`, group]),
+            ...merge.urls.map(url => [`url:${url.id}`, url])
+        ]);
+        merge.conflicts.forEach(conflict => {
+            const record = records.get(`${conflict.type}:${conflict.recordId}`);
+            conflict.revision = Math.max(conflict.revision, getRevision(record));
+        });
+    }
+
+    await StorageManager.saveSyncBase(merge.groups, merge.urls, tombstones);
+    await StorageManager.markTombstonesReconciled(reconciledAt);
+    const conflicts = await updateConflicts(merge.conflicts, { groups: merge.groups, urls: merge.urls, tombstones });
+    if (merge.conflicts.length > 0) {
+        console.warn(`Sync merge found ${merge.conflicts.length} conflicting edits`);
+    }
+
+    return {
+        status: merge.changed ? 'merged' : 'unchanged',
+        restored: merge.restored,
+        deleted: merge.deleted,
+        conflicts
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        mergeSyncStates,
+        reconcile,
+        loadConflicts,
+        removeConflict,
+        getResolutionRevision
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.ConflictManager = {
+        mergeSyncStates,
+        reconcile,
+        loadConflicts,
+        removeConflict,
+        getResolutionRevision
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.ConflictManager = {
+        mergeSyncStates,
+        reconcile,
+        loadConflicts,
+        removeConflict,
+        getResolutionRevision
+    };
+}
\ No newline at end of file
@@ -0,0 +1,387 @@
+// CSV Bookmarks - Spreadsheet (CSV/TSV) import and export for FavURL Chrome Extension
+// Exports write one row per URL. Imports map the file's columns to bookmark fields,
+// create missing groups by name and validate every row with URLDataModel; rows that
+// fail validation are reported and left out.
+
+// Bookmark fields a column can be mapped to, in export column order
+const CSV_FIELDS = [
+    { key: 'title', label: 'Title', aliases: ['title', 'name'] },
+    { key: 'url', label: 'URL', aliases: ['url', 'link', 'href', 'address'] },
+    { key: 'groupName', label: 'Group', aliases: ['group', 'group name', 'folder', 'category', 'collection'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'keywords'] },
+    { key: 'created', label: 'Created', aliases: ['created', 'date', 'added', 'add date', 'date added'] },
+    { key: 'order', label: 'Order', aliases: ['order', 'position', 'index'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'description', 'comment', 'comments'] }
+];
+// Separator of several tags in one cell (commas and semicolons are accepted on import).
+// Exports put a backslash before commas, semicolons and backslashes inside a tag.
+const CSV_TAG_SEPARATOR = ', ';
+// Group names are limited by GroupDataModel.validate
+const CSV_MAX_GROUP_NAME_LENGTH = 50;
+// Spreadsheet apps run cells starting with these as formulas, so exported text cells
+// get a leading apostrophe. It is removed again only when importing a FavURL export,
+// recognized by this last header cell; other files keep their apostrophes.
+const CSV_EXPORT_MARKER = 'favurl_export';
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const CSV_ESCAPED_FORMULA_PREFIX = /^'[=+\-@\t\r]/;
+
+/**
+ * Picks the delimiter of a file
+ * @param {string} text - File content
+ * @param {string} [fileName] - File name; .tsv files are tab separated
+ * @returns {string} Tab, semicolon or comma
+ */
+function detectDelimiter(text, fileName = '') {
+    if (fileName.toLowerCase().endsWith('.tsv')) {
+        return '\t';
+    }
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const count = char => firstLine.split(char).length - 1;
+    const candidates = ['\t', ';', ','].sort((a, b) => count(b) - count(a));
+    return count(candidates[0]) > 0 ? candidates[0] : ',';
+}
+
+/**
+ * Parses delimited text (RFC 4180 quoting) into rows of cells; empty lines are skipped
+ * @param {string} text - File content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const content = text.replace(/^\uFEFF/, ''); // Byte order mark written by spreadsheet apps
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * Escapes a text cell a spreadsheet app would run as a formula (e.g. "=HYPERLINK(...)")
+ * @param {string} text - Cell text
+ * @returns {string} Text with a leading apostrophe if it starts like a formula
+ */
+function escapeFormulaCell(text) {
+    return CSV_FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Reverts escapeFormulaCell
+ * @param {string} text - Cell text
+ * @returns {string} Text without the apostrophe added on export
+ */
+function unescapeFormulaCell(text) {
+    return CSV_ESCAPED_FORMULA_PREFIX.test(text) ? text.substring(1) : text;
+}
+
+/**
+ * Joins tags into one cell, escaping separators inside a tag
+ * @param {Array<string>} tags - Tags
+ * @returns {string} Cell text
+ */
+function formatCsvTags(tags) {
+    return (tags || []).map(tag => String(tag).replace(/[\\,;]/g, '\\$&')).join(CSV_TAG_SEPARATOR);
+}
+
+/**
+ * Splits a tags cell on commas and semicolons
+ * @param {string} text - Cell text
+ * @param {boolean} escaped - The cell comes from a FavURL export (see formatCsvTags)
+ * @returns {Array<string>} Non-empty tags
+ */
+function parseCsvTags(text, escaped) {
+    if (!escaped) {
+        return text.split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+    }
+    const tags = [];
+    let tag = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            tag += text[++i];
+        } else if (char === ',' || char === ';') {
+            tags.push(tag);
+            tag = '';
+        } else {
+            tag += char;
+        }
+    }
+    tags.push(tag);
+    return tags.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Formats rows as delimited text. Text cells that start like a formula are escaped
+ * (numbers are written as is). CSV cells are quoted when needed; TSV has no quoting,
+ * so tabs and line breaks in cells are replaced with spaces.
+ * @param {Array<Array>} rows - Rows of cell values
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} Delimited text
+ */
+function formatDelimited(rows, delimiter) {
+    const formatCell = value => {
+        const text = value === null || value === undefined ? ''
+            : typeof value === 'number' ? String(value) : escapeFormulaCell(String(value));
+        if (delimiter === '\t') {
+            return text.replace(/[\t\r\n]+/g, ' ');
+        }
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(formatCell).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes all URLs as CSV or TSV, ordered by group and URL order
+ * @param {Array} groups - Groups (plain objects or GroupDataModel instances)
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @returns {string} File content
+ */
+function buildDelimitedExport(groups, urls, delimiter) {
+    const groupsById = new Map(groups.map(group => [group.id, group]));
+    // Groups rank in the displayed (tree) order; URLs of a missing group go first
+    const groupRanks = new Map(GroupTree.flattenGroupTree(groups).map(({ group }, index) => [group.id, index]));
+    const groupRank = groupId => groupRanks.has(groupId) ? groupRanks.get(groupId) : -Infinity;
+    const sortedUrls = urls.slice().sort((a, b) => {
+        const rankDifference = groupRank(a.groupId) - groupRank(b.groupId);
+        if (rankDifference !== 0 && !isNaN(rankDifference)) {
+            return rankDifference;
+        }
+        return (a.order || 0) - (b.order || 0);
+    });
+
+    const rows = [[...CSV_FIELDS.map(field => field.key === 'groupName' ? 'group' : field.key), CSV_EXPORT_MARKER]];
+    sortedUrls.forEach(url => {
+        const group = groupsById.get(url.groupId);
+        rows.push([
+            url.title,
+            url.url,
+            group ? group.name : '',
+            formatCsvTags(url.tags),
+            url.created || '',
+            url.order !== undefined ? url.order : '',
+            url.notes || '',
+            ''
+        ]);
+    });
+    return formatDelimited(rows, delimiter);
+}
+
+/**
+ * Guesses which column holds which field from the header row
+ * @param {Array<string>} headers - Cells of the first row
+ * @returns {Object} Field key -> column index (fields without a matching column are left out)
+ */
+function guessColumnMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_-]+/g, ' '));
+    const mapping = {};
+    CSV_FIELDS.forEach(field => {
+        const index = normalized.findIndex(header => field.aliases.includes(header));
+        if (index !== -1) {
+            mapping[field.key] = index;
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Tells whether a header row is the one FavURL writes on export
+ * @param {Array<string>} headers - Cells of the first row
+ * @returns {boolean} True if the row ends with the export marker
+ */
+function isFavURLExportHeader(headers) {
+    const cells = (headers || []).map(header => header.trim().toLowerCase()).filter(Boolean);
+    return cells[cells.length - 1] === CSV_EXPORT_MARKER;
+}
+
+/**
+ * Converts mapped rows into groups and URLs in the import format. Formula and tag
+ * escapes are removed only from FavURL exports (a header row ending with the export marker).
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {Object} mapping - Field key -> column index
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.hasHeader] - Skip the first row
+ * @param {Array} [options.existingGroups] - Stored groups; group names matching them reuse them
+ * @param {number} [options.startOrder] - Order of the first new group
+ * @returns {Object} Object with groups, urls and errors ({ row, messages } per invalid row,
+ *   row being the 1-based row number in the file)
+ */
+function buildImportFromRows(rows, mapping, options = {}) {
+    const existingByName = new Map();
+    (options.existingGroups || []).forEach(group => {
+        const key = (group.name || '').toLowerCase();
+        if (!existingByName.has(key)) {
+            existingByName.set(key, group);
+        }
+    });
+
+    const now = new Date().toISOString();
+    const groupsByName = new Map();
+    const urls = [];
+    const errors = [];
+    let nextOrder = options.startOrder || 1;
+
+    const getGroup = name => {
+        const key = name.toLowerCase();
+        if (!groupsByName.has(key)) {
+            const existing = existingByName.get(key);
+            groupsByName.set(key, existing
+                // Imported unchanged, so a merge keeps the stored group's settings
+                ? StorageManager.stripStorageTier(existing.toJSON ? existing.toJSON() : { ...existing })
+                : {
+                    id: FavURLUtils.generateUniqueId('group_'),
+                    name,
+                    created: now,
+                    lastModified: now,
+                    color: '#2196f3',
+                    description: '',
+                    order: nextOrder++
+                });
+        }
+        return groupsByName.get(key);
+    };
+
+    const firstRow = options.hasHeader ? 1 : 0;
+    const favURLExport = Boolean(options.hasHeader) && rows.length > 0 && isFavURLExportHeader(rows[0]);
+    rows.slice(firstRow).forEach((cells, index) => {
+        const rowNumber = index + firstRow + 1;
+        const value = key => {
+            if (mapping[key] === undefined || mapping[key] === null) {
+                return '';
+            }
+            const text = (cells[mapping[key]] || '').trim();
+            return favURLExport ? unescapeFormulaCell(text) : text;
+        };
+        const messages = [];
+
+        let created = now;
+        if (value('created')) {
+            const date = new Date(value('created'));
+            if (isNaN(date.getTime())) {
+                messages.push(`Created date "${value('created')}" is not a valid date`);
+            } else {
+                created = date.toISOString();
+            }
+        }
+
+        let order = index;
+        if (value('order')) {
+            order = Number(value('order'));
+            if (!Number.isFinite(order)) {
+                messages.push(`Order "${value('order')}" is not a number`);
+            }
+        }
+
+        const groupName = value('groupName').substring(0, CSV_MAX_GROUP_NAME_LENGTH);
+        const url = new URLDataModel({
+            url: value('url'),
+            title: value('title'),
+            groupId: BookmarkRepository.DEFAULT_GROUP_ID,
+            created,
+            timestamp: created,
+            lastModified: now,
+            tags: parseCsvTags(value('tags'), favURLExport),
+            notes: value('notes').replace(/\r\n?/g, '\n'),
+            order
+        });
+        messages.push(...url.validate().errors);
+
+        if (messages.length > 0) {
+            errors.push({ row: rowNumber, messages });
+            return;
+        }
+        if (groupName) {
+            url.groupId = getGroup(groupName).id;
+        }
+        urls.push(url.toJSON());
+    });
+
+    return {
+        groups: Array.from(groupsByName.values()),
+        urls,
+        errors
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        CSV_FIELDS,
+        detectDelimiter,
+        parseDelimited,
+        escapeFormulaCell,
+        unescapeFormulaCell,
+        formatDelimited,
+        buildDelimitedExport,
+        guessColumnMapping,
+        isFavURLExportHeader,
+        buildImportFromRows
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.CsvBookmarks = {
+        CSV_FIELDS,
+        detectDelimiter,
+        parseDelimited,
+        escapeFormulaCell,
+        unescapeFormulaCell,
+        formatDelimited,
+        buildDelimitedExport,
+        guessColumnMapping,
+        isFavURLExportHeader,
+        buildImportFromRows
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.CsvBookmarks = {
+        CSV_FIELDS,
+        detectDelimiter,
+        parseDelimited,
+        escapeFormulaCell,
+        unescapeFormulaCell,
+        formatDelimited,
+        buildDelimitedExport,
+        guessColumnMapping,
+        isFavURLExportHeader,
+        buildImportFromRows
+    };
+}
\ No newline at end of file
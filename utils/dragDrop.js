@@ -1,5 +1,14 @@
 // Shared Drag & Drop Utilities
 // Used by both popup and start page for consistent drag & drop behavior
+// Groups dropped on the middle of a group header are nested in that group; dropped on
+// its top or bottom edge they are placed before or after it (see GroupTree)
+
+// Drop indicator classes of a group header per drop position
+const GROUP_DROP_CLASSES = {
+    before: 'drag-over-top',
+    after: 'drag-over-bottom',
+    inside: 'drag-over-nest'
+};
 
 class DragDropManager {
     constructor(context) {
@@ -263,9 +272,7 @@ class DragDropManager {
         e.target.classList.remove('dragging');
 
         // Clear all drop zone visual states
-        document.querySelectorAll('.group-header').forEach(header => {
-            header.classList.remove('drag-over-top', 'drag-over-bottom');
-        });
+        DragDropManager.clearGroupDropIndicators();
 
         // Clear reference
         this.draggedGroup = null;
@@ -273,7 +280,7 @@ class DragDropManager {
         console.log('Group drag ended');
     }
 
-    handleGroupReorderDragOver(e, targetGroupId) {
+    handleGroupReorderDragOver(e, targetGroupId, appInstance) {
         e.preventDefault();
 
         // Only handle group reordering, not URL drops
@@ -281,24 +288,21 @@ class DragDropManager {
             return;
         }
 
-        e.dataTransfer.dropEffect = 'move';
-
         // Determine drop position based on mouse position
-        const rect = e.currentTarget.getBoundingClientRect();
-        const midpoint = rect.top + rect.height / 2;
-        const isTopHalf = e.clientY < midpoint;
+        const canNest = GroupTree.canNestGroup(appInstance.groups, this.draggedGroup.id, targetGroupId);
+        const position = DragDropManager.getGroupDropPosition(e, canNest);
 
         // Clear previous drop indicators from all headers
-        document.querySelectorAll('.group-header').forEach(header => {
-            header.classList.remove('drag-over-top', 'drag-over-bottom');
-        });
+        DragDropManager.clearGroupDropIndicators();
 
-        // Add appropriate drop indicator
-        if (isTopHalf) {
-            e.currentTarget.classList.add('drag-over-top');
-        } else {
-            e.currentTarget.classList.add('drag-over-bottom');
+        // A group cannot be placed next to its own sub-groups
+        if (position !== 'inside' && GroupTree.getGroupDescendants(appInstance.groups, this.draggedGroup.id).some(g => g.id === targetGroupId)) {
+            e.dataTransfer.dropEffect = 'none';
+            return;
         }
+
+        e.dataTransfer.dropEffect = 'move';
+        e.currentTarget.classList.add(GROUP_DROP_CLASSES[position]);
     }
 
     handleGroupReorderDragEnter(e) {
@@ -309,7 +313,7 @@ class DragDropManager {
     handleGroupReorderDragLeave(e) {
         // Remove drop indicators when leaving
         if (!e.currentTarget.contains(e.relatedTarget)) {
-            e.currentTarget.classList.remove('drag-over-top', 'drag-over-bottom');
+            e.currentTarget.classList.remove(...Object.values(GROUP_DROP_CLASSES));
         }
     }
 
@@ -323,52 +327,23 @@ class DragDropManager {
 
         try {
             // Remove visual feedback from all headers
-            document.querySelectorAll('.group-header').forEach(header => {
-                header.classList.remove('drag-over-top', 'drag-over-bottom');
-            });
+            DragDropManager.clearGroupDropIndicators();
 
-            // Find the actual dragged group in the appInstance.groups array
             const draggedGroupInArray = appInstance.groups.find(g => g.id === this.draggedGroup.id);
-            if (!draggedGroupInArray) {
-                console.error('Dragged group not found in groups array:', this.draggedGroup.id);
-                return;
-            }
-
-            // Find target group
             const targetGroup = appInstance.groups.find(g => g.id === targetGroupId);
-            if (!targetGroup) {
-                console.error('Target group not found:', targetGroupId);
+            if (!draggedGroupInArray || !targetGroup) {
+                console.error('Group reorder drop: group not found', this.draggedGroup.id, targetGroupId);
                 return;
             }
 
-            console.log('Group reorder drop:', {
-                draggedGroup: draggedGroupInArray.name,
-                targetGroup: targetGroup.name,
-                draggedOrder: draggedGroupInArray.order,
-                targetOrder: targetGroup.order
-            });
-
-            // Determine drop position
-            const rect = e.currentTarget.getBoundingClientRect();
-            const midpoint = rect.top + rect.height / 2;
-            const isTopHalf = e.clientY < midpoint;
-
-            let newOrder;
-            if (isTopHalf) {
-                // Drop above target
-                newOrder = targetGroup.order - 0.5;
-            } else {
-                // Drop below target
-                newOrder = targetGroup.order + 0.5;
+            // Determine drop position and move the group with its sub-groups
+            const canNest = GroupTree.canNestGroup(appInstance.groups, draggedGroupInArray.id, targetGroupId);
+            const position = DragDropManager.getGroupDropPosition(e, canNest);
+            if (!GroupTree.moveGroupInTree(appInstance.groups, draggedGroupInArray.id, targetGroupId, position)) {
+                console.log('Group reorder drop: move not allowed', position);
+                return;
             }
 
-            // Update the dragged group's order (use the reference from the array)
-            draggedGroupInArray.order = newOrder;
-            draggedGroupInArray.lastModified = new Date().toISOString();
-
-            // Normalize group orders
-            this.normalizeGroupOrders(appInstance.groups);
-
             // Save to storage and update UI
             await appInstance.saveData();
             if (this.context === 'popup') {
@@ -377,20 +352,20 @@ class DragDropManager {
                 appInstance.render();
             }
 
-            console.log(`Group "${draggedGroupInArray.name}" reordered successfully to position ${newOrder}`);
+            console.log(`Group "${draggedGroupInArray.name}" moved ${position} "${targetGroup.name}"`);
         } catch (error) {
             console.error('Error reordering group:', error);
         }
     }
 
     // Unified Drag and Drop Event Handlers
-    handleUnifiedDragOver(e, targetGroupId) {
+    handleUnifiedDragOver(e, targetGroupId, appInstance) {
         e.preventDefault();
 
         // Determine what type of drag operation this is
         if (this.draggedGroup) {
-            // Group reordering operation
-            this.handleGroupReorderDragOver(e, targetGroupId);
+            // Group reordering and nesting operation
+            this.handleGroupReorderDragOver(e, targetGroupId, appInstance);
         } else if (this.draggedURL) {
             // URL to group assignment operation
             this.handleURLToGroupDragOver(e, targetGroupId);
@@ -452,18 +427,29 @@ class DragDropManager {
             return;
         }
 
-        // Get all groups (except protected ones) and sort by order
-        const reorderableGroups = groups.filter(g => g && !g.protected)
-            .sort((a, b) => (a.order || 0) - (b.order || 0));
+        // Reassign orders from 1 within each parent; unchanged groups keep theirs
+        GroupTree.renumberGroupTree(groups);
 
-        // Reassign sequential orders
-        reorderableGroups.forEach((group, index) => {
-            if (group) {
-                group.order = index + 1;
-            }
-        });
+        console.log('Normalized group orders:', groups.map(g => ({ name: g.name, order: g.order })));
+    }
 
-        console.log('Normalized group orders:', reorderableGroups.map(g => ({ name: g.name, order: g.order })));
+    // Where a group dropped on a group header goes: the top and bottom quarters of the
+    // header place it before/after the target, the middle nests it in the target
+    static getGroupDropPosition(e, canNest) {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const offset = (e.clientY - rect.top) / rect.height;
+        if (!canNest) {
+            return offset < 0.5 ? 'before' : 'after';
+        }
+        if (offset < 0.25) return 'before';
+        if (offset > 0.75) return 'after';
+        return 'inside';
+    }
+
+    static clearGroupDropIndicators() {
+        document.querySelectorAll('.group-header').forEach(header => {
+            header.classList.remove(...Object.values(GROUP_DROP_CLASSES));
+        });
     }
 }
 
@@ -0,0 +1,285 @@
+// Group Tree - Nested groups for FavURL Chrome Extension
+// Groups nest through parentId (null for top-level groups) to any depth. Siblings are
+// ordered by order, numbered from 1 within their parent (Ungrouped, always the first
+// top-level group, is 0), and the tree is listed depth-first. A move only renumbers the
+// sibling lists it leaves and joins, so the other groups are not rewritten; use
+// flattenGroupTree, not a sort of all groups by order, for the displayed order.
+// Ungrouped is always top-level and has no sub-groups. A parentId
+// that is missing, points to Ungrouped or forms a cycle is treated as top-level here
+// (BookmarkRepository.normalizeBookmarks repairs it in storage).
+
+const GROUP_TREE_DEFAULT_GROUP_ID = 'ungrouped';
+
+/**
+ * Gets the parent each group is displayed under
+ * @param {Array} groups - Groups (plain objects or GroupDataModel instances)
+ * @returns {Map<string, string|null>} Group id -> parent id (null for top-level groups)
+ */
+function getGroupParentMap(groups) {
+    const byId = new Map(groups.map(group => [group.id, group]));
+    const parents = new Map();
+    groups.forEach(group => {
+        const parentId = group.parentId;
+        const valid = parentId && parentId !== group.id && byId.has(parentId) &&
+            group.id !== GROUP_TREE_DEFAULT_GROUP_ID && parentId !== GROUP_TREE_DEFAULT_GROUP_ID;
+        parents.set(group.id, valid ? parentId : null);
+    });
+
+    // Groups in a cycle are top-level
+    groups.forEach(group => {
+        const seen = new Set([group.id]);
+        let parentId = parents.get(group.id);
+        while (parentId) {
+            if (seen.has(parentId)) {
+                parents.set(group.id, null);
+                break;
+            }
+            seen.add(parentId);
+            parentId = parents.get(parentId);
+        }
+    });
+    return parents;
+}
+
+/**
+ * Gets the direct sub-groups of a group
+ * @param {Array} groups - Groups
+ * @param {string|null} parentId - Parent group id, or null for the top-level groups
+ * @returns {Array} Sub-groups sorted by order (Ungrouped first among top-level groups)
+ */
+function getGroupChildren(groups, parentId) {
+    const parents = getGroupParentMap(groups);
+    return groups
+        .filter(group => parents.get(group.id) === (parentId || null))
+        .sort((a, b) => {
+            if (a.id === GROUP_TREE_DEFAULT_GROUP_ID) return -1;
+            if (b.id === GROUP_TREE_DEFAULT_GROUP_ID) return 1;
+            return (a.order || 0) - (b.order || 0);
+        });
+}
+
+/**
+ * Lists the groups depth-first, each followed by its sub-groups
+ * @param {Array} groups - Groups
+ * @returns {Array<Object>} Entries with group and depth (0 for top-level groups)
+ */
+function flattenGroupTree(groups) {
+    const parents = getGroupParentMap(groups);
+    const children = new Map();
+    groups.forEach(group => {
+        const parentId = parents.get(group.id);
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(group);
+    });
+    children.forEach(siblings => siblings.sort((a, b) => {
+        if (a.id === GROUP_TREE_DEFAULT_GROUP_ID) return -1;
+        if (b.id === GROUP_TREE_DEFAULT_GROUP_ID) return 1;
+        return (a.order || 0) - (b.order || 0);
+    }));
+
+    const result = [];
+    const visit = (parentId, depth) => {
+        (children.get(parentId) || []).forEach(group => {
+            result.push({ group, depth });
+            visit(group.id, depth + 1);
+        });
+    };
+    visit(null, 0);
+    return result;
+}
+
+/**
+ * Gets the groups a group is nested in
+ * @param {Array} groups - Groups
+ * @param {string} groupId - Group id
+ * @returns {Array} Ancestors from the parent up to the top-level group (empty for top-level groups)
+ */
+function getGroupAncestors(groups, groupId) {
+    const parents = getGroupParentMap(groups);
+    const byId = new Map(groups.map(group => [group.id, group]));
+    const ancestors = [];
+    let parentId = parents.get(groupId);
+    while (parentId) {
+        ancestors.push(byId.get(parentId));
+        parentId = parents.get(parentId);
+    }
+    return ancestors;
+}
+
+/**
+ * Gets all groups nested in a group, at any depth
+ * @param {Array} groups - Groups
+ * @param {string} groupId - Group id
+ * @returns {Array} Descendants depth-first
+ */
+function getGroupDescendants(groups, groupId) {
+    const tree = flattenGroupTree(groups);
+    const index = tree.findIndex(entry => entry.group.id === groupId);
+    if (index === -1) {
+        return [];
+    }
+    const depth = tree[index].depth;
+    const descendants = [];
+    for (let i = index + 1; i < tree.length && tree[i].depth > depth; i++) {
+        descendants.push(tree[i].group);
+    }
+    return descendants;
+}
+
+/**
+ * Checks whether a group may be moved into another group
+ * @param {Array} groups - Groups
+ * @param {string} groupId - Group to move
+ * @param {string|null} parentId - New parent group id (null for top level)
+ * @returns {boolean} False for Ungrouped, unknown groups and moves into the group itself
+ *   or one of its sub-groups
+ */
+function canNestGroup(groups, groupId, parentId) {
+    if (groupId === GROUP_TREE_DEFAULT_GROUP_ID || !groups.some(group => group.id === groupId)) {
+        return false;
+    }
+    if (!parentId) {
+        return true;
+    }
+    if (parentId === groupId || parentId === GROUP_TREE_DEFAULT_GROUP_ID || !groups.some(group => group.id === parentId)) {
+        return false;
+    }
+    return !getGroupDescendants(groups, groupId).some(group => group.id === parentId);
+}
+
+/**
+ * Builds the full name of a group
+ * @param {Array} groups - Groups
+ * @param {string} groupId - Group id
+ * @param {string} [separator] - Text between the names
+ * @returns {string} Names from the top-level group down (e.g. 'Work / Projects')
+ */
+function getGroupPath(groups, groupId, separator = ' / ') {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) {
+        return '';
+    }
+    return [...getGroupAncestors(groups, groupId).reverse(), group].map(g => g.name).join(separator);
+}
+
+/**
+ * Renumbers the sub-groups of one parent from 1 in their current order (Ungrouped 0).
+ * Only groups whose order differs are changed.
+ * @param {Array} groups - Groups (modified in place)
+ * @param {string|null} parentId - Parent group id, or null for the top-level groups
+ * @returns {Array} Groups whose order changed
+ */
+function renumberGroupSiblings(groups, parentId) {
+    const changed = [];
+    let order = 1;
+    getGroupChildren(groups, parentId).forEach(group => {
+        const newOrder = group.id === GROUP_TREE_DEFAULT_GROUP_ID ? 0 : order++;
+        if (group.order !== newOrder) {
+            group.order = newOrder;
+            changed.push(group);
+        }
+    });
+    return changed;
+}
+
+/**
+ * Renumbers every sibling list (see renumberGroupSiblings); lists that are already
+ * numbered from 1 are left unchanged
+ * @param {Array} groups - Groups (modified in place)
+ * @returns {Array} Groups whose order changed
+ */
+function renumberGroupTree(groups) {
+    const parentIds = new Set(getGroupParentMap(groups).values());
+    return Array.from(parentIds).flatMap(parentId => renumberGroupSiblings(groups, parentId));
+}
+
+/**
+ * Moves a group next to or into another group, with its sub-groups. Only the sibling
+ * lists the group leaves and joins are renumbered.
+ * @param {Array} groups - Groups (modified in place)
+ * @param {string} groupId - Group to move
+ * @param {string} targetId - Group to move it to
+ * @param {string} position - 'before' or 'after' the target (as its sibling), or 'inside'
+ *   it (as its last sub-group)
+ * @returns {boolean} True if the group was moved; false if the move is not allowed
+ */
+function moveGroupInTree(groups, groupId, targetId, position) {
+    const group = groups.find(g => g.id === groupId);
+    const target = groups.find(g => g.id === targetId);
+    if (!group || !target || group.id === target.id) {
+        return false;
+    }
+
+    let parentId;
+    let order;
+    if (position === 'inside') {
+        parentId = target.id;
+        const siblings = getGroupChildren(groups, target.id).filter(g => g.id !== group.id);
+        order = siblings.length > 0 ? (siblings[siblings.length - 1].order || 0) + 1 : 1;
+    } else {
+        parentId = getGroupParentMap(groups).get(target.id);
+        // Nothing goes above Ungrouped
+        const before = position === 'before' && target.id !== GROUP_TREE_DEFAULT_GROUP_ID;
+        order = (target.order || 0) + (before ? -0.5 : 0.5);
+    }
+    if (!canNestGroup(groups, group.id, parentId)) {
+        return false;
+    }
+
+    const previousParentId = getGroupParentMap(groups).get(group.id);
+    group.parentId = parentId;
+    group.order = order;
+    group.lastModified = new Date().toISOString();
+    renumberGroupSiblings(groups, parentId);
+    if (previousParentId !== parentId) {
+        renumberGroupSiblings(groups, previousParentId);
+    }
+    return true;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        getGroupParentMap,
+        getGroupChildren,
+        flattenGroupTree,
+        getGroupAncestors,
+        getGroupDescendants,
+        canNestGroup,
+        getGroupPath,
+        renumberGroupSiblings,
+        renumberGroupTree,
+        moveGroupInTree
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.GroupTree = {
+        getGroupParentMap,
+        getGroupChildren,
+        flattenGroupTree,
+        getGroupAncestors,
+        getGroupDescendants,
+        canNestGroup,
+        getGroupPath,
+        renumberGroupSiblings,
+        renumberGroupTree,
+        moveGroupInTree
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.GroupTree = {
+        getGroupParentMap,
+        getGroupChildren,
+        flattenGroupTree,
+        getGroupAncestors,
+        getGroupDescendants,
+        canNestGroup,
+        getGroupPath,
+        renumberGroupSiblings,
+        renumberGroupTree,
+        moveGroupInTree
+    };
+}
\ No newline at end of file
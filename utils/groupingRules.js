@@ -0,0 +1,242 @@
+// Grouping Rules - Automatic group assignment for new bookmarks for FavURL Chrome Extension
+// A rule files bookmarks whose address or title matches it into a group. Rules are
+// checked in priority order (their order in the list) and the first match wins; a
+// bookmark no rule matches stays where it was put. Rules are applied when a tab is
+// captured, when a bookmark is added to Ungrouped, to imported bookmarks without a
+// folder, and on request to existing bookmarks. Rules whose group was deleted, whose
+// value is empty or whose pattern is invalid are skipped. The rules are stored in
+// chrome.storage.sync next to the other settings.
+
+const GROUPING_RULES_KEY = 'groupingRules';
+const GROUPING_RULE_DOMAIN_EQUALS = 'domain-equals';
+const GROUPING_RULE_DOMAIN_ENDS_WITH = 'domain-ends-with';
+const GROUPING_RULE_PATH_PREFIX = 'path-prefix';
+const GROUPING_RULE_URL_REGEX = 'url-regex';
+const GROUPING_RULE_TITLE_CONTAINS = 'title-contains';
+// Names shown to the user, in the order they are offered
+const GROUPING_RULE_TYPE_NAMES = {
+    [GROUPING_RULE_DOMAIN_EQUALS]: 'Domain is',
+    [GROUPING_RULE_DOMAIN_ENDS_WITH]: 'Domain ends with',
+    [GROUPING_RULE_PATH_PREFIX]: 'Path starts with',
+    [GROUPING_RULE_URL_REGEX]: 'Address matches regex',
+    [GROUPING_RULE_TITLE_CONTAINS]: 'Title contains'
+};
+const GROUPING_RULE_LIMIT = 20;
+const GROUPING_RULE_VALUE_MAX_LENGTH = 200;
+// Rules share the sync settings reserve (StorageManager.SYNC_SETTINGS_BYTE_RESERVE)
+const GROUPING_RULES_MAX_BYTES = 3000;
+
+/**
+ * Creates a rule
+ * @param {Object} [data] - Rule fields
+ * @returns {Object} Rule with id, type, value, groupId and enabled
+ */
+function createGroupingRule(data = {}) {
+    return {
+        id: data.id || FavURLUtils.generateUniqueId('rule_'),
+        type: data.type || GROUPING_RULE_DOMAIN_EQUALS,
+        value: typeof data.value === 'string' ? data.value : '',
+        groupId: data.groupId || '',
+        enabled: data.enabled !== false
+    };
+}
+
+/**
+ * Checks a rule
+ * @param {Object} rule - Rule
+ * @param {Array} [groups] - Groups; when given, the rule's group must be one of them
+ * @returns {Array<string>} Error messages (empty if the rule can be used)
+ */
+function validateGroupingRule(rule, groups = null) {
+    const errors = [];
+    const value = (rule.value || '').trim();
+
+    if (!GROUPING_RULE_TYPE_NAMES[rule.type]) {
+        errors.push(`Unknown rule type "${rule.type}"`);
+    }
+    if (!value) {
+        errors.push('Enter what the rule matches');
+    } else if (value.length > GROUPING_RULE_VALUE_MAX_LENGTH) {
+        errors.push(`Rule values must be ${GROUPING_RULE_VALUE_MAX_LENGTH} characters or less`);
+    } else if (rule.type === GROUPING_RULE_URL_REGEX) {
+        try {
+            new RegExp(value, 'i');
+        } catch (error) {
+            errors.push(`Invalid regex: ${error.message}`);
+        }
+    }
+    if (!rule.groupId) {
+        errors.push('Choose a group');
+    } else if (groups && !groups.some(group => group.id === rule.groupId)) {
+        errors.push('The rule\'s group was deleted');
+    }
+    return errors;
+}
+
+/**
+ * Gets the host name of an address without a leading 'www.'
+ * @param {string} address - Address
+ * @returns {string} Lowercase host name ('' if the address is invalid)
+ */
+function getGroupingRuleHost(address) {
+    try {
+        return new URL(address).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Checks whether a rule matches a bookmark
+ * @param {Object} rule - Rule (assumed valid)
+ * @param {Object} bookmark - Object with url and title
+ * @returns {boolean} True if it matches
+ */
+function matchesGroupingRule(rule, bookmark) {
+    const value = rule.value.trim();
+    const lower = value.toLowerCase();
+
+    switch (rule.type) {
+        case GROUPING_RULE_DOMAIN_EQUALS:
+            return getGroupingRuleHost(bookmark.url) === lower.replace(/^www\./, '');
+        case GROUPING_RULE_DOMAIN_ENDS_WITH: {
+            // Whole labels only: 'example.com' matches docs.example.com but not badexample.com
+            const host = getGroupingRuleHost(bookmark.url);
+            const suffix = lower.replace(/^\.+/, '');
+            return host === suffix || host.endsWith('.' + suffix);
+        }
+        case GROUPING_RULE_PATH_PREFIX: {
+            let pathname;
+            try {
+                pathname = new URL(bookmark.url).pathname;
+            } catch {
+                return false;
+            }
+            return pathname.toLowerCase().startsWith(lower.startsWith('/') ? lower : '/' + lower);
+        }
+        case GROUPING_RULE_URL_REGEX:
+            return new RegExp(value, 'i').test(bookmark.url || '');
+        case GROUPING_RULE_TITLE_CONTAINS:
+            return (bookmark.title || '').toLowerCase().includes(lower);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Finds the group the first matching rule files a bookmark into
+ * @param {Array} rules - Rules in priority order
+ * @param {Object} bookmark - Object with url and title
+ * @param {Array} groups - Groups bookmarks can be filed into
+ * @returns {Object|null} Object with rule and groupId, or null if no rule matches
+ */
+function findGroupingRuleMatch(rules, bookmark, groups) {
+    const rule = rules.find(candidate =>
+        candidate.enabled !== false &&
+        validateGroupingRule(candidate, groups).length === 0 &&
+        matchesGroupingRule(candidate, bookmark));
+    return rule ? { rule, groupId: rule.groupId } : null;
+}
+
+/**
+ * Works out which bookmarks the rules would move (used for the dry-run preview and to
+ * re-apply the rules)
+ * @param {Array} rules - Rules in priority order
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @param {Array} groups - Groups
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.ungroupedOnly] - Only move bookmarks in the default group
+ * @returns {Array<Object>} Moves ({ url, fromGroupId, toGroupId, rule }) for bookmarks not
+ *   already in the group their rule names
+ */
+function planGroupingRuleMoves(rules, urls, groups, options = {}) {
+    const moves = [];
+    urls.forEach(url => {
+        const fromGroupId = url.groupId || BookmarkRepository.DEFAULT_GROUP_ID;
+        if (options.ungroupedOnly && fromGroupId !== BookmarkRepository.DEFAULT_GROUP_ID) {
+            return;
+        }
+        const match = findGroupingRuleMatch(rules, url, groups);
+        if (match && match.groupId !== fromGroupId) {
+            moves.push({ url, fromGroupId, toGroupId: match.groupId, rule: match.rule });
+        }
+    });
+    return moves;
+}
+
+/**
+ * Loads the rules
+ * @returns {Promise<Array<Object>>} Rules in priority order
+ */
+async function loadGroupingRules() {
+    const result = await chrome.storage.sync.get([GROUPING_RULES_KEY]);
+    const rules = Array.isArray(result[GROUPING_RULES_KEY]) ? result[GROUPING_RULES_KEY] : [];
+    return rules.filter(rule => rule && typeof rule === 'object').map(createGroupingRule);
+}
+
+/**
+ * Saves the rules
+ * @param {Array} rules - Rules in priority order
+ * @returns {Promise<void>}
+ */
+async function saveGroupingRules(rules) {
+    if (rules.length > GROUPING_RULE_LIMIT) {
+        throw new Error(`You can have at most ${GROUPING_RULE_LIMIT} grouping rules`);
+    }
+    const stored = rules.map(rule => {
+        const { id, type, value, groupId, enabled } = createGroupingRule(rule);
+        return { id, type, value: value.trim(), groupId, enabled };
+    });
+    if (new TextEncoder().encode(JSON.stringify(stored)).length > GROUPING_RULES_MAX_BYTES) {
+        throw new Error('The grouping rules are too long to sync. Remove some rules or shorten their values.');
+    }
+    await chrome.storage.sync.set({ [GROUPING_RULES_KEY]: stored });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        createGroupingRule,
+        validateGroupingRule,
+        matchesGroupingRule,
+        findGroupingRuleMatch,
+        planGroupingRuleMoves,
+        loadGroupingRules,
+        saveGroupingRules,
+        GROUPING_RULES_KEY,
+        GROUPING_RULE_TYPE_NAMES,
+        GROUPING_RULE_LIMIT,
+        GROUPING_RULE_VALUE_MAX_LENGTH
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.GroupingRules = {
+        createGroupingRule,
+        validateGroupingRule,
+        matchesGroupingRule,
+        findGroupingRuleMatch,
+        planGroupingRuleMoves,
+        loadGroupingRules,
+        saveGroupingRules,
+        GROUPING_RULES_KEY,
+        GROUPING_RULE_TYPE_NAMES,
+        GROUPING_RULE_LIMIT,
+        GROUPING_RULE_VALUE_MAX_LENGTH
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.GroupingRules = {
+        createGroupingRule,
+        validateGroupingRule,
+        matchesGroupingRule,
+        findGroupingRuleMatch,
+        planGroupingRuleMoves,
+        loadGroupingRules,
+        saveGroupingRules,
+        GROUPING_RULES_KEY,
+        GROUPING_RULE_TYPE_NAMES,
+        GROUPING_RULE_LIMIT,
+        GROUPING_RULE_VALUE_MAX_LENGTH
+    };
+}
\ No newline at end of file
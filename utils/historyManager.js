@@ -0,0 +1,225 @@
+// Shared Undo/Redo History
+// Used by both popup and start page. Every save is recorded as an invertible command
+// holding the before/after copy of each changed group and URL. The stacks live in
+// chrome.storage.session, so they are shared between pages and survive closing the
+// popup, but are cleared when the browser session ends.
+
+const HISTORY_STORAGE_KEY = 'undoHistory';
+const HISTORY_LIMIT = 50;
+
+class HistoryManager {
+    constructor(context) {
+        this.context = context; // 'popup' or 'startpage'
+        this.baseline = null; // Map of 'group:id'/'url:id' -> serialized record at last save
+        this.memoryStacks = { undo: [], redo: [] }; // Fallback when storage.session is unavailable
+    }
+
+    // Storage area for the stacks (session storage when available)
+    getStorageArea() {
+        return (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.session) || null;
+    }
+
+    async loadStacks() {
+        const area = this.getStorageArea();
+        if (!area) {
+            return this.memoryStacks;
+        }
+        const result = await area.get([HISTORY_STORAGE_KEY]);
+        const stacks = result[HISTORY_STORAGE_KEY] || {};
+        return {
+            undo: Array.isArray(stacks.undo) ? stacks.undo : [],
+            redo: Array.isArray(stacks.redo) ? stacks.redo : []
+        };
+    }
+
+    async saveStacks(stacks) {
+        const area = this.getStorageArea();
+        if (!area) {
+            this.memoryStacks = stacks;
+            return;
+        }
+        await area.set({ [HISTORY_STORAGE_KEY]: stacks });
+    }
+
+    // Plain copy of a record without runtime-only properties and sync bookkeeping
+    // (StorageManager assigns revisions again when an undone record is saved)
+    static toRecord(item) {
+        const plain = item.toJSON ? item.toJSON() : { ...item };
+        delete plain.storageTier;
+        delete plain.revision;
+        delete plain.modifiedBy;
+        return plain;
+    }
+
+    static snapshot(groups, urls) {
+        const state = new Map();
+        groups.forEach(group => state.set(`group:${group.id}`, JSON.stringify(HistoryManager.toRecord(group))));
+        urls.forEach(url => state.set(`url:${url.id}`, JSON.stringify(HistoryManager.toRecord(url))));
+        return state;
+    }
+
+    // Remember the state as loaded or saved; the next record() diffs against it
+    setBaseline(groups, urls) {
+        this.baseline = HistoryManager.snapshot(groups, urls);
+    }
+
+    clearBaseline() {
+        this.baseline = null;
+    }
+
+    // Records the difference to the baseline as a command; returns null if nothing changed
+    async record(groups, urls) {
+        const current = HistoryManager.snapshot(groups, urls);
+        if (!this.baseline) {
+            this.baseline = current;
+            return null;
+        }
+
+        const changes = [];
+        for (const [key, after] of current) {
+            const before = this.baseline.get(key);
+            if (before !== after) {
+                changes.push(HistoryManager.createChange(key, before, after));
+            }
+        }
+        for (const [key, before] of this.baseline) {
+            if (!current.has(key)) {
+                changes.push(HistoryManager.createChange(key, before, undefined));
+            }
+        }
+        this.baseline = current;
+
+        if (changes.length === 0) {
+            return null;
+        }
+
+        const command = {
+            id: `cmd_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 7)}`,
+            label: HistoryManager.describeChanges(changes),
+            context: this.context,
+            timestamp: new Date().toISOString(),
+            changes
+        };
+
+        // A new command invalidates everything that could be redone
+        const stacks = await this.loadStacks();
+        stacks.undo = [...stacks.undo, command].slice(-HISTORY_LIMIT);
+        stacks.redo = [];
+        await this.saveStacks(stacks);
+        return command;
+    }
+
+    static createChange(key, before, after) {
+        const [type, ...idParts] = key.split(':');
+        return {
+            type,
+            id: idParts.join(':'),
+            before: before !== undefined ? JSON.parse(before) : null,
+            after: after !== undefined ? JSON.parse(after) : null
+        };
+    }
+
+    // Human readable label for a command, e.g. 'Delete "Example"'
+    static describeChanges(changes) {
+        const groupChanges = changes.filter(c => c.type === 'group');
+        const urlChanges = changes.filter(c => c.type === 'url');
+        const added = list => list.filter(c => !c.before);
+        const removed = list => list.filter(c => !c.after);
+        const changed = list => list.filter(c => c.before && c.after);
+        const withoutOrder = record => JSON.stringify({ ...record, order: undefined, lastModified: undefined });
+        const onlyOrderChanged = c => withoutOrder(c.before) === withoutOrder(c.after);
+        const plural = (count, noun) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+
+        if (removed(groupChanges).length === 1) {
+            return `Delete group "${removed(groupChanges)[0].before.name}"`;
+        }
+        if (added(groupChanges).length === 1 && urlChanges.length === 0) {
+            return `Create group "${added(groupChanges)[0].after.name}"`;
+        }
+        if (removed(urlChanges).length > 0 && added(urlChanges).length === 0) {
+            const urls = removed(urlChanges);
+            return urls.length === 1 ? `Delete "${urls[0].before.title}"` : `Delete ${plural(urls.length, 'bookmark')}`;
+        }
+        if (added(urlChanges).length > 0 && removed(urlChanges).length === 0) {
+            const urls = added(urlChanges);
+            return urls.length === 1 ? `Add "${urls[0].after.title}"` : `Add ${plural(urls.length, 'bookmark')}`;
+        }
+
+        const movedUrls = changed(urlChanges).filter(c => c.before.groupId !== c.after.groupId);
+        if (movedUrls.length === 1) {
+            return `Move "${movedUrls[0].after.title}"`;
+        }
+
+        const editedUrls = changed(urlChanges).filter(c => !onlyOrderChanged(c));
+        const editedGroups = changed(groupChanges).filter(c => !onlyOrderChanged(c));
+        if (editedUrls.length === 0 && editedGroups.length === 0 && changes.every(c => c.before && c.after)) {
+            return groupChanges.length > 0 && urlChanges.length === 0 ? 'Reorder groups' : 'Reorder bookmarks';
+        }
+        if (editedUrls.length === 1 && editedGroups.length === 0) {
+            return `Edit "${editedUrls[0].after.title}"`;
+        }
+        if (editedGroups.length === 1 && editedUrls.length === 0) {
+            return `Edit group "${editedGroups[0].after.name}"`;
+        }
+        return `Update ${plural(changes.length, 'item')}`;
+    }
+
+    // Pops the latest command for undo (and pushes it for redo); returns null if none
+    async takeUndo() {
+        const stacks = await this.loadStacks();
+        const command = stacks.undo.pop();
+        if (!command) return null;
+        stacks.redo.push(command);
+        await this.saveStacks(stacks);
+        return command;
+    }
+
+    // Pops the latest undone command for redo (and pushes it for undo); returns null if none
+    async takeRedo() {
+        const stacks = await this.loadStacks();
+        const command = stacks.redo.pop();
+        if (!command) return null;
+        stacks.undo.push(command);
+        await this.saveStacks(stacks);
+        return command;
+    }
+
+    // Saves a changed command that is still on one of the stacks (e.g. its trashEntries)
+    async updateCommand(command) {
+        const stacks = await this.loadStacks();
+        const replace = list => list.map(item => item.id === command.id ? command : item);
+        await this.saveStacks({ undo: replace(stacks.undo), redo: replace(stacks.redo) });
+    }
+
+    // Applies a command to copies of the given groups and URLs
+    // direction: 'undo' restores the before state, 'redo' the after state
+    static applyCommand(groups, urls, command, direction) {
+        const state = {
+            group: groups.map(group => HistoryManager.toRecord(group)),
+            url: urls.map(url => HistoryManager.toRecord(url))
+        };
+
+        command.changes.forEach(change => {
+            const records = state[change.type];
+            const target = direction === 'undo' ? change.before : change.after;
+            const index = records.findIndex(record => record.id === change.id);
+
+            if (target && index !== -1) {
+                records[index] = { ...target };
+            } else if (target) {
+                records.push({ ...target });
+            } else if (index !== -1) {
+                records.splice(index, 1);
+            }
+        });
+
+        return { groups: state.group, urls: state.url };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+} else if (typeof window !== 'undefined') {
+    window.HistoryManager = HistoryManager;
+}
\ No newline at end of file
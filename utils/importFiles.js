@@ -0,0 +1,124 @@
+// Import Files - Import file types and dropped file hand-over for FavURL Chrome Extension
+// Import files are recognized by their extension; files without a known extension
+// (e.g. dropped downloads without one) are recognized by their content. The start
+// page has no import dialog: files dropped on it are handed to the popup through
+// session storage, and the popup opens its import confirmation for them.
+
+const IMPORT_FILE_JSON = 'json';
+const IMPORT_FILE_HTML = 'html';
+const IMPORT_FILE_SPREADSHEET = 'spreadsheet';
+// Size limits per file type (encrypted backups are about a third larger than the
+// backup they hold); files larger than the largest limit are not read at all
+const IMPORT_FILE_MAX_SIZE_MB = {
+    [IMPORT_FILE_JSON]: 2,
+    [IMPORT_FILE_HTML]: 5,
+    [IMPORT_FILE_SPREADSHEET]: 5
+};
+const IMPORT_FILE_MAX_READ_MB = 5;
+
+const PENDING_IMPORT_STORAGE_KEY = 'pendingImport';
+// Hand-overs the popup did not pick up in time are discarded
+const PENDING_IMPORT_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Recognizes an import file
+ * @param {string} fileName - File name
+ * @param {string} [text] - File content, used when the extension is not a known one
+ * @returns {string|null} IMPORT_FILE_JSON, IMPORT_FILE_HTML, IMPORT_FILE_SPREADSHEET, or null
+ */
+function detectImportFileType(fileName, text = '') {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.json')) return IMPORT_FILE_JSON;
+    if (name.endsWith('.html') || name.endsWith('.htm')) return IMPORT_FILE_HTML;
+    if (name.endsWith('.csv') || name.endsWith('.tsv')) return IMPORT_FILE_SPREADSHEET;
+
+    const content = text.replace(/^\uFEFF/, '').trimStart();
+    if (/^[{[]/.test(content)) return IMPORT_FILE_JSON;
+    if (/^</.test(content)) return IMPORT_FILE_HTML;
+    // Text whose first line has cell delimiters; binary files contain NUL characters
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    if (!content.includes('\u0000') && /[,;\t]/.test(firstLine)) return IMPORT_FILE_SPREADSHEET;
+    return null;
+}
+
+/**
+ * Returns the extension's storage area for pending imports
+ * @returns {Object} chrome.storage.session, or chrome.storage.local where it is unavailable
+ */
+function getPendingImportStorage() {
+    return chrome.storage.session || chrome.storage.local;
+}
+
+/**
+ * Stores a dropped file for the popup to import
+ * @param {Object} file - Object with name, size and content (text) of the file
+ * @returns {Promise<void>}
+ */
+async function savePendingImport(file) {
+    await getPendingImportStorage().set({
+        [PENDING_IMPORT_STORAGE_KEY]: {
+            name: file.name,
+            size: file.size,
+            content: file.content,
+            savedAt: Date.now()
+        }
+    });
+}
+
+/**
+ * Takes the file waiting to be imported, if any; it is removed from storage
+ * @returns {Promise<Object|null>} Object with name, size and content, or null
+ */
+async function takePendingImport() {
+    const storage = getPendingImportStorage();
+    const result = await storage.get([PENDING_IMPORT_STORAGE_KEY]);
+    const pending = result[PENDING_IMPORT_STORAGE_KEY];
+    if (!pending) {
+        return null;
+    }
+
+    await storage.remove(PENDING_IMPORT_STORAGE_KEY);
+    if (typeof pending.content !== 'string' || Date.now() - (pending.savedAt || 0) > PENDING_IMPORT_MAX_AGE_MS) {
+        return null;
+    }
+    return { name: pending.name || '', size: pending.size || pending.content.length, content: pending.content };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        detectImportFileType,
+        savePendingImport,
+        takePendingImport,
+        IMPORT_FILE_JSON,
+        IMPORT_FILE_HTML,
+        IMPORT_FILE_SPREADSHEET,
+        IMPORT_FILE_MAX_SIZE_MB,
+        IMPORT_FILE_MAX_READ_MB
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.ImportFiles = {
+        detectImportFileType,
+        savePendingImport,
+        takePendingImport,
+        IMPORT_FILE_JSON,
+        IMPORT_FILE_HTML,
+        IMPORT_FILE_SPREADSHEET,
+        IMPORT_FILE_MAX_SIZE_MB,
+        IMPORT_FILE_MAX_READ_MB
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.ImportFiles = {
+        detectImportFileType,
+        savePendingImport,
+        takePendingImport,
+        IMPORT_FILE_JSON,
+        IMPORT_FILE_HTML,
+        IMPORT_FILE_SPREADSHEET,
+        IMPORT_FILE_MAX_SIZE_MB,
+        IMPORT_FILE_MAX_READ_MB
+    };
+}
\ No newline at end of file
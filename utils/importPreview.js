@@ -0,0 +1,214 @@
+// Import Preview - Per-item preview of imports for FavURL Chrome Extension
+// Before an import is applied, every imported group and URL is listed with what the
+// import would do to it: add it, update a stored copy (with the changed fields), skip
+// it as a duplicate of a stored copy that is as new or newer (merge mode), or keep it
+// on this device only because it does not fit into sync storage. Items can be
+// excluded; the import then applies only the selected ones.
+
+const IMPORT_MODE_REPLACE = 'replace';
+const IMPORT_MODE_MERGE = 'merge';
+
+const IMPORT_STATUS_ADDED = 'added';
+const IMPORT_STATUS_UPDATED = 'updated';
+const IMPORT_STATUS_UNCHANGED = 'unchanged'; // Replace mode: same as the stored copy
+const IMPORT_STATUS_DUPLICATE = 'duplicate'; // Merge mode: the stored copy is kept
+
+// Bookkeeping and derived fields left out of the field-level changes
+const IMPORT_PREVIEW_IGNORED_FIELDS = [
+    'id', 'revision', 'modifiedBy', 'storageTier', 'created', 'lastModified', 'timestamp',
+    'domain', 'favicon', 'urlCount', 'order'
+];
+
+/**
+ * Lists the fields that differ between a stored record and its imported copy
+ * @param {Object} before - Stored record (plain object)
+ * @param {Object} after - Imported record (plain object)
+ * @returns {Array<Object>} Changes ({ field, before, after }); empty values compare equal
+ */
+function getFieldChanges(before, after) {
+    const isEmpty = value => value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+    const normalize = value => isEmpty(value) ? null : JSON.stringify(value);
+
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields)
+        .filter(field => !IMPORT_PREVIEW_IGNORED_FIELDS.includes(field))
+        .filter(field => normalize(before[field]) !== normalize(after[field]))
+        .sort()
+        .map(field => ({
+            field,
+            before: isEmpty(before[field]) ? null : before[field],
+            after: isEmpty(after[field]) ? null : after[field]
+        }));
+}
+
+/**
+ * Creates a preview item from a merge outcome or a replace comparison
+ * @param {string} type - 'group' or 'url'
+ * @param {number} index - Index of the record in the import data
+ * @param {Object} record - Imported record
+ * @param {Object|null} previous - Stored copy the record was matched with
+ * @param {string} status - One of the IMPORT_STATUS_* values
+ * @returns {Object} Item with type, index, record, previous, status, changes and deviceLocal
+ */
+function createPreviewItem(type, index, record, previous, status) {
+    return {
+        type,
+        index,
+        record,
+        previous,
+        status,
+        changes: status === IMPORT_STATUS_UPDATED ? getFieldChanges(previous, record) : [],
+        deviceLocal: false
+    };
+}
+
+/**
+ * Compares import data with the stored bookmarks
+ * @param {Object} current - Stored bookmarks ({ groups, urls } as plain objects)
+ * @param {Object} importData - Import data ({ groups, urls })
+ * @param {string} mode - IMPORT_MODE_REPLACE or IMPORT_MODE_MERGE
+ * @returns {Object} Object with groups and urls (preview items, in import order) and the
+ *   numbers of stored groups and URLs a replace would delete (removedGroups, removedUrls)
+ */
+function buildImportPreview(current, importData, mode) {
+    const importedGroups = importData.groups || [];
+    const importedUrls = importData.urls || [];
+
+    if (mode === IMPORT_MODE_MERGE) {
+        // Same matching as the merge itself
+        const mergeStatus = status => status === 'skipped' ? IMPORT_STATUS_DUPLICATE : status;
+        const groupOutcomes = BookmarkRepository.mergeGroups(current.groups, importedGroups).outcomes;
+        const urlOutcomes = BookmarkRepository.mergeUrls(current.urls, importedUrls).outcomes;
+        return {
+            groups: importedGroups.map((group, index) =>
+                createPreviewItem('group', index, group, groupOutcomes[index].previous, mergeStatus(groupOutcomes[index].status))),
+            urls: importedUrls.map((url, index) =>
+                createPreviewItem('url', index, url, urlOutcomes[index].previous, mergeStatus(urlOutcomes[index].status))),
+            removedGroups: 0,
+            removedUrls: 0
+        };
+    }
+
+    // Replace: records are matched by id only
+    const compare = (type, imported, stored) => {
+        const storedById = new Map(stored.map(record => [record.id, record]));
+        return imported.map((record, index) => {
+            const previous = storedById.get(record.id) || null;
+            let status = IMPORT_STATUS_ADDED;
+            if (previous) {
+                status = getFieldChanges(previous, record).length > 0 ? IMPORT_STATUS_UPDATED : IMPORT_STATUS_UNCHANGED;
+            }
+            return createPreviewItem(type, index, record, previous, status);
+        });
+    };
+    const importedGroupIds = new Set(importedGroups.map(group => group.id));
+    const importedUrlIds = new Set(importedUrls.map(url => url.id));
+
+    return {
+        groups: compare('group', importedGroups, current.groups),
+        urls: compare('url', importedUrls, current.urls),
+        // The default group is recreated when missing, so it is never removed
+        removedGroups: current.groups.filter(group =>
+            !importedGroupIds.has(group.id) && group.id !== BookmarkRepository.DEFAULT_GROUP_ID).length,
+        removedUrls: current.urls.filter(url => !importedUrlIds.has(url.id)).length
+    };
+}
+
+/**
+ * Keeps only the selected groups and URLs of import data. Selected URLs of groups that
+ * were left out are moved to the default group.
+ * @param {Object} importData - Import data ({ groups, urls, source? })
+ * @param {Set<number>} groupIndexes - Indexes of the selected groups
+ * @param {Set<number>} urlIndexes - Indexes of the selected URLs
+ * @param {Set<string>} [keptGroupIds] - Ids of stored groups the import keeps (merge mode)
+ * @returns {Object} Import data with the selected records
+ */
+function selectImportItems(importData, groupIndexes, urlIndexes, keptGroupIds = new Set()) {
+    const groups = (importData.groups || []).filter((group, index) => groupIndexes.has(index));
+    const groupIds = new Set([...keptGroupIds, ...groups.map(group => group.id)]);
+    return {
+        ...importData,
+        groups,
+        urls: (importData.urls || [])
+            .filter((url, index) => urlIndexes.has(index))
+            .map(url => groupIds.has(url.groupId) ? url : { ...url, groupId: BookmarkRepository.DEFAULT_GROUP_ID })
+    };
+}
+
+/**
+ * Marks preview items that would be stored on this device only because they do not
+ * fit into sync storage after the import
+ * @param {Object} preview - Preview as returned by buildImportPreview
+ * @param {Object} current - Stored bookmarks ({ groups, urls } as plain objects)
+ * @param {Object} importData - Selected import data ({ groups, urls })
+ * @param {string} mode - IMPORT_MODE_REPLACE or IMPORT_MODE_MERGE
+ * @returns {Promise<Object>} The preview with deviceLocal set on its items
+ */
+async function markDeviceLocalItems(preview, current, importData, mode) {
+    let groups = importData.groups || [];
+    let urls = importData.urls || [];
+    if (mode === IMPORT_MODE_MERGE) {
+        groups = BookmarkRepository.mergeGroups(current.groups, groups).groups;
+        urls = BookmarkRepository.mergeUrls(current.urls, urls).urls;
+    }
+
+    // Copies, so repairing group assignments leaves the import data untouched
+    groups = groups.map(group => ({ ...group }));
+    urls = urls.map(url => ({ ...url }));
+    BookmarkRepository.normalizeBookmarks(groups, urls);
+
+    const { localGroupIds, localUrlIds } = await StorageManager.planStorageTiers(groups, urls);
+    preview.groups.forEach(item => {
+        item.deviceLocal = item.status !== IMPORT_STATUS_DUPLICATE && localGroupIds.has(item.record.id);
+    });
+    preview.urls.forEach(item => {
+        item.deviceLocal = item.status !== IMPORT_STATUS_DUPLICATE && localUrlIds.has(item.record.id);
+    });
+    return preview;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        getFieldChanges,
+        buildImportPreview,
+        selectImportItems,
+        markDeviceLocalItems,
+        IMPORT_MODE_REPLACE,
+        IMPORT_MODE_MERGE,
+        IMPORT_STATUS_ADDED,
+        IMPORT_STATUS_UPDATED,
+        IMPORT_STATUS_UNCHANGED,
+        IMPORT_STATUS_DUPLICATE
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.ImportPreview = {
+        getFieldChanges,
+        buildImportPreview,
+        selectImportItems,
+        markDeviceLocalItems,
+        IMPORT_MODE_REPLACE,
+        IMPORT_MODE_MERGE,
+        IMPORT_STATUS_ADDED,
+        IMPORT_STATUS_UPDATED,
+        IMPORT_STATUS_UNCHANGED,
+        IMPORT_STATUS_DUPLICATE
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.ImportPreview = {
+        getFieldChanges,
+        buildImportPreview,
+        selectImportItems,
+        markDeviceLocalItems,
+        IMPORT_MODE_REPLACE,
+        IMPORT_MODE_MERGE,
+        IMPORT_STATUS_ADDED,
+        IMPORT_STATUS_UPDATED,
+        IMPORT_STATUS_UNCHANGED,
+        IMPORT_STATUS_DUPLICATE
+    };
+}
\ No newline at end of file
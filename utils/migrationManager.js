@@ -0,0 +1,241 @@
+// Migration Manager - Versioned schema migrations for FavURL Chrome Extension
+// Runs in the background service worker. Each registered step moves the stored data
+// from schema version N-1 to N and must be idempotent, so a step that is re-run after
+// an interrupted migration produces the same result.
+
+// Pre-migration copy of chrome.storage.sync and the overflow tier (latest migration only)
+const MIGRATION_BACKUP_KEY = 'migrationBackup';
+// Record of migration runs and the steps they executed
+const MIGRATION_HISTORY_KEY = 'migrationHistory';
+const MIGRATION_HISTORY_LIMIT = 20;
+// Device-local overflow tier keys written by StorageManager
+const OVERFLOW_KEYS = ['overflowGroups', 'overflowUrls'];
+
+/**
+ * Migration registry, ordered by target version. Steps receive the loaded data
+ * ({ groups, urls, metadata } as plain objects) and return the migrated data;
+ * the result is saved once after all pending steps succeeded.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Pack chunked, legacy and sharded records into the compressed sync format',
+        migrate: async (data) => {
+            // StorageManager reads every historical layout and the save writes the packed
+            // one, so only the default group and group assignments need repairing here
+            BookmarkRepository.normalizeBookmarks(data.groups, data.urls);
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: 'Add parent groups; existing groups become top-level groups',
+        migrate: async (data) => {
+            // Groups without a parentId are top-level; parents that do not form a tree
+            // (written by a newer version that was rolled back) are repaired as well
+            data.groups.forEach(group => {
+                group.parentId = group.parentId || null;
+            });
+            BookmarkRepository.normalizeBookmarks(data.groups, data.urls);
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add bookmark notes; existing bookmarks get empty notes',
+        migrate: async (data) => {
+            data.urls.forEach(url => {
+                url.notes = typeof url.notes === 'string' ? url.notes : '';
+            });
+            return data;
+        }
+    }
+];
+
+/**
+ * Gets the schema version the registry migrates to
+ * @returns {number} Latest schema version
+ */
+function getLatestVersion() {
+    return MIGRATIONS.reduce((latest, step) => Math.max(latest, step.version), 1);
+}
+
+/**
+ * Gets the registered steps needed to migrate from a schema version
+ * @param {number} fromVersion - Current schema version of the stored data
+ * @returns {Array<Object>} Pending migration steps in order
+ */
+function getPendingMigrations(fromVersion) {
+    return MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Copies everything a migration may touch into chrome.storage.local
+ * @param {number} fromVersion - Schema version being migrated from
+ * @returns {Promise<Object>} The stored backup
+ */
+async function createMigrationBackup(fromVersion) {
+    const sync = await chrome.storage.sync.get(null);
+    const local = await chrome.storage.local.get(OVERFLOW_KEYS);
+    const backup = {
+        fromVersion,
+        created: new Date().toISOString(),
+        sync,
+        local
+    };
+    await chrome.storage.local.set({ [MIGRATION_BACKUP_KEY]: backup });
+    return backup;
+}
+
+/**
+ * Restores chrome.storage.sync and the overflow tier from a migration backup
+ * @param {Object} backup - Backup as created by createMigrationBackup
+ * @returns {Promise<void>}
+ */
+async function restoreMigrationBackup(backup) {
+    const current = await chrome.storage.sync.get(null);
+    const addedKeys = Object.keys(current).filter(key => !(key in backup.sync));
+    if (addedKeys.length > 0) {
+        await chrome.storage.sync.remove(addedKeys);
+    }
+    await chrome.storage.sync.set(backup.sync);
+
+    const removedLocalKeys = OVERFLOW_KEYS.filter(key => !(key in backup.local));
+    if (removedLocalKeys.length > 0) {
+        await chrome.storage.local.remove(removedLocalKeys);
+    }
+    if (Object.keys(backup.local).length > 0) {
+        await chrome.storage.local.set(backup.local);
+    }
+
+    // Storage no longer matches what StorageManager last saw
+    StorageManager.invalidateStorageSnapshot();
+}
+
+/**
+ * Loads the last pre-migration backup
+ * @returns {Promise<Object|null>} Backup or null if none exists
+ */
+async function loadMigrationBackup() {
+    const result = await chrome.storage.local.get([MIGRATION_BACKUP_KEY]);
+    return result[MIGRATION_BACKUP_KEY] || null;
+}
+
+/**
+ * Loads the record of previous migration runs
+ * @returns {Promise<Array<Object>>} Migration runs, oldest first
+ */
+async function loadMigrationHistory() {
+    const result = await chrome.storage.local.get([MIGRATION_HISTORY_KEY]);
+    return Array.isArray(result[MIGRATION_HISTORY_KEY]) ? result[MIGRATION_HISTORY_KEY] : [];
+}
+
+/**
+ * Appends a migration run to the history
+ * @param {Object} run - Migration run record
+ * @returns {Promise<void>}
+ */
+async function recordMigrationRun(run) {
+    const history = await loadMigrationHistory();
+    history.push(run);
+    await chrome.storage.local.set({
+        [MIGRATION_HISTORY_KEY]: history.slice(-MIGRATION_HISTORY_LIMIT)
+    });
+}
+
+/**
+ * Runs all pending migration steps. Storage is backed up first and restored if a
+ * step or the final save throws, leaving the data at its previous version.
+ * @returns {Promise<Object>} Migration run record (status 'up_to_date', 'completed' or 'rolled_back')
+ */
+async function runMigrations() {
+    let data = await StorageManager.loadDataFromStorage();
+    const fromVersion = data.metadata.dataModelVersion;
+    const pending = getPendingMigrations(fromVersion);
+
+    if (pending.length === 0) {
+        return { status: 'up_to_date', fromVersion, toVersion: fromVersion, steps: [] };
+    }
+
+    const run = {
+        status: 'completed',
+        fromVersion,
+        toVersion: fromVersion,
+        started: new Date().toISOString(),
+        finished: null,
+        steps: []
+    };
+
+    const backup = await createMigrationBackup(fromVersion);
+    console.log(`Migrating data model from version ${fromVersion} to ${getLatestVersion()} (${pending.length} steps)`);
+
+    try {
+        for (const step of pending) {
+            data = (await step.migrate(data)) || data;
+            run.steps.push({
+                version: step.version,
+                description: step.description,
+                completed: new Date().toISOString()
+            });
+            run.toVersion = step.version;
+            console.log(`Migration to version ${step.version} done: ${step.description}`);
+        }
+
+        data.metadata.dataModelVersion = run.toVersion;
+        await StorageManager.saveDataToStorage(data.groups, data.urls, data.metadata);
+    } catch (error) {
+        console.error(`Migration from version ${fromVersion} failed, rolling back:`, error);
+        run.status = 'rolled_back';
+        run.error = error.message;
+        run.toVersion = fromVersion;
+        try {
+            await restoreMigrationBackup(backup);
+        } catch (restoreError) {
+            console.error('Error restoring pre-migration backup:', restoreError);
+            run.status = 'rollback_failed';
+            run.rollbackError = restoreError.message;
+        }
+    }
+
+    run.finished = new Date().toISOString();
+    await recordMigrationRun(run);
+    return run;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        MIGRATIONS,
+        getLatestVersion,
+        getPendingMigrations,
+        runMigrations,
+        loadMigrationBackup,
+        restoreMigrationBackup,
+        loadMigrationHistory
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.MigrationManager = {
+        MIGRATIONS,
+        getLatestVersion,
+        getPendingMigrations,
+        runMigrations,
+        loadMigrationBackup,
+        restoreMigrationBackup,
+        loadMigrationHistory
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.MigrationManager = {
+        MIGRATIONS,
+        getLatestVersion,
+        getPendingMigrations,
+        runMigrations,
+        loadMigrationBackup,
+        restoreMigrationBackup,
+        loadMigrationHistory
+    };
+}
\ No newline at end of file
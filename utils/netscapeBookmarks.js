@@ -0,0 +1,393 @@
+// Netscape Bookmarks - bookmarks.html import and export for FavURL Chrome Extension
+// Chrome, Firefox, Edge and Safari export bookmarks in the Netscape bookmark file
+// format: nested <DL> lists whose <DT> items hold either a folder (<H3> followed by
+// its own <DL>) or a bookmark (<A HREF>). Folders become groups; bookmarks outside any
+// folder go to the default group. The browser's root folders (bookmarks toolbar, other
+// bookmarks) are not groups themselves: their subfolders are treated as top-level.
+// Nested folders become sub-groups (parentId) unless the import flattens them.
+// Exports write one folder per group, nesting sub-groups in their parent's folder, so
+// every browser's bookmark manager can import them.
+
+// How bookmarks in nested folders are grouped
+const NESTED_FOLDERS_NEST = 'nest'; // Into a sub-group per folder, nested like the folders
+const NESTED_FOLDERS_FLATTEN = 'flatten'; // Into the group of their top-level folder
+const NESTED_FOLDERS_PREFIX = 'prefix'; // Into a group per folder, named 'Parent / Child'
+const FOLDER_PATH_SEPARATOR = ' / ';
+// Group names are limited by GroupDataModel.validate
+const MAX_GROUP_NAME_LENGTH = 50;
+// Attributes marking the browser's root folders
+const ROOT_FOLDER_ATTRIBUTES = ['personal_toolbar_folder', 'unfiled_bookmarks_folder'];
+// Only web pages can be stored as bookmarks
+const IMPORTABLE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Checks whether text looks like a Netscape bookmark file
+ * @param {string} text - File content
+ * @returns {boolean} True if the content has the Netscape doctype or bookmark list markup
+ */
+function isNetscapeBookmarkFile(text) {
+    return /<!DOCTYPE\s+NETSCAPE-Bookmark-file-1/i.test(text) || /<DT>\s*<(A|H3)\b/i.test(text);
+}
+
+/**
+ * Escapes text for element content and double-quoted attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeBookmarkText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts an ISO date to an ADD_DATE/LAST_MODIFIED attribute value
+ * @param {string} value - ISO date
+ * @returns {string|null} Seconds since the epoch, or null if the date is missing or invalid
+ */
+function formatBookmarkDate(value) {
+    const time = new Date(value || 0).getTime();
+    return isNaN(time) || time <= 0 ? null : String(Math.floor(time / 1000));
+}
+
+/**
+ * Converts an ADD_DATE/LAST_MODIFIED attribute to an ISO date
+ * @param {string|null} value - Seconds since the epoch (some exporters use milli- or microseconds)
+ * @returns {string|null} ISO date, or null if the value is missing or invalid
+ */
+function parseBookmarkDate(value) {
+    const number = Number(value);
+    if (!value || !Number.isFinite(number) || number <= 0) {
+        return null;
+    }
+
+    let milliseconds = number * 1000;
+    if (number > 1e14) {
+        milliseconds = number / 1000; // Microseconds
+    } else if (number > 1e11) {
+        milliseconds = number; // Milliseconds
+    }
+
+    const date = new Date(milliseconds);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Builds the group name for a folder path
+ * @param {Array<string>} path - Folder names from the top-level folder down
+ * @param {string} nestedFolders - NESTED_FOLDERS_NEST, NESTED_FOLDERS_FLATTEN or NESTED_FOLDERS_PREFIX
+ * @returns {string} Group name
+ */
+function getGroupName(path, nestedFolders) {
+    const name = nestedFolders === NESTED_FOLDERS_PREFIX ? path.join(FOLDER_PATH_SEPARATOR)
+        : nestedFolders === NESTED_FOLDERS_NEST ? path[path.length - 1] : path[0];
+    if (name.length <= MAX_GROUP_NAME_LENGTH) {
+        return name;
+    }
+    // Keep the end of long paths; the innermost folder is the most specific
+    return '…' + name.slice(-(MAX_GROUP_NAME_LENGTH - 1));
+}
+
+/**
+ * Reads the description a bookmark file gives a bookmark
+ * @param {Element} anchor - <A> element of the bookmark
+ * @returns {string} Text of the <DD> following the bookmark's <DT> ('' if there is none)
+ */
+function getBookmarkDescription(anchor) {
+    const next = anchor.parentElement && anchor.parentElement.nextElementSibling;
+    if (!next || next.tagName !== 'DD') {
+        return '';
+    }
+    // Only the description's own text, not a list an exporter left open inside it
+    return Array.from(next.childNodes)
+        .filter(node => node.nodeType === 3)
+        .map(node => node.textContent)
+        .join('')
+        .trim();
+}
+
+/**
+ * Collects folders and bookmarks from a bookmark list
+ * @param {Element} list - <DL> element
+ * @param {Array<string>} path - Folder names leading to the list
+ * @param {Function} visit - Called with (anchor, path) for every bookmark
+ * @param {Function} visitFolder - Called with (heading, path) for every folder
+ */
+function walkBookmarkList(list, path, visit, visitFolder) {
+    const nestedLists = new Set();
+
+    Array.from(list.children).forEach(item => {
+        if (item.tagName !== 'DT') {
+            return;
+        }
+
+        const anchor = item.querySelector(':scope > a');
+        const heading = item.querySelector(':scope > h3');
+
+        if (heading) {
+            const isRootFolder = ROOT_FOLDER_ATTRIBUTES.some(attribute => heading.getAttribute(attribute) === 'true');
+            const folderPath = isRootFolder ? path : [...path, heading.textContent.trim() || 'Untitled folder'];
+            // The folder's list is nested in the <DT>, in a following <DD> description, or
+            // follows the item when the exporter closed it
+            let folderList = item.querySelector(':scope > dl');
+            let next = item.nextElementSibling;
+            if (!folderList && next && next.tagName === 'DD') {
+                folderList = next.querySelector(':scope > dl');
+                next = next.nextElementSibling;
+            }
+            if (!folderList && next && next.tagName === 'DL') {
+                folderList = next;
+            }
+
+            if (!isRootFolder) {
+                visitFolder(heading, folderPath);
+            }
+            if (folderList) {
+                nestedLists.add(folderList);
+                walkBookmarkList(folderList, folderPath, visit, visitFolder);
+            }
+        } else if (anchor) {
+            visit(anchor, path);
+        }
+    });
+
+    // Lists after closed items that were not claimed by a folder belong to this level
+    Array.from(list.children)
+        .filter(child => child.tagName === 'DL' && !nestedLists.has(child))
+        .forEach(child => walkBookmarkList(child, path, visit, visitFolder));
+}
+
+/**
+ * Parses a Netscape bookmark file into groups and URLs in the import format
+ * @param {string} html - File content
+ * @param {Object} [options] - Options
+ * @param {string} [options.nestedFolders] - NESTED_FOLDERS_NEST (default), NESTED_FOLDERS_FLATTEN
+ *   or NESTED_FOLDERS_PREFIX
+ * @param {Array} [options.existingGroups] - Stored groups; folders with the same name (and, when
+ *   nesting, the same parent) reuse them
+ * @param {number} [options.startOrder] - Order of the first new group
+ * @returns {Object} Object with groups, urls and skipped (bookmarks that are not web pages)
+ */
+function parseNetscapeBookmarks(html, options = {}) {
+    const nestedFolders = [NESTED_FOLDERS_FLATTEN, NESTED_FOLDERS_PREFIX].includes(options.nestedFolders)
+        ? options.nestedFolders
+        : NESTED_FOLDERS_NEST;
+    const nest = nestedFolders === NESTED_FOLDERS_NEST;
+    // Sub-groups are matched by name within their parent
+    const getExistingKey = (name, parentId) => (nest ? `${parentId || ''}\u0000` : '') + name.toLowerCase();
+    const existingByName = new Map();
+    (options.existingGroups || []).forEach(group => {
+        const key = getExistingKey(group.name || '', group.parentId);
+        if (!existingByName.has(key)) {
+            existingByName.set(key, group);
+        }
+    });
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const rootList = doc.querySelector('dl');
+    if (!rootList) {
+        throw new Error('No bookmark list found in the file');
+    }
+
+    const now = new Date().toISOString();
+    const groupsByName = new Map();
+    const urls = [];
+    let nextOrder = options.startOrder || 1;
+    let skipped = 0;
+
+    const getGroup = (path, heading) => {
+        if (path.length === 0) {
+            return null; // Default group
+        }
+        const name = getGroupName(path, nestedFolders);
+        // The default group has no sub-groups, so folders in a folder named like it are top-level
+        const parent = nest && path.length > 1 ? getGroup(path.slice(0, -1), null) : null;
+        const parentId = parent && parent.id !== BookmarkRepository.DEFAULT_GROUP_ID ? parent.id : null;
+        const key = nest ? path.map(folder => folder.toLowerCase()).join('\u0000') : name.toLowerCase();
+        if (!groupsByName.has(key)) {
+            const existing = existingByName.get(getExistingKey(name, parentId));
+            if (existing) {
+                // Imported unchanged, so a merge keeps the stored group's settings
+                groupsByName.set(key, StorageManager.stripStorageTier(existing.toJSON ? existing.toJSON() : { ...existing }));
+            } else {
+                const created = (heading && parseBookmarkDate(heading.getAttribute('add_date'))) || now;
+                groupsByName.set(key, {
+                    id: FavURLUtils.generateUniqueId('group_'),
+                    name,
+                    created,
+                    lastModified: (heading && parseBookmarkDate(heading.getAttribute('last_modified'))) || created,
+                    color: '#2196f3',
+                    description: '',
+                    order: nextOrder++,
+                    parentId
+                });
+            }
+        }
+        return groupsByName.get(key);
+    };
+
+    walkBookmarkList(rootList, [], (anchor, path) => {
+        const href = (anchor.getAttribute('href') || '').trim();
+        let parsed;
+        try {
+            parsed = new URL(href);
+        } catch {
+            parsed = null;
+        }
+        if (!parsed || !IMPORTABLE_PROTOCOLS.includes(parsed.protocol)) {
+            skipped++; // javascript:, place:, file: and browser-internal pages
+            return;
+        }
+
+        const group = getGroup(path, null);
+        const created = parseBookmarkDate(anchor.getAttribute('add_date')) || now;
+        const tags = (anchor.getAttribute('tags') || '')
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(Boolean);
+
+        urls.push({
+            id: FavURLUtils.generateUniqueId('url_'),
+            url: href,
+            title: anchor.textContent.trim() || parsed.hostname,
+            timestamp: created,
+            groupId: group ? group.id : BookmarkRepository.DEFAULT_GROUP_ID,
+            created,
+            lastModified: parseBookmarkDate(anchor.getAttribute('last_modified')) || created,
+            tags,
+            notes: getBookmarkDescription(anchor).substring(0, 1000),
+            order: urls.length
+        });
+    }, (heading, path) => {
+        // Create groups in folder order, including empty folders
+        if (nestedFolders !== NESTED_FOLDERS_FLATTEN || path.length === 1) {
+            getGroup(path, heading);
+        }
+    });
+
+    return {
+        groups: Array.from(groupsByName.values()),
+        urls,
+        skipped
+    };
+}
+
+/**
+ * Builds the attribute list of a folder or bookmark
+ * @param {Array<Array>} attributes - [name, value] pairs; empty values are left out
+ * @returns {string} Attributes, each preceded by a space
+ */
+function formatAttributes(attributes) {
+    return attributes
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => ` ${name}="${escapeBookmarkText(value)}"`)
+        .join('');
+}
+
+/**
+ * Writes groups and URLs as a Netscape bookmark file with one folder per group; a
+ * sub-group's folder follows the bookmarks in its parent's folder. Groups are ordered
+ * like in the popup (depth-first, default group first, siblings by order) and URLs by
+ * order; the default group is left out when it is empty.
+ * @param {Array} groups - Groups (plain objects or GroupDataModel instances)
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @returns {string} bookmarks.html content
+ */
+function buildNetscapeBookmarks(groups, urls) {
+
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+
+    const indent = depth => ' '.repeat(4 + depth * 4);
+    // Depths of the folders whose list is still open
+    const openDepths = [];
+    const closeFolders = depth => {
+        while (openDepths.length > 0 && openDepths[openDepths.length - 1] >= depth) {
+            lines.push(`${indent(openDepths.pop())}</DL><p>`);
+        }
+    };
+
+    GroupTree.flattenGroupTree(groups).forEach(({ group, depth }) => {
+        const groupUrls = urls
+            .filter(url => url.groupId === group.id)
+            .sort((a, b) => (a.order || 0) - (b.order || 0));
+        if (group.id === BookmarkRepository.DEFAULT_GROUP_ID && groupUrls.length === 0) {
+            return;
+        }
+
+        closeFolders(depth);
+        const folderAttributes = formatAttributes([
+            ['ADD_DATE', formatBookmarkDate(group.created)],
+            ['LAST_MODIFIED', formatBookmarkDate(group.lastModified)]
+        ]);
+        lines.push(`${indent(depth)}<DT><H3${folderAttributes}>${escapeBookmarkText(group.name)}</H3>`);
+        if (group.description) {
+            lines.push(`${indent(depth)}<DD>${escapeBookmarkText(group.description)}`);
+        }
+        lines.push(`${indent(depth)}<DL><p>`);
+        openDepths.push(depth);
+
+        groupUrls.forEach(url => {
+            const attributes = formatAttributes([
+                ['HREF', url.url],
+                ['ADD_DATE', formatBookmarkDate(url.created || url.timestamp)],
+                ['LAST_MODIFIED', formatBookmarkDate(url.lastModified)],
+                ['TAGS', (url.tags || []).join(',')]
+            ]);
+            lines.push(`${indent(depth + 1)}<DT><A${attributes}>${escapeBookmarkText(url.title)}</A>`);
+            if (url.notes) {
+                lines.push(`${indent(depth + 1)}<DD>${escapeBookmarkText(url.notes)}`);
+            }
+        });
+    });
+    closeFolders(0);
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        isNetscapeBookmarkFile,
+        parseBookmarkDate,
+        parseNetscapeBookmarks,
+        buildNetscapeBookmarks,
+        NESTED_FOLDERS_NEST,
+        NESTED_FOLDERS_FLATTEN,
+        NESTED_FOLDERS_PREFIX
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.NetscapeBookmarks = {
+        isNetscapeBookmarkFile,
+        parseBookmarkDate,
+        parseNetscapeBookmarks,
+        buildNetscapeBookmarks,
+        NESTED_FOLDERS_NEST,
+        NESTED_FOLDERS_FLATTEN,
+        NESTED_FOLDERS_PREFIX
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.NetscapeBookmarks = {
+        isNetscapeBookmarkFile,
+        parseBookmarkDate,
+        parseNetscapeBookmarks,
+        buildNetscapeBookmarks,
+        NESTED_FOLDERS_NEST,
+        NESTED_FOLDERS_FLATTEN,
+        NESTED_FOLDERS_PREFIX
+    };
+}
\ No newline at end of file
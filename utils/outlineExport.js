@@ -0,0 +1,252 @@
+// Outline Export - Markdown and OPML export for FavURL Chrome Extension
+// Markdown exports have a heading per group, the optional group description and a
+// `- [title](url)` list (with the optional bookmark notes indented below each item),
+// ready to paste into wikis and notes. OPML exports have an outline per group with a
+// link outline per URL, for feed readers and outliners. Sub-groups (parentId) get a
+// heading one level deeper, or an outline nested in their parent's after its links.
+// Both can be written for the whole collection or for a single group with its sub-groups.
+
+const OUTLINE_FORMAT_MARKDOWN = 'markdown';
+const OUTLINE_FORMAT_OPML = 'opml';
+const OUTLINE_DEFAULT_TITLE = 'FavURL Bookmarks';
+// Markdown has six heading levels; deeper sub-groups share the last one
+const OUTLINE_MAX_HEADING_LEVEL = 6;
+
+/**
+ * Orders groups like in the popup (depth-first, default group first, siblings by order)
+ * with their URLs ordered by order; the default group is left out when it is empty.
+ * Groups whose parent is not exported are top-level.
+ * @param {Array} groups - Groups (plain objects or GroupDataModel instances)
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @returns {Array<Object>} Objects with group, depth (0 for top-level groups) and urls
+ */
+function getOutlineSections(groups, urls) {
+    return GroupTree.flattenGroupTree(groups)
+        .map(({ group, depth }) => ({
+            group,
+            depth,
+            urls: urls
+                .filter(url => url.groupId === group.id)
+                .sort((a, b) => (a.order || 0) - (b.order || 0))
+        }))
+        .filter(section => section.group.id !== BookmarkRepository.DEFAULT_GROUP_ID || section.urls.length > 0);
+}
+
+/**
+ * Escapes Markdown link text and headings
+ * @param {string} text - Text to escape
+ * @returns {string} Text with Markdown syntax characters escaped and line breaks collapsed
+ */
+function escapeMarkdownText(text) {
+    return String(text || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * Escapes a URL for a Markdown link destination
+ * @param {string} url - URL
+ * @returns {string} URL with spaces, parentheses and angle brackets percent-encoded
+ */
+function escapeMarkdownUrl(url) {
+    return String(url || '')
+        .replace(/ /g, '%20')
+        .replace(/\(/g, '%28')
+        .replace(/\)/g, '%29')
+        .replace(/</g, '%3C')
+        .replace(/>/g, '%3E');
+}
+
+/**
+ * Writes groups and URLs as Markdown
+ * @param {Array} groups - Groups to export (plain objects or GroupDataModel instances)
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @param {Object} [options] - Options
+ * @param {string} [options.title] - Document title; no title heading when left out
+ * @param {boolean} [options.includeDescriptions] - Write group descriptions below the headings
+ *   and bookmark notes below the links
+ * @returns {string} Markdown content
+ */
+function buildMarkdownExport(groups, urls, options = {}) {
+    const lines = [];
+    if (options.title) {
+        lines.push(`# ${escapeMarkdownText(options.title)}`, '');
+    }
+
+    getOutlineSections(groups, urls).forEach(({ group, depth, urls: groupUrls }) => {
+        const level = Math.min(2 + depth, OUTLINE_MAX_HEADING_LEVEL);
+        lines.push(`${'#'.repeat(level)} ${escapeMarkdownText(group.name)}`, '');
+        if (options.includeDescriptions && group.description && group.description.trim()) {
+            lines.push(group.description.trim(), '');
+        }
+        if (groupUrls.length > 0) {
+            groupUrls.forEach(url => {
+                lines.push(`- [${escapeMarkdownText(url.title || url.url)}](${escapeMarkdownUrl(url.url)})`);
+                if (options.includeDescriptions && url.notes && url.notes.trim()) {
+                    // Indented lines continue the list item
+                    url.notes.trim().split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+                        lines.push(`  ${line.trim()}`);
+                    });
+                }
+            });
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n').replace(/\n+$/, '') + '\n';
+}
+
+/**
+ * Escapes text for XML element content and double-quoted attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text (line breaks in attributes are kept as character references)
+ */
+function escapeOpmlText(text) {
+    return String(text || '')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+/**
+ * Converts an ISO date to the RFC 822 format OPML uses
+ * @param {string} value - ISO date
+ * @returns {string|null} RFC 822 date, or null if the date is missing or invalid
+ */
+function formatOpmlDate(value) {
+    const date = new Date(value || 0);
+    return isNaN(date.getTime()) || date.getTime() <= 0 ? null : date.toUTCString();
+}
+
+/**
+ * Builds the attribute list of an outline
+ * @param {Array<Array>} attributes - [name, value] pairs; empty values are left out
+ * @returns {string} Attributes, each preceded by a space
+ */
+function formatOpmlAttributes(attributes) {
+    return attributes
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => ` ${name}="${escapeOpmlText(value)}"`)
+        .join('');
+}
+
+/**
+ * Writes groups and URLs as an OPML 2.0 document with an outline per group; sub-group
+ * outlines are nested in their parent's outline
+ * @param {Array} groups - Groups to export (plain objects or GroupDataModel instances)
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @param {Object} [options] - Options
+ * @param {string} [options.title] - Document title
+ * @param {boolean} [options.includeDescriptions] - Write group descriptions and bookmark notes
+ *   as outline descriptions
+ * @returns {string} OPML content
+ */
+function buildOpmlExport(groups, urls, options = {}) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '    <head>',
+        `        <title>${escapeOpmlText(options.title || OUTLINE_DEFAULT_TITLE)}</title>`,
+        `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '    </head>',
+        '    <body>'
+    ];
+
+    const sections = getOutlineSections(groups, urls);
+    const indent = depth => ' '.repeat(8 + depth * 4);
+    // Depths of the group outlines that are still open
+    const openDepths = [];
+    const closeOutlines = depth => {
+        while (openDepths.length > 0 && openDepths[openDepths.length - 1] >= depth) {
+            lines.push(`${indent(openDepths.pop())}</outline>`);
+        }
+    };
+
+    sections.forEach(({ group, depth, urls: groupUrls }, index) => {
+        closeOutlines(depth);
+        const groupAttributes = formatOpmlAttributes([
+            ['text', group.name],
+            ['title', group.name],
+            ['description', options.includeDescriptions ? group.description : null],
+            ['created', formatOpmlDate(group.created)]
+        ]);
+        const hasSubGroups = index + 1 < sections.length && sections[index + 1].depth > depth;
+        if (groupUrls.length === 0 && !hasSubGroups) {
+            lines.push(`${indent(depth)}<outline${groupAttributes}/>`);
+            return;
+        }
+
+        lines.push(`${indent(depth)}<outline${groupAttributes}>`);
+        openDepths.push(depth);
+        groupUrls.forEach(url => {
+            const attributes = formatOpmlAttributes([
+                ['text', url.title || url.url],
+                ['title', url.title],
+                ['type', 'link'],
+                ['url', url.url],
+                ['htmlUrl', url.url],
+                ['created', formatOpmlDate(url.created || url.timestamp)],
+                ['category', (url.tags || []).join(',')],
+                ['description', options.includeDescriptions ? url.notes : null]
+            ]);
+            lines.push(`${indent(depth + 1)}<outline${attributes}/>`);
+        });
+    });
+    closeOutlines(0);
+
+    lines.push('    </body>', '</opml>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes groups and URLs in the given outline format
+ * @param {string} format - OUTLINE_FORMAT_MARKDOWN or OUTLINE_FORMAT_OPML
+ * @param {Array} groups - Groups to export
+ * @param {Array} urls - URLs
+ * @param {Object} [options] - Options of buildMarkdownExport / buildOpmlExport
+ * @returns {Object} Object with content, extension and mimeType
+ */
+function buildOutlineExport(format, groups, urls, options = {}) {
+    if (format === OUTLINE_FORMAT_OPML) {
+        return { content: buildOpmlExport(groups, urls, options), extension: 'opml', mimeType: 'text/x-opml' };
+    }
+    if (format === OUTLINE_FORMAT_MARKDOWN) {
+        return { content: buildMarkdownExport(groups, urls, options), extension: 'md', mimeType: 'text/markdown' };
+    }
+    throw new Error(`Unknown export format: ${format}`);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        buildMarkdownExport,
+        buildOpmlExport,
+        buildOutlineExport,
+        OUTLINE_FORMAT_MARKDOWN,
+        OUTLINE_FORMAT_OPML
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.OutlineExport = {
+        buildMarkdownExport,
+        buildOpmlExport,
+        buildOutlineExport,
+        OUTLINE_FORMAT_MARKDOWN,
+        OUTLINE_FORMAT_OPML
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.OutlineExport = {
+        buildMarkdownExport,
+        buildOpmlExport,
+        buildOutlineExport,
+        OUTLINE_FORMAT_MARKDOWN,
+        OUTLINE_FORMAT_OPML
+    };
+}
\ No newline at end of file
@@ -0,0 +1,339 @@
+// Service Imports - Import of read-later and bookmarking service exports for FavURL Chrome Extension
+// Reads the offline export files of Pocket (HTML and CSV), Raindrop.io (CSV) and
+// Pinboard (JSON). Raindrop collections become groups (nested collections are named
+// 'Parent / Child'); Pocket and Pinboard have no folders, so their bookmarks go to a
+// group per list ('Pocket / Unread', 'Pinboard / To read', ...). The services' tags
+// become URL tags, and Raindrop notes and Pinboard extended descriptions become URL
+// notes. Groups with the same name as a stored group reuse it, and items whose address
+// is not a web page are skipped.
+
+const SERVICE_POCKET = 'pocket';
+const SERVICE_RAINDROP = 'raindrop';
+const SERVICE_PINBOARD = 'pinboard';
+// Names shown to the user
+const SERVICE_NAMES = {
+    [SERVICE_POCKET]: 'Pocket',
+    [SERVICE_RAINDROP]: 'Raindrop.io',
+    [SERVICE_PINBOARD]: 'Pinboard'
+};
+const SERVICE_PATH_SEPARATOR = ' / ';
+// Group names are limited by GroupDataModel.validate
+const SERVICE_MAX_GROUP_NAME_LENGTH = 50;
+
+/**
+ * Converts a date of a service export to an ISO date
+ * @param {string|number} value - Seconds since the epoch (Pocket) or a date string
+ * @returns {string|null} ISO date, or null if the value is missing or invalid
+ */
+function parseServiceDate(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) {
+        return null;
+    }
+    const date = /^\d+$/.test(text) ? new Date(Number(text) * 1000) : new Date(text);
+    return isNaN(date.getTime()) || date.getTime() <= 0 ? null : date.toISOString();
+}
+
+/**
+ * Splits a tag list of a service export
+ * @param {string} value - Tags
+ * @param {RegExp|string} separator - Tag separator
+ * @returns {Array<string>} Trimmed tags without empty ones and repeats
+ */
+function splitServiceTags(value, separator) {
+    const tags = String(value || '').split(separator).map(tag => tag.trim()).filter(Boolean);
+    return Array.from(new Set(tags));
+}
+
+/**
+ * Builds a group name from folder names
+ * @param {Array<string>} path - Folder names from the top-level folder down
+ * @returns {string} Group name ('' for the default group)
+ */
+function getServiceGroupName(path) {
+    const name = path.map(part => part.trim()).filter(Boolean).join(SERVICE_PATH_SEPARATOR);
+    if (name.length <= SERVICE_MAX_GROUP_NAME_LENGTH) {
+        return name;
+    }
+    // Keep the end of long paths; the innermost folder is the most specific
+    return '…' + name.slice(-(SERVICE_MAX_GROUP_NAME_LENGTH - 1));
+}
+
+/**
+ * Normalizes the cells of a header row for matching column names
+ * @param {Array<string>} headers - Cells of the first row
+ * @returns {Array<string>} Lowercase, trimmed names
+ */
+function normalizeServiceHeaders(headers) {
+    return headers.map(header => String(header).trim().toLowerCase());
+}
+
+/**
+ * Recognizes the export file of a service
+ * @param {string} text - File content
+ * @param {string} fileType - 'html', 'spreadsheet' or 'json' (see ImportFiles.detectImportFileType)
+ * @returns {string|null} SERVICE_POCKET, SERVICE_RAINDROP, SERVICE_PINBOARD, or null for other files
+ */
+function detectServiceExport(text, fileType) {
+    if (fileType === 'html') {
+        // Pocket writes <li><a href time_added tags> lists below Unread/Read Archive headings
+        return /<title>\s*Pocket Export\s*<\/title>/i.test(text) || /<li>\s*<a\s[^>]*\btime_added=/i.test(text)
+            ? SERVICE_POCKET
+            : null;
+    }
+
+    if (fileType === 'spreadsheet') {
+        // Both services write comma-separated files
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const headers = normalizeServiceHeaders(CsvBookmarks.parseDelimited(firstLine, ',')[0] || []);
+        const has = (...names) => names.every(name => headers.includes(name));
+        if (has('url', 'time_added', 'status')) {
+            return SERVICE_POCKET;
+        }
+        if (has('url', 'folder', 'excerpt')) {
+            return SERVICE_RAINDROP;
+        }
+        return null;
+    }
+
+    if (fileType === 'json' && /^\s*\[/.test(text)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            return null;
+        }
+        // Pinboard's posts/all export: [{ href, description, extended, time, tags, toread, ... }]
+        const first = Array.isArray(data) ? data[0] : null;
+        return first && typeof first === 'object' && typeof first.href === 'string' && 'description' in first
+            ? SERVICE_PINBOARD
+            : null;
+    }
+
+    return null;
+}
+
+/**
+ * Reads the items of a Pocket HTML export
+ * @param {string} html - File content
+ * @returns {Array<Object>} Items ({ url, title, path, tags, created })
+ */
+function parsePocketHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return Array.from(doc.querySelectorAll('li > a[href]')).map(anchor => {
+        // The list's heading names it (Unread or Read Archive)
+        const list = anchor.closest('ul');
+        const heading = list && list.previousElementSibling;
+        const isArchive = !!heading && /archive/i.test(heading.textContent);
+        return {
+            url: (anchor.getAttribute('href') || '').trim(),
+            title: anchor.textContent.trim(),
+            path: ['Pocket', isArchive ? 'Archive' : 'Unread'],
+            tags: splitServiceTags(anchor.getAttribute('tags'), ','),
+            created: parseServiceDate(anchor.getAttribute('time_added'))
+        };
+    });
+}
+
+/**
+ * Reads the rows of a service's CSV export as objects keyed by column name
+ * @param {string} text - File content
+ * @returns {Array<Object>} Rows
+ */
+function parseServiceCsv(text) {
+    const rows = CsvBookmarks.parseDelimited(text, ',');
+    if (rows.length === 0) {
+        return [];
+    }
+    const headers = normalizeServiceHeaders(rows[0]);
+    return rows.slice(1).map(cells => {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = (cells[index] || '').trim();
+        });
+        return row;
+    });
+}
+
+/**
+ * Reads the items of a Pocket CSV export (title, url, time_added, tags, status)
+ * @param {string} text - File content
+ * @returns {Array<Object>} Items ({ url, title, path, tags, created })
+ */
+function parsePocketCsv(text) {
+    return parseServiceCsv(text).map(row => ({
+        url: row.url || '',
+        title: row.title || '',
+        path: ['Pocket', row.status === 'archive' ? 'Archive' : 'Unread'],
+        tags: splitServiceTags(row.tags, '|'),
+        created: parseServiceDate(row.time_added)
+    }));
+}
+
+/**
+ * Reads the items of a Raindrop.io CSV export (id, title, note, excerpt, url, folder,
+ * tags, created, ...); nested collections are written as 'Parent/Child'
+ * @param {string} text - File content
+ * @returns {Array<Object>} Items ({ url, title, path, tags, notes, created })
+ */
+function parseRaindropCsv(text) {
+    return parseServiceCsv(text).map(row => ({
+        url: row.url || '',
+        title: row.title || '',
+        path: (row.folder || '').split('/'),
+        tags: splitServiceTags(row.tags, ','),
+        notes: row.note || '',
+        created: parseServiceDate(row.created)
+    }));
+}
+
+/**
+ * Reads the items of a Pinboard JSON export
+ * @param {string} text - File content
+ * @returns {Array<Object>} Items ({ url, title, path, tags, notes, created })
+ */
+function parsePinboardJson(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+        throw new Error('Pinboard exports are a list of bookmarks');
+    }
+    return data
+        .filter(post => post && typeof post === 'object')
+        .map(post => ({
+            url: typeof post.href === 'string' ? post.href.trim() : '',
+            title: typeof post.description === 'string' ? post.description.trim() : '',
+            path: post.toread === 'yes' ? ['Pinboard', 'To read'] : ['Pinboard'],
+            tags: splitServiceTags(post.tags, /\s+/),
+            notes: typeof post.extended === 'string' ? post.extended.trim() : '',
+            created: parseServiceDate(post.time)
+        }));
+}
+
+/**
+ * Converts the export file of a service into groups and URLs in the import format
+ * @param {string} service - SERVICE_POCKET, SERVICE_RAINDROP or SERVICE_PINBOARD
+ * @param {string} text - File content
+ * @param {Object} [options] - Options
+ * @param {Array} [options.existingGroups] - Stored groups; group names matching them reuse them
+ * @param {number} [options.startOrder] - Order of the first new group
+ * @returns {Object} Object with groups, urls and skipped (items without a web page address)
+ */
+function parseServiceExport(service, text, options = {}) {
+    let items;
+    if (service === SERVICE_POCKET) {
+        items = /^\s*</.test(text) ? parsePocketHtml(text) : parsePocketCsv(text);
+    } else if (service === SERVICE_RAINDROP) {
+        items = parseRaindropCsv(text);
+    } else if (service === SERVICE_PINBOARD) {
+        items = parsePinboardJson(text);
+    } else {
+        throw new Error(`Unknown service: ${service}`);
+    }
+
+    const existingByName = new Map();
+    (options.existingGroups || []).forEach(group => {
+        const key = (group.name || '').toLowerCase();
+        if (!existingByName.has(key)) {
+            existingByName.set(key, group);
+        }
+    });
+
+    const now = new Date().toISOString();
+    const groupsByName = new Map();
+    const urls = [];
+    let nextOrder = options.startOrder || 1;
+    let skipped = 0;
+
+    const getGroup = (name, created) => {
+        const key = name.toLowerCase();
+        if (!groupsByName.has(key)) {
+            const existing = existingByName.get(key);
+            groupsByName.set(key, existing
+                // Imported unchanged, so a merge keeps the stored group's settings
+                ? StorageManager.stripStorageTier(existing.toJSON ? existing.toJSON() : { ...existing })
+                : {
+                    id: FavURLUtils.generateUniqueId('group_'),
+                    name,
+                    created,
+                    lastModified: created,
+                    color: '#2196f3',
+                    description: '',
+                    order: nextOrder++
+                });
+        }
+        return groupsByName.get(key);
+    };
+
+    items.forEach(item => {
+        let hostname = '';
+        try {
+            hostname = new URL(item.url).hostname;
+        } catch {
+            // Reported by validate below
+        }
+
+        const created = item.created || now;
+        const url = new URLDataModel({
+            url: item.url,
+            title: item.title || hostname,
+            groupId: BookmarkRepository.DEFAULT_GROUP_ID,
+            created,
+            timestamp: created,
+            // Dated like the saved item, so a merge keeps copies edited since
+            lastModified: created,
+            tags: item.tags,
+            // Longer notes are cut off (URLDataModel.validate)
+            notes: (item.notes || '').replace(/\r\n?/g, '\n').substring(0, 1000),
+            order: urls.length
+        });
+        if (!url.validate().isValid) {
+            skipped++; // Missing addresses and pages that are not http(s)
+            return;
+        }
+
+        const groupName = getServiceGroupName(item.path);
+        if (groupName) {
+            url.groupId = getGroup(groupName, created).id;
+        }
+        urls.push(url.toJSON());
+    });
+
+    return {
+        groups: Array.from(groupsByName.values()),
+        urls,
+        skipped
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        detectServiceExport,
+        parseServiceExport,
+        SERVICE_POCKET,
+        SERVICE_RAINDROP,
+        SERVICE_PINBOARD,
+        SERVICE_NAMES
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.ServiceImports = {
+        detectServiceExport,
+        parseServiceExport,
+        SERVICE_POCKET,
+        SERVICE_RAINDROP,
+        SERVICE_PINBOARD,
+        SERVICE_NAMES
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.ServiceImports = {
+        detectServiceExport,
+        parseServiceExport,
+        SERVICE_POCKET,
+        SERVICE_RAINDROP,
+        SERVICE_PINBOARD,
+        SERVICE_NAMES
+    };
+}
\ No newline at end of file
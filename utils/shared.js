@@ -118,73 +118,6 @@ function isValidURL(string) {
     }
 }
 
-/**
- * Gets the storage key name for a group index
- * @param {number} index - The group index (0-31)
- * @returns {string} The storage key name (e.g., "urls0", "urls1")
- */
-function getURLStorageKey(index) {
-    if (index < 0 || index > 31) {
-        throw new Error(`Invalid storage index: ${index}. Must be between 0 and 31.`);
-    }
-    return `urls${index}`;
-}
-
-/**
- * Gets the storage index for a group ID
- * @param {string} groupId - The group ID
- * @param {Array} groups - Array of group objects
- * @returns {number} The storage index (0-31)
- */
-function getStorageIndexForGroup(groupId, groups) {
-    // Ungrouped always uses index 0
-    if (groupId === 'ungrouped') {
-        return 0;
-    }
-
-    // Find the group and use its position in the array (+ 1 to account for ungrouped at 0)
-    const groupIndex = groups.findIndex(group => group.id === groupId);
-    if (groupIndex === -1) {
-        console.warn(`Group not found: ${groupId}, defaulting to ungrouped`);
-        return 0; // Default to ungrouped
-    }
-
-    // If this is the ungrouped group, return 0
-    if (groups[groupIndex].id === 'ungrouped') {
-        return 0;
-    }
-
-    // Calculate index: ungrouped groups get filtered out, then add 1 for the ungrouped slot
-    const nonUngroupedGroups = groups.filter(g => g.id !== 'ungrouped');
-    const nonUngroupedIndex = nonUngroupedGroups.findIndex(group => group.id === groupId);
-
-    if (nonUngroupedIndex === -1) {
-        console.warn(`Non-ungrouped group not found: ${groupId}, defaulting to ungrouped`);
-        return 0;
-    }
-
-    const storageIndex = nonUngroupedIndex + 1; // Add 1 because ungrouped uses index 0
-
-    if (storageIndex > 31) {
-        console.warn(`Storage index ${storageIndex} exceeds limit, defaulting to ungrouped`);
-        return 0;
-    }
-
-    return storageIndex;
-}
-
-/**
- * Gets all URL storage keys (urls0 through urls31)
- * @returns {Array<string>} Array of all URL storage key names
- */
-function getAllURLStorageKeys() {
-    const keys = [];
-    for (let i = 0; i <= 31; i++) {
-        keys.push(getURLStorageKey(i));
-    }
-    return keys;
-}
-
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment
@@ -195,12 +128,20 @@ if (typeof module !== 'undefined' && module.exports) {
         fetchDirectFavicon,
         updateFaviconAsync,
         escapeHtml,
-        isValidURL,
-        getURLStorageKey,
-        getStorageIndexForGroup,
-        getAllURLStorageKeys
+        isValidURL
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.FavURLUtils = {
+        generateUniqueId,
+        extractDomain,
+        generateFaviconUrl,
+        fetchDirectFavicon,
+        updateFaviconAsync,
+        escapeHtml,
+        isValidURL
     };
-} else {
+} else if (typeof window !== 'undefined') {
     // Browser environment - attach to window
     window.FavURLUtils = {
         generateUniqueId,
@@ -209,9 +150,6 @@ if (typeof module !== 'undefined' && module.exports) {
         fetchDirectFavicon,
         updateFaviconAsync,
         escapeHtml,
-        isValidURL,
-        getURLStorageKey,
-        getStorageIndexForGroup,
-        getAllURLStorageKeys
+        isValidURL
     };
 }
\ No newline at end of file
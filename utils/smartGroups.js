@@ -0,0 +1,273 @@
+// Smart Groups - Groups defined by a saved query for FavURL Chrome Extension
+// A smart group lists every bookmark its query matches. Its members cannot be added or
+// removed by hand; they change as bookmarks are added, edited, tagged or opened. A query
+// is a list of terms separated by spaces, all of which must match. A leading '-' negates
+// a term, and values with spaces are quoted (tag:"read later"):
+//   domain:github.com  the page is on github.com or one of its subdomains
+//   tag:docs           the bookmark has the tag
+//   group:Work         the bookmark is in the group or one of its sub-groups
+//   added:7d           added in the last 7 days (h, d or w); added:>30d for older ones
+//   opened:never       never opened on this device; opened:7d and opened:>30d as for added
+//   react              the title, address or notes contain the word
+// Smart groups are stored in chrome.storage.sync, next to the other settings. When a
+// bookmark was last opened is kept in chrome.storage.local, per device: writing the
+// synced record on every click would use up the sync write quota and cause conflicts.
+
+const SMART_GROUPS_KEY = 'smartGroups';
+const BOOKMARK_OPENS_KEY = 'bookmarkOpens';
+// Smart groups share the sync settings reserve (StorageManager.SYNC_SETTINGS_BYTE_RESERVE)
+const SMART_GROUP_LIMIT = 20;
+const SMART_QUERY_MAX_LENGTH = 200;
+const SMART_QUERY_FIELDS = ['domain', 'tag', 'group', 'added', 'opened'];
+const SMART_QUERY_UNIT_MS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Reads an age such as '7d' or '>30d'
+ * @param {string} value - Age value of an added: or opened: term
+ * @returns {Object|null} Object with ms and older (true for '>'), or null if invalid
+ */
+function parseSmartQueryAge(value) {
+    const match = /^([<>]?)(\d+)([hdw])$/i.exec(value);
+    if (!match) {
+        return null;
+    }
+    return {
+        ms: Number(match[2]) * SMART_QUERY_UNIT_MS[match[3].toLowerCase()],
+        older: match[1] === '>'
+    };
+}
+
+/**
+ * Splits a query into terms
+ * @param {string} query - Query text
+ * @returns {Object} Object with terms ({ field, value, negate, age? }; field 'text' for
+ *   plain words) and errors (messages for terms that cannot be used)
+ */
+function parseSmartQuery(query) {
+    const terms = [];
+    const errors = [];
+    const text = String(query || '').trim();
+
+    if (!text) {
+        errors.push('Query is required');
+    } else if (text.length > SMART_QUERY_MAX_LENGTH) {
+        errors.push(`Query must be ${SMART_QUERY_MAX_LENGTH} characters or less`);
+    }
+
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const negate = match[1] === '-';
+        const field = (match[2] || 'text').toLowerCase();
+        const value = (match[3] !== undefined ? match[3] : match[4] || '').trim();
+        const raw = match[0];
+
+        // A known filter with nothing after the colon ("domain:") is not a word to search for
+        const emptyField = field === 'text' && /^([a-z]+):$/i.exec(value);
+        if (emptyField && SMART_QUERY_FIELDS.includes(emptyField[1].toLowerCase())) {
+            errors.push(`"${raw}" needs a value`);
+            continue;
+        }
+        if (field !== 'text' && !SMART_QUERY_FIELDS.includes(field)) {
+            errors.push(`Unknown filter "${field}:" (use ${SMART_QUERY_FIELDS.map(name => name + ':').join(', ')})`);
+            continue;
+        }
+        if (!value) {
+            if (field !== 'text') {
+                errors.push(`"${raw}" needs a value`);
+            }
+            continue;
+        }
+
+        const term = { field, value, negate };
+        if (field === 'added' || (field === 'opened' && value.toLowerCase() !== 'never')) {
+            term.age = parseSmartQueryAge(value);
+            if (!term.age) {
+                errors.push(`"${raw}" needs an age such as 7d, 12h or 2w${field === 'opened' ? ', or never' : ''}`);
+                continue;
+            }
+        }
+        terms.push(term);
+    }
+
+    if (text && terms.length === 0 && errors.length === 0) {
+        errors.push('Query is required');
+    }
+    return { terms, errors };
+}
+
+/**
+ * Gets the host name of a bookmark without a leading 'www.'
+ * @param {Object} url - URL (plain object or URLDataModel instance)
+ * @returns {string} Lowercase host name ('' if the address is invalid)
+ */
+function getSmartQueryHost(url) {
+    try {
+        return new URL(url.url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Lists the bookmarks a query matches
+ * @param {string} query - Query text
+ * @param {Array} urls - URLs (plain objects or URLDataModel instances)
+ * @param {Object} [context] - Context
+ * @param {Array} [context.groups] - Groups, for group: terms
+ * @param {Object} [context.opens] - Time each bookmark was last opened (URL id -> ISO date)
+ * @param {number} [context.now] - Current time in milliseconds
+ * @returns {Array} Matching URLs, newest first (none if the query has errors)
+ */
+function getSmartGroupUrls(query, urls, context = {}) {
+    const { terms, errors } = parseSmartQuery(query);
+    if (errors.length > 0) {
+        return [];
+    }
+
+    const groups = context.groups || [];
+    const opens = context.opens || {};
+    const now = context.now || Date.now();
+
+    // Groups named by group: terms, with their sub-groups
+    const groupIdsByName = new Map();
+    terms.filter(term => term.field === 'group').forEach(term => {
+        const name = term.value.toLowerCase();
+        const ids = new Set();
+        groups.filter(group => (group.name || '').toLowerCase() === name).forEach(group => {
+            ids.add(group.id);
+            GroupTree.getGroupDescendants(groups, group.id).forEach(descendant => ids.add(descendant.id));
+        });
+        groupIdsByName.set(name, ids);
+    });
+
+    const isWithinAge = (time, age) => {
+        const elapsed = now - new Date(time).getTime();
+        return age.older ? !(elapsed <= age.ms) : elapsed <= age.ms;
+    };
+
+    const matchesTerm = (url, term) => {
+        const value = term.value.toLowerCase();
+        switch (term.field) {
+            case 'domain': {
+                const host = getSmartQueryHost(url);
+                const domain = value.replace(/^www\./, '');
+                return host === domain || host.endsWith('.' + domain);
+            }
+            case 'tag':
+                return BookmarkTags.hasAllTags(url, [term.value]);
+            case 'group':
+                return groupIdsByName.get(value).has(url.groupId);
+            case 'added':
+                return isWithinAge(url.created || url.timestamp, term.age);
+            case 'opened':
+                if (!term.age) {
+                    return !opens[url.id];
+                }
+                // Bookmarks never opened count as opened long ago
+                return opens[url.id] ? isWithinAge(opens[url.id], term.age) : term.age.older;
+            default:
+                return (url.title || '').toLowerCase().includes(value) || (url.url || '').toLowerCase().includes(value) ||
+                    (url.notes || '').toLowerCase().includes(value);
+        }
+    };
+
+    return urls
+        .filter(url => terms.every(term => matchesTerm(url, term) !== term.negate))
+        .sort((a, b) => new Date(b.created || b.timestamp).getTime() - new Date(a.created || a.timestamp).getTime());
+}
+
+/**
+ * Loads the smart groups
+ * @returns {Promise<Array<Object>>} Smart groups as plain objects, sorted by order
+ */
+async function loadSmartGroups() {
+    const result = await chrome.storage.sync.get([SMART_GROUPS_KEY]);
+    const smartGroups = Array.isArray(result[SMART_GROUPS_KEY]) ? result[SMART_GROUPS_KEY] : [];
+    return smartGroups
+        .filter(smartGroup => smartGroup && typeof smartGroup.id === 'string')
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Saves the smart groups
+ * @param {Array} smartGroups - Smart groups (plain objects or SmartGroupDataModel instances)
+ * @returns {Promise<void>}
+ */
+async function saveSmartGroups(smartGroups) {
+    if (smartGroups.length > SMART_GROUP_LIMIT) {
+        throw new Error(`You can have at most ${SMART_GROUP_LIMIT} smart groups`);
+    }
+    await chrome.storage.sync.set({
+        [SMART_GROUPS_KEY]: smartGroups.map(smartGroup => smartGroup.toJSON ? smartGroup.toJSON() : smartGroup)
+    });
+}
+
+/**
+ * Loads when the bookmarks were last opened on this device
+ * @returns {Promise<Object>} URL id -> ISO date
+ */
+async function loadBookmarkOpens() {
+    const result = await chrome.storage.local.get([BOOKMARK_OPENS_KEY]);
+    return result[BOOKMARK_OPENS_KEY] || {};
+}
+
+/**
+ * Records that a bookmark was opened
+ * @param {string} urlId - URL id
+ * @returns {Promise<void>}
+ */
+async function recordBookmarkOpen(urlId) {
+    const opens = await loadBookmarkOpens();
+    opens[urlId] = new Date().toISOString();
+    await chrome.storage.local.set({ [BOOKMARK_OPENS_KEY]: opens });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        parseSmartQuery,
+        getSmartGroupUrls,
+        loadSmartGroups,
+        saveSmartGroups,
+        loadBookmarkOpens,
+        recordBookmarkOpen,
+        SMART_GROUPS_KEY,
+        BOOKMARK_OPENS_KEY,
+        SMART_GROUP_LIMIT,
+        SMART_QUERY_MAX_LENGTH
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.SmartGroups = {
+        parseSmartQuery,
+        getSmartGroupUrls,
+        loadSmartGroups,
+        saveSmartGroups,
+        loadBookmarkOpens,
+        recordBookmarkOpen,
+        SMART_GROUPS_KEY,
+        BOOKMARK_OPENS_KEY,
+        SMART_GROUP_LIMIT,
+        SMART_QUERY_MAX_LENGTH
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.SmartGroups = {
+        parseSmartQuery,
+        getSmartGroupUrls,
+        loadSmartGroups,
+        saveSmartGroups,
+        loadBookmarkOpens,
+        recordBookmarkOpen,
+        SMART_GROUPS_KEY,
+        BOOKMARK_OPENS_KEY,
+        SMART_GROUP_LIMIT,
+        SMART_QUERY_MAX_LENGTH
+    };
+}
\ No newline at end of file
@@ -0,0 +1,270 @@
+// Snapshot Manager - Rolling local snapshots for FavURL Chrome Extension
+// The background takes a snapshot of all groups, URLs and settings periodically and
+// after every N saves. Snapshots are kept in chrome.storage.local (device-local, not
+// synced); only the configured number of generations is kept, oldest dropped first.
+
+const SNAPSHOTS_KEY = 'snapshots';
+const SNAPSHOT_SETTINGS_KEY = 'snapshotSettings';
+// Saves since the last snapshot (counted by the background)
+const SNAPSHOT_SAVE_COUNT_KEY = 'snapshotSaveCount';
+const DEFAULT_SNAPSHOT_SETTINGS = {
+    generations: 10,
+    saveInterval: 25
+};
+// Background alarm that takes periodic snapshots
+const SNAPSHOT_ALARM = 'bookmarkSnapshot';
+const SNAPSHOT_INTERVAL_MINUTES = 6 * 60;
+// Settings stored alongside the bookmarks and restored with them
+const SNAPSHOT_SETTING_FIELDS = ['startPageEnabled', 'openInNewTab', 'colorTheme', 'fontSettings'];
+// Derived and bookkeeping fields ignored when comparing records for the restore preview
+const SNAPSHOT_DIFF_IGNORED_FIELDS = [
+    'domain', 'favicon', 'urlCount', 'storageTier', 'created', 'lastModified', 'timestamp', 'revision', 'modifiedBy'
+];
+
+/**
+ * Computes a short signature of snapshot content, used to skip unchanged snapshots
+ * @param {string} text - Serialized snapshot content
+ * @returns {string} Hash of the text
+ */
+function hashContent(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${(hash >>> 0).toString(36)}_${text.length.toString(36)}`;
+}
+
+/**
+ * Loads the snapshot settings
+ * @returns {Promise<Object>} Object with generations and saveInterval
+ */
+async function loadSnapshotSettings() {
+    const result = await chrome.storage.local.get([SNAPSHOT_SETTINGS_KEY]);
+    const stored = result[SNAPSHOT_SETTINGS_KEY] || {};
+    return {
+        generations: Number.isInteger(stored.generations) && stored.generations > 0
+            ? stored.generations
+            : DEFAULT_SNAPSHOT_SETTINGS.generations,
+        saveInterval: Number.isInteger(stored.saveInterval) && stored.saveInterval > 0
+            ? stored.saveInterval
+            : DEFAULT_SNAPSHOT_SETTINGS.saveInterval
+    };
+}
+
+/**
+ * Saves the snapshot settings and drops generations beyond the new limit
+ * @param {Object} settings - Object with generations and/or saveInterval
+ * @returns {Promise<Object>} The saved settings
+ */
+async function saveSnapshotSettings(settings) {
+    const current = await loadSnapshotSettings();
+    const updated = { ...current, ...settings };
+    if (!Number.isInteger(updated.generations) || updated.generations < 1) {
+        throw new Error('Number of snapshots to keep must be at least 1');
+    }
+    if (!Number.isInteger(updated.saveInterval) || updated.saveInterval < 1) {
+        throw new Error('Snapshot interval must be at least 1 save');
+    }
+
+    await chrome.storage.local.set({ [SNAPSHOT_SETTINGS_KEY]: updated });
+
+    const snapshots = await loadSnapshots();
+    if (snapshots.length > updated.generations) {
+        await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots.slice(0, updated.generations) });
+    }
+    return updated;
+}
+
+/**
+ * Loads all snapshots, newest first
+ * @returns {Promise<Array<Object>>} Snapshots
+ */
+async function loadSnapshots() {
+    const result = await chrome.storage.local.get([SNAPSHOTS_KEY]);
+    const snapshots = Array.isArray(result[SNAPSHOTS_KEY]) ? result[SNAPSHOTS_KEY] : [];
+    return snapshots.sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+/**
+ * Takes a snapshot of the stored bookmarks and settings
+ * @param {string} reason - Why the snapshot was taken ('scheduled', 'saves', 'manual', 'before_restore')
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Keep the snapshot even if nothing changed since the latest one
+ * @returns {Promise<Object|null>} The new snapshot, or null if it was skipped
+ */
+async function createSnapshot(reason, options = {}) {
+    const data = await BookmarkRepository.loadBookmarks();
+    const groups = data.groups.map(StorageManager.stripStorageTier);
+    const urls = data.urls.map(StorageManager.stripStorageTier);
+    const settings = {};
+    SNAPSHOT_SETTING_FIELDS.forEach(field => {
+        settings[field] = data.metadata[field];
+    });
+
+    // Nothing worth restoring before the first bookmark is saved
+    if (data.metadata.storageFormat === 'empty' && !options.force) {
+        return null;
+    }
+
+    const signature = hashContent(JSON.stringify({ groups, urls, settings }));
+    const snapshots = await loadSnapshots();
+    if (!options.force && snapshots.length > 0 && snapshots[0].signature === signature) {
+        return null;
+    }
+
+    const snapshot = {
+        id: `snapshot_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 7)}`,
+        created: new Date().toISOString(),
+        reason,
+        signature,
+        dataModelVersion: data.metadata.dataModelVersion,
+        groupCount: groups.length,
+        urlCount: urls.length,
+        groups,
+        urls,
+        settings
+    };
+
+    const { generations } = await loadSnapshotSettings();
+    await chrome.storage.local.set({
+        [SNAPSHOTS_KEY]: [snapshot, ...snapshots].slice(0, generations),
+        [SNAPSHOT_SAVE_COUNT_KEY]: 0
+    });
+    console.log(`Snapshot taken (${reason}): ${groups.length} groups, ${urls.length} URLs`);
+    return snapshot;
+}
+
+/**
+ * Counts a bookmark save and takes a snapshot once the configured number is reached
+ * @returns {Promise<Object|null>} The new snapshot, or null if none was taken
+ */
+async function recordSave() {
+    const result = await chrome.storage.local.get([SNAPSHOT_SAVE_COUNT_KEY]);
+    const count = (result[SNAPSHOT_SAVE_COUNT_KEY] || 0) + 1;
+    const { saveInterval } = await loadSnapshotSettings();
+
+    if (count < saveInterval) {
+        await chrome.storage.local.set({ [SNAPSHOT_SAVE_COUNT_KEY]: count });
+        return null;
+    }
+    // createSnapshot resets the counter; reset it here too when nothing changed
+    const snapshot = await createSnapshot('saves');
+    if (!snapshot) {
+        await chrome.storage.local.set({ [SNAPSHOT_SAVE_COUNT_KEY]: 0 });
+    }
+    return snapshot;
+}
+
+/**
+ * Permanently deletes a snapshot
+ * @param {string} snapshotId - Id of the snapshot
+ * @returns {Promise<void>}
+ */
+async function deleteSnapshot(snapshotId) {
+    const snapshots = await loadSnapshots();
+    await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots.filter(s => s.id !== snapshotId) });
+}
+
+/**
+ * Serializes the user-visible content of a record; empty values compare equal
+ * @param {Object} record - Group or URL object
+ * @returns {string} Comparable serialization
+ */
+function getComparableContent(record) {
+    const plain = record.toJSON ? record.toJSON() : record;
+    const content = {};
+    Object.keys(plain)
+        .filter(key => !SNAPSHOT_DIFF_IGNORED_FIELDS.includes(key))
+        .sort()
+        .forEach(key => {
+            const value = plain[key];
+            const isEmpty = value === undefined || value === null || value === '' ||
+                (Array.isArray(value) && value.length === 0);
+            if (!isEmpty) {
+                content[key] = value;
+            }
+        });
+    return JSON.stringify(content);
+}
+
+/**
+ * Compares a snapshot with the current bookmarks, describing what restoring it would do
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {Array} groups - Current groups (plain objects or GroupDataModel instances)
+ * @param {Array} urls - Current URLs (plain objects or URLDataModel instances)
+ * @returns {Object} Object with groups and urls, each with added, removed and changed
+ *   records (added: only in the snapshot, removed: only current, changed: differ)
+ */
+function diffSnapshot(snapshot, groups, urls) {
+    const toPlain = item => StorageManager.stripStorageTier(item.toJSON ? item.toJSON() : item);
+    const compare = (snapshotRecords, currentRecords) => {
+        const current = new Map(currentRecords.map(record => [record.id, toPlain(record)]));
+        const snapshotIds = new Set(snapshotRecords.map(record => record.id));
+        const diff = { added: [], removed: [], changed: [] };
+
+        snapshotRecords.forEach(record => {
+            const currentRecord = current.get(record.id);
+            if (!currentRecord) {
+                diff.added.push(record);
+            } else if (getComparableContent(currentRecord) !== getComparableContent(record)) {
+                diff.changed.push(record);
+            }
+        });
+        current.forEach((record, id) => {
+            if (!snapshotIds.has(id)) {
+                diff.removed.push(record);
+            }
+        });
+        return diff;
+    };
+
+    return {
+        groups: compare(snapshot.groups, groups),
+        urls: compare(snapshot.urls, urls)
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        loadSnapshotSettings,
+        saveSnapshotSettings,
+        loadSnapshots,
+        createSnapshot,
+        recordSave,
+        deleteSnapshot,
+        diffSnapshot,
+        SNAPSHOT_ALARM,
+        SNAPSHOT_INTERVAL_MINUTES,
+        SNAPSHOT_SETTING_FIELDS
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.SnapshotManager = {
+        loadSnapshotSettings,
+        saveSnapshotSettings,
+        loadSnapshots,
+        createSnapshot,
+        recordSave,
+        deleteSnapshot,
+        diffSnapshot,
+        SNAPSHOT_ALARM,
+        SNAPSHOT_INTERVAL_MINUTES,
+        SNAPSHOT_SETTING_FIELDS
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.SnapshotManager = {
+        loadSnapshotSettings,
+        saveSnapshotSettings,
+        loadSnapshots,
+        createSnapshot,
+        recordSave,
+        deleteSnapshot,
+        diffSnapshot,
+        SNAPSHOT_ALARM,
+        SNAPSHOT_INTERVAL_MINUTES,
+        SNAPSHOT_SETTING_FIELDS
+    };
+}
\ No newline at end of file
@@ -1,66 +1,904 @@
 // Storage Manager - Centralized Chrome Storage Operations
-// Handles all chrome.storage.sync operations with chunked storage format
+// Handles all chrome.storage.sync operations with the packed storage format.
+// Items beyond the sync capacity overflow into chrome.storage.local (device-local tier).
+
+// Current data model (schema) version, stored as an integer in dataModelVersion:
+// 1 = historical layouts (chunked group00/url000 keys, legacy arrays, urls0-urls31 shards)
+// 2 = packed records (groupPack0-groupPack7, urlPack00-urlPack63), optionally compressed
+// 3 = groups may be nested (parentId)
+// 4 = bookmarks may have notes
+// Versions are only advanced by MigrationManager; saves keep the version they were given.
+const DATA_MODEL_VERSION = 4;
+
+// Chunked (version 1) format key limits, still read for migration
+const CHUNKED_GROUP_KEY_LIMIT = 32;
+const CHUNKED_URL_KEY_LIMIT = 400;
+
+// Sharded (version 1) layout written by early background versions (urls0-urls31 next to a groups array)
+const SHARDED_URL_KEY_LIMIT = 32;
+
+// Packed (version 2) format key limits
+const MAX_GROUP_PACKS = 8;
+const MAX_URL_PACKS = 64;
+
+// chrome.storage.sync allows 8192 bytes per item (key + JSON value) and 102400 in total.
+// Packs stay a little under the per-item limit; settings keys get a fixed reserve.
+const PACK_ITEM_BYTE_LIMIT = 8000;
+const SYNC_SETTINGS_BYTE_RESERVE = 8 * 1024;
+
+// chrome.storage.local keys holding the device-local overflow tier
+const OVERFLOW_GROUPS_KEY = 'overflowGroups';
+const OVERFLOW_URLS_KEY = 'overflowUrls';
+
+// Deleted record ids with their final revision, synced so other devices can tell a
+// deletion from a record that was clobbered by a concurrent write. They are stored in
+// 'tombstones' and, after a bulk delete, in 'tombstones1' to 'tombstones15' as well.
+const TOMBSTONES_KEY = 'tombstones';
+const MAX_TOMBSTONE_ITEMS = 16;
+const TOMBSTONE_RETENTION_DAYS = 30;
+// Tombstones are only dropped to stay within this size once the reconcile on this device
+// has processed them and they are older than the grace period (so devices that were
+// offline for a few days still see the deletion)
+const TOMBSTONE_BYTE_LIMIT = 4000;
+const TOMBSTONE_GRACE_DAYS = 7;
+
+// chrome.storage.local keys of this device's last reconciled state (see ConflictManager)
+// and of the time the reconcile last processed the synced tombstones
+const SYNC_BASE_KEY = 'syncBase';
+const TOMBSTONES_RECONCILED_KEY = 'tombstonesReconciledAt';
+
+// chrome.storage.local key of this device's id, stamped on the records it modifies
+const DEVICE_ID_KEY = 'deviceId';
+
+// Storage tier names attached to loaded items (runtime only, never persisted)
+const STORAGE_TIER_SYNC = 'sync';
+const STORAGE_TIER_LOCAL = 'local';
+
+// Snapshot of chrome.storage.sync as last loaded or saved by this context
+// Maps storage key -> JSON string of its value, null until the first load/save
+let storageSnapshot = null;
+
+// JSON string of the overflow tier as last loaded or saved, null until known
+let overflowSnapshot = null;
+
+// Records as last loaded or saved by this context, used to assign revisions on save
+// Maps 'group:id'/'url:id' -> { content, revision }, null until the first load/save
+let recordSnapshot = null;
+
+// Tombstones as last loaded or saved by this context, null until known
+let tombstoneSnapshot = null;
+
+// Id of this device, read from chrome.storage.local on first use
+let deviceId = null;
 
 /**
- * Generates array of storage keys for groups
+ * Records storage values in the snapshot used for diff-based saves
+ * @param {Object} values - Key/value pairs as stored in chrome.storage.sync
+ * @param {boolean} replace - Start a fresh snapshot instead of updating the current one
+ */
+function updateStorageSnapshot(values, replace = false) {
+    if (replace || !storageSnapshot) {
+        storageSnapshot = {};
+    }
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) {
+            delete storageSnapshot[key];
+        } else {
+            storageSnapshot[key] = JSON.stringify(value);
+        }
+    }
+}
+
+/**
+ * Gets the id of this device, creating it on first use
+ * @returns {Promise<string>} Device id
+ */
+async function getDeviceId() {
+    if (deviceId) {
+        return deviceId;
+    }
+    const result = await chrome.storage.local.get([DEVICE_ID_KEY]);
+    deviceId = result[DEVICE_ID_KEY];
+    if (!deviceId) {
+        deviceId = `d${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+        await chrome.storage.local.set({ [DEVICE_ID_KEY]: deviceId });
+    }
+    return deviceId;
+}
+
+/**
+ * Drops the snapshot so the next save rewrites and cleans up every key
+ */
+function invalidateStorageSnapshot() {
+    storageSnapshot = null;
+    overflowSnapshot = null;
+}
+
+/**
+ * Normalizes a stored dataModelVersion to an integer schema version
+ * @param {number|string|undefined} value - Stored value (older versions wrote '1.0' or '2.0')
+ * @param {boolean} hasData - Whether any bookmark data is stored
+ * @returns {number} Schema version (empty storage counts as current)
+ */
+function parseDataModelVersion(value, hasData) {
+    const version = typeof value === 'number' ? value : parseInt(value, 10);
+    if (Number.isInteger(version) && version > 0) {
+        return version;
+    }
+    return hasData ? 1 : DATA_MODEL_VERSION;
+}
+
+/**
+ * Generates array of storage keys for groups (chunked format, schema version 1)
  * @returns {Array<string>} Array of group keys (group00-group31)
  */
 function generateGroupKeys() {
     const keys = [];
-    for (let i = 0; i < 32; i++) {
+    for (let i = 0; i < CHUNKED_GROUP_KEY_LIMIT; i++) {
         keys.push(`group${i.toString().padStart(2, '0')}`);
     }
     return keys;
 }
 
 /**
- * Generates array of storage keys for URLs
+ * Generates array of storage keys for URLs (chunked format, schema version 1)
  * @returns {Array<string>} Array of URL keys (url000-url399)
  */
 function generateURLKeys() {
     const keys = [];
-    for (let i = 0; i < 400; i++) {
+    for (let i = 0; i < CHUNKED_URL_KEY_LIMIT; i++) {
         keys.push(`url${i.toString().padStart(3, '0')}`);
     }
     return keys;
 }
 
+/**
+ * Generates array of storage keys for URL shards (sharded layout, schema version 1)
+ * @returns {Array<string>} Array of URL shard keys (urls0-urls31)
+ */
+function generateShardedURLKeys() {
+    const keys = [];
+    for (let i = 0; i < SHARDED_URL_KEY_LIMIT; i++) {
+        keys.push(`urls${i}`);
+    }
+    return keys;
+}
+
+/**
+ * Gets the storage key of a group pack
+ * @param {number} index - Pack index (0-7)
+ * @returns {string} Storage key (e.g., "groupPack0")
+ */
+function getGroupPackKey(index) {
+    return `groupPack${index}`;
+}
+
+/**
+ * Gets the storage key of a URL pack
+ * @param {number} index - Pack index (0-63)
+ * @returns {string} Storage key (e.g., "urlPack00")
+ */
+function getURLPackKey(index) {
+    return `urlPack${index.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Gets the storage key of a tombstone item
+ * @param {number} index - Item index (0-15)
+ * @returns {string} Storage key ("tombstones", then "tombstones1" to "tombstones15")
+ */
+function getTombstoneKey(index) {
+    return index === 0 ? TOMBSTONES_KEY : `${TOMBSTONES_KEY}${index}`;
+}
+
+/**
+ * Generates array of storage keys for tombstone items
+ * @returns {Array<string>} Array of tombstone keys
+ */
+function generateTombstoneKeys() {
+    const keys = [];
+    for (let i = 0; i < MAX_TOMBSTONE_ITEMS; i++) {
+        keys.push(getTombstoneKey(i));
+    }
+    return keys;
+}
+
+/**
+ * Generates array of storage keys for packs (packed format, schema version 2)
+ * @returns {Array<string>} Array of group and URL pack keys
+ */
+function generatePackKeys() {
+    const keys = [];
+    for (let i = 0; i < MAX_GROUP_PACKS; i++) {
+        keys.push(getGroupPackKey(i));
+    }
+    for (let i = 0; i < MAX_URL_PACKS; i++) {
+        keys.push(getURLPackKey(i));
+    }
+    return keys;
+}
+
 /**
  * Generates all storage keys needed for data loading
  * @returns {Array<string>} Complete array of all storage keys
  */
 function generateAllStorageKeys() {
     return [
-        'groupCount',
-        'urlCount',
+        'groupPackCount',
+        'urlPackCount',
+        'groupCount',  // Chunked format
+        'urlCount',    // Chunked format
         'dataModelVersion',
+        'version',
+        'lastUpdated',
         'startPageEnabled',
         'openInNewTab',
         'colorTheme',  // Color customization
         'fontSettings',  // Font customization
+        ...generateTombstoneKeys(),  // Deleted record ids
         'urls',      // Legacy format
         'groups',    // Legacy format
+        ...generatePackKeys(),
         ...generateGroupKeys(),
-        ...generateURLKeys()
+        ...generateURLKeys(),
+        ...generateShardedURLKeys()  // Sharded format
     ];
 }
 
 /**
- * Loads data from chrome.storage.sync with support for both chunked and legacy formats
- * @returns {Promise<Object>} Object containing groups, urls, and metadata
+ * Measures the UTF-8 size of a string
+ * @param {string} text - Text to measure
+ * @returns {number} Size in bytes
+ */
+function getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Measures how much sync quota a key/value pair uses
+ * @param {string} key - Storage key
+ * @param {*} value - Storage value
+ * @returns {number} Size in bytes
+ */
+function getStorageItemSize(key, value) {
+    return getByteLength(key) + getByteLength(JSON.stringify(value));
+}
+
+/**
+ * Converts an ISO date string to epoch milliseconds for packing
+ * @param {string} isoDate - ISO date string
+ * @returns {number|undefined} Epoch milliseconds, or undefined if not a valid date
+ */
+function packDate(isoDate) {
+    const time = Date.parse(isoDate);
+    return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Converts packed epoch milliseconds back to an ISO date string
+ * @param {number} time - Epoch milliseconds
+ * @returns {string|undefined} ISO date string
+ */
+function unpackDate(time) {
+    return typeof time === 'number' ? new Date(time).toISOString() : undefined;
+}
+
+/**
+ * Packs a URL record with short keys, dropping fields derivable from the URL
+ * (domain and favicon) and empty values
+ * @param {Object} url - Plain URL object
+ * @returns {Object} Packed URL record
+ */
+function packURLRecord(url) {
+    const packed = {
+        i: url.id,
+        u: url.url,
+        t: url.title,
+        g: url.groupId,
+        o: url.order,
+        c: packDate(url.created),
+        m: packDate(url.lastModified)
+    };
+    if (url.timestamp && url.timestamp !== url.created) {
+        packed.s = packDate(url.timestamp);
+    }
+    if (Array.isArray(url.tags) && url.tags.length > 0) {
+        packed.x = url.tags;
+    }
+    if (url.notes) {
+        packed.n = url.notes;
+    }
+    if (url.revision) {
+        packed.r = url.revision;
+    }
+    if (url.modifiedBy) {
+        packed.b = url.modifiedBy;
+    }
+    return packed;
+}
+
+/**
+ * Restores a plain URL object from a packed record
+ * @param {Object} packed - Packed URL record
+ * @returns {Object} Plain URL object (domain and favicon are derived by URLDataModel)
+ */
+function unpackURLRecord(packed) {
+    const created = unpackDate(packed.c);
+    return {
+        id: packed.i,
+        url: packed.u,
+        title: packed.t,
+        groupId: packed.g,
+        order: packed.o,
+        created: created,
+        lastModified: unpackDate(packed.m),
+        timestamp: packed.s !== undefined ? unpackDate(packed.s) : created,
+        tags: packed.x || [],
+        notes: packed.n || '',
+        revision: packed.r || 0,
+        modifiedBy: packed.b || null
+    };
+}
+
+/**
+ * Packs a group record with short keys, dropping the derivable urlCount and empty values
+ * @param {Object} group - Plain group object
+ * @returns {Object} Packed group record
+ */
+function packGroupRecord(group) {
+    const packed = {
+        i: group.id,
+        n: group.name,
+        o: group.order,
+        c: packDate(group.created),
+        m: packDate(group.lastModified)
+    };
+    if (group.color) {
+        packed.l = group.color;
+    }
+    if (group.description) {
+        packed.e = group.description;
+    }
+    if (group.parentId) {
+        packed.a = group.parentId;
+    }
+    if (group.isDefault) {
+        packed.d = 1;
+    }
+    if (group.protected) {
+        packed.p = 1;
+    }
+    if (group.revision) {
+        packed.r = group.revision;
+    }
+    if (group.modifiedBy) {
+        packed.b = group.modifiedBy;
+    }
+    return packed;
+}
+
+/**
+ * Restores a plain group object from a packed record
+ * @param {Object} packed - Packed group record
+ * @returns {Object} Plain group object
+ */
+function unpackGroupRecord(packed) {
+    return {
+        id: packed.i,
+        name: packed.n,
+        order: packed.o,
+        created: unpackDate(packed.c),
+        lastModified: unpackDate(packed.m),
+        color: packed.l,
+        description: packed.e || '',
+        parentId: packed.a || null,
+        isDefault: packed.d === 1,
+        protected: packed.p === 1,
+        revision: packed.r || 0,
+        modifiedBy: packed.b || null
+    };
+}
+
+/**
+ * Gets the content of a record for revision tracking, without the fields that
+ * change along with a new revision
+ * @param {string} type - 'group' or 'url'
+ * @param {Object} record - Plain group or URL object
+ * @returns {string} Serialized content
+ */
+function getRecordContent(type, record) {
+    const { m, r, b, ...content } = type === 'group' ? packGroupRecord(record) : packURLRecord(record);
+    return JSON.stringify(content);
+}
+
+/**
+ * Builds the record snapshot used to assign revisions on save
+ * @param {Array} groups - Plain group objects
+ * @param {Array} urls - Plain URL objects
+ * @returns {Map} Map of 'group:id'/'url:id' -> { content, revision }
+ */
+function buildRecordSnapshot(groups, urls) {
+    const snapshot = new Map();
+    groups.forEach(group => snapshot.set(`group:${group.id}`, {
+        content: getRecordContent('group', group),
+        revision: group.revision || 0
+    }));
+    urls.forEach(url => snapshot.set(`url:${url.id}`, {
+        content: getRecordContent('url', url),
+        revision: url.revision || 0
+    }));
+    return snapshot;
+}
+
+/**
+ * Packs a tombstone with short keys
+ * @param {Object} tombstone - Object with type, id, revision and deletedAt
+ * @returns {Object} Packed tombstone
+ */
+function packTombstone(tombstone) {
+    return {
+        k: tombstone.type === 'group' ? 'g' : 'u',
+        i: tombstone.id,
+        r: tombstone.revision,
+        t: packDate(tombstone.deletedAt)
+    };
+}
+
+/**
+ * Restores a tombstone from its packed form
+ * @param {Object} packed - Packed tombstone
+ * @returns {Object} Object with type, id, revision and deletedAt
+ */
+function unpackTombstone(packed) {
+    return {
+        type: packed.k === 'g' ? 'group' : 'url',
+        id: packed.i,
+        revision: packed.r || 0,
+        deletedAt: unpackDate(packed.t)
+    };
+}
+
+/**
+ * Reads the tombstones of all tombstone items in a storage result
+ * @param {Object} result - Raw chrome.storage.sync values
+ * @returns {Array} Tombstones
+ */
+function readTombstones(result) {
+    return generateTombstoneKeys()
+        .filter(key => Array.isArray(result[key]))
+        .flatMap(key => result[key].map(unpackTombstone));
+}
+
+/**
+ * Splits packed tombstones into items that fit the per-item limit. The first item is
+ * always written (empty if there are no tombstones).
+ * @param {Array} packedTombstones - Packed tombstones, newest first
+ * @returns {Array<Array>} Items in key order; tombstones beyond the last item are left out
+ */
+function splitTombstones(packedTombstones) {
+    const items = [[]];
+    packedTombstones.forEach(packed => {
+        const item = items[items.length - 1];
+        if (item.length > 0 && getStorageItemSize(getTombstoneKey(items.length - 1), [...item, packed]) > PACK_ITEM_BYTE_LIMIT) {
+            items.push([packed]);
+        } else {
+            item.push(packed);
+        }
+    });
+    if (items.length > MAX_TOMBSTONE_ITEMS) {
+        console.warn(`Too many deletions to sync; ${items.slice(MAX_TOMBSTONE_ITEMS).flat().length} oldest tombstones dropped`);
+    }
+    return items.slice(0, MAX_TOMBSTONE_ITEMS);
+}
+
+/**
+ * Gets the time up to which the byte limit may drop tombstones: tombstones deleted later
+ * have not been processed by the reconcile on this device or are within the grace period
+ * @returns {Promise<number>} Time in milliseconds (0 before the first reconcile)
+ */
+async function getTombstonePruneTime() {
+    const result = await chrome.storage.local.get([TOMBSTONES_RECONCILED_KEY]);
+    const reconciledAt = Date.parse(result[TOMBSTONES_RECONCILED_KEY]) || 0;
+    return Math.min(reconciledAt, Date.now() - TOMBSTONE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Records that the reconcile on this device processed the tombstones deleted up to a time
+ * @param {string} time - ISO date at which the reconcile loaded the synced tombstones
+ * @returns {Promise<void>}
+ */
+async function markTombstonesReconciled(time) {
+    await chrome.storage.local.set({ [TOMBSTONES_RECONCILED_KEY]: time });
+}
+
+/**
+ * Drops tombstones past the retention period and, beyond the byte limit, the oldest
+ * ones deleted before the prune time
+ * @param {Array} tombstones - Tombstones
+ * @param {number} pruneTime - Tombstones deleted after this time (ms) are never dropped for size
+ * @returns {Array} Tombstones to keep, newest first
+ */
+function pruneTombstones(tombstones, pruneTime) {
+    const cutoff = Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = tombstones
+        .filter(tombstone => Date.parse(tombstone.deletedAt) >= cutoff)
+        .sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+    while (kept.length > 0 &&
+        Date.parse(kept[kept.length - 1].deletedAt) <= pruneTime &&
+        getStorageItemSize(TOMBSTONES_KEY, kept.map(packTombstone)) > TOMBSTONE_BYTE_LIMIT) {
+        kept.pop();
+    }
+    return kept;
+}
+
+/**
+ * Assigns revisions before a save. A record whose content differs from the last
+ * loaded/saved copy gets the next revision (unless it already carries a newer one,
+ * e.g. when merging another device's copy), records that disappeared get a tombstone,
+ * and records that come back replace their tombstone with a higher revision.
+ * The passed groups and URLs are updated along with their plain copies.
+ * @param {Array} groups - Groups as passed to saveDataToStorage
+ * @param {Array} urls - URLs as passed to saveDataToStorage
+ * @param {Array} groupsJSON - Plain copies of the groups
+ * @param {Array} urlsJSON - Plain copies of the URLs
+ * @param {Array} tombstones - Current tombstones
+ * @returns {Promise<Array>} Tombstones to save
+ */
+async function assignRevisions(groups, urls, groupsJSON, urlsJSON, tombstones) {
+    const device = await getDeviceId();
+    const now = new Date().toISOString();
+    const tombstoneMap = new Map(tombstones.map(t => [`${t.type}:${t.id}`, t]));
+    const seen = new Set();
+
+    const assign = (type, originals, records) => records.forEach((record, index) => {
+        const key = `${type}:${record.id}`;
+        const known = recordSnapshot ? recordSnapshot.get(key) : null;
+        const tombstone = tombstoneMap.get(key);
+        const current = record.revision || 0;
+        let revision = current;
+        let modified = false;
+        seen.add(key);
+
+        if (!known) {
+            revision = Math.max(revision, 1);
+        } else if (getRecordContent(type, record) === known.content) {
+            revision = Math.max(revision, known.revision);
+        } else if (revision <= known.revision) {
+            revision = known.revision + 1;
+            modified = true;
+        }
+        if (tombstone) {
+            revision = Math.max(revision, tombstone.revision + 1);
+            tombstoneMap.delete(key);
+        }
+
+        if (revision !== current || modified) {
+            const changes = { revision };
+            if (modified) {
+                changes.modifiedBy = device;
+                changes.lastModified = now;
+            }
+            Object.assign(record, changes);
+            Object.assign(originals[index], changes);
+        }
+    });
+    assign('group', groups, groupsJSON);
+    assign('url', urls, urlsJSON);
+
+    if (recordSnapshot) {
+        for (const [key, known] of recordSnapshot) {
+            if (!seen.has(key) && !tombstoneMap.has(key)) {
+                const [type, ...idParts] = key.split(':');
+                tombstoneMap.set(key, { type, id: idParts.join(':'), revision: known.revision + 1, deletedAt: now });
+            }
+        }
+    }
+
+    return pruneTombstones(Array.from(tombstoneMap.values()), await getTombstonePruneTime());
+}
+
+/**
+ * Checks whether deflate compression is available in this context
+ * @returns {boolean} True if CompressionStream and DecompressionStream exist
+ */
+function isCompressionSupported() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Compresses text with deflate (LZ77 + Huffman) and encodes it as base64
+ * @param {string} text - Text to compress
+ * @returns {Promise<string>} Base64 encoded compressed data
+ */
+async function compressToBase64(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 and decompresses deflate data produced by compressToBase64
+ * @param {string} base64 - Base64 encoded compressed data
+ * @returns {Promise<string>} Decompressed text
+ */
+async function decompressFromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * Encodes packed records as a pack value, compressing when it makes the pack smaller
+ * @param {Array} records - Packed records
+ * @returns {Promise<Object>} Pack value { z: 0|1, d: records|base64 }
+ */
+async function encodePack(records) {
+    const pack = { z: 0, d: records };
+    if (!isCompressionSupported()) {
+        return pack;
+    }
+    const json = JSON.stringify(records);
+    const compressed = await compressToBase64(json);
+    return compressed.length < json.length ? { z: 1, d: compressed } : pack;
+}
+
+/**
+ * Decodes a pack value written by encodePack
+ * @param {Object} pack - Pack value
+ * @returns {Promise<Array>} Packed records
+ */
+async function decodePack(pack) {
+    if (!pack) {
+        return [];
+    }
+    if (pack.z === 1) {
+        if (!isCompressionSupported()) {
+            throw new Error('Compressed bookmark data cannot be read in this browser');
+        }
+        return JSON.parse(await decompressFromBase64(pack.d));
+    }
+    return Array.isArray(pack.d) ? pack.d : [];
+}
+
+/**
+ * Packs records into as few pack values as fit the per-item limit and the byte budget.
+ * Records that do not fit are left for the device-local tier.
+ * @param {Array} records - Packed records in priority order
+ * @param {Function} getKey - Maps a pack index to its storage key
+ * @param {number} maxPacks - Maximum number of packs
+ * @param {number} byteBudget - Sync bytes available for these packs
+ * @returns {Promise<Object>} { packs, packedCount, bytesUsed }
+ */
+async function packRecords(records, getKey, maxPacks, byteBudget) {
+    const packs = [];
+    let packedCount = 0;
+    let bytesUsed = 0;
+    // Compression usually shrinks packs several times, so start from larger raw slices
+    const rawSliceLimit = isCompressionSupported() ? PACK_ITEM_BYTE_LIMIT * 4 : PACK_ITEM_BYTE_LIMIT;
+
+    while (packedCount < records.length && packs.length < maxPacks) {
+        const key = getKey(packs.length);
+        const limit = Math.min(PACK_ITEM_BYTE_LIMIT, byteBudget - bytesUsed);
+
+        // Take as many records as fit the raw slice limit
+        let take = 0;
+        let rawSize = 2;
+        while (packedCount + take < records.length) {
+            const recordSize = getByteLength(JSON.stringify(records[packedCount + take])) + 1;
+            if (take > 0 && rawSize + recordSize > rawSliceLimit) {
+                break;
+            }
+            rawSize += recordSize;
+            take++;
+        }
+
+        // Shrink the slice until its encoded pack fits
+        let pack = null;
+        while (take > 0) {
+            const candidate = await encodePack(records.slice(packedCount, packedCount + take));
+            const size = getStorageItemSize(key, candidate);
+            if (size <= limit) {
+                pack = candidate;
+                bytesUsed += size;
+                break;
+            }
+            take = Math.min(take - 1, Math.floor(take * limit / size));
+        }
+
+        if (!pack) {
+            break;
+        }
+        packs.push(pack);
+        packedCount += take;
+    }
+
+    return { packs, packedCount, bytesUsed };
+}
+
+/**
+ * Splits groups and URLs into the synced hot set, packed within the sync byte budget,
+ * and the device-local overflow tier. Ungrouped and groups earlier in the list are
+ * synced first; URLs belonging to a device-local group stay with their group, the
+ * rest fill the remaining sync space in list order.
+ * @param {Array} groups - Array of plain group objects, Ungrouped first
+ * @param {Array} urls - Array of plain URL objects
+ * @param {number} byteBudget - Sync bytes available for packs
+ * @returns {Promise<Object>} { groupPacks, urlPacks, sync: {groups, urls}, local: {groups, urls} }
+ */
+async function packForSync(groups, urls, byteBudget) {
+    const groupResult = await packRecords(groups.map(packGroupRecord), getGroupPackKey, MAX_GROUP_PACKS, byteBudget);
+    const syncGroups = groups.slice(0, groupResult.packedCount);
+    const localGroups = groups.slice(groupResult.packedCount);
+    const localGroupIds = new Set(localGroups.map(g => g.id));
+
+    const candidateUrls = urls.filter(url => !localGroupIds.has(url.groupId));
+    const urlResult = await packRecords(candidateUrls.map(packURLRecord), getURLPackKey, MAX_URL_PACKS, byteBudget - groupResult.bytesUsed);
+    const syncUrls = candidateUrls.slice(0, urlResult.packedCount);
+    const syncUrlIds = new Set(syncUrls.map(u => u.id));
+
+    return {
+        groupPacks: groupResult.packs,
+        urlPacks: urlResult.packs,
+        sync: { groups: syncGroups, urls: syncUrls },
+        local: { groups: localGroups, urls: urls.filter(url => !syncUrlIds.has(url.id)) }
+    };
+}
+
+/**
+ * Orders groups for packing: Ungrouped first so it always stays synced, and parents
+ * before their sub-groups, so a sub-group is only synced when its parent is
+ * @param {Array} groups - Array of plain group objects
+ * @returns {Array} Reordered copy
+ */
+function orderGroupsForSync(groups) {
+    const ids = new Set(groups.map(g => g.id));
+    const children = new Map();
+    groups.forEach(group => {
+        const parentId = group.parentId && ids.has(group.parentId) ? group.parentId : null;
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(group);
+    });
+
+    const ordered = [];
+    const added = new Set();
+    const add = group => {
+        if (added.has(group.id)) return;
+        added.add(group.id);
+        ordered.push(group);
+        (children.get(group.id) || []).forEach(add);
+    };
+    groups.filter(g => g.id === 'ungrouped').forEach(add);
+    (children.get(null) || []).forEach(add);
+    // Groups in a parent cycle keep their place at the end
+    groups.forEach(add);
+    return ordered;
+}
+
+/**
+ * Gets the sync bytes available for packs
+ * @param {Array<Array>} tombstoneItems - Tombstone items saved alongside the packs
+ * @returns {number} Byte budget
+ */
+function getSyncByteBudget(tombstoneItems) {
+    return (chrome.storage.sync.QUOTA_BYTES || 102400) - SYNC_SETTINGS_BYTE_RESERVE -
+        tombstoneItems.reduce((sum, item, i) => sum + getStorageItemSize(getTombstoneKey(i), item), 0);
+}
+
+/**
+ * Works out which groups and URLs a save would keep in the device-local tier, without
+ * saving. Used to preview imports; records are packed without the revisions a save
+ * assigns, so the result is an estimate for records near the sync capacity.
+ * @param {Array} groups - Array of group objects (plain objects or GroupDataModel instances)
+ * @param {Array} urls - Array of URL objects (plain objects or URLDataModel instances)
+ * @returns {Promise<Object>} Object with localGroupIds and localUrlIds (Sets)
+ */
+async function planStorageTiers(groups, urls) {
+    const groupsJSON = groups.map(g => stripStorageTier(g.toJSON ? g.toJSON() : g));
+    const urlsJSON = urls.map(u => stripStorageTier(u.toJSON ? u.toJSON() : u));
+    const tombstoneItems = splitTombstones((tombstoneSnapshot || []).map(packTombstone));
+
+    const tiers = await packForSync(orderGroupsForSync(groupsJSON), urlsJSON, getSyncByteBudget(tombstoneItems));
+    return {
+        localGroupIds: new Set(tiers.local.groups.map(g => g.id)),
+        localUrlIds: new Set(tiers.local.urls.map(u => u.id))
+    };
+}
+
+/**
+ * Reads every historical (pre-packed) layout present in a storage result.
+ * Several layouts can coexist after an interrupted migration, so all of them are
+ * read and records are de-duplicated by id (chunked wins over legacy over sharded).
+ * @param {Object} result - Raw chrome.storage.sync values
+ * @returns {Object} Object with groups, urls and the detected layouts
+ */
+function readHistoricalLayouts(result) {
+    const groups = new Map();
+    const urls = new Map();
+    const layouts = [];
+
+    const addRecords = (map, records) => {
+        records.filter(record => record && record.id && !map.has(record.id))
+            .forEach(record => map.set(record.id, record));
+    };
+
+    // Chunked format (group00-group31, url000-url399)
+    if (result.groupCount || result.group00 || result.urlCount || result.url000) {
+        layouts.push('chunked');
+        const groupCount = result.groupCount || 1; // At least 1 for ungrouped
+        const urlCount = result.urlCount || 0;
+        addRecords(groups, generateGroupKeys().slice(0, groupCount).map(key => result[key]));
+        addRecords(urls, generateURLKeys().slice(0, urlCount).map(key => result[key]));
+    }
+
+    // Legacy single-key format (groups and urls arrays)
+    if (Array.isArray(result.groups) || Array.isArray(result.urls)) {
+        layouts.push('legacy');
+        addRecords(groups, Array.isArray(result.groups) ? result.groups : []);
+        addRecords(urls, Array.isArray(result.urls) ? result.urls : []);
+    }
+
+    // Sharded format (urls0-urls31, groups live in the legacy groups array)
+    const shardKeys = generateShardedURLKeys().filter(key => Array.isArray(result[key]));
+    if (shardKeys.length > 0) {
+        layouts.push('sharded');
+        shardKeys.forEach(key => addRecords(urls, result[key]));
+    }
+
+    return {
+        groups: Array.from(groups.values()),
+        urls: Array.from(urls.values()),
+        layouts
+    };
+}
+
+/**
+ * Loads the device-local overflow tier from chrome.storage.local
+ * @returns {Promise<Object>} Object containing overflow groups and urls
+ */
+async function loadOverflowFromStorage() {
+    const result = await chrome.storage.local.get([OVERFLOW_GROUPS_KEY, OVERFLOW_URLS_KEY]);
+    const overflow = {
+        groups: Array.isArray(result[OVERFLOW_GROUPS_KEY]) ? result[OVERFLOW_GROUPS_KEY] : [],
+        urls: Array.isArray(result[OVERFLOW_URLS_KEY]) ? result[OVERFLOW_URLS_KEY] : []
+    };
+    overflowSnapshot = JSON.stringify(overflow);
+    return overflow;
+}
+
+/**
+ * Loads data from chrome.storage.sync with support for the packed, chunked, legacy and
+ * sharded formats, merged with the device-local overflow tier. Each loaded item gets a
+ * runtime-only storageTier property ('sync' or 'local').
+ * Historical formats are only read here; MigrationManager rewrites them in the packed format.
+ * @returns {Promise<Object>} Object containing groups, urls, tombstones and metadata
  */
 async function loadDataFromStorage() {
     try {
         const keys = generateAllStorageKeys();
         const result = await chrome.storage.sync.get(keys);
 
+        // Remember what is stored so saves only write keys that changed
+        updateStorageSnapshot(result, true);
+
         const data = {
             groups: [],
             urls: [],
+            tombstones: readTombstones(result),
             metadata: {
-                groupCount: result.groupCount || 0,
-                urlCount: result.urlCount || 0,
-                dataModelVersion: result.dataModelVersion,
+                groupCount: 0,
+                urlCount: 0,
+                storageFormat: 'empty',
+                historicalLayouts: [],
                 startPageEnabled: result.startPageEnabled !== undefined ? result.startPageEnabled : true,
                 openInNewTab: result.openInNewTab !== undefined ? result.openInNewTab : true,
                 colorTheme: result.colorTheme || getDefaultColorTheme(),
@@ -70,40 +908,57 @@ async function loadDataFromStorage() {
             }
         };
 
-        // Load groups from chunked storage or legacy format
-        if (result.groupCount || result.group00) {
-            // New chunked format
-            const groupCount = result.groupCount || 1; // At least 1 for ungrouped
-            for (let i = 0; i < groupCount && i < 32; i++) {
-                const key = `group${i.toString().padStart(2, '0')}`;
-                if (result[key]) {
-                    data.groups.push(result[key]);
-                }
+        if (result.groupPackCount !== undefined || result.urlPackCount !== undefined) {
+            // Packed format
+            data.metadata.storageFormat = 'packed';
+            for (let i = 0; i < (result.groupPackCount || 0) && i < MAX_GROUP_PACKS; i++) {
+                const records = await decodePack(result[getGroupPackKey(i)]);
+                data.groups.push(...records.map(unpackGroupRecord));
+            }
+            for (let i = 0; i < (result.urlPackCount || 0) && i < MAX_URL_PACKS; i++) {
+                const records = await decodePack(result[getURLPackKey(i)]);
+                data.urls.push(...records.map(unpackURLRecord));
+            }
+            console.log(`Loaded ${data.groups.length} groups and ${data.urls.length} URLs from packed storage`);
+        } else {
+            const historical = readHistoricalLayouts(result);
+            data.groups = historical.groups;
+            data.urls = historical.urls;
+            data.metadata.historicalLayouts = historical.layouts;
+            if (historical.layouts.length > 0) {
+                data.metadata.storageFormat = historical.layouts[0];
+                console.log(`Loaded ${data.groups.length} groups and ${data.urls.length} URLs from ${historical.layouts.join(', ')} storage`);
             }
-            console.log(`Loaded ${data.groups.length} groups from chunked storage`);
-        } else if (result.groups && Array.isArray(result.groups)) {
-            // Legacy format
-            data.groups = result.groups;
-            console.log(`Loaded ${data.groups.length} groups from legacy storage`);
         }
 
-        // Load URLs from chunked storage or legacy format
-        if (result.urlCount || result.url000) {
-            // New chunked format
-            const urlCount = result.urlCount || 0;
-            for (let i = 0; i < urlCount && i < 400; i++) {
-                const key = `url${i.toString().padStart(3, '0')}`;
-                if (result[key]) {
-                    data.urls.push(result[key]);
-                }
-            }
-            console.log(`Loaded ${data.urls.length} URLs from chunked storage`);
-        } else if (result.urls && Array.isArray(result.urls)) {
-            // Legacy format
-            data.urls = result.urls;
-            console.log(`Loaded ${data.urls.length} URLs from legacy storage`);
+        // Merge the device-local overflow tier (synced copies win over local duplicates)
+        data.groups.forEach(group => { group.storageTier = STORAGE_TIER_SYNC; });
+        data.urls.forEach(url => { url.storageTier = STORAGE_TIER_SYNC; });
+
+        const overflow = await loadOverflowFromStorage();
+        const syncGroupIds = new Set(data.groups.map(g => g.id));
+        const syncUrlIds = new Set(data.urls.map(u => u.id));
+        overflow.groups.filter(g => !syncGroupIds.has(g.id)).forEach(group => {
+            data.groups.push({ ...group, storageTier: STORAGE_TIER_LOCAL });
+        });
+        overflow.urls.filter(u => !syncUrlIds.has(u.id)).forEach(url => {
+            data.urls.push({ ...url, storageTier: STORAGE_TIER_LOCAL });
+        });
+
+        if (overflow.groups.length > 0 || overflow.urls.length > 0) {
+            console.log(`Loaded ${overflow.groups.length} groups and ${overflow.urls.length} URLs from device-local storage`);
         }
 
+        recordSnapshot = buildRecordSnapshot(data.groups, data.urls);
+        tombstoneSnapshot = data.tombstones;
+
+        data.metadata.groupCount = data.groups.length;
+        data.metadata.urlCount = data.urls.length;
+        data.metadata.dataModelVersion = parseDataModelVersion(
+            result.dataModelVersion,
+            data.groups.length > 0 || data.urls.length > 0
+        );
+
         return data;
     } catch (error) {
         console.error('Error loading data from storage:', error);
@@ -112,76 +967,151 @@ async function loadDataFromStorage() {
 }
 
 /**
- * Saves data to chrome.storage.sync using chunked format
+ * Saves data to chrome.storage.sync using the packed format, with anything beyond the
+ * sync capacity written to the device-local overflow tier in chrome.storage.local.
+ * Only keys whose value differs from the last loaded/saved snapshot are written,
+ * and only keys of older formats or unused packs that are known to exist are removed.
+ * The storageTier, revision and modifiedBy properties of the passed groups and URLs are
+ * updated to match (see assignRevisions).
  * @param {Array} groups - Array of group objects (can be plain objects or GroupDataModel instances)
  * @param {Array} urls - Array of URL objects (can be plain objects or URLDataModel instances)
- * @param {Object} metadata - Additional metadata to save
- * @returns {Promise<void>}
+ * @param {Object} metadata - Additional metadata to save; metadata.tombstones replaces the
+ *   tombstones last loaded by this context (used when merging another device's changes)
+ * @returns {Promise<Object>} Save result with writeOperations, changedKeys, removedKeys,
+ *   localGroupCount, localUrlCount and the saved tombstones
  */
 async function saveDataToStorage(groups, urls, metadata = {}) {
     try {
         // Prepare storage data object with metadata
         const storageData = {
-            lastUpdated: new Date().toISOString(),
             version: metadata.version || '1.0',
-            dataModelVersion: metadata.dataModelVersion || '1.0',
+            dataModelVersion: Number.isInteger(metadata.dataModelVersion) ? metadata.dataModelVersion : DATA_MODEL_VERSION,
             startPageEnabled: metadata.startPageEnabled !== undefined ? metadata.startPageEnabled : true,
             openInNewTab: metadata.openInNewTab !== undefined ? metadata.openInNewTab : true,
             colorTheme: metadata.colorTheme || getDefaultColorTheme(),
             fontSettings: metadata.fontSettings || getDefaultFontSettings()
         };
 
-        // Convert data models to JSON if needed
-        const groupsJSON = groups.map(g => g.toJSON ? g.toJSON() : g);
-        const urlsJSON = urls.map(u => u.toJSON ? u.toJSON() : u);
-
-        // Ensure Ungrouped group is first in the list
-        const ungroupedGroup = groupsJSON.find(g => g.id === 'ungrouped');
-        const otherGroups = groupsJSON.filter(g => g.id !== 'ungrouped');
+        // Convert data models to JSON if needed (storageTier is runtime only)
+        const groupsJSON = groups.map(g => stripStorageTier(g.toJSON ? g.toJSON() : g));
+        const urlsJSON = urls.map(u => stripStorageTier(u.toJSON ? u.toJSON() : u));
 
-        // Save groups in chunked format (group00-group31)
-        if (ungroupedGroup) {
-            storageData['group00'] = ungroupedGroup;
+        // Without a load in this context, keep the tombstones already in storage
+        let currentTombstones = Array.isArray(metadata.tombstones) ? metadata.tombstones : tombstoneSnapshot;
+        if (!currentTombstones) {
+            currentTombstones = readTombstones(await chrome.storage.sync.get(generateTombstoneKeys()));
         }
+        let tombstones = await assignRevisions(groups, urls, groupsJSON, urlsJSON, currentTombstones);
+        const tombstoneItems = splitTombstones(tombstones.map(packTombstone));
+        tombstoneItems.forEach((item, i) => {
+            storageData[getTombstoneKey(i)] = item;
+        });
+        tombstones = tombstones.slice(0, tombstoneItems.reduce((count, item) => count + item.length, 0));
 
-        // Save other groups (maximum 31 additional groups)
-        for (let i = 0; i < otherGroups.length && i < 31; i++) {
-            storageData[`group${(i + 1).toString().padStart(2, '0')}`] = otherGroups[i];
+        // Pack the synced hot set; the rest goes to the device-local overflow
+        const tiers = await packForSync(orderGroupsForSync(groupsJSON), urlsJSON, getSyncByteBudget(tombstoneItems));
+
+        tiers.groupPacks.forEach((pack, i) => {
+            storageData[getGroupPackKey(i)] = pack;
+        });
+        storageData.groupPackCount = tiers.groupPacks.length;
+
+        tiers.urlPacks.forEach((pack, i) => {
+            storageData[getURLPackKey(i)] = pack;
+        });
+        storageData.urlPackCount = tiers.urlPacks.length;
+
+        // Older format keys and packs beyond the current counts are no longer used
+        const unusedKeys = [
+            'urls', 'groups', 'groupCount', 'urlCount',
+            ...generateGroupKeys(), ...generateURLKeys(), ...generateShardedURLKeys()
+        ];
+        for (let i = storageData.groupPackCount; i < MAX_GROUP_PACKS; i++) {
+            unusedKeys.push(getGroupPackKey(i));
+        }
+        for (let i = storageData.urlPackCount; i < MAX_URL_PACKS; i++) {
+            unusedKeys.push(getURLPackKey(i));
+        }
+        for (let i = tombstoneItems.length; i < MAX_TOMBSTONE_ITEMS; i++) {
+            unusedKeys.push(getTombstoneKey(i));
         }
-        storageData.groupCount = Math.min(groupsJSON.length, 32);
 
-        // Save URLs in chunked format (url000-url399)
-        for (let i = 0; i < urlsJSON.length && i < 400; i++) {
-            storageData[`url${i.toString().padStart(3, '0')}`] = urlsJSON[i];
+        // Diff against the snapshot; without one, fall back to a full write
+        const changedData = {};
+        for (const [key, value] of Object.entries(storageData)) {
+            if (!storageSnapshot || storageSnapshot[key] !== JSON.stringify(value)) {
+                changedData[key] = value;
+            }
         }
-        storageData.urlCount = Math.min(urlsJSON.length, 400);
+        const keysToRemove = storageSnapshot
+            ? unusedKeys.filter(key => key in storageSnapshot)
+            : unusedKeys;
 
-        // Clean up old format data if it exists
-        const keysToRemove = ['urls', 'groups'];
-        await chrome.storage.sync.remove(keysToRemove);
+        const changedKeys = Object.keys(changedData);
+        let writeOperations = 0;
 
-        // Clean up unused chunk keys
-        const currentGroupCount = storageData.groupCount || 0;
-        const currentUrlCount = storageData.urlCount || 0;
+        const localCounts = {
+            localGroupCount: tiers.local.groups.length,
+            localUrlCount: tiers.local.urls.length
+        };
 
-        const cleanupKeys = [];
-        for (let i = currentGroupCount; i < 32; i++) {
-            cleanupKeys.push(`group${i.toString().padStart(2, '0')}`);
-        }
-        for (let i = currentUrlCount; i < 400; i++) {
-            cleanupKeys.push(`url${i.toString().padStart(3, '0')}`);
+        // This device's own changes (deletions included) are part of its reconciled state,
+        // so the next reconcile does not take them for records clobbered by another device.
+        // The base is written first, as the reconcile may run as soon as sync storage changes.
+        // Synced records are stored as a load would return them, so they compare equal.
+        const localGroupIds = new Set(tiers.local.groups.map(g => g.id));
+        const localUrlIds = new Set(tiers.local.urls.map(u => u.id));
+        await saveSyncBase(
+            groupsJSON.map(g => localGroupIds.has(g.id) ? g : unpackGroupRecord(packGroupRecord(g))),
+            urlsJSON.map(u => localUrlIds.has(u.id) ? u : unpackURLRecord(packURLRecord(u))),
+            tombstones
+        );
+
+        if (changedKeys.length === 0 && keysToRemove.length === 0) {
+            await saveOverflowToStorage(tiers.local);
+            applyStorageTiers(groups, urls, tiers.local);
+            recordSnapshot = buildRecordSnapshot(groupsJSON, urlsJSON);
+            tombstoneSnapshot = tombstones;
+            console.log('No sync storage changes detected, skipping sync write');
+            return { writeOperations, changedKeys, removedKeys: [], ...localCounts, tombstones };
         }
 
-        if (cleanupKeys.length > 0) {
-            await chrome.storage.sync.remove(cleanupKeys);
+        // Each remove/set call counts as one write against the sync quotas
+        try {
+            if (keysToRemove.length > 0) {
+                await chrome.storage.sync.remove(keysToRemove);
+                writeOperations++;
+            }
+
+            changedData.lastUpdated = new Date().toISOString();
+            await chrome.storage.sync.set(changedData);
+            writeOperations++;
+        } catch (error) {
+            // The base is ahead of storage; the next reconcile starts over from what is stored
+            await chrome.storage.local.remove([SYNC_BASE_KEY]);
+            throw error;
         }
 
-        // Save data to storage
-        await chrome.storage.sync.set(storageData);
+        updateStorageSnapshot(changedData);
+        updateStorageSnapshot(Object.fromEntries(keysToRemove.map(key => [key, undefined])));
+
+        // Overflow is written once sync succeeded, so items moving between tiers
+        // are never missing from both (sync copies win over local duplicates on load)
+        await saveOverflowToStorage(tiers.local);
+        applyStorageTiers(groups, urls, tiers.local);
+        recordSnapshot = buildRecordSnapshot(groupsJSON, urlsJSON);
+        tombstoneSnapshot = tombstones;
 
-        console.log('Data saved successfully to chrome.storage.sync using chunked format');
-        console.log(`Saved ${storageData.groupCount} groups and ${storageData.urlCount} URLs`);
+        console.log('Data saved successfully to chrome.storage.sync using packed format');
+        console.log(`Saved ${tiers.sync.groups.length} groups and ${tiers.sync.urls.length} URLs in ${storageData.groupPackCount + storageData.urlPackCount} packs (${changedKeys.length} keys changed, ${keysToRemove.length} removed, ${writeOperations} write operations)`);
+        if (localCounts.localGroupCount > 0 || localCounts.localUrlCount > 0) {
+            console.log(`Kept ${localCounts.localGroupCount} groups and ${localCounts.localUrlCount} URLs in device-local storage`);
+        }
+
+        return { writeOperations, changedKeys, removedKeys: keysToRemove, ...localCounts, tombstones };
     } catch (error) {
+        // Storage may be partially written, so the snapshot can no longer be trusted
+        invalidateStorageSnapshot();
         console.error('Error saving data to storage:', error);
         if (error.message && error.message.includes('quota')) {
             throw new Error('Storage limit reached. Consider deleting old bookmarks.');
@@ -190,6 +1120,89 @@ async function saveDataToStorage(groups, urls, metadata = {}) {
     }
 }
 
+/**
+ * Loads this device's last reconciled state
+ * @returns {Promise<Object|null>} Sync base ({ groups, urls, tombstones, updated }) or null
+ *   before the first reconcile
+ */
+async function loadSyncBase() {
+    const result = await chrome.storage.local.get([SYNC_BASE_KEY]);
+    return result[SYNC_BASE_KEY] || null;
+}
+
+/**
+ * Stores this device's reconciled state: after a reconcile, and whenever this device
+ * saves (see ConflictManager)
+ * @param {Array} groups - Groups (plain objects or data models)
+ * @param {Array} urls - URLs (plain objects or data models)
+ * @param {Array} tombstones - Tombstones
+ * @returns {Promise<void>}
+ */
+async function saveSyncBase(groups, urls, tombstones) {
+    const toPlain = item => stripStorageTier(item.toJSON ? item.toJSON() : { ...item });
+    await chrome.storage.local.set({
+        [SYNC_BASE_KEY]: {
+            groups: groups.map(toPlain),
+            urls: urls.map(toPlain),
+            tombstones,
+            updated: new Date().toISOString()
+        }
+    });
+}
+
+/**
+ * Writes the device-local overflow tier to chrome.storage.local if it changed
+ * @param {Object} overflow - Object containing overflow groups and urls
+ * @returns {Promise<boolean>} True if the overflow tier was written
+ */
+async function saveOverflowToStorage(overflow) {
+    const serialized = JSON.stringify({ groups: overflow.groups, urls: overflow.urls });
+    if (serialized === overflowSnapshot) {
+        return false;
+    }
+
+    if (overflow.groups.length === 0 && overflow.urls.length === 0) {
+        await chrome.storage.local.remove([OVERFLOW_GROUPS_KEY, OVERFLOW_URLS_KEY]);
+    } else {
+        await chrome.storage.local.set({
+            [OVERFLOW_GROUPS_KEY]: overflow.groups,
+            [OVERFLOW_URLS_KEY]: overflow.urls
+        });
+    }
+    overflowSnapshot = serialized;
+    return true;
+}
+
+/**
+ * Marks groups and URLs with the tier they were saved to
+ * @param {Array} groups - Array of group objects
+ * @param {Array} urls - Array of URL objects
+ * @param {Object} localTier - Overflow groups and urls as returned by packForSync
+ */
+function applyStorageTiers(groups, urls, localTier) {
+    const localGroupIds = new Set(localTier.groups.map(g => g.id));
+    const localUrlIds = new Set(localTier.urls.map(u => u.id));
+    groups.forEach(group => {
+        group.storageTier = localGroupIds.has(group.id) ? STORAGE_TIER_LOCAL : STORAGE_TIER_SYNC;
+    });
+    urls.forEach(url => {
+        url.storageTier = localUrlIds.has(url.id) ? STORAGE_TIER_LOCAL : STORAGE_TIER_SYNC;
+    });
+}
+
+/**
+ * Returns a copy of a plain item without the runtime-only storageTier property
+ * @param {Object} item - Plain group or URL object
+ * @returns {Object} Item without storageTier
+ */
+function stripStorageTier(item) {
+    if (!item || !('storageTier' in item)) {
+        return item;
+    }
+    const { storageTier, ...rest } = item;
+    return rest;
+}
+
 /**
  * Gets storage usage information
  * @returns {Promise<Object>} Storage usage stats
@@ -226,6 +1239,11 @@ async function getStorageUsage() {
 async function clearAllStorage() {
     try {
         await chrome.storage.sync.clear();
+        await chrome.storage.local.remove([OVERFLOW_GROUPS_KEY, OVERFLOW_URLS_KEY]);
+        updateStorageSnapshot({}, true);
+        overflowSnapshot = JSON.stringify({ groups: [], urls: [] });
+        recordSnapshot = new Map();
+        tombstoneSnapshot = [];
         console.log('All storage data cleared');
     } catch (error) {
         console.error('Error clearing storage:', error);
@@ -387,6 +1405,25 @@ async function resetFontSettings() {
     }
 }
 
+// Keep the snapshot current when other pages or devices write to sync storage
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && (changes[OVERFLOW_GROUPS_KEY] || changes[OVERFLOW_URLS_KEY])) {
+            // Another page rewrote the overflow tier; force the next save to write it
+            overflowSnapshot = null;
+            return;
+        }
+        if (areaName !== 'sync' || !storageSnapshot) {
+            return;
+        }
+        const values = {};
+        for (const [key, change] of Object.entries(changes)) {
+            values[key] = change.newValue;
+        }
+        updateStorageSnapshot(values);
+    });
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment
@@ -394,8 +1431,18 @@ if (typeof module !== 'undefined' && module.exports) {
         generateGroupKeys,
         generateURLKeys,
         generateAllStorageKeys,
+        generatePackKeys,
+        generateShardedURLKeys,
         loadDataFromStorage,
         saveDataToStorage,
+        planStorageTiers,
+        loadSyncBase,
+        saveSyncBase,
+        markTombstonesReconciled,
+        parseDataModelVersion,
+        invalidateStorageSnapshot,
+        getDeviceId,
+        stripStorageTier,
         getStorageUsage,
         clearAllStorage,
         removeStorageKeys,
@@ -406,7 +1453,10 @@ if (typeof module !== 'undefined' && module.exports) {
         getDefaultFontSettings,
         loadFontSettings,
         saveFontSettings,
-        resetFontSettings
+        resetFontSettings,
+        DATA_MODEL_VERSION,
+        STORAGE_TIER_SYNC,
+        STORAGE_TIER_LOCAL
     };
 } else if (typeof self !== 'undefined') {
     // Service Worker or Web Worker environment - attach to self (global scope)
@@ -414,8 +1464,18 @@ if (typeof module !== 'undefined' && module.exports) {
         generateGroupKeys,
         generateURLKeys,
         generateAllStorageKeys,
+        generatePackKeys,
+        generateShardedURLKeys,
         loadDataFromStorage,
         saveDataToStorage,
+        planStorageTiers,
+        loadSyncBase,
+        saveSyncBase,
+        markTombstonesReconciled,
+        parseDataModelVersion,
+        invalidateStorageSnapshot,
+        getDeviceId,
+        stripStorageTier,
         getStorageUsage,
         clearAllStorage,
         removeStorageKeys,
@@ -426,7 +1486,10 @@ if (typeof module !== 'undefined' && module.exports) {
         getDefaultFontSettings,
         loadFontSettings,
         saveFontSettings,
-        resetFontSettings
+        resetFontSettings,
+        DATA_MODEL_VERSION,
+        STORAGE_TIER_SYNC,
+        STORAGE_TIER_LOCAL
     };
 } else if (typeof window !== 'undefined') {
     // Browser environment - attach to window
@@ -434,8 +1497,18 @@ if (typeof module !== 'undefined' && module.exports) {
         generateGroupKeys,
         generateURLKeys,
         generateAllStorageKeys,
+        generatePackKeys,
+        generateShardedURLKeys,
         loadDataFromStorage,
         saveDataToStorage,
+        planStorageTiers,
+        loadSyncBase,
+        saveSyncBase,
+        markTombstonesReconciled,
+        parseDataModelVersion,
+        invalidateStorageSnapshot,
+        getDeviceId,
+        stripStorageTier,
         getStorageUsage,
         clearAllStorage,
         removeStorageKeys,
@@ -446,6 +1519,9 @@ if (typeof module !== 'undefined' && module.exports) {
         getDefaultFontSettings,
         loadFontSettings,
         saveFontSettings,
-        resetFontSettings
+        resetFontSettings,
+        DATA_MODEL_VERSION,
+        STORAGE_TIER_SYNC,
+        STORAGE_TIER_LOCAL
     };
 }
\ No newline at end of file
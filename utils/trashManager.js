@@ -0,0 +1,253 @@
+// Trash Manager - Deleted bookmarks and groups for FavURL Chrome Extension
+// Deleted items are kept in chrome.storage.local (device-local, not synced) together
+// with their original group and order, and purged after the retention period.
+
+const TRASH_KEY = 'trash';
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// Background alarm that purges expired items
+const TRASH_PURGE_ALARM = 'trashAutoPurge';
+const TRASH_PURGE_INTERVAL_MINUTES = 60;
+
+/**
+ * Strips runtime-only properties and converts data models to plain objects
+ * @param {Object} item - Group or URL (plain object or data model instance)
+ * @returns {Object} Plain copy of the item
+ */
+function toTrashRecord(item) {
+    const plain = item.toJSON ? item.toJSON() : { ...item };
+    delete plain.storageTier;
+    return plain;
+}
+
+/**
+ * Creates a trash entry for a deleted URL
+ * @param {Object} url - Deleted URL
+ * @param {Object} [group] - Group the URL belonged to
+ * @returns {Object} Trash entry
+ */
+function createURLEntry(url, group) {
+    return {
+        id: `trash_${url.id}_${Date.now().toString(36)}`,
+        type: 'url',
+        deletedAt: new Date().toISOString(),
+        originalGroupId: url.groupId,
+        originalGroupName: group ? group.name : null,
+        originalOrder: url.order,
+        item: toTrashRecord(url),
+        urls: []
+    };
+}
+
+/**
+ * Creates a trash entry for a deleted group and the URLs deleted with it
+ * @param {Object} group - Deleted group
+ * @param {Array} urls - URLs that belonged to the group
+ * @param {Array<Object>} [subgroups] - Sub-groups deleted with it ({ group, urls }, parents first)
+ * @returns {Object} Trash entry
+ */
+function createGroupEntry(group, urls, subgroups = []) {
+    return {
+        id: `trash_${group.id}_${Date.now().toString(36)}`,
+        type: 'group',
+        deletedAt: new Date().toISOString(),
+        originalGroupId: group.id,
+        originalGroupName: group.name,
+        originalOrder: group.order,
+        item: toTrashRecord(group),
+        urls: urls.map(toTrashRecord),
+        subgroups: subgroups.map(subgroup => ({
+            item: toTrashRecord(subgroup.group),
+            urls: subgroup.urls.map(toTrashRecord)
+        }))
+    };
+}
+
+/**
+ * Loads all trash entries, newest first
+ * @returns {Promise<Array<Object>>} Trash entries
+ */
+async function loadTrash() {
+    const result = await chrome.storage.local.get([TRASH_KEY]);
+    const entries = Array.isArray(result[TRASH_KEY]) ? result[TRASH_KEY] : [];
+    return entries.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Adds entries to the trash
+ * @param {Array<Object>} entries - Entries created by createURLEntry/createGroupEntry
+ * @returns {Promise<void>}
+ */
+async function addToTrash(entries) {
+    const trash = await loadTrash();
+    await chrome.storage.local.set({ [TRASH_KEY]: [...entries, ...trash] });
+}
+
+/**
+ * Removes entries from the trash (after restoring or purging them)
+ * @param {Array<string>} entryIds - Ids of the entries to remove
+ * @returns {Promise<Array<Object>>} The removed entries
+ */
+async function removeFromTrash(entryIds) {
+    const ids = new Set(entryIds);
+    const trash = await loadTrash();
+    const removed = trash.filter(entry => ids.has(entry.id));
+    if (removed.length > 0) {
+        await chrome.storage.local.set({ [TRASH_KEY]: trash.filter(entry => !ids.has(entry.id)) });
+    }
+    return removed;
+}
+
+/**
+ * Permanently deletes all trash entries
+ * @returns {Promise<void>}
+ */
+async function emptyTrash() {
+    await chrome.storage.local.remove([TRASH_KEY]);
+}
+
+/**
+ * Loads the retention period of trashed items
+ * @returns {Promise<number>} Retention in days (0 = never purge automatically)
+ */
+async function loadRetentionDays() {
+    const result = await chrome.storage.local.get([TRASH_RETENTION_KEY]);
+    const days = result[TRASH_RETENTION_KEY];
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Saves the retention period of trashed items
+ * @param {number} days - Retention in days (0 = never purge automatically)
+ * @returns {Promise<void>}
+ */
+async function saveRetentionDays(days) {
+    if (!Number.isInteger(days) || days < 0) {
+        throw new Error('Retention period must be a whole number of days');
+    }
+    await chrome.storage.local.set({ [TRASH_RETENTION_KEY]: days });
+}
+
+/**
+ * Gets the time at which an entry is purged automatically
+ * @param {Object} entry - Trash entry
+ * @param {number} retentionDays - Retention in days (0 = never)
+ * @returns {number|null} Epoch milliseconds, or null if the entry is never purged
+ */
+function getPurgeTime(entry, retentionDays) {
+    if (!retentionDays) {
+        return null;
+    }
+    return new Date(entry.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Permanently deletes entries older than the retention period
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {Promise<number>} Number of purged entries
+ */
+async function purgeExpired(now = Date.now()) {
+    const retentionDays = await loadRetentionDays();
+    if (!retentionDays) {
+        return 0;
+    }
+
+    const trash = await loadTrash();
+    const expiredIds = trash
+        .filter(entry => getPurgeTime(entry, retentionDays) <= now)
+        .map(entry => entry.id);
+
+    if (expiredIds.length > 0) {
+        await removeFromTrash(expiredIds);
+        console.log(`Purged ${expiredIds.length} expired trash entries`);
+    }
+    return expiredIds.length;
+}
+
+/**
+ * Keeps the trash in step with undoing and redoing a delete: undo takes the entries of
+ * the items it brings back out of the trash and keeps them on the command, redo puts
+ * them back
+ * @param {Object} command - History command (see HistoryManager)
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Promise<boolean>} True if the command's trashEntries changed (save the command)
+ */
+async function syncTrashWithHistory(command, direction) {
+    if (direction === 'redo') {
+        const entries = command.trashEntries || [];
+        if (entries.length === 0) {
+            return false;
+        }
+        const deletedAt = new Date().toISOString();
+        await addToTrash(entries.map(entry => ({ ...entry, deletedAt })));
+        delete command.trashEntries;
+        return true;
+    }
+
+    // Records the undo brings back: deleted by the command (before, but no after)
+    const restoredKeys = new Set(command.changes
+        .filter(change => change.before && !change.after)
+        .map(change => `${change.type}:${change.id}`));
+    const entryIds = restoredKeys.size === 0 ? [] : (await loadTrash())
+        .filter(entry => entry.item && restoredKeys.has(`${entry.type}:${entry.item.id}`))
+        .map(entry => entry.id);
+    if (entryIds.length === 0) {
+        return false;
+    }
+    command.trashEntries = await removeFromTrash(entryIds);
+    return true;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        createURLEntry,
+        createGroupEntry,
+        loadTrash,
+        addToTrash,
+        removeFromTrash,
+        emptyTrash,
+        loadRetentionDays,
+        saveRetentionDays,
+        getPurgeTime,
+        purgeExpired,
+        syncTrashWithHistory,
+        TRASH_PURGE_ALARM,
+        TRASH_PURGE_INTERVAL_MINUTES
+    };
+} else if (typeof self !== 'undefined') {
+    // Service Worker or Web Worker environment - attach to self (global scope)
+    self.TrashManager = {
+        createURLEntry,
+        createGroupEntry,
+        loadTrash,
+        addToTrash,
+        removeFromTrash,
+        emptyTrash,
+        loadRetentionDays,
+        saveRetentionDays,
+        getPurgeTime,
+        purgeExpired,
+        syncTrashWithHistory,
+        TRASH_PURGE_ALARM,
+        TRASH_PURGE_INTERVAL_MINUTES
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to window
+    window.TrashManager = {
+        createURLEntry,
+        createGroupEntry,
+        loadTrash,
+        addToTrash,
+        removeFromTrash,
+        emptyTrash,
+        loadRetentionDays,
+        saveRetentionDays,
+        getPurgeTime,
+        purgeExpired,
+        syncTrashWithHistory,
+        TRASH_PURGE_ALARM,
+        TRASH_PURGE_INTERVAL_MINUTES
+    };
+}
\ No newline at end of file